@@ -5,13 +5,172 @@
  * 
  * 配置要求：
  * 1. 环境变量：ADMIN_PASSWORD (后台登录密码)
- * 2. KV 绑定：IP_STORAGE (用于存储 IP 数据和配置)
+ * 2. KV 绑定：IP_STORAGE (用于存储 IP 数据和配置)；可选 D1 绑定 DB，绑定后改用 D1 存储
  */
 
-// 自定义优质IP数量
-const FAST_IP_COUNT = 25; 
-// 自动测速的最大IP数量，避免测速过多导致超时
-const AUTO_TEST_MAX_IPS = 200; 
+// 运行设置：保存在 KV（settings）中，可在后台修改，写入时按 type / min / max 校验，缺省项使用 default
+const SETTINGS_SCHEMA = {
+    fastIPCount: { type: 'int', default: 25, min: 1, max: 200, label: '优选 IP 数量' },
+    coloTopN: { type: 'int', default: 10, min: 1, max: 100, label: '每个机房保留数量' },
+    // 每轮测速最多测试的 IP 数量，避免单次调用子请求过多；剩余 IP 留给下一轮继续
+    autoTestMaxIPs: { type: 'int', default: 200, min: 10, max: 2000, label: '每轮最多测速 IP 数' },
+    speedTestBatchSize: { type: 'int', default: 5, min: 1, max: 20, label: '测速并发数' },
+    // 测速目标主机，延迟采样与吞吐测试都请求其 /__down 接口，端口按测速配置拼接
+    speedTestHost: { type: 'host', default: 'speed.cloudflare.com', label: '测速目标主机' },
+    speedTestSampleBytes: { type: 'int', default: 1000, min: 0, max: 1048576, label: '延迟采样下载字节数' },
+    // 未携带 speedtest 权限 Token 的客户端调用 /speedtest 时，每个来源 IP 每小时可测的 IP 数
+    speedTestAnonLimit: { type: 'int', default: 20, min: 0, max: 1000, label: '匿名测速每小时 IP 数（0 为禁止）' },
+    // 定时任务两次自动采集的最小间隔，间隔内的触发只继续未完成的测速任务
+    collectIntervalMinutes: { type: 'int', default: 60, min: 5, max: 1440, label: '自动采集间隔（分钟）' }
+};
+const DEFAULT_SETTINGS = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default]));
+// 配置导出文件的格式版本，导入时校验
+const CONFIG_EXPORT_VERSION = 1;
+// /speedtest 匿名调用的限流窗口，以及 POST 批量测速单次最多提交的 IP 数
+const SPEEDTEST_RATE_WINDOW_SECONDS = 3600;
+const SPEEDTEST_BATCH_MAX_IPS = 50;
+// 全部 IP 浏览：测速状态（按此顺序排序）、可排序字段与分页大小
+const EXPLORE_STATUSES = ['fast', 'passed', 'failed', 'pending', 'untested'];
+const EXPLORE_SORT_KEYS = ['ip', 'status', 'latency', 'colo', 'score', 'sources', 'firstSeen', 'lastSeen'];
+const EXPLORE_DEFAULT_PAGE_SIZE = 50;
+const EXPLORE_MAX_PAGE_SIZE = 200;
+// 管理页面的内容安全策略：脚本、样式与接口只允许来自本站，禁止内联脚本、内联样式和被嵌入框架
+const DASHBOARD_CSP = "default-src 'none'; script-src 'self'; style-src 'self'; img-src 'self' data:; connect-src 'self'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'";
+// 页面与接口消息的语言：依次取 ?lang=、Cookie cfip_lang、Accept-Language，都不匹配时使用默认语言
+const LOCALES = { 'zh-CN': '简体中文', en: 'English' };
+const DEFAULT_LOCALE = 'zh-CN';
+const LANG_COOKIE = 'cfip_lang';
+// 存储后端：绑定 D1 数据库 DB 时使用 D1，否则使用 KV；环境变量 STORAGE_BACKEND 可强制指定，memory 只在当前 isolate 内有效
+const STORAGE_BACKENDS = ['kv', 'd1', 'memory'];
+// D1 表结构迁移，按顺序执行，已执行的版本记录在 schema_migrations 表中
+const D1_MIGRATIONS = [
+    [
+        'CREATE TABLE IF NOT EXISTS documents (key TEXT PRIMARY KEY, value TEXT NOT NULL, metadata TEXT, expires_at INTEGER, version INTEGER NOT NULL DEFAULT 1)',
+        'CREATE INDEX IF NOT EXISTS documents_expires_at ON documents (expires_at)',
+        'CREATE TABLE IF NOT EXISTS ip_history (ip TEXT NOT NULL, time INTEGER NOT NULL, latency INTEGER, PRIMARY KEY (ip, time))',
+        'CREATE INDEX IF NOT EXISTS ip_history_time ON ip_history (time)'
+    ]
+];
+// D1 单条语句最多绑定 100 个参数，批量写入历史时每条 INSERT 写入的行数；db.batch 每批的语句数
+const D1_INSERT_ROWS = 30;
+const D1_BATCH_SIZE = 50;
+// 从 KV 导入 D1 时每次调用导入的键数
+const D1_IMPORT_PAGE_SIZE = 100;
+// D1 按版本号更新文档发生冲突时的最大重试次数
+const STORAGE_UPDATE_RETRIES = 5;
+// Cloudflare 代理支持的 HTTPS 与 HTTP 端口
+const CF_HTTPS_PORTS = [443, 2053, 2083, 2087, 2096, 8443];
+const CF_HTTP_PORTS = [80, 8080, 8880, 2052, 2082, 2086, 2095];
+// 默认测速配置：测试端口、每个 IP 的延迟采样次数、单次超时、吞吐测试下载量（0 表示不测）与综合评分权重
+const DEFAULT_TEST_PROFILE = {
+    ports: [443],
+    samples: 3,
+    timeout: 3000,
+    downloadBytes: 0,
+    downloadTimeout: 8000,
+    weights: { latency: 0.5, jitter: 0.2, loss: 0.2, throughput: 0.1 }
+};
+// 评分归一化上限：延迟、抖动达到该值记 0 分，吞吐达到该值记满分
+const SCORE_LATENCY_CAP_MS = 1000;
+const SCORE_JITTER_CAP_MS = 200;
+const SCORE_THROUGHPUT_CAP_MBPS = 50;
+// 机房位置表来源及缓存时间
+const COLO_LOCATIONS_URL = 'https://speed.cloudflare.com/locations';
+const COLO_LOCATIONS_TTL_HOURS = 7 * 24;
+// 每个 IP 保留的历史测速次数、保留天数与最多跟踪的 IP 数，控制 KV 占用
+const HISTORY_MAX_SAMPLES = 20;
+const HISTORY_RETENTION_DAYS = 14;
+const HISTORY_MAX_IPS = 3000;
+// 参与稳定排行所需的最少历史次数
+const HISTORY_MIN_RUNS = 3;
+// 订阅模板支持的协议、传输方式与输出格式
+const SUB_PROTOCOLS = ['vless', 'trojan', 'vmess'];
+const SUB_TRANSPORTS = ['ws', 'grpc', 'tcp'];
+const SUB_FORMATS = ['base64', 'clash', 'singbox'];
+const DEFAULT_SUB_NAME_PATTERN = '{name}-{colo}-{index}';
+// API Token 权限：admin 包含全部权限
+const TOKEN_SCOPES = ['read_ips', 'read_fast_ips', 'update', 'speedtest', 'admin'];
+const TOKEN_MAX_EXPIRE_DAYS = 3650;
+// 登录会话：Cookie 名称与有效期；连续失败达到上限后按指数退避锁定来源 IP
+const SESSION_COOKIE = 'cfip_session';
+const SESSION_TTL_SECONDS = 86400;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCK_BASE_SECONDS = 60;
+const LOGIN_LOCK_MAX_SECONDS = 86400;
+// DNS 同步默认配置：默认关闭，apiBase 可指向本地模拟服务便于测试
+const DEFAULT_DNS_CONFIG = {
+    enabled: false,
+    dryRun: true,
+    apiToken: '',
+    zoneId: '',
+    recordName: '',
+    family: 'v4',
+    topN: 4,
+    minIPs: 2,
+    ttl: 60,
+    proxied: false,
+    apiBase: 'https://api.cloudflare.com/client/v4'
+};
+const DNS_SYNC_LOG_LIMIT = 50;
+// 运行日志保留的最近运行次数
+const RUN_LOG_LIMIT = 50;
+// 运行快照默认保留份数与可配置上限
+const DEFAULT_SNAPSHOT_RETENTION = 10;
+const SNAPSHOT_MAX_RETENTION = 100;
+const EMPTY_SNAPSHOT_INDEX = { current: null, snapshots: [] };
+// 手动 IP 列表：custom 并入采集，pinned 始终出现在优选结果中，blocked（IP 或 CIDR）在各处排除
+const IP_LIST_TYPES = ['custom', 'pinned', 'blocked'];
+const IP_LIST_MAX_ENTRIES = 5000;
+// IP 来源记录保留天数；数据源平均响应时间取最近几次；开启自动跳过的数据源连续多少次无 IP 进入优选后暂停多久
+const PROVENANCE_RETENTION_DAYS = 30;
+const SOURCE_DURATION_SAMPLES = 10;
+const SOURCE_AUTO_SKIP_RUNS = 5;
+const SOURCE_AUTO_SKIP_HOURS = 24;
+// 文本输出格式与输出预设可保存的参数
+const OUTPUT_FORMATS = ['txt', 'csv', 'json'];
+const OUTPUT_PRESET_KEYS = ['format', 'template', 'count', 'maxLatency', 'port', 'testedPort', 'family', 'rank', 'isp', 'colo', 'country', 'region'];
+const OUTPUT_MAX_COUNT = 5000;
+// 通知渠道类型与默认配置：告警阈值为 0 表示关闭该告警，模板中的 {变量} 在发送时替换
+const NOTIFY_CHANNEL_TYPES = ['webhook', 'telegram', 'wecom', 'dingtalk'];
+const DEFAULT_NOTIFY_CONFIG = {
+    channels: [],
+    events: { summary: true, source_fail: true, ip_drop: true, latency: true },
+    thresholds: { sourceFailStreak: 3, ipDropPercent: 30, latencyMs: 300 },
+    templates: {
+        summary: '✅ 优选 IP 更新完成（{trigger}）\n总 IP：{total}，测速 {tested}，可用 {passed}\n数据源：{sources}\n{sourceDetails}\n前 5 优选：\n{top}\n耗时：{duration}',
+        source_fail: '⚠️ 数据源 {source} 已连续失败 {streak} 次\n最近错误：{error}',
+        ip_drop: '⚠️ 采集到的 IP 数从 {previous} 降至 {current}，下降 {percent}%',
+        latency: '⚠️ 本轮测速没有延迟低于 {threshold}ms 的 IP，最低延迟 {best}',
+        test: '🔔 这是一条来自 CF 优选 IP 收集器的测试通知（{time}）'
+    }
+};
+// 每轮测速的时间预算：定时任务可运行较久，ctx.waitUntil 在响应后最多约 30 秒
+const SPEEDTEST_CRON_BUDGET_MS = 5 * 60 * 1000;
+const SPEEDTEST_WAITUNTIL_BUDGET_MS = 25 * 1000;
+// 每轮测速最多发出的子请求数：Workers 单次调用上限为 1000，余量留给存储读写与通知
+const SPEEDTEST_MAX_SUBREQUESTS = 900;
+// 数据源默认超时与 User-Agent，可在每个数据源上单独覆盖
+const DEFAULT_SOURCE_TIMEOUT = 8000;
+const DEFAULT_SOURCE_UA = 'Mozilla/5.0';
+// 支持的数据源解析方式：正则 / JSON 路径 / CSV 列 / HTML 选择器 / 带线路信息的 HTML 表格 / DNS 域名解析
+const SOURCE_PARSER_TYPES = ['regex', 'json', 'csv', 'html', 'table', 'dns'];
+// DNS 数据源默认使用的 DoH 解析地址，可在数据源 URL 中覆盖；支持 JSON 与 RFC 8484 wire 两种格式
+const DEFAULT_DOH_RESOLVER = 'https://cloudflare-dns.com/dns-query';
+const DOH_FORMATS = ['json', 'wire'];
+// 单个 DNS 数据源最多解析的域名数（每个域名每种记录各占一次子请求）
+const DNS_SOURCE_MAX_DOMAINS = 20;
+// 运营商线路：电信 / 联通 / 移动
+const CARRIERS = { ct: '电信', cu: '联通', cm: '移动' };
+// 内置数据源，KV 中没有 ip_sources 时使用
+const DEFAULT_IP_SOURCES = [
+    { id: 'ip164746', name: 'ip.164746.xyz', url: 'https://ip.164746.xyz' },
+    { id: 'haogege', name: 'ip.haogege.xyz', url: 'https://ip.haogege.xyz/' },
+    { id: 'hostmonit', name: 'hostmonit CloudFlareYes', url: 'https://stock.hostmonit.com/CloudFlareYes', parser: { type: 'table' } },
+    { id: 'uouin', name: 'api.uouin.com', url: 'https://api.uouin.com/cloudflare.html', parser: { type: 'table' } },
+    { id: '090227-cfyes', name: '090227 CloudFlareYes', url: 'https://addressesapi.090227.xyz/CloudFlareYes' },
+    { id: '090227-164746', name: '090227 ip.164746.xyz', url: 'https://addressesapi.090227.xyz/ip.164746.xyz' },
+    { id: 'wetest-v4', name: 'wetest.vip IPv4', url: 'https://www.wetest.vip/page/cloudflare/address_v4.html', parser: { type: 'table' } }
+].map(source => ({ ...source, enabled: true, parser: source.parser || { type: 'regex' }, timeout: DEFAULT_SOURCE_TIMEOUT, userAgent: DEFAULT_SOURCE_UA }));
 
 export default {
     /**
@@ -20,23 +179,38 @@ export default {
     async scheduled(event, env, ctx) {
       console.log('正在执行定时 IP 更新任务...');
       try {
-        if (!env.IP_STORAGE) {
-          console.error('未绑定 KV 命名空间 IP_STORAGE');
+        const storageError = checkStorageBinding(env);
+        if (storageError) {
+          console.error(storageError);
           return;
         }
 
-        const { uniqueIPs, results } = await updateAllIPs(env);
+        await getStorage(env).continueImport();
+        // 过期的会话、登录失败与限流计数在读取时已被忽略，由定时任务统一删除
+        const purged = await getStorage(env).purgeExpired();
+        if (purged) console.log(`已清理 ${purged} 条过期数据`);
 
-        await env.IP_STORAGE.put('cloudflare_ips', JSON.stringify({
-          ips: uniqueIPs,
-          lastUpdated: new Date().toISOString(),
-          count: uniqueIPs.length,
-          sources: results
-        }));
+        // 有未完成的测速任务时先继续测速，不重新采集
+        const job = await getSpeedTestJob(env);
+        if (job?.status !== 'running') {
+            const { lastUpdated } = await getStoredIPs(env);
+            const { collectIntervalMinutes } = await getSettings(env);
+            if (lastUpdated && Date.now() - new Date(lastUpdated).getTime() < collectIntervalMinutes * 60000) {
+                console.log('距离上次采集时间过短，跳过本次定时任务');
+                return;
+            }
+            const collected = await runCollection(env, 'cron');
+            if (!collected) {
+                console.log('已有任务正在运行，跳过本次定时采集');
+                return;
+            }
+            console.log(`定时采集完成: 收集到 ${collected.uniqueIPs.length} 个 IP，开始测速`);
+        }
 
-        // 自动触发测速并存储优质IP
-        await autoSpeedTestAndStore(env, uniqueIPs);
-        console.log(`定时更新完成: 收集到 ${uniqueIPs.length} 个 IP`);
+        // 自动测速，本轮未测完的 IP 留给下一次触发
+        const progress = await runSpeedTestChunk(env, SPEEDTEST_CRON_BUDGET_MS);
+        if (progress) console.log(`测速进度: ${progress.cursor}/${progress.total}，状态 ${progress.status}`);
+        else console.log('测速任务正由其他调用执行，跳过本轮');
       } catch (error) {
         console.error('定时更新失败:', error);
       }
@@ -49,8 +223,9 @@ export default {
       const url = new URL(request.url);
       const path = url.pathname;
       
-      if (!env.IP_STORAGE) {
-        return new Response('错误：未绑定 KV 命名空间 IP_STORAGE。请在 Worker 设置中进行绑定。', {
+      const storageError = checkStorageBinding(env);
+      if (storageError) {
+        return new Response(`错误：${storageError}。`, {
           status: 500,
           headers: { 'Content-Type': 'text/plain; charset=utf-8' }
         });
@@ -61,582 +236,6699 @@ export default {
       }
 
       try {
+        // 首次启用 D1 且绑定了 KV 时，每次请求导入一页 KV 中的已有数据
+        await getStorage(env).continueImport();
         switch (path) {
           case '/':
-            return await serveHTML(env, request);
+            return serveHTML(request);
+          case '/assets/app.js':
+          case '/assets/app.css':
+            return serveAsset(path);
+          case '/dashboard-data':
+            return await handleDashboardData(env, request);
           case '/update':
-            return await handleUpdate(env, request);
+            return await handleUpdate(env, request, ctx);
+          case '/speedtest-job':
+            return await handleSpeedTestJob(request, env, ctx);
+          case '/admin-speedtest-profile':
+            return await handleAdminTestProfile(request, env);
+          case '/admin-settings':
+            return await handleAdminSettings(request, env);
+          case '/admin-config':
+            return await handleAdminConfig(request, env);
           case '/ips':
           case '/ip.txt':
             return await handleGetIPs(env, request);
+          case '/ips/explore':
+            return await handleExploreIPs(env, request);
           case '/raw':
             return await handleRawIPs(env, request);
           case '/speedtest':
-            return await handleSpeedTest(request, env);
+            return await handleSpeedTest(request, env, ctx);
           case '/itdog-data':
             return await handleItdogData(env, request);
           case '/fast-ips':
             return await handleGetFastIPs(env, request);
           case '/fast-ips.txt':
             return await handleGetFastIPsText(env, request);
+          case '/history':
+            return await handleHistory(env, request);
+          case '/snapshots':
+            return await handleSnapshots(env, request);
+          case '/snapshots/diff':
+            return await handleSnapshotDiff(env, request);
+          case '/admin-snapshots':
+            return await handleAdminSnapshots(request, env);
+          case '/sub':
+            return await handleSubscription(env, request);
+          case '/admin-sub-templates':
+            return await handleAdminSubTemplates(request, env);
           case '/admin-login':
             return await handleAdminLogin(request, env);
           case '/admin-status':
-            return await handleAdminStatus(env);
+            return await handleAdminStatus(request, env);
           case '/admin-logout':
-            return await handleAdminLogout(env);
-          case '/admin-token':
-            return await handleAdminToken(request, env);
+            return await handleAdminLogout(request, env);
+          case '/admin-sessions':
+            return await handleAdminSessions(request, env);
+          case '/admin-tokens':
+            return await handleAdminTokens(request, env);
+          case '/admin-sources':
+            return await handleAdminSources(request, env);
+          case '/sources/stats':
+            return await handleSourceStats(env, request);
+          case '/runs':
+            return await handleRuns(env, request);
+          case '/metrics':
+            return await handleMetrics(env, request);
+          case '/admin-ip-lists':
+            return await handleAdminIPLists(request, env);
+          case '/admin-dns':
+            return await handleAdminDns(request, env);
+          case '/admin-notify':
+            return await handleAdminNotify(request, env);
+          case '/admin-output-presets':
+            return await handleAdminOutputPresets(request, env);
+          case '/admin-cf-ranges':
+            return await handleAdminCfRanges(request, env);
           default:
-            return jsonResponse({ error: 'Endpoint not found' }, 404);
+            return jsonResponse(apiError(request, 'not_found'), 404);
         }
       } catch (error) {
         console.error('Error:', error);
-        return jsonResponse({ error: error.message }, 500);
+        return jsonResponse(apiError(request, 'internal_error', { detail: error.message }), 500);
       }
     }
 };
 
+// --- 存储层 ---
+//
+// 所有数据都经 getStorage(env) 返回的存储对象读写，值为 JSON 文档：
+//   get(key) / put(key, value, { ttl, metadata }) / delete(key) / list(prefix) → [{ name, metadata }]
+//   update(key, fn, options)：读取后交给 fn 修改并写回，fn 返回 undefined 时不写入；D1 按版本号检测并发写入，冲突时重新执行 fn
+//   getHistory() / getIPHistory(ip) / appendHistory(time, latencies)：测速历史，D1 中按行存储，其余实现保存在 ip_history 文档中
+// 实现有 KV、D1 与内存三种，按 STORAGE_BACKEND 或绑定情况选择
+
+const storages = new WeakMap();
+// 内存实现的数据，在同一 isolate 的请求之间共享
+const memoryDocuments = new Map();
+
+function getStorage(env) {
+    if (!storages.has(env)) storages.set(env, createStorage(env));
+    return storages.get(env);
+}
+
+function storageBackend(env) {
+    return env.STORAGE_BACKEND || (env.DB ? 'd1' : 'kv');
+}
+
+/**
+ * 检查存储后端的绑定，返回错误说明；正常时返回 null
+ */
+function checkStorageBinding(env) {
+    const backend = storageBackend(env);
+    if (!STORAGE_BACKENDS.includes(backend)) return `STORAGE_BACKEND 只能是 ${STORAGE_BACKENDS.join('、')}`;
+    if (backend === 'd1' && !env.DB) return '未绑定 D1 数据库 DB，请在 Worker 设置中进行绑定';
+    if (backend === 'kv' && !env.IP_STORAGE) return '未绑定 KV 命名空间 IP_STORAGE，请在 Worker 设置中进行绑定';
+    return null;
+}
+
+function createStorage(env) {
+    const backend = storageBackend(env);
+    if (backend === 'memory') return createMemoryStorage(memoryDocuments);
+    if (backend === 'd1') return createD1Storage(env.DB, env.IP_STORAGE);
+    return createKVStorage(env.IP_STORAGE);
+}
+
+function createKVStorage(kv) {
+    return withDocumentMethods({
+        type: 'kv',
+        get: key => kv.get(key, 'json'),
+        async put(key, value, { ttl, metadata } = {}) {
+            await kv.put(key, JSON.stringify(value), { ...(ttl ? { expirationTtl: ttl } : {}), ...(metadata ? { metadata } : {}) });
+        },
+        delete: key => kv.delete(key),
+        async list(prefix) {
+            const keys = [];
+            let cursor;
+            do {
+                const page = await kv.list({ prefix, cursor });
+                keys.push(...page.keys.map(k => ({ name: k.name, metadata: k.metadata ?? null })));
+                cursor = page.list_complete ? null : page.cursor;
+            } while (cursor);
+            return keys;
+        }
+    });
+}
+
+/**
+ * 内存实现：与 KV 一样按 JSON 序列化保存，读取得到的是副本
+ */
+function createMemoryStorage(documents = new Map()) {
+    const alive = entry => entry && (!entry.expiresAt || entry.expiresAt > Date.now());
+    return withDocumentMethods({
+        type: 'memory',
+        async get(key) {
+            const entry = documents.get(key);
+            return alive(entry) ? JSON.parse(entry.value) : null;
+        },
+        async put(key, value, { ttl, metadata } = {}) {
+            documents.set(key, { value: JSON.stringify(value), metadata: metadata ?? null, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+        },
+        async delete(key) {
+            documents.delete(key);
+        },
+        async list(prefix) {
+            return [...documents]
+                .filter(([name, entry]) => name.startsWith(prefix) && alive(entry))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, entry]) => ({ name, metadata: entry.metadata }));
+        },
+        async purgeExpired() {
+            const expired = [...documents].filter(([, entry]) => !alive(entry)).map(([name]) => name);
+            expired.forEach(name => documents.delete(name));
+            return expired.length;
+        }
+    });
+}
+
+/**
+ * 为按文档保存的实现（KV、内存）补充 update、过期清理与测速历史方法。KV 没有原子操作，update 只是读后写；
+ * KV 会自行删除过期的键，purgeExpired 不做任何事。continueImport 只有导入 KV 数据的 D1 才需要
+ */
+function withDocumentMethods(storage) {
+    const getHistory = async () => await storage.get('ip_history') ?? { ips: {}, updatedAt: null };
+    return {
+        purgeExpired: async () => 0,
+        continueImport: async () => {},
+        ...storage,
+        async update(key, fn, options) {
+            const value = await fn(await storage.get(key));
+            if (value !== undefined) await storage.put(key, value, options);
+            return value;
+        },
+        getHistory,
+        async getIPHistory(ip) {
+            return (await getHistory()).ips[ip] || [];
+        },
+        async appendHistory(time, latencies) {
+            await storage.put('ip_history', appendHistorySamples(await getHistory(), time, latencies));
+        }
+    };
+}
+
+/**
+ * D1 实现：文档保存在 documents 表，带版本号用于 update 的冲突检测；测速历史每个样本一行。
+ * 首次使用时执行表结构迁移；同时绑定了 KV 时先分批导入 KV 中的已有数据（见 withKVImport）
+ */
+function createD1Storage(db, kv) {
+    let ready = null;
+    const init = () => ready ||= migrateD1(db).catch(error => {
+        ready = null;
+        throw error;
+    });
+    const alive = 'AND (expires_at IS NULL OR expires_at > ?)';
+    const row = (value, { ttl, metadata } = {}) => [JSON.stringify(value), metadata ? JSON.stringify(metadata) : null, ttl ? Date.now() + ttl * 1000 : null];
+    const storage = {
+        type: 'd1',
+        continueImport: async () => {},
+        async get(key) {
+            await init();
+            const found = await db.prepare(`SELECT value FROM documents WHERE key = ? ${alive}`).bind(key, Date.now()).first();
+            return found ? JSON.parse(found.value) : null;
+        },
+        async put(key, value, options) {
+            await init();
+            await db.prepare('INSERT INTO documents (key, value, metadata, expires_at) VALUES (?, ?, ?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expires_at = excluded.expires_at, version = version + 1')
+                .bind(key, ...row(value, options)).run();
+        },
+        async delete(key) {
+            await init();
+            await db.prepare('DELETE FROM documents WHERE key = ?').bind(key).run();
+        },
+        async list(prefix) {
+            await init();
+            const { results } = await db.prepare(`SELECT key, metadata FROM documents WHERE substr(key, 1, ?) = ? ${alive} ORDER BY key`).bind(prefix.length, prefix, Date.now()).all();
+            return results.map(r => ({ name: r.key, metadata: r.metadata ? JSON.parse(r.metadata) : null }));
+        },
+        async update(key, fn, options) {
+            await init();
+            for (let attempt = 0; attempt < STORAGE_UPDATE_RETRIES; attempt++) {
+                const now = Date.now();
+                const current = await db.prepare(`SELECT value, version FROM documents WHERE key = ? ${alive}`).bind(key, now).first();
+                const value = await fn(current ? JSON.parse(current.value) : null);
+                if (value === undefined) return value;
+                // 只有版本号未变（或文档仍不存在、已过期）时才写入，否则说明期间有其他写入，重新读取
+                const { meta } = current
+                    ? await db.prepare('UPDATE documents SET value = ?, metadata = ?, expires_at = ?, version = version + 1 WHERE key = ? AND version = ?').bind(...row(value, options), key, current.version).run()
+                    : await db.prepare('INSERT INTO documents (key, value, metadata, expires_at) VALUES (?, ?, ?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expires_at = excluded.expires_at, version = version + 1 WHERE expires_at <= ?').bind(key, ...row(value, options), now).run();
+                if (meta.changes > 0) return value;
+            }
+            throw apiFailure('storage_conflict', { key });
+        },
+        async purgeExpired() {
+            await init();
+            const { meta } = await db.prepare('DELETE FROM documents WHERE expires_at <= ?').bind(Date.now()).run();
+            return meta.changes;
+        },
+        async getHistory() {
+            await init();
+            const { results } = await db.prepare('SELECT ip, time, latency FROM ip_history ORDER BY time').all();
+            const ips = {};
+            for (const r of results) (ips[r.ip] ||= []).push([r.time, r.latency]);
+            return { ips, updatedAt: results.length ? new Date(results[results.length - 1].time).toISOString() : null };
+        },
+        async getIPHistory(ip) {
+            await init();
+            const { results } = await db.prepare('SELECT time, latency FROM ip_history WHERE ip = ? ORDER BY time').bind(ip).all();
+            return results.map(r => [r.time, r.latency]);
+        },
+        async appendHistory(time, latencies) {
+            await init();
+            // 裁剪规则与 appendHistorySamples 相同
+            await runD1Batches(db, [
+                ...historyInserts(db, [...latencies].map(([ip, latency]) => [ip, time, latency])),
+                db.prepare('DELETE FROM ip_history WHERE time < ?').bind(time - HISTORY_RETENTION_DAYS * 86400000),
+                db.prepare('DELETE FROM ip_history WHERE rowid IN (SELECT rowid FROM (SELECT rowid, ROW_NUMBER() OVER (PARTITION BY ip ORDER BY time DESC) AS n FROM ip_history) WHERE n > ?)').bind(HISTORY_MAX_SAMPLES),
+                db.prepare('DELETE FROM ip_history WHERE ip NOT IN (SELECT ip FROM ip_history GROUP BY ip ORDER BY MAX(time) DESC LIMIT ?)').bind(HISTORY_MAX_IPS)
+            ]);
+        }
+    };
+    if (!kv) return storage;
+    return withKVImport(storage, kv, async () => {
+        await init();
+        return await importKVPage(db, kv);
+    });
+}
+
+/**
+ * KV 中的已有数据尚未全部导入 D1 时：读取以 KV 为准，写入同时写入 KV 与 D1，
+ * 每次调用开始时的 continueImport 导入一页（importPage 返回是否已全部导入）；导入完成后只使用 D1
+ */
+function withKVImport(d1, kv, importPage) {
+    const source = createKVStorage(kv);
+    let imported = false;
+    const read = method => (...args) => (imported ? d1 : source)[method](...args);
+    const write = method => async (...args) => {
+        await d1[method](...args);
+        if (!imported) await source[method](...args);
+    };
+    return {
+        ...d1,
+        get: read('get'),
+        list: read('list'),
+        getHistory: read('getHistory'),
+        getIPHistory: read('getIPHistory'),
+        put: write('put'),
+        delete: write('delete'),
+        appendHistory: write('appendHistory'),
+        async update(key, fn, options) {
+            if (imported) return await d1.update(key, fn, options);
+            const value = await source.update(key, fn, options);
+            if (value !== undefined) await d1.put(key, value, options);
+            return value;
+        },
+        async continueImport() {
+            imported ||= await importPage();
+        }
+    };
+}
+
+function historyInserts(db, rows) {
+    const statements = [];
+    for (let i = 0; i < rows.length; i += D1_INSERT_ROWS) {
+        const chunk = rows.slice(i, i + D1_INSERT_ROWS);
+        statements.push(db.prepare(`INSERT OR IGNORE INTO ip_history (ip, time, latency) VALUES ${chunk.map(() => '(?, ?, ?)').join(', ')}`).bind(...chunk.flat()));
+    }
+    return statements;
+}
+
+async function runD1Batches(db, statements) {
+    for (let i = 0; i < statements.length; i += D1_BATCH_SIZE) await db.batch(statements.slice(i, i + D1_BATCH_SIZE));
+}
+
+/**
+ * 执行尚未执行的表结构迁移
+ */
+async function migrateD1(db) {
+    await db.prepare('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, applied_at TEXT NOT NULL)').run();
+    const { results } = await db.prepare('SELECT version FROM schema_migrations').all();
+    const applied = new Set(results.map(r => r.version));
+    for (const [index, statements] of D1_MIGRATIONS.entries()) {
+        if (applied.has(index + 1)) continue;
+        await db.batch([
+            ...statements.map(sql => db.prepare(sql)),
+            db.prepare('INSERT OR IGNORE INTO schema_migrations (version, applied_at) VALUES (?, ?)').bind(index + 1, new Date().toISOString())
+        ]);
+    }
+}
+
+/**
+ * 把 KV 中的一页键导入 D1，单次调用内的 KV 读取不超过 D1_IMPORT_PAGE_SIZE 次。
+ * 文档保留原有的过期时间与元数据，ip_history 拆分为按行存储的样本；已存在的数据（导入期间的双写）不会被覆盖。
+ * 进度（下一页的 cursor 与已导入的键数）与本页数据一起写入 storage_migration 文档，全部导入后记下 migratedAt。返回是否已全部导入
+ */
+async function importKVPage(db, kv) {
+    const found = await db.prepare("SELECT value FROM documents WHERE key = 'storage_migration'").first();
+    const progress = found ? JSON.parse(found.value) : { from: 'kv', keys: 0, cursor: null };
+    if (progress.migratedAt) return true;
+
+    const page = await kv.list({ cursor: progress.cursor || undefined, limit: D1_IMPORT_PAGE_SIZE });
+    const values = await Promise.all(page.keys.map(({ name }) => kv.get(name)));
+    const statements = [];
+    let imported = 0;
+    page.keys.forEach(({ name, expiration, metadata }, i) => {
+        const value = values[i];
+        if (value === null) return;
+        imported++;
+        if (name === 'ip_history') {
+            const rows = Object.entries(JSON.parse(value).ips || {}).flatMap(([ip, samples]) => samples.map(([time, latency]) => [ip, time, latency]));
+            statements.push(...historyInserts(db, rows));
+        } else {
+            statements.push(db.prepare('INSERT OR IGNORE INTO documents (key, value, metadata, expires_at) VALUES (?, ?, ?, ?)')
+                .bind(name, value, metadata ? JSON.stringify(metadata) : null, expiration ? expiration * 1000 : null));
+        }
+    });
+    const done = page.list_complete;
+    const next = { from: 'kv', keys: progress.keys + imported, cursor: done ? null : page.cursor, ...(done ? { migratedAt: new Date().toISOString() } : {}) };
+    statements.push(db.prepare("INSERT INTO documents (key, value) VALUES ('storage_migration', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, version = version + 1")
+        .bind(JSON.stringify(next)));
+    await runD1Batches(db, statements);
+    if (done) console.log(`已将 KV 中的 ${next.keys} 个键导入 D1`);
+    return done;
+}
+
 // --- 管理逻辑 ---
 
 async function handleAdminLogin(request, env) {
-    if (request.method !== 'POST') return jsonResponse({ error: 'Method not allowed' }, 405);
+    if (request.method !== 'POST') return jsonResponse(apiError(request, 'method_not_allowed'), 405);
     try {
         const { password } = await request.json();
-        if (!env.ADMIN_PASSWORD) return jsonResponse({ success: false, error: '管理员密码未配置' }, 400);
+        if (!env.ADMIN_PASSWORD) return jsonResponse({ success: false, ...apiError(request, 'admin_password_not_set') }, 400);
+        const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+        const failKey = `login_fail_${clientIP}`;
+        const failures = await getStorage(env).get(failKey) || { count: 0, lockedUntil: null };
+        if (failures.lockedUntil && new Date(failures.lockedUntil) > new Date()) {
+            const retryAfter = Math.ceil((new Date(failures.lockedUntil) - Date.now()) / 1000);
+            return jsonResponse({ success: false, ...apiError(request, 'login_locked', { seconds: retryAfter }), retryAfter }, 429, { 'Retry-After': String(retryAfter) });
+        }
+
         if (password === env.ADMIN_PASSWORD) {
-            let tokenConfig = await getTokenConfig(env);
-            if (!tokenConfig) {
-                tokenConfig = {
-                    token: generateToken(),
-                    expires: new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString(),
-                    createdAt: new Date().toISOString(),
-                    lastUsed: null
-                };
-                await env.IP_STORAGE.put('token_config', JSON.stringify(tokenConfig));
-            }
-            const sessionId = generateToken();
-            await env.IP_STORAGE.put(`session_${sessionId}`, JSON.stringify({ loggedIn: true }), { expirationTtl: 86400 });
-            return jsonResponse({ success: true, sessionId, tokenConfig });
-        }
-        return jsonResponse({ success: false, error: '密码错误' }, 401);
-    } catch (error) { return jsonResponse({ error: error.message }, 500); }
-}
-
-async function handleAdminToken(request, env) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: '需要管理员权限' }, 401);
+            await getStorage(env).delete(failKey);
+            const session = await createSession(env, request);
+            return jsonResponse({ success: true }, 200, { 'Set-Cookie': sessionCookie(session.id, SESSION_TTL_SECONDS) });
+        }
+
+        // 达到上限后每多失败一次，锁定时间翻倍
+        failures.count += 1;
+        if (failures.count >= LOGIN_MAX_ATTEMPTS) {
+            const lockSeconds = Math.min(LOGIN_LOCK_BASE_SECONDS * 2 ** (failures.count - LOGIN_MAX_ATTEMPTS), LOGIN_LOCK_MAX_SECONDS);
+            failures.lockedUntil = new Date(Date.now() + lockSeconds * 1000).toISOString();
+        }
+        await getStorage(env).put(failKey, failures, { ttl: LOGIN_LOCK_MAX_SECONDS });
+        return jsonResponse({ success: false, ...apiError(request, 'wrong_password'), remaining: Math.max(LOGIN_MAX_ATTEMPTS - failures.count, 0) }, 401);
+    } catch (error) { return jsonResponse(apiError(request, 'internal_error', { detail: error.message }), 500); }
+}
+
+async function handleAdminLogout(request, env) {
+    if (request.method !== 'POST') return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+    const session = await getSession(request, env);
+    if (session) {
+        if (request.headers.get('X-CSRF-Token') !== session.csrf) return jsonResponse(apiError(request, 'csrf_failed'), 403);
+        await getStorage(env).delete(`session_${session.id}`);
+    }
+    return jsonResponse({ success: true }, 200, { 'Set-Cookie': sessionCookie('', 0) });
+}
+
+async function handleAdminSessions(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const current = await getSession(request, env);
+    const keys = await getStorage(env).list('session_');
     if (request.method === 'GET') {
-        return jsonResponse({ tokenConfig: await getTokenConfig(env) });
-    } else if (request.method === 'POST') {
+        const sessions = keys.filter(k => k.metadata).map(k => ({ ...k.metadata, current: k.metadata.ref === current?.ref }));
+        sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return jsonResponse({ sessions });
+    }
+    if (request.method === 'DELETE') {
+        // 列表只暴露 ref，真实会话 ID 不离开服务端
+        const ref = new URL(request.url).searchParams.get('ref');
+        const key = keys.find(k => k.metadata?.ref === ref);
+        if (!key) return jsonResponse(apiError(request, 'session_not_found'), 404);
+        await getStorage(env).delete(key.name);
+        return jsonResponse({ success: true });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+async function handleAdminTokens(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const tokens = await getApiTokens(env);
+    if (request.method === 'GET') return jsonResponse({ tokens: tokens.map(publicTokenRecord), scopes: TOKEN_SCOPES });
+
+    if (request.method === 'POST') {
         try {
-            const { token, expiresDays, neverExpire } = await request.json();
-            if (!token) return jsonResponse({ error: 'Token不能为空' }, 400);
-            const expiresDate = neverExpire ? new Date(Date.now() + 100 * 365 * 24 * 3600 * 1000).toISOString() : new Date(Date.now() + expiresDays * 24 * 3600 * 1000).toISOString();
-            const tokenConfig = { token: token.trim(), expires: expiresDate, createdAt: new Date().toISOString(), lastUsed: null, neverExpire: !!neverExpire };
-            await env.IP_STORAGE.put('token_config', JSON.stringify(tokenConfig));
-            return jsonResponse({ success: true, tokenConfig });
-        } catch (error) { return jsonResponse({ error: error.message }, 500); }
+            const { label, scopes, expiresDays } = await request.json();
+            const name = String(label || '').trim();
+            if (!name) return jsonResponse(apiError(request, 'token_label_required'), 400);
+            if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !TOKEN_SCOPES.includes(s))) {
+                return jsonResponse(apiError(request, 'invalid_scopes', { allowed: TOKEN_SCOPES.join('、') }), 400);
+            }
+            const days = Number(expiresDays || 0);
+            if (!Number.isInteger(days) || days < 0 || days > TOKEN_MAX_EXPIRE_DAYS) return jsonResponse(apiError(request, 'invalid_expire_days', { max: TOKEN_MAX_EXPIRE_DAYS }), 400);
+
+            // 明文 Token 只在创建时返回一次，KV 中只保存哈希
+            const token = generateToken();
+            const record = {
+                id: generateToken().slice(0, 8),
+                label: name,
+                prefix: token.slice(0, 6),
+                hash: await hashToken(token),
+                scopes: [...new Set(scopes)],
+                expiresAt: days ? new Date(Date.now() + days * 24 * 3600 * 1000).toISOString() : null,
+                createdAt: new Date().toISOString(),
+                lastUsed: null,
+                usageCount: 0
+            };
+            tokens.push(record);
+            await saveApiTokens(env, tokens);
+            return jsonResponse({ success: true, token, record: publicTokenRecord(record) });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+
+    if (request.method === 'DELETE') {
+        const id = new URL(request.url).searchParams.get('id');
+        const remaining = tokens.filter(t => t.id !== id);
+        if (remaining.length === tokens.length) return jsonResponse(apiError(request, 'token_not_found'), 404);
+        await saveApiTokens(env, remaining);
+        return jsonResponse({ success: true });
     }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
 }
 
 async function verifyAdmin(request, env) {
+    return verifyAccess(request, env, 'admin');
+}
+
+/**
+ * 校验请求是否具备指定权限：登录会话拥有全部权限，API Token 按 scopes 判断（admin 包含全部权限）
+ */
+async function verifyAccess(request, env, scope) {
     if (!env.ADMIN_PASSWORD) return true;
     try {
         const url = new URL(request.url);
         const authHeader = request.headers.get('Authorization');
         
-        // 检查 Session
-        const sessionId = url.searchParams.get('session') || (authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null);
-        if (sessionId && await env.IP_STORAGE.get(`session_${sessionId}`)) return true;
+        // 检查 Session Cookie，写操作还需携带与会话绑定的 CSRF Token。
+        // 所有会修改数据的接口都只接受 POST / PUT / DELETE，GET / HEAD 只用于读取，因此可以免去 CSRF 校验
+        const session = await getSession(request, env);
+        if (session) {
+            if (['GET', 'HEAD'].includes(request.method)) return true;
+            if (request.headers.get('X-CSRF-Token') === session.csrf) return true;
+        }
 
         // 检查 Token
-        const tokenConfig = await getTokenConfig(env);
-        if (tokenConfig) {
-            const requestToken = url.searchParams.get('token') || (authHeader?.startsWith('Token ') ? authHeader.slice(6) : null);
-            if (requestToken === tokenConfig.token) {
-                if (!tokenConfig.neverExpire && new Date(tokenConfig.expires) < new Date()) return false;
-                tokenConfig.lastUsed = new Date().toISOString();
-                await env.IP_STORAGE.put('token_config', JSON.stringify(tokenConfig));
-                return true;
-            }
-        }
-        return false;
+        const requestToken = url.searchParams.get('token') || (authHeader?.startsWith('Token ') ? authHeader.slice(6) : null);
+        if (!requestToken) return false;
+        const tokens = await getApiTokens(env);
+        const hash = await hashToken(requestToken);
+        const record = tokens.find(t => t.hash === hash);
+        if (!record) return false;
+        if (record.expiresAt && new Date(record.expiresAt) < new Date()) return false;
+        if (!record.scopes.includes('admin') && !record.scopes.includes(scope)) return false;
+        // 只更新这一条记录的使用统计，避免覆盖并发请求对 Token 列表的修改
+        const lastUsed = new Date().toISOString();
+        await getStorage(env).update('api_tokens', stored => stored?.map(t => t.id === record.id ? { ...t, lastUsed, usageCount: (t.usageCount || 0) + 1 } : t));
+        return true;
     } catch (e) { return false; }
 }
 
+async function createSession(env, request) {
+    const session = {
+        id: generateToken(),
+        ref: generateToken().slice(0, 8),
+        csrf: generateToken(),
+        ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+        userAgent: (request.headers.get('User-Agent') || '').slice(0, 200),
+        createdAt: new Date().toISOString()
+    };
+    const { id, csrf, ...metadata } = session;
+    await getStorage(env).put(`session_${id}`, session, { ttl: SESSION_TTL_SECONDS, metadata });
+    return session;
+}
+
+async function getSession(request, env) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${SESSION_COOKIE}=([0-9a-f]{32})`));
+    if (!match) return null;
+    return await getStorage(env).get(`session_${match[1]}`) ?? null;
+}
+
+function sessionCookie(value, maxAge) {
+    return `${SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
 // --- IP 处理逻辑 ---
 
-async function handleUpdate(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: '未授权' }, 401);
+async function handleUpdate(env, request, ctx) {
+    if (request.method !== 'POST') return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+    if (!await verifyAccess(request, env, 'update')) return jsonResponse(apiError(request, 'unauthorized'), 401);
     const startTime = Date.now();
-    const { uniqueIPs, results } = await updateAllIPs(env);
-    await env.IP_STORAGE.put('cloudflare_ips', JSON.stringify({
-        ips: uniqueIPs,
-        lastUpdated: new Date().toISOString(),
-        count: uniqueIPs.length,
-        sources: results
-    }));
-    await autoSpeedTestAndStore(env, uniqueIPs);
+    const collected = await runCollection(env, requestTrigger(request));
+    if (!collected) return jsonResponse(apiError(request, 'job_busy'), 409);
+    const { uniqueIPs, results, job } = collected;
+    // 测速在后台分段进行，进度通过 /speedtest-job 查询
+    ctx.waitUntil(runSpeedTestChunk(env, SPEEDTEST_WAITUNTIL_BUDGET_MS));
     return jsonResponse({
         success: true,
         totalIPs: uniqueIPs.length,
         duration: `${Date.now() - startTime}ms`,
         timestamp: new Date().toISOString(),
-        results
+        results: localizeSourceResults(resolveLocale(request), results),
+        job: summarizeJob(job)
     });
 }
 
+/**
+ * 在任务锁内采集全部数据源、保存结果并创建新的测速任务；锁被占用时返回 null
+ */
+async function runCollection(env, trigger) {
+    const lock = await acquireJobLock(env, `collect-${trigger}`, 120000);
+    if (!lock) return null;
+    const startedAt = new Date().toISOString();
+    try {
+        const { uniqueIPs, results, reporters, carriers } = await updateAllIPs(env);
+        const previous = await getStoredIPs(env);
+        await storeCollectedIPs(env, uniqueIPs, results, carriers);
+        await recordProvenance(env, reporters);
+        const stats = await updateSourceStats(env, results);
+        const job = await createSpeedTestJob(env, uniqueIPs, trigger, { startedAt, duration: Date.now() - new Date(startedAt).getTime(), results });
+        await notifyCollectionAlerts(env, results, stats, previous.count, uniqueIPs.length);
+        return { uniqueIPs, results, job };
+    } catch (error) {
+        // 采集阶段失败时没有测速任务，单独记一条失败的运行
+        await updateRun(env, generateToken().slice(0, 12), () => ({
+            ...createRunRecord(trigger, startedAt),
+            status: 'failed',
+            finishedAt: new Date().toISOString(),
+            phases: { collect: Date.now() - new Date(startedAt).getTime(), test: null, finish: null },
+            errors: [{ code: 'collect_failed', params: { detail: errorValue(error) } }]
+        }));
+        throw error;
+    } finally {
+        await releaseJobLock(env, lock);
+    }
+}
+
 async function updateAllIPs(env) {
-    const urls = [
-        'https://ip.164746.xyz', 'https://ip.haogege.xyz/', 'https://stock.hostmonit.com/CloudFlareYes',
-        'https://api.uouin.com/cloudflare.html', 'https://addressesapi.090227.xyz/CloudFlareYes',
-        'https://addressesapi.090227.xyz/ip.164746.xyz', 'https://www.wetest.vip/page/cloudflare/address_v4.html'
-    ];
+    const sources = await getSources(env);
+    const isCloudflareIP = createRangeMatcher(await getCloudflareRanges(env));
+    const lists = await getIPLists(env);
+    const isBlocked = createBlocklistMatcher(lists.blocked);
+    const stats = await getSourceStats(env);
     const uniqueIPs = new Set();
+    // 每个 IP 由哪些数据源提供；表格数据源额外记录线路、延迟与机房
+    const reporters = new Map();
+    const carriers = [];
+    const accept = (ip, id) => {
+        uniqueIPs.add(ip);
+        const ids = reporters.get(ip) || [];
+        if (!ids.includes(id)) reporters.set(ip, [...ids, id]);
+    };
     const results = [];
-    const ipPattern = /\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g;
 
-    for (const url of urls) {
+    for (const source of sources) {
+        if (!source.enabled) {
+            results.push({ id: source.id, name: source.name, status: 'disabled', count: 0 });
+            continue;
+        }
+        const skippedUntil = stats[source.id]?.skippedUntil;
+        if (source.autoSkip && skippedUntil && new Date(skippedUntil) > new Date()) {
+            results.push({ id: source.id, name: source.name, status: 'skipped', count: 0, skippedUntil });
+            continue;
+        }
+        const start = Date.now();
         try {
-            const res = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' }, signal: AbortSignal.timeout(8000) });
-            const text = await res.text();
-            const matches = text.match(ipPattern) || [];
-            matches.forEach(ip => { if (isValidIPv4(ip)) uniqueIPs.add(ip); });
-            results.push({ name: new URL(url).hostname, status: 'success', count: matches.length });
+            let candidates, domains;
+            if (source.parser.type === 'dns') {
+                // DNS 数据源逐个域名解析，解析结果按域名记录在采集结果中
+                domains = await resolveDnsSource(source);
+                if (!domains.some(d => d.status === 'success')) {
+                    results.push({ id: source.id, name: source.name, status: 'error', error: domains[0]?.error || { code: 'no_resolvable_domains' }, domains, duration: Date.now() - start });
+                    continue;
+                }
+                candidates = [...new Set(domains.flatMap(d => d.ips))];
+            } else {
+                const res = await fetch(source.url, { headers: { 'User-Agent': source.userAgent || DEFAULT_SOURCE_UA }, signal: AbortSignal.timeout(source.timeout || DEFAULT_SOURCE_TIMEOUT) });
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                candidates = await parseSourceBody(await res.text(), source.parser);
+            }
+            let valid = 0;
+            const rejected = { invalid: 0, bogon: 0, not_cloudflare: 0, blocked: 0 };
+            candidates.forEach(candidate => {
+                const { ip, reason } = classifyIP(typeof candidate === 'string' ? candidate : candidate.ip, isCloudflareIP, isBlocked);
+                if (reason) { rejected[reason]++; return; }
+                accept(ip, source.id);
+                valid++;
+                if (candidate.isp) carriers.push({ ip, isp: candidate.isp, latency: candidate.latency, colo: candidate.colo, source: source.id });
+            });
+            results.push({ id: source.id, name: source.name, status: 'success', count: candidates.length, valid, rejected, duration: Date.now() - start, ...(domains && { domains }) });
         } catch (e) {
-            results.push({ name: url, status: 'error', error: e.message });
+            results.push({ id: source.id, name: source.name, status: 'error', error: errorValue(e), duration: Date.now() - start });
         }
     }
-    const sorted = Array.from(uniqueIPs).sort((a, b) => a.split('.').map(Number).reduce((acc, oct, i) => acc + oct * Math.pow(256, 3-i), 0) - b.split('.').map(Number).reduce((acc, oct, i) => acc + oct * Math.pow(256, 3-i), 0));
-    return { uniqueIPs: sorted, results };
-}
 
-async function autoSpeedTestAndStore(env, ips) {
-    const toTest = ips.slice(0, AUTO_TEST_MAX_IPS);
-    const results = [];
-    for (let i = 0; i < toTest.length; i += 5) {
-        const batch = toTest.slice(i, i + 5).map(async ip => {
-            const start = Date.now();
-            try {
-                const res = await fetch('https://speed.cloudflare.com/__down?bytes=1000', { cf: { resolveOverride: ip }, signal: AbortSignal.timeout(3000) });
-                if (res.ok) return { ip, latency: Date.now() - start };
-            } catch {}
-            return null;
+    // 自定义与置顶列表并入采集结果，置顶 IP 也需要测速才能得到实测延迟
+    const manual = [...new Set([...lists.custom, ...lists.pinned])];
+    if (manual.length) {
+        const rejected = { invalid: 0, bogon: 0, not_cloudflare: 0, blocked: 0 };
+        let valid = 0;
+        manual.forEach(candidate => {
+            const { ip, reason } = classifyIP(candidate, isCloudflareIP, isBlocked);
+            if (reason) rejected[reason]++;
+            else { accept(ip, 'ip-lists'); valid++; }
         });
-        const finished = await Promise.all(batch);
-        results.push(...finished.filter(Boolean));
+        results.push({ id: 'ip-lists', name: '自定义 / 置顶列表', status: 'success', count: manual.length, valid, rejected, duration: 0 });
+    }
+
+    // 独有贡献：只有该数据源提供的 IP 数
+    for (const r of results) {
+        if (r.status === 'success') r.unique = [...reporters.values()].filter(ids => ids.length === 1 && ids[0] === r.id).length;
     }
-    const fastIPs = results.sort((a, b) => a.latency - b.latency).slice(0, FAST_IP_COUNT);
-    await env.IP_STORAGE.put('cloudflare_fast_ips', JSON.stringify({ fastIPs, lastTested: new Date().toISOString(), count: fastIPs.length }));
+    return { uniqueIPs: Array.from(uniqueIPs).sort(compareIPs), results, reporters, carriers: mergeCarrierRecords(carriers) };
 }
 
-// --- 接口输出逻辑 ---
+/**
+ * 按线路合并各数据源的记录：同一线路的同一 IP 取最低延迟并保留全部来源，按延迟升序排列
+ */
+function mergeCarrierRecords(records) {
+    const merged = Object.fromEntries(Object.keys(CARRIERS).map(isp => [isp, new Map()]));
+    for (const record of records) {
+        const existing = merged[record.isp].get(record.ip);
+        if (!existing) {
+            merged[record.isp].set(record.ip, { ip: record.ip, latency: record.latency ?? null, colo: record.colo || null, sources: [record.source] });
+            continue;
+        }
+        if (!existing.sources.includes(record.source)) existing.sources.push(record.source);
+        if (record.latency !== null && record.latency !== undefined && (existing.latency === null || record.latency < existing.latency)) {
+            existing.latency = record.latency;
+            existing.colo = record.colo || existing.colo;
+        }
+    }
+    return Object.fromEntries(Object.entries(merged).map(([isp, map]) => [isp, [...map.values()].sort((a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity))]));
+}
 
-async function handleGetIPs(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: 'Unauthorized' }, 401);
-    const data = await getStoredIPs(env);
-    return new Response(data.ips.join('\n'), { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+async function storeCollectedIPs(env, ips, results, carriers) {
+    await getStorage(env).put('cloudflare_ips', {
+        ips,
+        lastUpdated: new Date().toISOString(),
+        count: ips.length,
+        familyCounts: countFamilies(ips),
+        sources: results,
+        carriers
+    });
 }
 
-async function handleGetFastIPsText(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: 'Unauthorized' }, 401);
-    const data = await getStoredSpeedIPs(env);
-    return new Response(data.fastIPs.map(i => `${i.ip}#${i.latency}ms`).join('\n'), { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+function countFamilies(ips) {
+    return { v4: ips.filter(ip => ipFamily(ip) === 'v4').length, v6: ips.filter(ip => ipFamily(ip) === 'v6').length };
 }
 
-async function handleGetFastIPs(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: 'Unauthorized' }, 401);
-    return jsonResponse(await getStoredSpeedIPs(env));
+// --- 测速任务 ---
+
+async function handleSpeedTestJob(request, env, ctx) {
+    if (!await verifyAccess(request, env, 'update')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    let job = await getSpeedTestJob(env);
+
+    if (request.method === 'GET') {
+        // 轮询时顺带推进任务：没有其他调用持有锁时，在后台继续测下一段
+        if (job?.status === 'running') ctx.waitUntil(runSpeedTestChunk(env, SPEEDTEST_WAITUNTIL_BUDGET_MS));
+        return jsonResponse({ job: summarizeJob(job) });
+    }
+    if (request.method !== 'POST') return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+
+    const { action } = await request.json().catch(() => ({}));
+    if (action === 'start') {
+        if (job?.status === 'running') return jsonResponse({ ...apiError(request, 'speedtest_running'), job: summarizeJob(job) }, 409);
+        const { ips } = await getStoredIPs(env);
+        if (ips.length === 0) return jsonResponse(apiError(request, 'no_ips'), 400);
+        job = await createSpeedTestJob(env, ips, requestTrigger(request));
+        ctx.waitUntil(runSpeedTestChunk(env, SPEEDTEST_WAITUNTIL_BUDGET_MS));
+        return jsonResponse({ success: true, job: summarizeJob(job) });
+    }
+    if (action === 'cancel') {
+        if (job?.status !== 'running') return jsonResponse(apiError(request, 'no_running_job'), 400);
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        await saveSpeedTestJob(env, job);
+        await updateRun(env, job.id, run => run && { ...run, status: 'cancelled', finishedAt: job.finishedAt });
+        return jsonResponse({ success: true, job: summarizeJob(job) });
+    }
+    return jsonResponse(apiError(request, 'invalid_job_action'), 400);
 }
 
-async function handleRawIPs(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: 'Unauthorized' }, 401);
-    return jsonResponse(await getStoredIPs(env));
+/**
+ * 创建测速任务并在运行日志中新增一条记录；collection 为本次采集的开始时间、耗时与各数据源结果，重新测速时为空
+ */
+async function createSpeedTestJob(env, ips, trigger, collection = null) {
+    const now = new Date().toISOString();
+    // 测速配置在创建任务时固定，保证分段执行的整个任务口径一致
+    const profile = await getRunProfile(env);
+    const job = { id: generateToken().slice(0, 12), status: 'running', trigger, profile, queue: ips, cursor: 0, results: [], createdAt: now, updatedAt: now, finishedAt: null };
+    await saveSpeedTestJob(env, job);
+    await updateRun(env, job.id, () => ({
+        ...createRunRecord(trigger, collection?.startedAt || now),
+        phases: { collect: collection ? collection.duration : null, test: 0, finish: null },
+        sources: collection ? collection.results.map(summarizeRunSource) : null,
+        collected: ips.length,
+        errors: ips.length ? [] : [{ code: 'no_ips_collected' }]
+    }));
+    return job;
 }
 
-async function handleSpeedTest(request, env) {
-    const ip = new URL(request.url).searchParams.get('ip');
-    if (!ip) return jsonResponse({ error: 'IP required' }, 400);
-    const start = Date.now();
+/**
+ * 在时间预算内继续测速任务，每批结束后检查是否超时；
+ * 队列测完时把结果合并写入 cloudflare_fast_ips。拿不到锁时返回 null
+ */
+async function runSpeedTestChunk(env, budgetMs) {
+    const lock = await acquireJobLock(env, 'speedtest', budgetMs);
+    if (!lock) return null;
     try {
-        await fetch('https://speed.cloudflare.com/__down?bytes=1000', { cf: { resolveOverride: ip }, signal: AbortSignal.timeout(3000) });
-        return jsonResponse({ success: true, latency: Date.now() - start });
-    } catch (e) { return jsonResponse({ success: false, error: e.message }); }
+        const job = await getSpeedTestJob(env);
+        if (job?.status !== 'running') return summarizeJob(job);
+
+        // 预留单个 IP 全部端口的最长测速耗时作为余量，保证最后一批也能在预算内结束；
+        // 余量超过预算时截止时间已过，每轮仍至少测一批，避免任务只能等下一次定时任务推进
+        const profile = { host: DEFAULT_SETTINGS.speedTestHost, sampleBytes: DEFAULT_SETTINGS.speedTestSampleBytes, ...DEFAULT_TEST_PROFILE, ...job.profile };
+        const deadline = Date.now() + budgetMs - maxMeasureTime(profile) * profile.ports.length;
+        const settings = await getSettings(env);
+        const maxIPs = maxIPsPerInvocation(profile, settings.autoTestMaxIPs);
+        const chunkStart = Date.now();
+        let tested = 0;
+        while (job.cursor < job.queue.length && tested < maxIPs && (tested === 0 || Date.now() < deadline)) {
+            const batch = job.queue.slice(job.cursor, job.cursor + Math.min(settings.speedTestBatchSize, maxIPs - tested));
+            const finished = await Promise.all(batch.map(ip => measureIPPorts(ip, profile)));
+            job.results.push(...finished.flat());
+            job.cursor += batch.length;
+            tested += batch.length;
+        }
+
+        // 测速期间任务可能已被取消或被新任务替换，此时丢弃本轮结果
+        const latest = await getSpeedTestJob(env);
+        if (latest?.id !== job.id || latest.status !== 'running') return summarizeJob(latest);
+
+        job.updatedAt = new Date().toISOString();
+        const testDuration = Date.now() - chunkStart;
+        if (job.cursor >= job.queue.length) {
+            const finishStart = Date.now();
+            try {
+                const outcome = await finishSpeedTestJob(env, job);
+                await recordRunChunk(env, job, testDuration, { finish: Date.now() - finishStart, ...outcome });
+            } catch (error) {
+                await recordRunChunk(env, job, testDuration, { error: { code: 'finish_failed', params: { detail: errorValue(error) } } });
+                throw error;
+            }
+        } else {
+            await saveSpeedTestJob(env, job);
+            await recordRunChunk(env, job, testDuration);
+        }
+        return summarizeJob(job);
+    } finally {
+        await releaseJobLock(env, lock);
+    }
 }
 
-async function handleAdminStatus(env) {
-    const tokenConfig = await getTokenConfig(env);
-    return jsonResponse({ hasAdminPassword: !!env.ADMIN_PASSWORD, hasToken: !!tokenConfig, tokenConfig });
+/**
+ * 一次调用内最多测速的 IP 数：不超过 limit，且全部 IP 的请求数不超过 SPEEDTEST_MAX_SUBREQUESTS。
+ * 每个 IP 每个端口发出 samples 次采样和一次吞吐下载，另外最多一次 /cdn-cgi/trace 获取机房
+ */
+function maxIPsPerInvocation(profile, limit) {
+    const fetchesPerIP = profile.ports.length * (profile.samples + (profile.downloadBytes > 0 ? 1 : 0)) + 1;
+    return Math.max(1, Math.min(limit, Math.floor(SPEEDTEST_MAX_SUBREQUESTS / fetchesPerIP)));
 }
 
-async function handleAdminLogout() { return jsonResponse({ success: true }); }
+/**
+ * 依次测试单个 IP 的每个端口，返回各端口的测速结果（失败的端口不计入）。
+ * 端口之间串行执行，避免同时打开的连接数超过 Workers 的限制
+ */
+async function measureIPPorts(ip, profile) {
+    const results = [];
+    let colo = null;
+    for (const port of profile.ports) {
+        const metrics = await measureIP(ip, profile, port, colo);
+        if (!metrics) continue;
+        colo = colo || metrics.colo;
+        results.push(metrics);
+    }
+    return results;
+}
 
-async function handleItdogData(env, request) {
-    if (!await verifyAdmin(request, env)) return jsonResponse({ error: 'Unauthorized' }, 401);
-    // ITDog 需要的是全量 IP，不仅仅是测速后的优选 IP
-    const data = await getStoredIPs(env);
-    return jsonResponse({ ips: data.ips });
+function speedTestUrl(host, port, path) {
+    const scheme = CF_HTTP_PORTS.includes(port) ? 'http' : 'https';
+    const defaultPort = scheme === 'http' ? 80 : 443;
+    return `${scheme}://${host}${port === defaultPort ? '' : `:${port}`}${path}`;
 }
 
-// --- 基础工具 ---
+/**
+ * 按测速配置对单个 IP 的指定端口多次采样，返回延迟、抖动、丢包、吞吐与综合评分；全部采样失败时返回 null。
+ * knownColo 为同一 IP 其他端口已测得的机房，可省去 trace 请求
+ */
+async function measureIP(ip, profile, port = 443, knownColo = null) {
+    const latencies = [];
+    let colo = knownColo;
+    for (let i = 0; i < profile.samples; i++) {
+        const start = Date.now();
+        try {
+            const res = await fetch(speedTestUrl(profile.host, port, `/__down?bytes=${profile.sampleBytes}`), { cf: { resolveOverride: ip }, signal: AbortSignal.timeout(profile.timeout) });
+            const latency = Date.now() - start;
+            await res.arrayBuffer();
+            if (res.ok) latencies.push(latency);
+            colo = colo || parseColoFromRay(res.headers.get('cf-ray'));
+        } catch {}
+    }
+    if (latencies.length === 0) return null;
+    // 响应头里没有 cf-ray 时，再请求一次 /cdn-cgi/trace 获取机房
+    if (!colo) colo = await fetchTraceColo(ip, port, profile);
 
-function isValidIPv4(ip) {
-    const parts = ip.split('.');
-    if (parts.length !== 4) return false;
-    if (ip.startsWith('10.') || ip.startsWith('192.168.') || ip.startsWith('127.')) return false;
-    return parts.every(p => { const n = parseInt(p); return n >= 0 && n <= 255; });
+    let throughput = null;
+    if (profile.downloadBytes > 0) {
+        const start = Date.now();
+        try {
+            const res = await fetch(speedTestUrl(profile.host, port, `/__down?bytes=${profile.downloadBytes}`), { cf: { resolveOverride: ip }, signal: AbortSignal.timeout(profile.downloadTimeout) });
+            const bytes = (await res.arrayBuffer()).byteLength;
+            if (res.ok) throughput = Math.round(bytes * 8 / Math.max(Date.now() - start, 1) / 10) / 100;
+        } catch {}
+        if (throughput === null) throughput = 0;
+    }
+
+    const sorted = [...latencies].sort((a, b) => a - b);
+    // 抖动取相邻两次采样差值的平均值
+    const jitter = latencies.length > 1 ? Math.round(latencies.slice(1).reduce((sum, v, i) => sum + Math.abs(v - latencies[i]), 0) / (latencies.length - 1)) : 0;
+    const metrics = {
+        ip,
+        port,
+        family: ipFamily(ip),
+        colo,
+        latency: sorted[Math.floor((sorted.length - 1) / 2)],
+        minLatency: sorted[0],
+        jitter,
+        loss: Math.round((1 - latencies.length / profile.samples) * 100) / 100,
+        samples: profile.samples,
+        throughput
+    };
+    metrics.score = computeScore(metrics, profile.weights);
+    return metrics;
 }
 
-function generateToken() {
-    return Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+/**
+ * 综合评分（0~100，越高越好）：各项指标归一化后按权重加权平均，未测吞吐时不计该项
+ */
+function computeScore(metrics, weights) {
+    const clamp = v => Math.min(Math.max(v, 0), 1);
+    const parts = [
+        [weights.latency, 1 - clamp(metrics.latency / SCORE_LATENCY_CAP_MS)],
+        [weights.jitter, 1 - clamp(metrics.jitter / SCORE_JITTER_CAP_MS)],
+        [weights.loss, 1 - metrics.loss]
+    ];
+    if (metrics.throughput !== null) parts.push([weights.throughput, clamp(metrics.throughput / SCORE_THROUGHPUT_CAP_MBPS)]);
+    const totalWeight = parts.reduce((sum, [w]) => sum + w, 0);
+    if (totalWeight === 0) return 0;
+    return Math.round(parts.reduce((sum, [w, v]) => sum + w * v, 0) / totalWeight * 1000) / 10;
 }
 
-async function getTokenConfig(env) {
-    const config = await env.IP_STORAGE.get('token_config');
-    return config ? JSON.parse(config) : null;
+/**
+ * 评分高者在前，同分按延迟升序；兼容只有 latency 的旧数据
+ */
+function compareResults(a, b) {
+    return (b.score ?? 0) - (a.score ?? 0) || a.latency - b.latency;
 }
 
-async function getStoredIPs(env) {
-    const data = await env.IP_STORAGE.get('cloudflare_ips');
-    return data ? JSON.parse(data) : { ips: [], sources: [], count: 0 };
+function maxMeasureTime(profile) {
+    // 最坏情况下还需要一次 trace 请求获取机房
+    return (profile.samples + 1) * profile.timeout + (profile.downloadBytes > 0 ? profile.downloadTimeout : 0);
 }
 
-async function getStoredSpeedIPs(env) {
-    const data = await env.IP_STORAGE.get('cloudflare_fast_ips');
-    return data ? JSON.parse(data) : { fastIPs: [], count: 0 };
+/**
+ * 从 cf-ray 响应头（形如 8a1b2c3d4e5f6789-HKG）中取出机房代码
+ */
+function parseColoFromRay(ray) {
+    const match = /-([A-Z]{3})$/.exec(ray || '');
+    return match ? match[1] : null;
 }
 
-function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' } });
+async function fetchTraceColo(ip, port, profile) {
+    try {
+        const res = await fetch(speedTestUrl(profile.host, port, '/cdn-cgi/trace'), { cf: { resolveOverride: ip }, signal: AbortSignal.timeout(profile.timeout) });
+        const match = /^colo=([A-Z]{3})$/m.exec(await res.text());
+        return match ? match[1] : null;
+    } catch { return null; }
 }
 
-function handleCORS() {
-    return new Response(null, { headers: { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type, Authorization' } });
+async function finishSpeedTestJob(env, job) {
+    const locations = await getColoLocations(env);
+    const settings = await getSettings(env);
+    // 测速期间新加入黑名单的 IP 同样排除；置顶 IP 无论排名都放在优选结果最前面
+    const lists = await getIPLists(env);
+    const isBlocked = createBlocklistMatcher(lists.blocked);
+    const pinned = new Set(lists.pinned);
+    const provenance = await getProvenance(env);
+    const results = job.results.filter(r => !isBlocked(r.ip))
+        .map(r => ({ ...r, ...(locations[r.colo] || {}), sources: provenance[r.ip]?.sources || [], ...(pinned.has(r.ip) ? { pinned: true } : {}) }))
+        .sort(compareResults);
+    // 每个置顶 IP 只保留排名最前的端口；本次没有可用结果的置顶 IP 不带延迟、标记 failed 排在其后。
+    // 置顶部分同样受 fastIPCount 限制
+    const pinnedResults = results.filter((r, i) => r.pinned && results.findIndex(o => o.ip === r.ip) === i);
+    const passedPinned = new Set(pinnedResults.map(r => r.ip));
+    const failedPinned = lists.pinned.filter(ip => !passedPinned.has(ip) && !isBlocked(ip))
+        .map(ip => ({ ip, latency: null, pinned: true, failed: true, sources: provenance[ip]?.sources || [] }));
+    const pinnedEntries = [...pinnedResults, ...failedPinned].slice(0, settings.fastIPCount);
+    const fastIPs = [...pinnedEntries, ...results.filter(r => !r.pinned).slice(0, Math.max(settings.fastIPCount - pinnedEntries.length, 0))];
+    const coloRankings = {};
+    for (const r of results) {
+        if (!r.colo) continue;
+        const list = coloRankings[r.colo] || (coloRankings[r.colo] = []);
+        if (list.length < settings.coloTopN) list.push(r);
+    }
+    const carrierRankings = rankByCarrier((await getStoredIPs(env)).carriers, results, locations, settings.fastIPCount);
+    job.status = 'completed';
+    job.finishedAt = job.updatedAt;
+    const history = await recordHistory(env, job);
+    const stableIPs = rankByStability(results, history, settings.fastIPCount);
+    await getStorage(env).put('cloudflare_fast_ips', { fastIPs, coloRankings, carrierRankings, stableIPs, lastTested: job.finishedAt, count: fastIPs.length, tested: job.queue.length, passed: job.results.length });
+    await saveSpeedTestJob(env, job);
+    await updateSourceQuality(env, job, fastIPs, provenance);
+    await saveSnapshot(env, job);
+    const dns = await syncDnsRecords(env, fastIPs, job.trigger);
+    await notifyRunSummary(env, job, fastIPs);
+    return { fastIPs: fastIPs.length, dnsError: dns?.status === 'error' ? dns.error : null };
 }
 
-/** --- 前端页面 --- **/
-async function serveHTML(env, request) {
-    const data = await getStoredIPs(env);
-    const speedData = await getStoredSpeedIPs(env);
-    const isLoggedIn = await verifyAdmin(request, env);
-    const hasAdminPassword = !!env.ADMIN_PASSWORD;
-    const tokenConfig = await getTokenConfig(env);
-    
-    // 获取当前 Session ID (从 URL 参数中获取以便前端脚本同步)
-    const urlParams = new URL(request.url).searchParams;
-    const sessionId = urlParams.get('session') || "";
-
-    const html = `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Cloudflare IP 收集器</title>
-    <script src="https://cdn.tailwindcss.com"></script>
-    <style>
-        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
-        body { font-family: 'Inter', sans-serif; }
-        .ip-card:hover { transform: translateY(-2px); transition: all 0.3s ease; }
-        ::-webkit-scrollbar { width: 6px; }
-        ::-webkit-scrollbar-thumb { background: #cbd5e1; border-radius: 10px; }
-    </style>
-</head>
-<body class="bg-slate-50 text-slate-900 min-h-screen">
-    <!-- 管理员标识 -->
-    <div class="fixed top-4 right-4 z-50">
-        <button id="admin-badge" class="px-4 py-2 rounded-full font-bold shadow-lg flex items-center gap-2 transition-all ${isLoggedIn ? 'bg-emerald-500 text-white' : 'bg-rose-500 text-white'}">
-            ${isLoggedIn ? '🔐 管理员' : '🔓 点击登录'}
-        </button>
-        ${isLoggedIn ? `
-        <div id="admin-dropdown" class="hidden absolute right-0 mt-2 w-48 bg-white border border-slate-200 rounded-xl shadow-xl overflow-hidden">
-            <button onclick="logout()" class="w-full text-left px-4 py-3 text-sm text-slate-700 hover:bg-slate-50 transition-colors">🚪 退出登录</button>
-        </div>` : ''}
-    </div>
+/**
+ * 线路排行：取数据源按线路给出的 IP，只保留本次测速可用的结果，延迟使用数据源在该线路实测的值
+ * （本地测得的延迟保留在 testedLatency）。机房与位置只取数据源标注的值，未标注时为 null
+ */
+function rankByCarrier(carriers = {}, results, locations, limit) {
+    const byIP = new Map();
+    for (const r of results) byIP.set(r.ip, [...(byIP.get(r.ip) || []), r]);
+    return Object.fromEntries(Object.keys(CARRIERS).map(isp => [isp, (carriers[isp] || []).flatMap(record => (byIP.get(record.ip) || []).map(r => {
+        // 测速机房是 Worker 所在地到该 IP 的入口，与数据源线路的入口无关，不能拿来补位
+        const colo = record.colo || null;
+        const location = (colo && locations[colo]) || { country: null, region: null, city: null };
+        return { ...r, ...location, isp, colo, latency: record.latency ?? r.latency, testedLatency: r.latency, carrierSources: record.sources };
+    })).slice(0, limit)]));
+}
 
-    <div class="max-w-6xl mx-auto px-4 py-12">
-        <div class="mb-12 text-center">
-            <h1 class="text-4xl font-extrabold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-indigo-600 mb-4">Cloudflare 优选 IP 收集器</h1>
-            <p class="text-slate-500">自动多源采集，智能后台测速，一键导出配置</p>
-        </div>
+// --- 运行日志 ---
 
-        <!-- 统计面板 -->
-        <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
-            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
-                <p class="text-sm font-semibold text-slate-400 mb-1">采集总量</p>
-                <p class="text-3xl font-bold text-blue-600" id="ip-count">${data.count || 0}</p>
-            </div>
-            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
-                <p class="text-sm font-semibold text-slate-400 mb-1">优质数量</p>
-                <p class="text-3xl font-bold text-emerald-600" id="fast-ip-count">${speedData.count || 0}</p>
-            </div>
-            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
-                <p class="text-sm font-semibold text-slate-400 mb-1">采集状态</p>
-                <p class="text-3xl font-bold text-indigo-600" id="last-updated">${data.lastUpdated ? '已同步' : '未同步'}</p>
-            </div>
-            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
-                <p class="text-sm font-semibold text-slate-400 mb-1">更新时间</p>
-                <p class="text-lg font-bold text-slate-700 mt-2" id="last-time">${data.lastUpdated ? new Date(data.lastUpdated).toLocaleTimeString() : '从未'}</p>
-            </div>
-        </div>
+async function handleRuns(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const id = new URL(request.url).searchParams.get('id');
+    const locale = resolveLocale(request);
+    const runs = (await getRunLog(env)).map(run => ({
+        ...run,
+        sources: run.sources && localizeSourceResults(locale, run.sources),
+        errors: run.errors.map(error => localizeError(locale, error))
+    }));
+    if (!id) return jsonResponse({ runs });
+    const run = runs.find(r => r.id === id);
+    return run ? jsonResponse(run) : jsonResponse(apiError(request, 'run_not_found', { id }), 404);
+}
 
-        <!-- 操作区 -->
-        <div class="bg-white rounded-3xl border border-slate-200 p-8 shadow-sm mb-8">
-            <h2 class="text-xl font-bold mb-6 flex items-center gap-2">🛠️ 控制面板</h2>
-            <div class="flex flex-wrap gap-4">
-                <button onclick="updateIPs()" id="update-btn" class="px-6 py-3 bg-blue-600 text-white rounded-xl font-bold hover:bg-blue-700 shadow-lg shadow-blue-100 transition-all flex items-center gap-2">🔄 立即采集</button>
-                <button onclick="startSpeedTest()" id="speedtest-btn" class="px-6 py-3 bg-amber-500 text-white rounded-xl font-bold hover:bg-amber-600 shadow-lg shadow-amber-100 transition-all flex items-center gap-2">⚡ 手动测速</button>
-                <div class="h-10 w-px bg-slate-200 mx-2 hidden md:block"></div>
-                <button onclick="downloadFast()" class="px-6 py-3 bg-emerald-600 text-white rounded-xl font-bold hover:bg-emerald-700 transition-all">📥 下载 IP 文件</button>
-                <button onclick="openItdog()" class="px-6 py-3 bg-slate-800 text-white rounded-xl font-bold hover:bg-slate-900 transition-all">🌐 ITDog 联测</button>
-                <button onclick="refreshData()" class="px-6 py-3 border border-slate-200 text-slate-600 rounded-xl font-bold hover:bg-slate-50 transition-all">🔄 刷新数据</button>
-            </div>
+/**
+ * /update 与 /speedtest-job 的触发来源：携带 Token 的调用记为 api，其余（登录后的管理面板）记为 manual
+ */
+function requestTrigger(request) {
+    const hasToken = new URL(request.url).searchParams.has('token') || request.headers.get('Authorization')?.startsWith('Token ');
+    return hasToken ? 'api' : 'manual';
+}
 
-            <div id="loading" class="hidden mt-8 text-center animate-pulse">
-                <div class="inline-block w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mb-4"></div>
-                <p class="text-slate-500">正在处理任务，请稍后...</p>
-            </div>
+function createRunRecord(trigger, startedAt) {
+    return {
+        trigger,
+        status: 'testing',
+        startedAt,
+        finishedAt: null,
+        phases: { collect: null, test: null, finish: null },
+        chunks: 0,
+        sources: null,
+        collected: 0,
+        tested: 0,
+        passed: 0,
+        fastIPs: null,
+        errors: []
+    };
+}
 
-            <!-- Token 管理区域 -->
-            ${isLoggedIn ? `
-            <div class="mt-8 pt-8 border-t border-slate-100">
-                <h3 class="font-bold text-slate-800 mb-4">🔑 API Token 管理</h3>
-                <div class="bg-slate-50 rounded-2xl p-6 border border-slate-100">
-                    ${tokenConfig ? `
-                    <div class="flex flex-wrap items-center justify-between gap-4">
-                        <div>
-                            <p class="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">当前有效 Token</p>
-                            <code class="text-sm font-mono bg-white px-3 py-1.5 rounded-lg border border-slate-200 text-indigo-600">${tokenConfig.token}</code>
-                        </div>
-                        <div class="flex gap-2">
-                            <button onclick="copyToken()" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">📋 复制</button>
-                            <button onclick="openTokenModal()" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">⚙️ 修改</button>
-                        </div>
-                    </div>` : `
-                    <button onclick="openTokenModal()" class="px-6 py-3 bg-indigo-600 text-white rounded-xl font-bold">➕ 生成第一个 Token</button>
-                    `}
-                </div>
-            </div>` : ''}
-        </div>
+function summarizeRunSource(r) {
+    return { id: r.id, name: r.name, status: r.status, count: r.count ?? 0, valid: r.valid ?? 0, duration: r.duration ?? null, ...(r.error && { error: r.error }) };
+}
 
-        <!-- IP 列表 -->
-        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
-            <div class="px-8 py-6 border-b border-slate-100 flex justify-between items-center">
-                <h2 class="text-xl font-bold">⚡ 优选地址 (Top 25)</h2>
-                <button onclick="copyFastIPs()" class="text-blue-600 font-bold hover:underline px-4 py-2 hover:bg-blue-50 rounded-lg transition-colors">📋 复制全部优选</button>
-            </div>
-            <div id="ip-list" class="divide-y divide-slate-100 max-h-[600px] overflow-y-auto">
-                ${speedData.fastIPs?.length > 0 ? speedData.fastIPs.map(item => `
-                <div class="px-8 py-4 flex items-center justify-between hover:bg-slate-50/50 group">
-                    <div class="flex items-center gap-4">
-                        <span class="font-mono text-slate-700 font-bold ip-text">${item.ip}</span>
-                    </div>
-                    <div class="flex items-center gap-6">
-                        <span class="px-3 py-1 rounded-lg text-sm font-bold ${item.latency < 200 ? 'bg-emerald-100 text-emerald-700' : 'bg-amber-100 text-amber-700'}">
-                            ${item.latency}ms
-                        </span>
-                        <button onclick="copyIP('${item.ip}')" class="opacity-0 group-hover:opacity-100 transition-opacity px-3 py-1.5 hover:bg-white bg-slate-50 rounded-lg border border-slate-200 text-xs font-bold text-slate-600">复制</button>
-                    </div>
-                </div>`).join('') : '<div class="py-20 text-center text-slate-400">暂无测速数据，点击采集或测速</div>'}
-            </div>
-        </div>
-    </div>
+/**
+ * 每段测速结束后更新运行记录的测速耗时与进度；finished 带有收尾耗时与结果时标记为完成，
+ * 并在没有可用结果或 DNS 同步失败时写明原因
+ */
+async function recordRunChunk(env, job, duration, finished = null) {
+    await updateRun(env, job.id, run => {
+        if (!run) return null;
+        const passed = new Set(job.results.map(r => r.ip)).size;
+        const next = { ...run, chunks: run.chunks + 1, phases: { ...run.phases, test: (run.phases.test || 0) + duration }, tested: job.cursor, passed };
+        if (!finished) return next;
+        const errors = [...run.errors];
+        if (finished.error) errors.push(finished.error);
+        if (job.queue.length && passed === 0) errors.push({ code: 'all_tests_failed', params: { count: job.queue.length } });
+        if (finished.dnsError) errors.push({ code: 'dns_sync_failed', params: { detail: finished.dnsError } });
+        return {
+            ...next,
+            status: finished.error ? 'failed' : 'completed',
+            finishedAt: new Date().toISOString(),
+            phases: { ...next.phases, finish: finished.finish ?? null },
+            fastIPs: finished.fastIPs ?? null,
+            errors
+        };
+    });
+}
 
-    <!-- 登录弹窗 -->
-    <div id="login-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
-        <div class="bg-white w-full max-w-sm rounded-3xl shadow-2xl p-8">
-            <h3 class="text-2xl font-bold mb-6 text-center">管理员验证</h3>
-            <input type="password" id="admin-password" placeholder="输入访问密码" class="w-full px-5 py-4 bg-slate-50 border border-slate-200 rounded-2xl mb-6 focus:ring-2 focus:ring-blue-500 outline-none">
-            <div class="flex gap-3">
-                <button onclick="closeModal('login-modal')" class="flex-1 py-4 text-slate-500 font-bold">取消</button>
-                <button onclick="login()" class="flex-1 py-4 bg-blue-600 text-white rounded-2xl font-bold hover:bg-blue-700 transition-all">登录</button>
-            </div>
+/**
+ * 读取并更新一条运行记录：update 收到当前记录（不存在时为 null），返回 null 表示不写入。
+ * 新记录插在最前面，超出 RUN_LOG_LIMIT 的旧记录被丢弃。写入冲突时 update 会被重新调用，不能有副作用
+ */
+async function updateRun(env, id, update) {
+    await getStorage(env).update('run_log', stored => {
+        const log = stored ?? [];
+        const index = log.findIndex(r => r.id === id);
+        const run = update(index === -1 ? null : log[index]);
+        if (!run) return undefined;
+        if (index === -1) log.unshift({ id, ...run });
+        else log[index] = run;
+        return log.slice(0, RUN_LOG_LIMIT);
+    });
+}
+
+async function getRunLog(env) {
+    return await getStorage(env).get('run_log') ?? [];
+}
+
+/**
+ * Prometheus 文本格式的指标：IP 数、优选延迟分位数、各数据源状态与最近一次运行
+ */
+async function handleMetrics(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const data = await getStoredIPs(env);
+    const { fastIPs = [] } = await getStoredSpeedIPs(env);
+    const stats = await getSourceStats(env);
+    const lastRun = (await getRunLog(env)).find(r => r.finishedAt);
+    const job = await getSpeedTestJob(env);
+    const seconds = time => time ? Math.floor(new Date(time).getTime() / 1000) : null;
+
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            if (value !== null && value !== undefined) lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+        }
+    };
+    const families = countFamilies(data.ips);
+    metric('cfip_ips', 'gauge', '当前采集到的 IP 数', [[{ family: 'v4' }, families.v4], [{ family: 'v6' }, families.v6]]);
+    metric('cfip_fast_ips', 'gauge', '当前优选 IP 数', [[{}, fastIPs.length]]);
+
+    const latencies = fastIPs.filter(r => !r.failed).map(r => r.latency).sort((a, b) => a - b);
+    const quantile = q => latencies.length ? latencies[Math.min(latencies.length - 1, Math.ceil(q * latencies.length) - 1)] : null;
+    metric('cfip_fast_ip_latency_ms', 'summary', '优选 IP 延迟分位数（毫秒）', [0.5, 0.9, 0.99].map(q => [{ quantile: String(q) }, quantile(q)]));
+    lines.push(`cfip_fast_ip_latency_ms_sum ${latencies.reduce((sum, v) => sum + v, 0)}`, `cfip_fast_ip_latency_ms_count ${latencies.length}`);
+
+    const sources = (data.sources || []).filter(s => s.id && ['success', 'error'].includes(s.status));
+    const label = s => ({ source: s.id, name: s.name });
+    metric('cfip_source_up', 'gauge', '数据源最近一次采集是否成功', sources.map(s => [label(s), s.status === 'success' ? 1 : 0]));
+    metric('cfip_source_valid_ips', 'gauge', '数据源最近一次采集的有效 IP 数', sources.map(s => [label(s), s.valid ?? 0]));
+    metric('cfip_source_duration_ms', 'gauge', '数据源最近一次采集耗时（毫秒）', sources.map(s => [label(s), s.duration]));
+    metric('cfip_source_fail_streak', 'gauge', '数据源连续失败次数', sources.map(s => [label(s), stats[s.id]?.failStreak ?? 0]));
+
+    metric('cfip_last_collect_timestamp_seconds', 'gauge', '最近一次采集完成时间', [[{}, seconds(data.lastUpdated)]]);
+    if (lastRun) {
+        metric('cfip_last_run_timestamp_seconds', 'gauge', '最近一次运行结束时间', [[{}, seconds(lastRun.finishedAt)]]);
+        metric('cfip_last_run_duration_seconds', 'gauge', '最近一次运行总耗时（秒）', [[{}, (new Date(lastRun.finishedAt) - new Date(lastRun.startedAt)) / 1000]]);
+        metric('cfip_last_run_tested_ips', 'gauge', '最近一次运行测速的 IP 数', [[{}, lastRun.tested]]);
+        metric('cfip_last_run_passed_ips', 'gauge', '最近一次运行测速可用的 IP 数', [[{}, lastRun.passed]]);
+        metric('cfip_last_run_success', 'gauge', '最近一次运行是否完成且有可用 IP', [[{}, lastRun.status === 'completed' && lastRun.passed > 0 ? 1 : 0]]);
+    }
+    const running = job?.status === 'running';
+    metric('cfip_speedtest_job_running', 'gauge', '是否有正在进行的测速任务', [[{}, running ? 1 : 0]]);
+    if (running) metric('cfip_speedtest_job_progress_ratio', 'gauge', '当前测速任务进度', [[{}, job.queue.length ? Math.round(job.cursor / job.queue.length * 1000) / 1000 : 1]]);
+
+    return new Response(lines.join('\n') + '\n', { headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' } });
+}
+
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+// --- 运行快照 ---
+
+async function handleSnapshots(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const id = new URL(request.url).searchParams.get('id');
+    const index = await getSnapshotIndex(env);
+    if (!id) return jsonResponse({ current: index.current, snapshots: index.snapshots });
+    const snapshot = await getSnapshot(env, id);
+    if (!snapshot) return jsonResponse(apiError(request, 'snapshot_not_found', { id }), 404);
+    const ips = { ...snapshot.ips, sources: localizeSourceResults(resolveLocale(request), snapshot.ips.sources) };
+    return jsonResponse({ ...snapshot, ips, current: snapshot.id === index.current });
+}
+
+async function handleSnapshotDiff(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const params = new URL(request.url).searchParams;
+    const index = await getSnapshotIndex(env);
+    // 省略 to 时对比当前快照，省略 from 时取 to 的上一份
+    const to = params.get('to') || index.current;
+    const from = params.get('from') || previousSnapshotId(index, to);
+    if (!to || !from) return jsonResponse(apiError(request, 'not_enough_snapshots'), 400);
+    const [fromSnapshot, toSnapshot] = await Promise.all([getSnapshot(env, from), getSnapshot(env, to)]);
+    if (!fromSnapshot || !toSnapshot) return jsonResponse(apiError(request, 'snapshot_not_found', { id: fromSnapshot ? to : from }), 404);
+    return jsonResponse(diffSnapshots(fromSnapshot, toSnapshot));
+}
+
+async function handleAdminSnapshots(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    if (request.method === 'GET') {
+        const index = await getSnapshotIndex(env);
+        return jsonResponse({ config: await getSnapshotConfig(env), current: index.current, snapshots: index.snapshots });
+    }
+    if (request.method !== 'POST') return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+    try {
+        const body = await request.json().catch(() => ({}));
+        if (new URL(request.url).searchParams.get('action') === 'rollback') {
+            const job = await getSpeedTestJob(env);
+            if (job?.status === 'running') return jsonResponse(apiError(request, 'rollback_while_running'), 409);
+            const snapshot = await getSnapshot(env, body.id);
+            if (!snapshot) return jsonResponse(apiError(request, 'snapshot_not_found', { id: body.id }), 404);
+            await rollbackToSnapshot(env, snapshot);
+            const index = await getSnapshotIndex(env);
+            return jsonResponse({ success: true, current: index.current, snapshots: index.snapshots });
+        }
+        const config = normalizeSnapshotConfig(body);
+        await getStorage(env).put('snapshot_config', config);
+        const index = await pruneSnapshots(env, config.retention);
+        return jsonResponse({ success: true, config, current: index.current, snapshots: index.snapshots });
+    } catch (error) { return jsonResponse(apiError(request, error), 400); }
+}
+
+/**
+ * 测速任务完成时把当前 IP 列表、优选结果和数据源结果写成一份不可变快照，并设为当前快照
+ */
+async function saveSnapshot(env, job) {
+    const [ips, speed] = await Promise.all([getStoredIPs(env), getStoredSpeedIPs(env)]);
+    const snapshot = { id: job.id, createdAt: job.finishedAt, trigger: job.trigger, ips, speed };
+    await getStorage(env).put(`snapshot_${snapshot.id}`, snapshot);
+    await pruneSnapshots(env, (await getSnapshotConfig(env)).retention, index => ({
+        current: snapshot.id,
+        snapshots: [summarizeSnapshot(snapshot), ...index.snapshots.filter(s => s.id !== snapshot.id)]
+    }));
+}
+
+/**
+ * 把快照中的 IP 列表和优选结果恢复为当前数据；快照本身不变，DNS 同步随之回到快照中的优选 IP
+ */
+async function rollbackToSnapshot(env, snapshot) {
+    await getStorage(env).put('cloudflare_ips', snapshot.ips);
+    await getStorage(env).put('cloudflare_fast_ips', snapshot.speed);
+    // 快照生成后才加入黑名单的 IP 不应随回滚重新出现
+    await applyBlocklist(env, (await getIPLists(env)).blocked);
+    await getStorage(env).update('snapshot_index', index => ({ ...EMPTY_SNAPSHOT_INDEX, ...index, current: snapshot.id }));
+    const { fastIPs = [] } = await getStoredSpeedIPs(env);
+    await syncDnsRecords(env, fastIPs, 'rollback');
+}
+
+/**
+ * 在快照索引上应用 change 后，超出保留份数时从最旧的快照开始删除，当前快照始终保留。
+ * 索引经 storage.update 写入，被删除的快照文档在索引写入成功后才删除
+ */
+async function pruneSnapshots(env, retention, change = index => index) {
+    let removed = [];
+    const index = await getStorage(env).update('snapshot_index', stored => {
+        const index = change({ ...EMPTY_SNAPSHOT_INDEX, ...stored });
+        const kept = [];
+        removed = [];
+        for (const summary of index.snapshots) {
+            if (kept.length < retention || summary.id === index.current) kept.push(summary);
+            else removed.push(summary);
+        }
+        return { ...index, snapshots: kept };
+    });
+    await Promise.all(removed.map(s => getStorage(env).delete(`snapshot_${s.id}`)));
+    return index;
+}
+
+function summarizeSnapshot(snapshot) {
+    const sources = snapshot.ips.sources || [];
+    return {
+        id: snapshot.id,
+        createdAt: snapshot.createdAt,
+        trigger: snapshot.trigger,
+        ipCount: snapshot.ips.count || 0,
+        fastCount: snapshot.speed.count || 0,
+        sources: { success: sources.filter(s => s.status === 'success').length, error: sources.filter(s => s.status === 'error').length }
+    };
+}
+
+function previousSnapshotId(index, id) {
+    const position = index.snapshots.findIndex(s => s.id === id);
+    return position === -1 ? null : index.snapshots[position + 1]?.id || null;
+}
+
+/**
+ * 对比两份快照：采集到的 IP 按地址比较增减，优选 IP 按 IP + 端口比较增减和排名变化（change 为正表示排名上升）
+ */
+function diffSnapshots(from, to) {
+    const fromIPs = new Set(from.ips.ips || []);
+    const toIPs = new Set(to.ips.ips || []);
+    const key = entry => `${entry.ip}|${entry.port ?? ''}`;
+    const fromRanks = new Map((from.speed.fastIPs || []).map((entry, i) => [key(entry), i + 1]));
+    const toRanks = new Map((to.speed.fastIPs || []).map((entry, i) => [key(entry), i + 1]));
+    const brief = (entry, extra) => ({ ip: entry.ip, ...(entry.port ? { port: entry.port } : {}), ...extra });
+    const added = [];
+    const changed = [];
+    for (const entry of to.speed.fastIPs || []) {
+        const rank = toRanks.get(key(entry));
+        const previous = fromRanks.get(key(entry));
+        if (previous === undefined) added.push(brief(entry, { rank, latency: entry.latency }));
+        else changed.push(brief(entry, { from: previous, to: rank, change: previous - rank, latency: entry.latency }));
+    }
+    const removed = (from.speed.fastIPs || []).filter(entry => !toRanks.has(key(entry)))
+        .map(entry => brief(entry, { rank: fromRanks.get(key(entry)), latency: entry.latency }));
+    const ipsAdded = [...toIPs].filter(ip => !fromIPs.has(ip));
+    const ipsRemoved = [...fromIPs].filter(ip => !toIPs.has(ip));
+    return {
+        from: summarizeSnapshot(from),
+        to: summarizeSnapshot(to),
+        ips: { added: ipsAdded, removed: ipsRemoved, addedCount: ipsAdded.length, removedCount: ipsRemoved.length },
+        fastIPs: {
+            added,
+            removed,
+            changed,
+            summary: { added: added.length, removed: removed.length, up: changed.filter(c => c.change > 0).length, down: changed.filter(c => c.change < 0).length }
+        }
+    };
+}
+
+async function getSnapshotIndex(env) {
+    return await getStorage(env).get('snapshot_index') ?? EMPTY_SNAPSHOT_INDEX;
+}
+
+async function getSnapshot(env, id) {
+    if (!id) return null;
+    return await getStorage(env).get(`snapshot_${id}`) ?? null;
+}
+
+function normalizeSnapshotConfig(input) {
+    const retention = Number(input.retention);
+    if (!Number.isInteger(retention) || retention < 1 || retention > SNAPSHOT_MAX_RETENTION) {
+        throw apiFailure('invalid_retention', { max: SNAPSHOT_MAX_RETENTION });
+    }
+    return { retention };
+}
+
+async function getSnapshotConfig(env) {
+    const data = await getStorage(env).get('snapshot_config');
+    return { retention: DEFAULT_SNAPSHOT_RETENTION, ...data };
+}
+
+/**
+ * 当前快照相对上一份快照的变化，供首页展示；快照不足两份时返回 null
+ */
+async function getLatestSnapshotDiff(env) {
+    const index = await getSnapshotIndex(env);
+    const from = previousSnapshotId(index, index.current);
+    if (!from) return null;
+    const [fromSnapshot, toSnapshot] = await Promise.all([getSnapshot(env, from), getSnapshot(env, index.current)]);
+    return fromSnapshot && toSnapshot ? diffSnapshots(fromSnapshot, toSnapshot) : null;
+}
+
+// --- 历史记录 ---
+
+async function handleHistory(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const ip = normalizeIP(new URL(request.url).searchParams.get('ip'));
+    if (!ip) return jsonResponse(apiError(request, 'invalid_ip_param'), 400);
+    const samples = await getStorage(env).getIPHistory(ip);
+    const { sources = [], firstSeen = null, lastSeen = null } = (await getProvenance(env))[ip] || {};
+    return jsonResponse({
+        ip,
+        sources,
+        firstSeen,
+        lastSeen,
+        samples: samples.map(([time, latency]) => ({ time: new Date(time).toISOString(), latency, ok: latency !== null })),
+        stats: summarizeHistory(samples)
+    });
+}
+
+/**
+ * 把本次任务每个 IP 的结果追加到历史（失败记为 null），裁剪由存储层按条数、天数和 IP 总数完成
+ */
+async function recordHistory(env, job) {
+    // 历史按 IP 记录，多端口测速时取各端口中最低的延迟
+    const latencies = new Map(job.queue.map(ip => [ip, null]));
+    for (const r of job.results) latencies.set(r.ip, Math.min(r.latency, latencies.get(r.ip) ?? Infinity));
+    const storage = getStorage(env);
+    await storage.appendHistory(new Date(job.finishedAt).getTime(), latencies);
+    return storage.getHistory();
+}
+
+/**
+ * 在按文档保存的历史上追加一批样本并裁剪：每个 IP 保留最近 HISTORY_MAX_SAMPLES 条、HISTORY_RETENTION_DAYS 天内的样本，
+ * 最多保留最近测过的 HISTORY_MAX_IPS 个 IP
+ */
+function appendHistorySamples(history, time, latencies) {
+    const cutoff = time - HISTORY_RETENTION_DAYS * 86400000;
+    for (const [ip, latency] of latencies) (history.ips[ip] ||= []).push([time, latency]);
+    const kept = Object.entries(history.ips)
+        .map(([ip, samples]) => [ip, samples.filter(([sampleTime]) => sampleTime >= cutoff).slice(-HISTORY_MAX_SAMPLES)])
+        .filter(([, samples]) => samples.length > 0)
+        .sort(([, a], [, b]) => b[b.length - 1][0] - a[a.length - 1][0])
+        .slice(0, HISTORY_MAX_IPS);
+    return { ips: Object.fromEntries(kept), updatedAt: new Date(time).toISOString() };
+}
+
+/**
+ * 历史统计：次数、成功率、成功样本的中位数与 P90 延迟
+ */
+function summarizeHistory(samples) {
+    const ok = samples.filter(([, latency]) => latency !== null).map(([, latency]) => latency).sort((a, b) => a - b);
+    const percentile = p => ok.length ? ok[Math.min(ok.length - 1, Math.ceil(p * ok.length) - 1)] : null;
+    return {
+        runs: samples.length,
+        successRate: samples.length ? Math.round(ok.length / samples.length * 100) / 100 : 0,
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        lastSeen: samples.length ? new Date(samples[samples.length - 1][0]).toISOString() : null
+    };
+}
+
+/**
+ * 稳定评分（0~100）：成功率占 40%，中位延迟与 P90 延迟各占 30%
+ */
+function computeStabilityScore(stats) {
+    const latencyPart = v => 1 - Math.min(Math.max(v / SCORE_LATENCY_CAP_MS, 0), 1);
+    return Math.round((0.4 * stats.successRate + 0.3 * latencyPart(stats.median) + 0.3 * latencyPart(stats.p90)) * 1000) / 10;
+}
+
+/**
+ * 稳定排行：只考虑本次测速可用且历史次数足够的 IP，按稳定评分排序
+ */
+function rankByStability(results, history, limit) {
+    return results
+        .map(r => ({ r, stats: summarizeHistory(history.ips[r.ip] || []) }))
+        .filter(({ stats }) => stats.runs >= HISTORY_MIN_RUNS && stats.median !== null)
+        .map(({ r, stats }) => ({ ...r, history: stats, stabilityScore: computeStabilityScore(stats) }))
+        .sort((a, b) => b.stabilityScore - a.stabilityScore || a.latency - b.latency)
+        .slice(0, limit);
+}
+
+/**
+ * 机房代码到国家/地区/城市的映射，缓存在 KV 中，过期后从 speed.cloudflare.com 刷新；
+ * 刷新失败时沿用旧数据
+ */
+async function getColoLocations(env) {
+    const data = await getStorage(env).get('colo_locations');
+    if (data && Date.now() - new Date(data.updatedAt).getTime() < COLO_LOCATIONS_TTL_HOURS * 3600000) return data.locations;
+    try {
+        const res = await fetch(COLO_LOCATIONS_URL, { signal: AbortSignal.timeout(DEFAULT_SOURCE_TIMEOUT) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const locations = {};
+        for (const item of await res.json()) {
+            if (item.iata) locations[item.iata] = { country: item.cca2 || null, region: item.region || null, city: item.city || null };
+        }
+        await getStorage(env).put('colo_locations', { locations, updatedAt: new Date().toISOString() });
+        return locations;
+    } catch (e) {
+        console.error('获取机房位置表失败:', e.message);
+        return data?.locations || {};
+    }
+}
+
+/**
+ * 任务概要：不含队列与结果明细，供接口和页面展示进度
+ */
+function summarizeJob(job) {
+    if (!job) return null;
+    const total = job.queue.length;
+    return {
+        id: job.id, status: job.status, trigger: job.trigger,
+        total, cursor: job.cursor, passed: job.results.length,
+        progress: total ? Math.round(job.cursor / total * 100) : 100,
+        createdAt: job.createdAt, updatedAt: job.updatedAt, finishedAt: job.finishedAt
+    };
+}
+
+async function getSpeedTestJob(env) {
+    return await getStorage(env).get('speedtest_job') ?? null;
+}
+
+async function saveSpeedTestJob(env, job) {
+    await getStorage(env).put('speedtest_job', job);
+}
+
+/**
+ * 基于 KV 的任务锁，防止定时任务、/update 和后台测速同时运行。
+ * KV 不保证原子性，写入后回读确认持有者，属于尽力而为的互斥
+ */
+async function acquireJobLock(env, owner, ttlMs) {
+    const current = await getStorage(env).get('job_lock');
+    if (current && current.expiresAt > Date.now()) return null;
+    const lock = { id: generateToken(), owner, expiresAt: Date.now() + ttlMs };
+    // KV 的最小过期时间为 60 秒，锁本身以 expiresAt 为准
+    await getStorage(env).put('job_lock', lock, { ttl: Math.max(60, Math.ceil(ttlMs / 1000) + 60) });
+    const confirmed = await getStorage(env).get('job_lock');
+    return confirmed && confirmed.id === lock.id ? lock : null;
+}
+
+async function releaseJobLock(env, lock) {
+    const current = await getStorage(env).get('job_lock');
+    if (current && current.id === lock.id) await getStorage(env).delete('job_lock');
+}
+
+async function handleAdminTestProfile(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    if (request.method === 'GET') return jsonResponse({ profile: await getTestProfile(env), defaults: DEFAULT_TEST_PROFILE });
+    if (request.method === 'POST') {
+        try {
+            const profile = normalizeTestProfile(await request.json());
+            await getStorage(env).put('speedtest_profile', profile);
+            return jsonResponse({ success: true, profile });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        await getStorage(env).delete('speedtest_profile');
+        return jsonResponse({ success: true, profile: DEFAULT_TEST_PROFILE });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验测速配置，超出范围直接抛错，缺省项使用默认值
+ */
+function normalizeTestProfile(input) {
+    const range = (value, fallback, min, max, label) => {
+        const n = value === undefined || value === '' ? fallback : Number(value);
+        if (!Number.isFinite(n) || n < min || n > max) throw apiFailure('out_of_range', { label, min, max });
+        return n;
+    };
+    const weights = {};
+    for (const key of Object.keys(DEFAULT_TEST_PROFILE.weights)) {
+        const value = input.weights?.[key];
+        const n = value === undefined || value === '' ? DEFAULT_TEST_PROFILE.weights[key] : Number(value);
+        if (!Number.isFinite(n) || n < 0 || n > 1) throw apiFailure('invalid_weight', { key });
+        weights[key] = n;
+    }
+    if (Object.values(weights).every(w => w === 0)) throw apiFailure('weights_all_zero');
+    const ports = input.ports === undefined || input.ports === '' ? DEFAULT_TEST_PROFILE.ports
+        : [...new Set(String(input.ports).split(',').map(p => Number(p.trim())).filter(p => p))];
+    const invalidPort = ports.find(p => !CF_HTTPS_PORTS.includes(p) && !CF_HTTP_PORTS.includes(p));
+    if (invalidPort) throw apiFailure('unsupported_port', { port: invalidPort });
+    if (ports.length === 0 || ports.length > 6) throw apiFailure('invalid_port_count');
+    const profile = {
+        ports,
+        samples: Math.round(range(input.samples, DEFAULT_TEST_PROFILE.samples, 1, 10, '采样次数')),
+        timeout: range(input.timeout, DEFAULT_TEST_PROFILE.timeout, 500, 10000, '采样超时'),
+        downloadBytes: Math.round(range(input.downloadBytes, DEFAULT_TEST_PROFILE.downloadBytes, 0, 50 * 1024 * 1024, '下载字节数')),
+        downloadTimeout: range(input.downloadTimeout, DEFAULT_TEST_PROFILE.downloadTimeout, 1000, 30000, '下载超时'),
+        weights
+    };
+    // 单个 IP 的全部端口必须能在一轮后台测速（ctx.waitUntil，比定时任务短得多）内测完，否则超出的部分会被中止
+    const required = maxMeasureTime(profile) * ports.length;
+    if (required > SPEEDTEST_WAITUNTIL_BUDGET_MS) {
+        throw apiFailure('profile_too_slow', { required: Math.ceil(required / 1000), budget: SPEEDTEST_WAITUNTIL_BUDGET_MS / 1000 });
+    }
+    return profile;
+}
+
+async function getTestProfile(env) {
+    const data = await getStorage(env).get('speedtest_profile');
+    return data ? { ...DEFAULT_TEST_PROFILE, ...data } : DEFAULT_TEST_PROFILE;
+}
+
+/**
+ * 测速实际使用的配置：测速配置加上运行设置中的测速目标主机与采样字节数
+ */
+async function getRunProfile(env) {
+    const settings = await getSettings(env);
+    return { ...await getTestProfile(env), host: settings.speedTestHost, sampleBytes: settings.speedTestSampleBytes };
+}
+
+// --- 运行设置 ---
+
+async function handleAdminSettings(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    if (request.method === 'GET') return jsonResponse({ settings: await getSettings(env), schema: SETTINGS_SCHEMA });
+    if (request.method === 'POST') {
+        try {
+            const settings = normalizeSettings(await request.json(), await getSettings(env));
+            await getStorage(env).put('settings', settings);
+            return jsonResponse({ success: true, settings });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        await getStorage(env).delete('settings');
+        return jsonResponse({ success: true, settings: DEFAULT_SETTINGS });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 按 SETTINGS_SCHEMA 校验设置：只修改传入的项，传入空值表示恢复默认，未知项或超出范围直接抛错
+ */
+function normalizeSettings(input, current = DEFAULT_SETTINGS) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw apiFailure('settings_not_object');
+    const settings = { ...current };
+    for (const [key, value] of Object.entries(input)) {
+        const field = SETTINGS_SCHEMA[key];
+        if (!field) throw apiFailure('unknown_setting', { key });
+        if (value === null || value === '') {
+            settings[key] = field.default;
+        } else if (field.type === 'int') {
+            const n = Number(value);
+            if (!Number.isInteger(n) || n < field.min || n > field.max) throw apiFailure('setting_not_integer', { label: field.label, min: field.min, max: field.max });
+            settings[key] = n;
+        } else if (field.type === 'host') {
+            const host = String(value).trim().toLowerCase();
+            if (!/^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(host)) throw apiFailure('setting_invalid_host', { label: field.label });
+            settings[key] = host;
+        }
+    }
+    return settings;
+}
+
+async function getSettings(env) {
+    const data = await getStorage(env).get('settings');
+    return data ? { ...DEFAULT_SETTINGS, ...data } : DEFAULT_SETTINGS;
+}
+
+/**
+ * 完整配置的导出与导入，用于备份和迁移账号。
+ * 导出默认脱敏（不含 Token 哈希、DNS API Token、通知渠道密钥和订阅模板凭据），?redact=false 时包含
+ */
+async function handleAdminConfig(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    if (request.method === 'GET') {
+        const redact = new URL(request.url).searchParams.get('redact') !== 'false';
+        const config = await exportConfig(env, redact);
+        return jsonResponse(config, 200, { 'Content-Disposition': `attachment; filename="cfip-config-${config.exportedAt.slice(0, 10)}.json"` });
+    }
+    if (request.method === 'POST') {
+        try {
+            return jsonResponse({ success: true, ...await importConfig(env, await request.json()) });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+async function exportConfig(env, redact) {
+    const [tokens, dnsConfig, notifyConfig, subTemplates] = await Promise.all([getApiTokens(env), getDnsConfig(env), getNotifyConfig(env), getSubTemplates(env)]);
+    const { updatedAt, ...ipLists } = await getIPLists(env);
+    return {
+        version: CONFIG_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        redacted: redact,
+        settings: await getSettings(env),
+        speedtestProfile: await getTestProfile(env),
+        sources: await getSources(env),
+        tokens: redact ? tokens.map(publicTokenRecord) : tokens,
+        dnsConfig: redact ? maskDnsConfig(dnsConfig) : dnsConfig,
+        notifyConfig: redact ? maskNotifyConfig(notifyConfig) : notifyConfig,
+        ipLists,
+        subTemplates: redact ? subTemplates.map(({ uuid, password, ...rest }) => rest) : subTemplates,
+        outputPresets: await getOutputPresets(env),
+        cfRanges: await getCloudflareRanges(env),
+        snapshotConfig: await getSnapshotConfig(env)
+    };
+}
+
+/**
+ * 导入配置：全部校验通过后才写入，只替换文件中包含的部分。
+ * Token 按 ID 合并到现有列表；脱敏导出的 Token 没有哈希，无法使用，导入时跳过。
+ * 脱敏导出中缺少的 DNS API Token、通知渠道密钥和订阅模板凭据沿用当前账号中同一项已保存的值
+ */
+async function importConfig(env, input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw apiFailure('invalid_config_file');
+    if (input.version !== CONFIG_EXPORT_VERSION) throw apiFailure('unsupported_config_version', { version: input.version });
+    const imported = {};
+    const skipped = { tokens: 0, listEntries: 0 };
+    const writes = [];
+
+    if (input.settings !== undefined) {
+        const settings = normalizeSettings(input.settings);
+        writes.push(() => getStorage(env).put('settings', settings));
+        imported.settings = true;
+    }
+    if (input.speedtestProfile !== undefined) {
+        const profile = normalizeTestProfile(input.speedtestProfile || {});
+        writes.push(() => getStorage(env).put('speedtest_profile', profile));
+        imported.speedtestProfile = true;
+    }
+    if (input.sources !== undefined) {
+        if (!Array.isArray(input.sources)) throw apiFailure('sources_not_array');
+        const sources = input.sources.map(source => normalizeSource(source, source));
+        const duplicate = sources.find((s, i) => sources.findIndex(o => o.id === s.id) !== i);
+        if (duplicate) throw apiFailure('duplicate_source_id', { id: duplicate.id });
+        writes.push(() => saveSources(env, sources));
+        imported.sources = sources.length;
+    }
+    if (input.tokens !== undefined) {
+        if (!Array.isArray(input.tokens)) throw apiFailure('tokens_not_array');
+        const records = [];
+        for (const token of input.tokens) {
+            if (!token?.hash) { skipped.tokens++; continue; }
+            records.push(normalizeImportedToken(token));
+        }
+        if (records.length) {
+            const ids = new Set(records.map(t => t.id));
+            const tokens = [...(await getApiTokens(env)).filter(t => !ids.has(t.id)), ...records];
+            writes.push(() => saveApiTokens(env, tokens));
+        }
+        imported.tokens = records.length;
+    }
+    if (input.dnsConfig !== undefined) {
+        const config = normalizeDnsConfig(input.dnsConfig || {}, await getDnsConfig(env));
+        writes.push(() => getStorage(env).put('dns_config', config));
+        imported.dnsConfig = true;
+    }
+    if (input.notifyConfig !== undefined) {
+        const config = normalizeNotifyConfig(input.notifyConfig || {}, await getNotifyConfig(env));
+        writes.push(() => getStorage(env).put('notify_config', config));
+        imported.notifyConfig = config.channels.length;
+    }
+    if (input.subTemplates !== undefined) {
+        if (!Array.isArray(input.subTemplates)) throw apiFailure('sub_templates_not_array');
+        const current = await getSubTemplates(env);
+        const templates = input.subTemplates.map(template => normalizeSubTemplate({ ...current.find(t => t.id === template?.id), ...template }, template));
+        const duplicate = templates.find((t, i) => templates.findIndex(o => o.id === t.id) !== i);
+        if (duplicate) throw apiFailure('template_id_exists', { id: duplicate.id });
+        writes.push(() => saveSubTemplates(env, templates));
+        imported.subTemplates = templates.length;
+    }
+    if (input.outputPresets !== undefined) {
+        if (!input.outputPresets || typeof input.outputPresets !== 'object' || Array.isArray(input.outputPresets)) throw apiFailure('output_presets_not_object');
+        const presets = {};
+        for (const [name, preset] of Object.entries(input.outputPresets)) {
+            if (!/^[\w.-]{1,40}$/.test(name)) throw apiFailure('invalid_preset_name');
+            presets[name] = { params: normalizeOutputPresetParams(preset?.params || {}), updatedAt: preset?.updatedAt || new Date().toISOString() };
+        }
+        writes.push(() => getStorage(env).put('output_presets', presets));
+        imported.outputPresets = Object.keys(presets).length;
+    }
+    let ranges = null;
+    if (input.cfRanges !== undefined) {
+        // 导出的内置 IP 段导入时恢复为内置，不固化为自定义
+        if (input.cfRanges?.source === 'builtin') {
+            writes.push(() => getStorage(env).delete('cf_ranges'));
+        } else {
+            ranges = normalizeRanges(input.cfRanges || {}, input.cfRanges?.source === 'cloudflare' ? 'cloudflare' : 'custom');
+            writes.push(() => getStorage(env).put('cf_ranges', ranges));
+        }
+        imported.cfRanges = true;
+    }
+    if (input.ipLists !== undefined) {
+        if (!input.ipLists || typeof input.ipLists !== 'object' || Array.isArray(input.ipLists)) throw apiFailure('ip_lists_not_object');
+        // custom / pinned 按文件中的 IP 段校验（文件不含 IP 段时按当前账号的）
+        const cfRanges = input.cfRanges?.source === 'builtin' ? { v4: CF_IPV4_RANGES, v6: CF_IPV6_RANGES } : ranges;
+        const lists = await getIPLists(env);
+        for (const type of IP_LIST_TYPES) {
+            if (input.ipLists[type] === undefined) continue;
+            if (!Array.isArray(input.ipLists[type])) throw apiFailure('ip_lists_not_object');
+            const parsed = await parseIPListInput(env, type, input.ipLists[type], cfRanges);
+            if (parsed.entries.length > IP_LIST_MAX_ENTRIES) throw apiFailure('too_many_list_entries', { max: IP_LIST_MAX_ENTRIES });
+            lists[type] = parsed.entries;
+            skipped.listEntries += Object.values(parsed.rejected).reduce((sum, n) => sum + n, 0);
+        }
+        writes.push(() => saveIPLists(env, lists, 'blocked'));
+        imported.ipLists = IP_LIST_TYPES.reduce((sum, type) => sum + lists[type].length, 0);
+    }
+    if (input.snapshotConfig !== undefined) {
+        const config = normalizeSnapshotConfig(input.snapshotConfig || {});
+        writes.push(async () => {
+            await getStorage(env).put('snapshot_config', config);
+            await pruneSnapshots(env, config.retention);
+        });
+        imported.snapshotConfig = true;
+    }
+
+    for (const write of writes) await write();
+    return { imported, skipped };
+}
+
+function normalizeImportedToken(token) {
+    const id = String(token.id || '');
+    if (!/^[\w-]{1,40}$/.test(id)) throw apiFailure('invalid_token_id', { id });
+    if (!/^[0-9a-f]{64}$/.test(String(token.hash))) throw apiFailure('invalid_token_hash', { id });
+    if (!Array.isArray(token.scopes) || token.scopes.length === 0 || token.scopes.some(s => !TOKEN_SCOPES.includes(s))) {
+        throw apiFailure('invalid_token_scopes', { id, allowed: TOKEN_SCOPES.join('、') });
+    }
+    if (token.expiresAt && Number.isNaN(new Date(token.expiresAt).getTime())) throw apiFailure('invalid_token_expiry', { id });
+    return {
+        id,
+        label: String(token.label || '').trim() || id,
+        prefix: String(token.prefix || ''),
+        hash: token.hash,
+        scopes: [...new Set(token.scopes)],
+        expiresAt: token.expiresAt || null,
+        createdAt: token.createdAt || new Date().toISOString(),
+        lastUsed: token.lastUsed || null,
+        usageCount: Number(token.usageCount) || 0
+    };
+}
+
+// --- DNS 同步 ---
+
+async function handleAdminDns(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const config = await getDnsConfig(env);
+    if (request.method === 'GET') {
+        return jsonResponse({ config: maskDnsConfig(config), log: await getDnsSyncLog(env) });
+    }
+    if (request.method === 'POST') {
+        try {
+            if (new URL(request.url).searchParams.get('action') === 'sync') {
+                const body = await request.json().catch(() => ({}));
+                const { fastIPs = [] } = await getStoredSpeedIPs(env);
+                const entry = await syncDnsRecords(env, fastIPs, 'manual', { force: true, dryRun: body.dryRun });
+                return jsonResponse({ success: entry.status !== 'error', entry });
+            }
+            const updated = normalizeDnsConfig(await request.json(), config);
+            await getStorage(env).put('dns_config', updated);
+            return jsonResponse({ success: true, config: maskDnsConfig(updated) });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        await getStorage(env).delete('dns_config');
+        return jsonResponse({ success: true, config: maskDnsConfig(DEFAULT_DNS_CONFIG) });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验 DNS 同步配置；apiToken 留空表示沿用已保存的值
+ */
+function normalizeDnsConfig(input, existing) {
+    const config = { ...DEFAULT_DNS_CONFIG, ...existing };
+    const int = (value, fallback, min, max, label) => {
+        const n = value === undefined || value === '' ? fallback : Number(value);
+        if (!Number.isInteger(n) || n < min || n > max) throw apiFailure('out_of_range', { label, min, max });
+        return n;
+    };
+    const apiToken = String(input.apiToken ?? '').trim() || config.apiToken;
+    const zoneId = String(input.zoneId ?? config.zoneId).trim();
+    const recordName = String(input.recordName ?? config.recordName).trim().toLowerCase();
+    const family = input.family ?? config.family;
+    const apiBase = String(input.apiBase || config.apiBase).trim().replace(/\/+$/, '');
+    if (!['v4', 'v6', 'both'].includes(family)) throw apiFailure('invalid_dns_family');
+    if (zoneId && !/^[0-9a-f]{32}$/i.test(zoneId)) throw apiFailure('invalid_zone_id');
+    if (recordName && !/^(?=.{1,253}$)([a-z0-9_](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(recordName)) throw apiFailure('invalid_record_name');
+    if (!/^https?:\/\//.test(apiBase)) throw apiFailure('invalid_api_base');
+
+    const topN = int(input.topN, config.topN, 1, 50, '发布数量');
+    const minIPs = int(input.minIPs, config.minIPs, 1, topN, '最少 IP 数');
+    const enabled = input.enabled ?? config.enabled;
+    if (enabled && (!apiToken || !zoneId || !recordName)) throw apiFailure('dns_config_required');
+    return {
+        enabled: !!enabled,
+        dryRun: !!(input.dryRun ?? config.dryRun),
+        apiToken,
+        zoneId,
+        recordName,
+        family,
+        topN,
+        minIPs,
+        // TTL 为 1 表示自动
+        ttl: int(input.ttl, config.ttl, 1, 86400, 'TTL'),
+        proxied: !!(input.proxied ?? config.proxied),
+        apiBase
+    };
+}
+
+function maskDnsConfig(config) {
+    const { apiToken, ...rest } = config;
+    return { ...rest, hasApiToken: !!apiToken };
+}
+
+/**
+ * 把记录名下的 A / AAAA 记录调整为当前前 N 个优选 IP：只新增缺少的、删除多余的，已存在的保持不动。
+ * 先新增后删除，避免记录在同步过程中变空；可用 IP 少于 minIPs 时跳过该记录类型。
+ * 未启用时返回 null，其余情况都会写入同步日志并返回该条日志
+ */
+async function syncDnsRecords(env, fastIPs, trigger, options = {}) {
+    const config = await getDnsConfig(env);
+    if (!config.enabled && !options.force) return null;
+    const dryRun = options.dryRun ?? config.dryRun;
+    const entry = { time: new Date().toISOString(), trigger, dryRun, status: 'success', records: [] };
+    try {
+        if (!config.apiToken || !config.zoneId || !config.recordName) throw apiFailure('dns_config_incomplete');
+        const types = config.family === 'both' ? ['A', 'AAAA'] : [config.family === 'v6' ? 'AAAA' : 'A'];
+        for (const type of types) {
+            // DNS 记录不含端口，多端口测速时同一 IP 只取一次；测速未通过的置顶 IP 不发布
+            const candidates = fastIPs.filter(i => !i.failed && ipFamily(i.ip) === (type === 'A' ? 'v4' : 'v6')).map(i => i.ip);
+            const desired = [...new Set(candidates)].slice(0, config.topN);
+            if (desired.length < config.minIPs) {
+                entry.records.push({ type, skipped: true, reason: `可用 IP 只有 ${desired.length} 个，少于最少 ${config.minIPs} 个` });
+                continue;
+            }
+            const query = new URLSearchParams({ type, name: config.recordName, per_page: '100' });
+            const existing = await cloudflareDnsApi(config, `/zones/${config.zoneId}/dns_records?${query}`);
+            const plan = planDnsChanges(existing, desired);
+            if (!dryRun) {
+                for (const ip of plan.create) {
+                    await cloudflareDnsApi(config, `/zones/${config.zoneId}/dns_records`, {
+                        method: 'POST',
+                        body: JSON.stringify({ type, name: config.recordName, content: ip, ttl: config.ttl, proxied: config.proxied })
+                    });
+                }
+                for (const record of plan.delete) {
+                    await cloudflareDnsApi(config, `/zones/${config.zoneId}/dns_records/${record.id}`, { method: 'DELETE' });
+                }
+            }
+            entry.records.push({ type, desired, kept: plan.keep, created: plan.create, deleted: plan.delete.map(r => r.content) });
+        }
+        if (entry.records.every(r => r.skipped)) entry.status = 'skipped';
+    } catch (error) {
+        entry.status = 'error';
+        entry.error = error.message;
+    }
+    await appendDnsSyncLog(env, entry);
+    return entry;
+}
+
+/**
+ * 对比现有记录与目标 IP，得出需要新增的 IP 和需要删除的记录（重复记录也会被删除）
+ */
+function planDnsChanges(existing, desired) {
+    const wanted = new Set(desired);
+    const seen = new Set();
+    const keep = [];
+    const remove = [];
+    for (const record of existing) {
+        const ip = normalizeIP(record.content);
+        if (ip && wanted.has(ip) && !seen.has(ip)) {
+            seen.add(ip);
+            keep.push(ip);
+        } else remove.push(record);
+    }
+    return { keep, create: desired.filter(ip => !seen.has(ip)), delete: remove };
+}
+
+async function cloudflareDnsApi(config, path, init = {}) {
+    const res = await fetch(config.apiBase + path, {
+        ...init,
+        headers: { 'Authorization': `Bearer ${config.apiToken}`, 'Content-Type': 'application/json' },
+        signal: AbortSignal.timeout(10000)
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok || !data?.success) {
+        const message = data?.errors?.map(e => e.message).join('; ') || `HTTP ${res.status}`;
+        throw new Error(`Cloudflare API: ${message}`);
+    }
+    return data.result;
+}
+
+async function getDnsConfig(env) {
+    const data = await getStorage(env).get('dns_config');
+    return data ? { ...DEFAULT_DNS_CONFIG, ...data } : DEFAULT_DNS_CONFIG;
+}
+
+async function getDnsSyncLog(env) {
+    return await getStorage(env).get('dns_sync_log') ?? [];
+}
+
+async function appendDnsSyncLog(env, entry) {
+    await getStorage(env).update('dns_sync_log', log => [entry, ...(log ?? [])].slice(0, DNS_SYNC_LOG_LIMIT));
+}
+
+// --- 通知 ---
+
+async function handleAdminNotify(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const config = await getNotifyConfig(env);
+    if (request.method === 'GET') return jsonResponse({ config: maskNotifyConfig(config), defaults: DEFAULT_NOTIFY_CONFIG });
+    if (request.method === 'POST') {
+        try {
+            if (new URL(request.url).searchParams.get('action') === 'test') {
+                const { channelId } = await request.json();
+                const channel = config.channels.find(c => c.id === channelId);
+                if (!channel) return jsonResponse(apiError(request, 'channel_not_found'), 404);
+                const text = renderTemplate(config.templates.test, { time: new Date().toISOString() });
+                await sendToChannel(channel, 'test', text, {});
+                return jsonResponse({ success: true });
+            }
+            const updated = normalizeNotifyConfig(await request.json(), config);
+            await getStorage(env).put('notify_config', updated);
+            return jsonResponse({ success: true, config: maskNotifyConfig(updated) });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        await getStorage(env).delete('notify_config');
+        return jsonResponse({ success: true, config: DEFAULT_NOTIFY_CONFIG });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验通知配置，非法输入直接抛错，缺省项使用默认值。
+ * Telegram botToken 与钉钉加签密钥留空表示沿用 existing 中同一渠道已保存的值
+ */
+function normalizeNotifyConfig(input, existing = DEFAULT_NOTIFY_CONFIG) {
+    const channels = (input.channels || []).map(channel => {
+        if (!NOTIFY_CHANNEL_TYPES.includes(channel.type)) throw apiFailure('unsupported_channel', { type: channel.type });
+        const name = String(channel.name || '').trim() || channel.type;
+        const normalized = { id: String(channel.id || '').trim() || generateToken().slice(0, 8), type: channel.type, name, enabled: channel.enabled !== false };
+        const saved = existing.channels.find(c => c.id === normalized.id && c.type === channel.type);
+        if (channel.type === 'telegram') {
+            normalized.botToken = String(channel.botToken || '').trim() || saved?.botToken || '';
+            normalized.chatId = String(channel.chatId || '').trim();
+            normalized.apiBase = String(channel.apiBase || 'https://api.telegram.org').trim().replace(/\/+$/, '');
+            if (!normalized.botToken || !normalized.chatId) throw apiFailure('telegram_fields_required', { name });
+        } else {
+            normalized.url = String(channel.url || '').trim();
+            if (!/^https?:\/\//.test(normalized.url)) throw apiFailure('channel_url_required', { name });
+            const secret = String(channel.secret || '').trim() || saved?.secret;
+            if (channel.type === 'dingtalk' && secret) normalized.secret = secret;
+        }
+        return normalized;
+    });
+
+    const events = {};
+    for (const key of Object.keys(DEFAULT_NOTIFY_CONFIG.events)) events[key] = input.events?.[key] ?? DEFAULT_NOTIFY_CONFIG.events[key];
+    const thresholds = {};
+    const limits = { sourceFailStreak: [0, 100], ipDropPercent: [0, 100], latencyMs: [0, 10000] };
+    for (const [key, [min, max]] of Object.entries(limits)) {
+        const value = input.thresholds?.[key] ?? DEFAULT_NOTIFY_CONFIG.thresholds[key];
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < min || n > max) throw apiFailure('invalid_threshold', { key, min, max });
+        thresholds[key] = n;
+    }
+    const templates = {};
+    for (const key of Object.keys(DEFAULT_NOTIFY_CONFIG.templates)) {
+        templates[key] = String(input.templates?.[key] || '').trim() || DEFAULT_NOTIFY_CONFIG.templates[key];
+    }
+    return { channels, events: Object.fromEntries(Object.entries(events).map(([k, v]) => [k, !!v])), thresholds, templates };
+}
+
+function maskNotifyConfig(config) {
+    return { ...config, channels: config.channels.map(({ botToken, secret, ...rest }) => ({ ...rest, hasBotToken: !!botToken, hasSecret: !!secret })) };
+}
+
+/**
+ * 采集结束后检查数据源连续失败和 IP 数下降两类告警，stats 为本次采集更新后的数据源统计。
+ * 连续失败只在恰好达到阈值时通知一次，恢复成功后重新计数
+ */
+async function notifyCollectionAlerts(env, results, stats, previousCount, currentCount) {
+    const config = await getNotifyConfig(env);
+    const { sourceFailStreak, ipDropPercent } = config.thresholds;
+    if (config.events.source_fail && sourceFailStreak > 0) {
+        for (const r of results) {
+            const stat = stats[r.id];
+            if (r.status === 'error' && stat.failStreak === sourceFailStreak) {
+                await notify(env, 'source_fail', { source: r.name, streak: stat.failStreak, error: localizeError(DEFAULT_LOCALE, r.error) }, config);
+            }
+        }
+    }
+    if (config.events.ip_drop && ipDropPercent > 0 && previousCount > 0) {
+        const percent = Math.round((previousCount - currentCount) / previousCount * 100);
+        if (percent > ipDropPercent) await notify(env, 'ip_drop', { previous: previousCount, current: currentCount, percent }, config);
+    }
+}
+
+/**
+ * 测速任务完成后发送运行摘要，并检查是否有 IP 低于延迟阈值
+ */
+async function notifyRunSummary(env, job, fastIPs) {
+    const config = await getNotifyConfig(env);
+    if (!config.channels.some(c => c.enabled)) return;
+    const collected = await getStoredIPs(env);
+    const sources = collected.sources || [];
+    // 数据源按顺序抓取，采集耗时取各数据源耗时之和
+    const collectMs = sources.reduce((sum, s) => sum + (s.duration || 0), 0);
+    const testMs = new Date(job.finishedAt) - new Date(job.createdAt);
+    if (config.events.summary) {
+        await notify(env, 'summary', {
+            trigger: job.trigger,
+            total: collected.count,
+            tested: job.queue.length,
+            passed: job.results.length,
+            sources: `${sources.filter(s => s.status === 'success').length}/${sources.filter(s => s.status === 'success' || s.status === 'error').length} 成功`,
+            sourceDetails: sources.filter(s => s.status === 'success' || s.status === 'error').map(s => `${s.status === 'success' ? '✔' : '✘'} ${s.name}: ${s.status === 'success' ? `${s.valid} 个` : localizeError(DEFAULT_LOCALE, s.error)}`).join('\n'),
+            top: fastIPs.slice(0, 5).map((r, i) => `${i + 1}. ${r.port ? formatHostPort(r.ip, r.port) : r.ip} ${r.failed ? '测速失败' : `${r.latency}ms`}${r.colo ? ` ${r.colo}` : ''}`).join('\n') || '无',
+            duration: `采集 ${Math.round(collectMs / 1000)}s，测速 ${Math.round(testMs / 1000)}s`
+        }, config);
+    }
+    const threshold = config.thresholds.latencyMs;
+    const tested = fastIPs.filter(r => !r.failed);
+    if (config.events.latency && threshold > 0 && !tested.some(r => r.latency < threshold)) {
+        const best = tested.length ? `${Math.min(...tested.map(r => r.latency))}ms` : '无可用 IP';
+        await notify(env, 'latency', { threshold, best }, config);
+    }
+}
+
+/**
+ * 渲染事件模板并发送到所有启用的渠道；单个渠道失败只记录日志，不影响主流程
+ */
+async function notify(env, event, vars, config = null) {
+    config = config || await getNotifyConfig(env);
+    const channels = config.channels.filter(c => c.enabled);
+    if (channels.length === 0) return;
+    const text = renderTemplate(config.templates[event], vars);
+    const outcomes = await Promise.allSettled(channels.map(channel => sendToChannel(channel, event, text, vars)));
+    outcomes.forEach((outcome, i) => {
+        if (outcome.status === 'rejected') console.error(`通知发送失败 (${channels[i].name}):`, outcome.reason.message);
+    });
+}
+
+async function sendToChannel(channel, event, text, data) {
+    let url = channel.url;
+    let body;
+    if (channel.type === 'telegram') {
+        url = `${channel.apiBase}/bot${channel.botToken}/sendMessage`;
+        body = { chat_id: channel.chatId, text, disable_web_page_preview: true };
+    } else if (channel.type === 'wecom' || channel.type === 'dingtalk') {
+        body = { msgtype: 'text', text: { content: text } };
+        if (channel.type === 'dingtalk' && channel.secret) url = await signDingTalkUrl(url, channel.secret);
+    } else {
+        body = { event, text, data, time: new Date().toISOString() };
+    }
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: AbortSignal.timeout(10000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    // 企业微信与钉钉失败时也返回 200，需要检查 errcode
+    if (channel.type === 'wecom' || channel.type === 'dingtalk') {
+        const result = await res.json().catch(() => ({}));
+        if (result.errcode) throw new Error(result.errmsg || `errcode ${result.errcode}`);
+    }
+}
+
+/**
+ * 钉钉机器人加签：对 "timestamp\nsecret" 做 HMAC-SHA256 后 Base64，附加到 URL 上
+ */
+async function signDingTalkUrl(url, secret) {
+    const timestamp = Date.now();
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}\n${secret}`));
+    const sign = btoa(String.fromCharCode(...new Uint8Array(signature)));
+    return `${url}${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+}
+
+async function getNotifyConfig(env) {
+    return await getStorage(env).get('notify_config') ?? DEFAULT_NOTIFY_CONFIG;
+}
+
+// --- 数据源管理 ---
+
+async function handleAdminSources(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const sources = await getSources(env);
+    if (request.method === 'GET') {
+        // 附带最近一次采集中各数据源的结果，便于排查产出垃圾数据的数据源
+        const results = localizeSourceResults(resolveLocale(request), (await getStoredIPs(env)).sources);
+        const lastResults = Object.fromEntries(results.filter(r => r.id).map(r => [r.id, r]));
+        return jsonResponse({ sources, lastResults });
+    }
+
+    try {
+        if (request.method === 'POST') {
+            const source = normalizeSource(await request.json());
+            if (sources.some(s => s.id === source.id)) return jsonResponse(apiError(request, 'source_id_exists', { id: source.id }), 400);
+            sources.push(source);
+            await saveSources(env, sources);
+            return jsonResponse({ success: true, source });
+        }
+        if (request.method === 'PUT') {
+            const body = await request.json();
+            const index = sources.findIndex(s => s.id === body.id);
+            if (index === -1) return jsonResponse(apiError(request, 'source_not_found'), 404);
+            sources[index] = normalizeSource({ ...sources[index], ...body }, sources[index]);
+            await saveSources(env, sources);
+            return jsonResponse({ success: true, source: sources[index] });
+        }
+        if (request.method === 'DELETE') {
+            const id = new URL(request.url).searchParams.get('id');
+            const remaining = sources.filter(s => s.id !== id);
+            if (remaining.length === sources.length) return jsonResponse(apiError(request, 'source_not_found'), 404);
+            await saveSources(env, remaining);
+            return jsonResponse({ success: true });
+        }
+    } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验并补全数据源配置，非法输入直接抛错
+ */
+function normalizeSource(input, existing = null) {
+    const parser = { ...(input.parser || {}) };
+    parser.type = parser.type || 'regex';
+    if (!SOURCE_PARSER_TYPES.includes(parser.type)) throw apiFailure('unsupported_parser', { type: parser.type });
+    if (parser.type === 'regex' && parser.pattern) new RegExp(parser.pattern);
+    if (parser.type === 'json' && !parser.path) throw apiFailure('json_path_required');
+    if (parser.type === 'csv' && (parser.column === undefined || parser.column === '')) throw apiFailure('csv_column_required');
+    if (parser.type === 'html' && !parser.selector) throw apiFailure('html_selector_required');
+    if (parser.type === 'dns') normalizeDnsParser(parser);
+    // DNS 数据源的 URL 是 DoH 解析地址，留空时使用默认解析器
+    const url = String(input.url || (parser.type === 'dns' ? DEFAULT_DOH_RESOLVER : '')).trim();
+    if (!/^https?:\/\//i.test(url)) throw apiFailure('invalid_source_url');
+
+    const timeout = Number(input.timeout) || DEFAULT_SOURCE_TIMEOUT;
+    if (timeout < 1000 || timeout > 30000) throw apiFailure('invalid_source_timeout');
+    const id = existing?.id || String(input.id || '').trim() || generateToken().slice(0, 8);
+    if (!/^[\w.-]{1,40}$/.test(id)) throw apiFailure('invalid_source_id');
+    const now = new Date().toISOString();
+    return {
+        id,
+        name: String(input.name || '').trim() || (parser.type === 'dns' ? parser.domains[0] : new URL(url).hostname),
+        url,
+        enabled: input.enabled !== false,
+        autoSkip: input.autoSkip === true,
+        parser,
+        timeout,
+        userAgent: String(input.userAgent || '').trim() || DEFAULT_SOURCE_UA,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+}
+
+/**
+ * 校验 DNS 数据源的域名列表（数组或逗号、换行分隔的文本）、DoH 格式和记录类型
+ */
+function normalizeDnsParser(parser) {
+    const list = Array.isArray(parser.domains) ? parser.domains : String(parser.domains || '').split(/[\s,]+/);
+    const domains = [...new Set(list.map(d => String(d).trim().toLowerCase().replace(/\.$/, '')).filter(Boolean))];
+    if (domains.length === 0) throw apiFailure('dns_domains_required');
+    if (domains.length > DNS_SOURCE_MAX_DOMAINS) throw apiFailure('too_many_dns_domains', { max: DNS_SOURCE_MAX_DOMAINS });
+    const invalid = domains.find(d => d.length > 253 || !/^([a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(d));
+    if (invalid) throw apiFailure('invalid_domain', { domain: invalid });
+    parser.domains = domains;
+    parser.format = parser.format || 'json';
+    if (!DOH_FORMATS.includes(parser.format)) throw apiFailure('unsupported_doh_format', { format: parser.format });
+    const recordTypes = (Array.isArray(parser.recordTypes) ? parser.recordTypes : String(parser.recordTypes || 'A,AAAA').split(','))
+        .map(t => String(t).trim().toUpperCase()).filter(Boolean);
+    if (recordTypes.length === 0 || recordTypes.some(t => !DNS_RECORD_CODES[t])) throw apiFailure('invalid_record_types');
+    parser.recordTypes = [...new Set(recordTypes)];
+}
+
+/**
+ * 按数据源声明的解析方式，从响应正文中提取候选 IP 字符串（尚未校验）
+ */
+async function parseSourceBody(body, parser = {}) {
+    switch (parser.type) {
+        case 'json': {
+            const values = [];
+            collectStrings(resolveJsonPath(JSON.parse(body), parser.path), values);
+            return values.flatMap(extractIPs);
+        }
+        case 'csv': {
+            const delimiter = parser.delimiter || ',';
+            const rows = body.split(/\r?\n/).filter(line => line.trim()).map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')));
+            let column = Number(parser.column);
+            if (Number.isNaN(column)) {
+                column = (rows.shift() || []).indexOf(String(parser.column));
+                if (column === -1) throw apiFailure('csv_column_not_found', { column: parser.column });
+            } else if (parser.header) rows.shift();
+            return rows.flatMap(row => extractIPs(row[column] || ''));
+        }
+        case 'html':
+            return (await extractHtmlTexts(body, parser.selector)).flatMap(extractIPs);
+        case 'table':
+            return parseCarrierTable(await extractTableRows(body, parser.selector || 'tr'));
+        default: {
+            if (!parser.pattern) return extractIPs(body);
+            // 自定义正则若带捕获组，取第一个捕获组
+            return Array.from(body.matchAll(new RegExp(parser.pattern, 'g')), m => (m[1] ?? m[0]).trim());
+        }
+    }
+}
+
+// --- DNS 数据源 ---
+
+const DNS_RECORD_CODES = { A: 1, AAAA: 28 };
+const DNS_RCODES = { 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED' };
+
+/**
+ * 通过数据源配置的 DoH 解析器解析全部域名，返回每个域名的解析结果：
+ * { domain, status, ips, error }，error 为各失败记录类型的错误，同一域名部分记录类型失败时仍算成功
+ */
+async function resolveDnsSource(source) {
+    const { domains, format = 'json', recordTypes = ['A', 'AAAA'] } = source.parser;
+    return Promise.all(domains.map(async domain => {
+        const ips = [];
+        const errors = [];
+        for (const type of recordTypes) {
+            try {
+                ips.push(...await queryDoh(source, domain, type, format));
+            } catch (e) {
+                errors.push({ code: 'dns_record_failed', params: { type, detail: errorValue(e) } });
+            }
+        }
+        const status = errors.length === recordTypes.length ? 'error' : 'success';
+        return { domain, status, ips: [...new Set(ips)], ...(errors.length && { error: errors }) };
+    }));
+}
+
+/**
+ * 发送一次 DoH 查询，只返回与查询类型一致的地址记录（CNAME 链由解析器展开）
+ */
+async function queryDoh(source, domain, type, format) {
+    const url = new URL(source.url);
+    const headers = { 'User-Agent': source.userAgent || DEFAULT_SOURCE_UA };
+    if (format === 'wire') {
+        url.searchParams.set('dns', base64UrlEncodeBytes(buildDnsQuery(domain, DNS_RECORD_CODES[type])));
+        headers.Accept = 'application/dns-message';
+    } else {
+        url.searchParams.set('name', domain);
+        url.searchParams.set('type', type);
+        headers.Accept = 'application/dns-json';
+    }
+    const res = await fetch(url.toString(), { headers, signal: AbortSignal.timeout(source.timeout || DEFAULT_SOURCE_TIMEOUT) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { status, answers } = format === 'wire'
+        ? parseDnsMessage(new Uint8Array(await res.arrayBuffer()))
+        : parseDnsJson(await res.json());
+    if (status !== 0) throw new Error(DNS_RCODES[status] || `RCODE ${status}`);
+    return answers.filter(a => a.type === DNS_RECORD_CODES[type]).map(a => normalizeIP(a.data) || a.data);
+}
+
+function parseDnsJson(data) {
+    if (!data || typeof data.Status !== 'number') throw apiFailure('doh_invalid_response');
+    return { status: data.Status, answers: (data.Answer || []).map(a => ({ type: a.type, data: String(a.data) })) };
+}
+
+/**
+ * 构造 RFC 1035 查询报文：ID 为 0（RFC 8484 建议，便于缓存），开启递归
+ */
+function buildDnsQuery(domain, qtype) {
+    const bytes = [0, 0, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0];
+    for (const label of domain.split('.')) {
+        const encoded = new TextEncoder().encode(label);
+        bytes.push(encoded.length, ...encoded);
+    }
+    bytes.push(0, qtype >> 8, qtype & 0xff, 0, 1);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * 解析 DNS 响应报文中的应答记录，A / AAAA 记录转为地址字符串，其他类型只保留类型码
+ */
+function parseDnsMessage(bytes) {
+    if (bytes.length < 12) throw apiFailure('dns_message_too_short');
+    const u16 = offset => {
+        if (offset + 2 > bytes.length) throw apiFailure('dns_message_incomplete');
+        return (bytes[offset] << 8) | bytes[offset + 1];
+    };
+    const skipName = offset => {
+        while (offset < bytes.length) {
+            const len = bytes[offset];
+            if (len === 0) return offset + 1;
+            if ((len & 0xc0) === 0xc0) return offset + 2;
+            offset += len + 1;
+        }
+        throw apiFailure('dns_message_incomplete');
+    };
+    const status = u16(2) & 0x0f;
+    const qdcount = u16(4);
+    const ancount = u16(6);
+    let offset = 12;
+    for (let i = 0; i < qdcount; i++) offset = skipName(offset) + 4;
+    const answers = [];
+    for (let i = 0; i < ancount; i++) {
+        offset = skipName(offset);
+        const type = u16(offset);
+        const rdlength = u16(offset + 8);
+        const rdata = bytes.subarray(offset + 10, offset + 10 + rdlength);
+        if (rdata.length !== rdlength) throw apiFailure('dns_message_incomplete');
+        offset += 10 + rdlength;
+        if (type === DNS_RECORD_CODES.A && rdlength === 4) answers.push({ type, data: Array.from(rdata).join('.') });
+        else if (type === DNS_RECORD_CODES.AAAA && rdlength === 16) {
+            const groups = [];
+            for (let j = 0; j < 16; j += 2) groups.push(((rdata[j] << 8) | rdata[j + 1]).toString(16));
+            answers.push({ type, data: groups.join(':') });
+        } else answers.push({ type, data: null });
+    }
+    return { status, answers };
+}
+
+function base64UrlEncodeBytes(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function extractIPs(text) {
+    const str = String(text);
+    const v4 = str.match(/\b(?:[0-9]{1,3}\.){3}[0-9]{1,3}\b/g) || [];
+    // IPv6 先宽松匹配，再交给 normalizeIP 严格校验
+    const v6 = (str.match(/(?<![0-9a-zA-Z:])[0-9a-fA-F:]{2,39}(?![0-9a-zA-Z:])/g) || []).filter(c => c.split(':').length > 2);
+    return [...v4, ...v6];
+}
+
+/**
+ * 简易 JSON 路径：支持 a.b[0].c、[*]/[] 通配数组、* 通配对象值，可带 $ 前缀
+ */
+function resolveJsonPath(data, path) {
+    const tokens = String(path || '').replace(/^\$\.?/, '').match(/\[(?:\*|\d*)\]|[^.[\]]+/g) || [];
+    let nodes = [data];
+    for (const token of tokens) {
+        const next = [];
+        for (const node of nodes) {
+            if (node === null || typeof node !== 'object') continue;
+            if (token === '[*]' || token === '[]' || token === '*') next.push(...Object.values(node));
+            else if (token.startsWith('[')) next.push(node[Number(token.slice(1, -1))]);
+            else next.push(node[token]);
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+function collectStrings(node, out) {
+    if (node === null || node === undefined) return out;
+    if (typeof node === 'object') Object.values(node).forEach(v => collectStrings(v, out));
+    else out.push(String(node));
+    return out;
+}
+
+/**
+ * 把表格的每一行拆成单元格文本数组
+ */
+export async function extractTableRows(html, rowSelector) {
+    const rows = [];
+    const cell = { element() { if (rows.length) rows[rows.length - 1].push(''); }, text(chunk) { const row = rows[rows.length - 1]; if (row?.length) row[row.length - 1] += chunk.text; } };
+    await new HTMLRewriter()
+        .on(rowSelector, { element() { rows.push([]); } })
+        .on(`${rowSelector} td`, cell)
+        .on(`${rowSelector} th`, cell)
+        .transform(new Response(html)).text();
+    return rows.map(row => row.map(text => text.replace(/\s+/g, ' ').trim()));
+}
+
+// 表格表头的已知列名，比较前去掉括号中的单位、空白和结尾的冒号并转为小写
+const CARRIER_TABLE_HEADERS = {
+    isp: ['线路', '线路名称', '运营商', 'isp', 'line', 'carrier'],
+    latency: ['延迟', '网络延迟', '平均延迟', '往返延迟', 'latency', 'ping', 'rtt'],
+    colo: ['colo', '数据中心', '机房', 'datacenter']
+};
+
+/**
+ * 从表格行中识别线路、IP、延迟和机房。有表头时按表头定位列，否则逐个单元格按内容猜测：
+ * 线路为电信 / 联通 / 移动或 CT / CU / CM，延迟为带 ms / 毫秒的数字，机房为三位大写字母
+ */
+export function parseCarrierTable(rows) {
+    const columns = {};
+    const records = [];
+    for (const cells of rows) {
+        const ips = cells.flatMap(extractIPs);
+        if (ips.length === 0) {
+            cells.forEach((text, i) => {
+                const name = text.toLowerCase().replace(/[(（][^)）]*[)）]/g, '').replace(/\s+|[:：]$/g, '');
+                const key = Object.keys(CARRIER_TABLE_HEADERS).find(k => CARRIER_TABLE_HEADERS[k].includes(name));
+                if (key) columns[key] = i;
+            });
+            continue;
+        }
+        const pick = (key, test) => columns[key] !== undefined ? cells[columns[key]] : cells.find(test);
+        const isp = parseCarrier(pick('isp', text => parseCarrier(text)) || '');
+        const latencyText = pick('latency', text => /\d\s*(ms|毫秒)/i.test(text)) || '';
+        const latency = parseFloat(latencyText);
+        const colo = (pick('colo', text => /^[A-Z]{3}$/.test(text)) || '').toUpperCase();
+        records.push({ ip: ips[0], isp, latency: Number.isFinite(latency) ? Math.round(latency) : null, colo: /^[A-Z]{3}$/.test(colo) ? colo : null });
+    }
+    return records;
+}
+
+function parseCarrier(text) {
+    const value = String(text).trim();
+    if (/电信|telecom/i.test(value) || /^CT$/i.test(value)) return 'ct';
+    if (/联通|unicom/i.test(value) || /^CU$/i.test(value)) return 'cu';
+    if (/移动|mobile/i.test(value) || /^CM$/i.test(value)) return 'cm';
+    return null;
+}
+
+/**
+ * 使用 HTMLRewriter 按 CSS 选择器提取每个匹配元素的文本
+ */
+export async function extractHtmlTexts(html, selector) {
+    const texts = [];
+    await new HTMLRewriter().on(selector, {
+        element() { texts.push(''); },
+        text(chunk) { if (texts.length) texts[texts.length - 1] += chunk.text; }
+    }).transform(new Response(html)).text();
+    return texts;
+}
+
+async function getSources(env) {
+    return await getStorage(env).get('ip_sources') ?? DEFAULT_IP_SOURCES.map(source => ({ ...source }));
+}
+
+async function saveSources(env, sources) {
+    await getStorage(env).put('ip_sources', sources);
+}
+
+// --- 数据源质量 ---
+
+async function handleSourceStats(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const [sources, stats] = await Promise.all([getSources(env), getSourceStats(env)]);
+    const rows = sources.map(source => {
+        const stat = stats[source.id] || {};
+        return {
+            id: source.id,
+            name: source.name,
+            enabled: source.enabled,
+            autoSkip: !!source.autoSkip,
+            ipCount: stat.ipCount ?? 0,
+            unique: stat.unique ?? 0,
+            fastCount: stat.fastCount ?? 0,
+            fastShare: stat.fastShare ?? null,
+            failStreak: stat.failStreak ?? 0,
+            avgDuration: stat.avgDuration ?? null,
+            zeroFastStreak: stat.zeroFastStreak ?? 0,
+            skippedUntil: source.autoSkip && stat.skippedUntil && new Date(stat.skippedUntil) > new Date() ? stat.skippedUntil : null,
+            lastSuccessAt: stat.lastSuccessAt ?? null,
+            lastError: localizeError(resolveLocale(request), stat.lastError ?? null),
+            lastRunAt: stat.lastRunAt ?? null
+        };
+    });
+    // 按进入优选的比例、独有贡献排序，连续失败多的靠后
+    rows.sort((a, b) => (b.fastShare ?? -1) - (a.fastShare ?? -1) || b.unique - a.unique || a.failStreak - b.failStreak);
+    return jsonResponse({ sources: rows.map((row, i) => ({ rank: i + 1, ...row })) });
+}
+
+/**
+ * 采集结束后更新各数据源的连续失败次数、最近响应时间、IP 数与独有贡献
+ */
+async function updateSourceStats(env, results) {
+    const now = new Date().toISOString();
+    return await getStorage(env).update('source_stats', stored => {
+        const stats = stored ?? {};
+        for (const r of results) {
+            if (r.status === 'disabled' || r.status === 'skipped') continue;
+            const stat = stats[r.id] || (stats[r.id] = { failStreak: 0, lastSuccessAt: null, lastError: null });
+            stat.lastRunAt = now;
+            if (r.status === 'success') {
+                stat.failStreak = 0;
+                stat.lastSuccessAt = now;
+                stat.ipCount = r.valid;
+                stat.unique = r.unique ?? 0;
+                stat.durations = [...(stat.durations || []), r.duration].slice(-SOURCE_DURATION_SAMPLES);
+                stat.avgDuration = Math.round(stat.durations.reduce((sum, d) => sum + d, 0) / stat.durations.length);
+            } else {
+                stat.failStreak += 1;
+                stat.lastError = r.error;
+            }
+        }
+        return stats;
+    });
+}
+
+/**
+ * 测速完成后统计各数据源提供的 IP 中有多少进入优选。开启自动跳过的数据源连续
+ * SOURCE_AUTO_SKIP_RUNS 次没有任何 IP 进入优选时，暂停采集 SOURCE_AUTO_SKIP_HOURS 小时
+ */
+async function updateSourceQuality(env, job, fastIPs, provenance) {
+    const stats = await getSourceStats(env);
+    const autoSkip = new Set((await getSources(env)).filter(s => s.autoSkip).map(s => s.id));
+    const fast = new Set(fastIPs.filter(r => !r.failed).map(r => r.ip));
+    const counts = {};
+    for (const ip of job.queue) {
+        for (const id of provenance[ip]?.sources || []) {
+            const count = counts[id] || (counts[id] = { ipCount: 0, fastCount: 0 });
+            count.ipCount++;
+            if (fast.has(ip)) count.fastCount++;
+        }
+    }
+    for (const [id, { ipCount, fastCount }] of Object.entries(counts)) {
+        const stat = stats[id] || (stats[id] = { failStreak: 0, lastSuccessAt: null, lastError: null });
+        stat.fastCount = fastCount;
+        stat.fastShare = Math.round(fastCount / ipCount * 1000) / 1000;
+        stat.zeroFastStreak = fastCount === 0 ? (stat.zeroFastStreak || 0) + 1 : 0;
+        if (autoSkip.has(id) && stat.zeroFastStreak >= SOURCE_AUTO_SKIP_RUNS) {
+            stat.skippedUntil = new Date(Date.now() + SOURCE_AUTO_SKIP_HOURS * 3600000).toISOString();
+            stat.zeroFastStreak = 0;
+        }
+    }
+    await getStorage(env).put('source_stats', stats);
+}
+
+/**
+ * 记录每个 IP 当前由哪些数据源提供以及首次、最近出现时间，超过保留天数未再出现的 IP 被清除
+ */
+async function recordProvenance(env, reporters) {
+    const now = new Date().toISOString();
+    const cutoff = Date.now() - PROVENANCE_RETENTION_DAYS * 86400000;
+    await getStorage(env).update('ip_provenance', stored => {
+        const provenance = stored ?? {};
+        for (const [ip, sources] of reporters) {
+            provenance[ip] = { sources, firstSeen: provenance[ip]?.firstSeen || now, lastSeen: now };
+        }
+        for (const [ip, record] of Object.entries(provenance)) {
+            if (new Date(record.lastSeen).getTime() < cutoff) delete provenance[ip];
+        }
+        return provenance;
+    });
+}
+
+async function getProvenance(env) {
+    return await getStorage(env).get('ip_provenance') ?? {};
+}
+
+async function getSourceStats(env) {
+    return await getStorage(env).get('source_stats') ?? {};
+}
+
+// --- 手动 IP 列表 ---
+
+async function handleAdminIPLists(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const params = new URL(request.url).searchParams;
+    const type = params.get('list');
+    const lists = await getIPLists(env);
+    if (request.method === 'GET' && !type) return jsonResponse({ lists });
+    if (!IP_LIST_TYPES.includes(type)) return jsonResponse(apiError(request, 'invalid_list', { allowed: IP_LIST_TYPES.join('、') }), 400);
+
+    if (request.method === 'GET') {
+        if (params.get('format') !== 'txt') return jsonResponse({ list: type, entries: lists[type] });
+        return new Response(lists[type].join('\n'), {
+            headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Disposition': `attachment; filename="${type}.txt"` }
+        });
+    }
+    if (request.method === 'POST') {
+        try {
+            // 请求体可以是 JSON { entries | text, mode }，也可以直接上传文本 / CSV 文件内容（此时为追加）
+            const contentType = request.headers.get('Content-Type') || '';
+            const body = contentType.includes('application/json') ? await request.json() : { text: await request.text() };
+            const mode = body.mode || 'append';
+            if (!['append', 'replace'].includes(mode)) throw apiFailure('invalid_list_mode');
+            const parsed = await parseIPListInput(env, type, body.entries ?? body.text ?? '');
+            const base = mode === 'replace' ? [] : lists[type];
+            const entries = [...new Set([...base, ...parsed.entries])];
+            if (entries.length > IP_LIST_MAX_ENTRIES) throw apiFailure('too_many_list_entries', { max: IP_LIST_MAX_ENTRIES });
+            lists[type] = entries;
+            await saveIPLists(env, lists, type);
+            return jsonResponse({ success: true, list: type, entries, added: entries.length - base.length, rejected: parsed.rejected });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        const value = params.get('value');
+        if (value && !lists[type].includes(value)) return jsonResponse(apiError(request, 'list_entry_not_found', { value }), 404);
+        lists[type] = value ? lists[type].filter(v => v !== value) : [];
+        await saveIPLists(env, lists, type);
+        return jsonResponse({ success: true, list: type, entries: lists[type] });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 解析导入内容：custom / pinned 从文本或 CSV 中提取 IP 并要求位于 Cloudflare IP 段内（默认使用已保存的 IP 段）；
+ * blocked 按空白、逗号或分号切分，接受单个 IP 或 CIDR。返回去重后的条目与各类拒绝数
+ */
+async function parseIPListInput(env, type, input, ranges = null) {
+    const text = Array.isArray(input) ? input.join('\n') : String(input);
+    const entries = new Set();
+    if (type === 'blocked') {
+        const rejected = { invalid: 0 };
+        for (const token of text.split(/[\s,;"']+/).filter(Boolean)) {
+            const [addr, bits] = token.split('/');
+            const ip = normalizeIP(addr);
+            if (ip && (bits === undefined || parseCIDR(token))) entries.add(bits === undefined ? ip : `${ip}/${bits}`);
+            else rejected.invalid++;
+        }
+        return { entries: [...entries], rejected };
+    }
+    const isCloudflareIP = createRangeMatcher(ranges ?? await getCloudflareRanges(env));
+    const rejected = { invalid: 0, bogon: 0, not_cloudflare: 0 };
+    for (const candidate of extractIPs(text)) {
+        const { ip, reason } = classifyIP(candidate, isCloudflareIP);
+        if (reason) rejected[reason]++;
+        else entries.add(ip);
+    }
+    return { entries: [...entries], rejected };
+}
+
+async function getIPLists(env) {
+    const data = await getStorage(env).get('ip_lists');
+    return { custom: [], pinned: [], blocked: [], ...data };
+}
+
+async function saveIPLists(env, lists, changed) {
+    await getStorage(env).put('ip_lists', { ...lists, updatedAt: new Date().toISOString() });
+    if (changed === 'blocked') await applyBlocklist(env, lists.blocked);
+}
+
+/**
+ * 黑名单变更后立即从已保存的采集结果和优选结果中剔除命中的 IP，无需等待下一次采集
+ */
+async function applyBlocklist(env, blocked) {
+    if (blocked.length === 0) return;
+    const isBlocked = createBlocklistMatcher(blocked);
+    const keep = list => (list || []).filter(entry => !isBlocked(entry.ip));
+
+    const stored = await getStoredIPs(env);
+    if (stored.ips.some(isBlocked)) {
+        stored.ips = stored.ips.filter(ip => !isBlocked(ip));
+        stored.count = stored.ips.length;
+        stored.familyCounts = countFamilies(stored.ips);
+        await getStorage(env).put('cloudflare_ips', stored);
+    }
+    const speed = await getStoredSpeedIPs(env);
+    const pool = [...speed.fastIPs, ...Object.values(speed.coloRankings || {}).flat(), ...Object.values(speed.carrierRankings || {}).flat(), ...(speed.stableIPs || [])];
+    if (!pool.some(entry => isBlocked(entry.ip))) return;
+    const fastIPs = keep(speed.fastIPs);
+    const coloRankings = Object.fromEntries(Object.entries(speed.coloRankings || {}).map(([colo, list]) => [colo, keep(list)]).filter(([, list]) => list.length));
+    const carrierRankings = Object.fromEntries(Object.entries(speed.carrierRankings || {}).map(([isp, list]) => [isp, keep(list)]));
+    await getStorage(env).put('cloudflare_fast_ips', { ...speed, fastIPs, coloRankings, carrierRankings, stableIPs: keep(speed.stableIPs), count: fastIPs.length });
+}
+
+// --- 接口输出逻辑 ---
+
+async function handleGetIPs(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const params = await resolveOutputParams(env, new URL(request.url).searchParams);
+    if (params.error) return jsonResponse(apiError(request, params.error), 400);
+    const family = parseFamilyParam(params);
+    if (!family) return jsonResponse(apiError(request, 'invalid_family'), 400);
+    const options = parseOutputOptions(params);
+    if (options.error) return jsonResponse(apiError(request, options.error), 400);
+    const data = await getStoredIPs(env);
+    const entries = data.ips.filter(ip => matchesFamily(ip, family)).map(ip => ({ ip }));
+    return renderIPOutput(entries, options, '{host}');
+}
+
+async function handleGetFastIPsText(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const params = await resolveOutputParams(env, new URL(request.url).searchParams);
+    if (params.error) return jsonResponse(apiError(request, params.error), 400);
+    const filters = parseFastIPFilters(params);
+    if (filters.error) return jsonResponse(apiError(request, filters.error), 400);
+    const options = parseOutputOptions(params);
+    if (options.error) return jsonResponse(apiError(request, options.error), 400);
+    const entries = selectFastIPs(await getStoredSpeedIPs(env), filters);
+    return renderIPOutput(entries, options, '{host}#{latency}ms');
+}
+
+async function handleAdminOutputPresets(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const presets = await getOutputPresets(env);
+    if (request.method === 'GET') return jsonResponse({ presets });
+    if (request.method === 'POST') {
+        try {
+            const { name, params: input = {} } = await request.json();
+            if (!/^[\w.-]{1,40}$/.test(name || '')) return jsonResponse(apiError(request, 'invalid_preset_name'), 400);
+            presets[name] = { params: normalizeOutputPresetParams(input), updatedAt: new Date().toISOString() };
+            await getStorage(env).put('output_presets', presets);
+            return jsonResponse({ success: true, presets });
+        } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    }
+    if (request.method === 'DELETE') {
+        const name = new URL(request.url).searchParams.get('name');
+        if (!presets[name]) return jsonResponse(apiError(request, 'preset_not_found', { name }), 404);
+        delete presets[name];
+        await getStorage(env).put('output_presets', presets);
+        return jsonResponse({ success: true, presets });
+    }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 展开 ?preset=：以预设参数为底，请求中显式给出的参数优先
+ */
+async function resolveOutputParams(env, params) {
+    const name = params.get('preset');
+    if (!name) return params;
+    const preset = (await getOutputPresets(env))[name];
+    if (!preset) return { error: apiFailure('preset_not_found', { name }) };
+    const merged = new URLSearchParams(preset.params);
+    for (const [key, value] of params) {
+        if (key !== 'preset') merged.set(key, value);
+    }
+    return merged;
+}
+
+/**
+ * 解析输出参数：count、maxLatency、port、format 与行模板 template，非法时返回 { error }
+ */
+function parseOutputOptions(params) {
+    const format = params.get('format') || 'txt';
+    if (!OUTPUT_FORMATS.includes(format)) return { error: apiFailure('invalid_format', { allowed: OUTPUT_FORMATS.join('、') }) };
+    const port = params.get('port');
+    if (port && !isValidPort(port)) return { error: apiFailure('invalid_port') };
+    const count = params.get('count') ? Number(params.get('count')) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > OUTPUT_MAX_COUNT)) return { error: apiFailure('invalid_count', { max: OUTPUT_MAX_COUNT }) };
+    const maxLatency = params.get('maxLatency') ? Number(params.get('maxLatency')) : null;
+    if (maxLatency !== null && !(maxLatency > 0)) return { error: apiFailure('invalid_max_latency') };
+    return { format, port, count, maxLatency, template: params.get('template') || null };
+}
+
+/**
+ * 按输出参数渲染 IP 列表。maxLatency 只对带延迟的优选 IP 生效。
+ * 行模板可用 {ip} {host} {endpoint} {port} {latency} {index} {colo} {country} {region} {isp} {score} {family}：
+ * {host} 为追加了 ?port= 的地址（未指定时为 IP 本身），{endpoint} 为带实际测速端口的地址，{port} 优先取 ?port=
+ */
+function renderIPOutput(entries, options, defaultTemplate) {
+    let rows = entries;
+    if (options.maxLatency) rows = rows.filter(entry => entry.latency === undefined || (entry.latency !== null && entry.latency <= options.maxLatency));
+    if (options.count) rows = rows.slice(0, options.count);
+    rows = rows.map((entry, i) => {
+        const port = options.port || entry.port || '';
+        return {
+            index: i + 1,
+            ip: entry.ip,
+            host: options.port ? formatHostPort(entry.ip, options.port) : entry.ip,
+            endpoint: entry.port ? formatHostPort(entry.ip, entry.port) : entry.ip,
+            port,
+            latency: entry.latency ?? '',
+            colo: entry.colo || '',
+            country: entry.country || '',
+            region: entry.region || '',
+            isp: entry.isp ? CARRIERS[entry.isp] : '',
+            score: entry.score ?? '',
+            family: ipFamily(entry.ip)
+        };
+    });
+
+    if (options.format === 'json') {
+        return new Response(JSON.stringify(rows), { headers: { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' } });
+    }
+    if (options.format === 'csv') {
+        const columns = ['index', 'ip', 'port', 'latency', 'colo', 'country', 'region', 'isp', 'score', 'family'];
+        const cell = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const lines = [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))];
+        return new Response(lines.join('\n'), { headers: { 'Content-Type': 'text/csv; charset=utf-8', 'Access-Control-Allow-Origin': '*' } });
+    }
+    const template = options.template || defaultTemplate;
+    return new Response(rows.map(row => renderTemplate(template, row)).join('\n'), { headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Access-Control-Allow-Origin': '*' } });
+}
+
+/**
+ * 只保留 OUTPUT_PRESET_KEYS 中的非空参数，并按实际请求的解析逻辑校验一遍
+ */
+function normalizeOutputPresetParams(input) {
+    const params = {};
+    for (const key of OUTPUT_PRESET_KEYS) {
+        const value = String(input[key] ?? '').trim();
+        if (value) params[key] = value;
+    }
+    const search = new URLSearchParams(params);
+    const error = (!parseFamilyParam(search) && 'invalid_family') || parseFastIPFilters(search).error || parseOutputOptions(search).error;
+    if (error) throw apiFailure(error);
+    return params;
+}
+
+async function getOutputPresets(env) {
+    return await getStorage(env).get('output_presets') ?? {};
+}
+
+async function handleGetFastIPs(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const params = new URL(request.url).searchParams;
+    const filters = parseFastIPFilters(params);
+    if (filters.error) return jsonResponse(apiError(request, filters.error), 400);
+    const groupBy = params.get('groupBy');
+    if (groupBy && !['colo', 'country', 'region'].includes(groupBy)) return jsonResponse(apiError(request, 'invalid_group_by'), 400);
+
+    const { coloRankings, stableIPs, ...data } = await getStoredSpeedIPs(env);
+    const fastIPs = selectFastIPs({ ...data, coloRankings, stableIPs }, filters);
+    if (!groupBy) return jsonResponse({ ...data, rank: filters.rank, fastIPs, count: fastIPs.length });
+
+    // 分组时从全部机房排行中取候选，每组保留的数量与机房排行一致
+    const { coloTopN } = await getSettings(env);
+    const groups = {};
+    for (const entry of selectFastIPs({ ...data, coloRankings, stableIPs }, { ...filters, pool: true })) {
+        const key = entry[groupBy] || 'unknown';
+        const list = groups[key] || (groups[key] = []);
+        if (list.length < coloTopN) list.push(entry);
+    }
+    return jsonResponse({ ...data, groupBy, groups, count: Object.keys(groups).length });
+}
+
+/**
+ * 解析优选 IP 的过滤参数：family、rank、testedPort、isp、colo、country、region（后三者支持逗号分隔多个值），非法时返回 { error }。
+ * 按测速端口过滤使用 testedPort，port 是输出参数，表示追加端口
+ */
+function parseFastIPFilters(params) {
+    const family = parseFamilyParam(params);
+    if (!family) return { error: apiFailure('invalid_family') };
+    const rank = params.get('rank') || 'latest';
+    if (!['latest', 'stable'].includes(rank)) return { error: apiFailure('invalid_rank') };
+    const testedPort = params.get('testedPort');
+    if (testedPort && !isValidPort(testedPort)) return { error: apiFailure('invalid_port') };
+    const isp = (params.get('isp') || '').toLowerCase() || null;
+    if (isp && !CARRIERS[isp]) return { error: apiFailure('invalid_isp', { allowed: Object.keys(CARRIERS).join('、') }) };
+    if (isp && rank === 'stable') return { error: apiFailure('isp_with_stable') };
+    const list = name => (params.get(name) || '').split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+    return { family, rank, testedPort: testedPort ? Number(testedPort) : null, isp, colo: list('colo'), country: list('country'), region: list('region') };
+}
+
+/**
+ * 按过滤条件选出优选 IP（按 IP + 端口去重）。稳定排行模式只使用 stableIPs，指定线路时只使用该线路排行并按线路延迟排序；否则指定了机房 / 国家 / 地区时，
+ * 候选池扩展到各机房排行，再按评分排序（置顶 IP 始终在前）。指定 testedPort 时只保留该端口的测速结果，没有端口的旧数据不受影响。
+ * 结果会补齐 family 字段
+ */
+function selectFastIPs(data, filters) {
+    const stable = filters.rank === 'stable';
+    const byLocation = filters.pool || filters.colo.length || filters.country.length || filters.region.length;
+    let pool = data.fastIPs;
+    if (stable) pool = data.stableIPs || [];
+    else if (filters.isp) pool = data.carrierRankings?.[filters.isp] || [];
+    else if (byLocation) pool = [...data.fastIPs, ...Object.values(data.coloRankings || {}).flat()];
+    const seen = new Set();
+    return pool.filter(entry => {
+        const key = `${entry.ip}|${entry.port ?? ''}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        if (!matchesFamily(entry.ip, filters.family)) return false;
+        if (filters.testedPort && entry.port !== undefined && entry.port !== filters.testedPort) return false;
+        if (filters.colo.length && !filters.colo.includes(entry.colo)) return false;
+        if (filters.country.length && !filters.country.includes(entry.country)) return false;
+        if (filters.region.length && !filters.region.includes((entry.region || '').toUpperCase())) return false;
+        return true;
+    }).sort(stable ? (a, b) => b.stabilityScore - a.stabilityScore
+        : filters.isp ? (a, b) => a.latency - b.latency
+        : (a, b) => !!b.pinned - !!a.pinned || !!a.failed - !!b.failed || compareResults(a, b)).map(entry => ({ ...entry, family: entry.family || ipFamily(entry.ip) }));
+}
+
+/**
+ * 解析 ?family= 参数，非法值返回 null
+ */
+function parseFamilyParam(params) {
+    const family = (params.get('family') || 'both').toLowerCase();
+    return ['v4', 'v6', 'both'].includes(family) ? family : null;
+}
+
+function matchesFamily(ip, family) {
+    return family === 'both' || ipFamily(ip) === family;
+}
+
+function isValidPort(port) {
+    return /^\d{1,5}$/.test(port) && Number(port) >= 1 && Number(port) <= 65535;
+}
+
+async function handleRawIPs(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const data = await getStoredIPs(env);
+    return jsonResponse({ ...data, sources: localizeSourceResults(resolveLocale(request), data.sources) });
+}
+
+/**
+ * GET 测试单个 IP 的单个端口；POST 批量测试一组 IP，以 NDJSON 流式返回每个 IP 的结果。
+ * 只接受 Cloudflare IP 段内的地址，避免被当作任意地址的代理使用
+ */
+async function handleSpeedTest(request, env, ctx) {
+    if (request.method === 'POST') return handleBatchSpeedTest(request, env, ctx);
+    const params = new URL(request.url).searchParams;
+    if (!params.get('ip')) return jsonResponse(apiError(request, 'ip_required'), 400);
+    const isCloudflareIP = createRangeMatcher(await getCloudflareRanges(env));
+    const { ip, reason } = classifyIP(params.get('ip'), isCloudflareIP);
+    if (reason) return jsonResponse({ ...apiError(request, 'ip_not_testable', { label: SPEEDTEST_REJECT_REASONS[reason] }), reason }, 400);
+    const port = Number(params.get('port') || 443);
+    if (!CF_HTTPS_PORTS.includes(port) && !CF_HTTP_PORTS.includes(port)) return jsonResponse(apiError(request, 'port_not_proxied'), 400);
+    const limited = await checkSpeedTestAccess(request, env, 1, await hasSpeedTestScope(request, env));
+    if (limited) return limited;
+    const metrics = await measureIP(ip, await getRunProfile(env), port);
+    if (!metrics) return jsonResponse({ success: false, ...apiError(request, 'all_samples_failed') });
+    return jsonResponse({ success: true, ...metrics });
+}
+
+const SPEEDTEST_REJECT_REASONS = { invalid: '格式错误', bogon: '保留地址', not_cloudflare: '不在 Cloudflare IP 段内' };
+
+/**
+ * 请求体：{ ips: [...] } 或 { text: "..." }，可选 ports、samples、timeout、downloadBytes、downloadTimeout 覆盖测速配置。
+ * 覆盖测速配置需要 speedtest 权限：限流只按 IP 数计数，匿名调用若能增加端口、采样或下载字节，就能绕过限额放大请求量。
+ * 依次输出 start（总数与被拒绝的 IP）、每个 IP 一条 result，最后是 done
+ */
+async function handleBatchSpeedTest(request, env, ctx) {
+    const privileged = await hasSpeedTestScope(request, env);
+    let body, profile;
+    try {
+        body = await request.json();
+        const options = Object.fromEntries(['ports', 'samples', 'timeout', 'downloadBytes', 'downloadTimeout'].filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+        if (!privileged && Object.keys(options).length) return jsonResponse(apiError(request, 'speedtest_options_forbidden'), 403);
+        profile = { ...await getRunProfile(env), ...normalizeTestProfile({ ...await getTestProfile(env), ...options }) };
+    } catch (error) { return jsonResponse(apiError(request, error), 400); }
+
+    const isCloudflareIP = createRangeMatcher(await getCloudflareRanges(env));
+    const candidates = Array.isArray(body.ips) ? body.ips.map(String) : extractIPs(String(body.text ?? body.ips ?? ''));
+    const ips = new Set();
+    const rejected = [];
+    for (const candidate of candidates) {
+        const { ip, reason } = classifyIP(candidate, isCloudflareIP);
+        if (reason) rejected.push({ ip: candidate, reason });
+        else ips.add(ip);
+    }
+    if (ips.size === 0) return jsonResponse({ ...apiError(request, 'no_testable_ips'), rejected }, 400);
+    const maxIPs = maxIPsPerInvocation(profile, SPEEDTEST_BATCH_MAX_IPS);
+    if (ips.size > maxIPs) return jsonResponse(apiError(request, 'too_many_ips', { max: maxIPs }), 400);
+    const limited = await checkSpeedTestAccess(request, env, ips.size, privileged);
+    if (limited) return limited;
+
+    const { speedTestBatchSize } = await getSettings(env);
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const send = event => writer.write(encoder.encode(JSON.stringify(event) + '\n'));
+    const queue = [...ips];
+    ctx.waitUntil((async () => {
+        const start = Date.now();
+        let passed = 0;
+        try {
+            await send({ type: 'start', total: queue.length, rejected, ports: profile.ports });
+            for (let i = 0; i < queue.length; i += speedTestBatchSize) {
+                await Promise.all(queue.slice(i, i + speedTestBatchSize).map(async (ip, offset) => {
+                    const results = await measureIPPorts(ip, profile);
+                    if (results.length) passed++;
+                    await send({ type: 'result', index: i + offset, ip, success: results.length > 0, results });
+                }));
+            }
+            await send({ type: 'done', tested: queue.length, passed, duration: Date.now() - start });
+        } catch (error) {
+            await send({ type: 'error', error: error.message }).catch(() => {});
+        } finally {
+            await writer.close().catch(() => {});
+        }
+    })());
+    return new Response(readable, { headers: { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' } });
+}
+
+/**
+ * 具备 speedtest 权限的 Token 或登录会话
+ */
+async function hasSpeedTestScope(request, env) {
+    return !!env.ADMIN_PASSWORD && await verifyAccess(request, env, 'speedtest');
+}
+
+/**
+ * 测速鉴权：privileged（见 hasSpeedTestScope）不限量；其余调用按来源 IP 在 KV 中计数，
+ * 每个限流窗口内最多测试 speedTestAnonLimit 个 IP。通过时返回 null，否则返回 401 / 429 响应
+ */
+async function checkSpeedTestAccess(request, env, cost, privileged) {
+    if (privileged) return null;
+    const { speedTestAnonLimit } = await getSettings(env);
+    if (speedTestAnonLimit === 0) return jsonResponse(apiError(request, 'speedtest_token_required'), 401);
+    const key = `speedtest_rate_${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+    const now = Date.now();
+    const stored = await getStorage(env).get(key);
+    const usage = stored && stored.resetAt > now ? stored : { count: 0, resetAt: now + SPEEDTEST_RATE_WINDOW_SECONDS * 1000 };
+    if (usage.count + cost > speedTestAnonLimit) {
+        const retryAfter = Math.ceil((usage.resetAt - now) / 1000);
+        return jsonResponse({
+            ...apiError(request, 'speedtest_rate_limited', { limit: speedTestAnonLimit, seconds: retryAfter }),
+            remaining: Math.max(speedTestAnonLimit - usage.count, 0),
+            retryAfter
+        }, 429, { 'Retry-After': String(retryAfter) });
+    }
+    usage.count += cost;
+    // KV 的最小过期时间为 60 秒，计数以 resetAt 为准
+    await getStorage(env).put(key, usage, { ttl: Math.max(60, Math.ceil((usage.resetAt - now) / 1000)) });
+    return null;
+}
+
+async function handleAdminStatus(request, env) {
+    const tokens = await getApiTokens(env);
+    // 页面不内嵌任何会话信息，登录状态与写操作需要的 CSRF Token 由页面脚本从这里读取
+    const session = await getSession(request, env);
+    return jsonResponse({
+        hasAdminPassword: !!env.ADMIN_PASSWORD,
+        hasToken: tokens.length > 0,
+        loggedIn: await verifyAdmin(request, env),
+        csrf: session?.csrf || null
+    }, 200, { 'Cache-Control': 'no-store' });
+}
+
+async function handleItdogData(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    // ITDog 需要的是全量 IP，不仅仅是测速后的优选 IP
+    const data = await getStoredIPs(env);
+    return jsonResponse({ ips: data.ips });
+}
+
+// --- IP 浏览 ---
+
+/**
+ * 分页浏览全部采集到的 IP，支持按 IP、机房或数据源名称搜索，按状态、地址族过滤和按列排序。
+ * counts 为搜索结果中各状态的数量（不受 status 过滤影响）
+ */
+async function handleExploreIPs(env, request) {
+    if (!await verifyAccess(request, env, 'read_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const query = parseExploreQuery(new URL(request.url).searchParams);
+    if (query.error) return jsonResponse(apiError(request, query.error), 400);
+    const keyword = query.q.toLowerCase();
+    const matched = (await buildExploreRows(env)).filter(row => matchesFamily(row.ip, query.family)
+        && (!keyword || row.ip.includes(keyword) || (row.colo || '').toLowerCase().includes(keyword) || row.sources.some(name => name.toLowerCase().includes(keyword))));
+    const counts = Object.fromEntries(EXPLORE_STATUSES.map(status => [status, 0]));
+    matched.forEach(row => counts[row.status]++);
+    const rows = (query.status ? matched.filter(row => row.status === query.status) : matched).sort(compareExploreRows(query.sort, query.order));
+    const pages = Math.max(Math.ceil(rows.length / query.pageSize), 1);
+    const page = Math.min(query.page, pages);
+    return jsonResponse({
+        total: rows.length,
+        page,
+        pageSize: query.pageSize,
+        pages,
+        sort: query.sort,
+        order: query.order,
+        counts,
+        rows: rows.slice((page - 1) * query.pageSize, page * query.pageSize)
+    });
+}
+
+/**
+ * 解析浏览参数：page、pageSize、sort、order、status、family 与搜索词 q，非法时返回 { error }
+ */
+function parseExploreQuery(params) {
+    const page = Number(params.get('page') || 1);
+    if (!Number.isInteger(page) || page < 1) return { error: apiFailure('invalid_page') };
+    const pageSize = Number(params.get('pageSize') || EXPLORE_DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > EXPLORE_MAX_PAGE_SIZE) return { error: apiFailure('invalid_page_size', { max: EXPLORE_MAX_PAGE_SIZE }) };
+    const sort = params.get('sort') || 'status';
+    if (!EXPLORE_SORT_KEYS.includes(sort)) return { error: apiFailure('invalid_sort', { allowed: EXPLORE_SORT_KEYS.join('、') }) };
+    const order = params.get('order') || 'asc';
+    if (!['asc', 'desc'].includes(order)) return { error: apiFailure('invalid_order') };
+    const status = params.get('status') || null;
+    if (status && !EXPLORE_STATUSES.includes(status)) return { error: apiFailure('invalid_status', { allowed: EXPLORE_STATUSES.join('、') }) };
+    const family = parseFamilyParam(params);
+    if (!family) return { error: apiFailure('invalid_family') };
+    return { page, pageSize, sort, order, status, family, q: (params.get('q') || '').trim() };
+}
+
+/**
+ * 合并采集结果、来源记录、最近一次测速任务与优选结果，每个 IP 一行。状态：fast 在当前优选中，
+ * passed 最近一次任务测速可用，failed 已测但全部端口失败，pending 在进行中的任务里还没测到，
+ * untested 不在任务队列中（任务创建后才采集到或任务已取消）。多端口测速时延迟、机房与评分取排名最前的端口
+ */
+async function buildExploreRows(env) {
+    const { ips } = await getStoredIPs(env);
+    const { fastIPs = [] } = await getStoredSpeedIPs(env);
+    const job = await getSpeedTestJob(env);
+    const provenance = await getProvenance(env);
+    const sourceNames = Object.fromEntries((await getSources(env)).map(s => [s.id, s.name]));
+    const queued = new Map((job?.queue || []).map((ip, i) => [ip, i]));
+    const best = new Map();
+    for (const r of job?.results || []) {
+        if (!best.has(r.ip) || compareResults(r, best.get(r.ip)) < 0) best.set(r.ip, r);
+    }
+    // 优选结果按排名排序，同一 IP 的第一条即最优端口；旧任务的优选 IP 在新任务中可能还没有结果
+    const fast = new Map();
+    fastIPs.forEach(entry => entry.failed || fast.has(entry.ip) || fast.set(entry.ip, entry));
+    return ips.map(ip => {
+        const result = best.get(ip) || fast.get(ip);
+        const index = queued.get(ip);
+        const status = fast.has(ip) ? 'fast'
+            : best.has(ip) ? 'passed'
+            : index === undefined ? 'untested'
+            : index < job.cursor ? 'failed'
+            : job.status === 'running' ? 'pending' : 'untested';
+        const { sources = [], firstSeen = null, lastSeen = null } = provenance[ip] || {};
+        return {
+            ip,
+            family: ipFamily(ip),
+            status,
+            latency: result?.latency ?? null,
+            port: result?.port ?? null,
+            colo: result?.colo || null,
+            score: result?.score ?? null,
+            sources: sources.map(id => sourceNames[id] || id),
+            firstSeen,
+            lastSeen
+        };
+    });
+}
+
+/**
+ * 浏览排序：空值始终排在最后，值相同时按延迟、再按 IP 排序
+ */
+function compareExploreRows(sort, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    const value = row => sort === 'status' ? EXPLORE_STATUSES.indexOf(row.status) : sort === 'sources' ? row.sources.length : row[sort];
+    const tiebreak = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity) || compareIPs(a.ip, b.ip);
+    return (a, b) => {
+        const x = value(a), y = value(b);
+        if (x === null || y === null) return (x === null) - (y === null) || tiebreak(a, b);
+        const diff = sort === 'ip' ? compareIPs(x, y) : typeof x === 'string' ? x.localeCompare(y) : x - y;
+        return diff * direction || tiebreak(a, b);
+    };
+}
+
+// --- 订阅生成 ---
+// 模板校验、节点组合与各格式的渲染都是纯函数，以具名导出供测试直接调用
+
+async function handleSubscription(env, request) {
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse(apiError(request, 'unauthorized'), 401);
+    const params = new URL(request.url).searchParams;
+    const format = params.get('format') || 'base64';
+    if (!SUB_FORMATS.includes(format)) return jsonResponse(apiError(request, 'invalid_format', { allowed: SUB_FORMATS.join('、') }), 400);
+    const filters = parseFastIPFilters(params);
+    if (filters.error) return jsonResponse(apiError(request, filters.error), 400);
+
+    let templates = (await getSubTemplates(env)).filter(t => t.enabled);
+    const wanted = (params.get('template') || '').split(',').map(v => v.trim()).filter(Boolean);
+    if (wanted.length) templates = templates.filter(t => wanted.includes(t.id));
+    if (templates.length === 0) return jsonResponse(apiError(request, 'no_sub_templates'), 404);
+
+    const nodes = buildSubscriptionNodes(selectFastIPs(await getStoredSpeedIPs(env), filters), templates);
+    // 没有节点时 Clash 的 url-test 分组为空会导致整个配置无法加载，直接返回错误，客户端会保留上次的订阅
+    if (nodes.length === 0) return jsonResponse(apiError(request, 'no_sub_nodes'), 404);
+    const body = renderSubscription(nodes, format);
+    const contentType = { base64: 'text/plain', clash: 'text/yaml', singbox: 'application/json' }[format];
+    return new Response(body, { headers: { 'Content-Type': `${contentType}; charset=utf-8`, 'Access-Control-Allow-Origin': '*' } });
+}
+
+async function handleAdminSubTemplates(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    const templates = await getSubTemplates(env);
+    if (request.method === 'GET') return jsonResponse({ templates });
+
+    try {
+        if (request.method === 'POST') {
+            const template = normalizeSubTemplate(await request.json());
+            if (templates.some(t => t.id === template.id)) return jsonResponse(apiError(request, 'template_id_exists', { id: template.id }), 400);
+            templates.push(template);
+            await saveSubTemplates(env, templates);
+            return jsonResponse({ success: true, template });
+        }
+        if (request.method === 'PUT') {
+            const body = await request.json();
+            const index = templates.findIndex(t => t.id === body.id);
+            if (index === -1) return jsonResponse(apiError(request, 'template_not_found'), 404);
+            templates[index] = normalizeSubTemplate({ ...templates[index], ...body }, templates[index]);
+            await saveSubTemplates(env, templates);
+            return jsonResponse({ success: true, template: templates[index] });
+        }
+        if (request.method === 'DELETE') {
+            const id = new URL(request.url).searchParams.get('id');
+            const remaining = templates.filter(t => t.id !== id);
+            if (remaining.length === templates.length) return jsonResponse(apiError(request, 'template_not_found'), 404);
+            await saveSubTemplates(env, remaining);
+            return jsonResponse({ success: true });
+        }
+    } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验并补全订阅模板，非法输入直接抛错
+ */
+export function normalizeSubTemplate(input, existing = null) {
+    const protocol = input.protocol || 'vless';
+    if (!SUB_PROTOCOLS.includes(protocol)) throw apiFailure('unsupported_protocol', { protocol });
+    const transport = input.transport || 'ws';
+    if (!SUB_TRANSPORTS.includes(transport)) throw apiFailure('unsupported_transport', { transport });
+    const host = String(input.host || '').trim();
+    if (!/^[a-z0-9.-]+$/i.test(host)) throw apiFailure('invalid_host');
+    const port = Number(input.port || 443);
+    if (!isValidPort(String(port))) throw apiFailure('invalid_port');
+    const credential = String(protocol === 'trojan' ? input.password || '' : input.uuid || '').trim();
+    if (!credential) throw protocol === 'trojan' ? apiFailure('password_required') : apiFailure('uuid_required', { protocol: protocol.toUpperCase() });
+    if (protocol !== 'trojan' && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(credential)) throw apiFailure('invalid_uuid');
+
+    const id = existing?.id || String(input.id || '').trim() || generateToken().slice(0, 8);
+    if (!/^[\w.-]{1,40}$/.test(id)) throw apiFailure('invalid_template_id');
+    const now = new Date().toISOString();
+    return {
+        id,
+        name: String(input.name || '').trim() || host,
+        enabled: input.enabled !== false,
+        protocol,
+        host,
+        sni: String(input.sni || '').trim() || host,
+        path: String(input.path || '').trim() || (transport === 'ws' ? '/' : ''),
+        [protocol === 'trojan' ? 'password' : 'uuid']: credential,
+        port,
+        transport,
+        tls: input.tls !== false,
+        namePattern: String(input.namePattern || '').trim() || DEFAULT_SUB_NAME_PATTERN,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+}
+
+/**
+ * 把优选 IP 与模板组合成节点列表：每个模板对每个 IP 生成一个节点，节点名按模板的 namePattern 渲染。
+ * 端口由模板决定，同一 IP 的多个端口测速结果只取排名最前的一条
+ */
+export function buildSubscriptionNodes(entries, templates) {
+    const seenIPs = new Set();
+    const unique = entries.filter(entry => !seenIPs.has(entry.ip) && seenIPs.add(entry.ip));
+    const nodes = [];
+    for (const template of templates) {
+        unique.forEach((entry, i) => {
+            const vars = {
+                name: template.name, ip: entry.ip, port: template.port, index: i + 1,
+                latency: entry.latency ?? '', colo: entry.colo || '', country: entry.country || '', score: entry.score ?? ''
+            };
+            nodes.push({ ...template, server: entry.ip, label: renderNamePattern(template.namePattern, vars) });
+        });
+    }
+    // 节点名在客户端中必须唯一，重名时追加序号
+    const seen = new Map();
+    for (const node of nodes) {
+        const count = seen.get(node.label) || 0;
+        seen.set(node.label, count + 1);
+        if (count) node.label = `${node.label} ${count + 1}`;
+    }
+    return nodes;
+}
+
+function renderNamePattern(pattern, vars) {
+    return renderTemplate(pattern, vars).replace(/-{2,}/g, '-').replace(/^-|-$/g, '');
+}
+
+export function renderSubscription(nodes, format) {
+    if (format === 'clash') return renderClashSubscription(nodes);
+    if (format === 'singbox') return renderSingboxSubscription(nodes);
+    return base64Encode(nodes.map(buildShareLink).join('\n'));
+}
+
+/**
+ * 生成 vless:// / trojan:// / vmess:// 分享链接
+ */
+export function buildShareLink(node) {
+    const server = ipFamily(node.server) === 'v6' ? `[${node.server}]` : node.server;
+    if (node.protocol === 'vmess') {
+        return 'vmess://' + base64Encode(JSON.stringify({
+            v: '2', ps: node.label, add: node.server, port: String(node.port), id: node.uuid, aid: '0', scy: 'auto',
+            net: node.transport, type: 'none', host: node.host, path: node.path, tls: node.tls ? 'tls' : '', sni: node.tls ? node.sni : ''
+        }));
+    }
+    const query = new URLSearchParams({ security: node.tls ? 'tls' : 'none', type: node.transport });
+    if (node.protocol === 'vless') query.set('encryption', 'none');
+    if (node.tls) query.set('sni', node.sni);
+    if (node.transport === 'ws') { query.set('host', node.host); query.set('path', node.path); }
+    if (node.transport === 'grpc') query.set('serviceName', node.path);
+    const credential = encodeURIComponent(node.protocol === 'trojan' ? node.password : node.uuid);
+    return `${node.protocol}://${credential}@${server}:${node.port}?${query}#${encodeURIComponent(node.label)}`;
+}
+
+/**
+ * Clash / Mihomo 配置：代理列表加一个手动选择组和一个自动测速组。
+ * 字符串统一用 JSON 形式输出，它同时是合法的 YAML 双引号字符串
+ */
+export function renderClashSubscription(nodes) {
+    const q = JSON.stringify;
+    const lines = ['proxies:'];
+    for (const node of nodes) {
+        lines.push(`  - name: ${q(node.label)}`, `    type: ${node.protocol}`, `    server: ${q(node.server)}`, `    port: ${node.port}`, '    udp: true');
+        if (node.protocol === 'trojan') lines.push(`    password: ${q(node.password)}`);
+        else lines.push(`    uuid: ${q(node.uuid)}`);
+        if (node.protocol === 'vmess') lines.push('    alterId: 0', '    cipher: auto');
+        if (node.protocol !== 'trojan') lines.push(`    tls: ${node.tls}`);
+        if (node.tls) lines.push(`    ${node.protocol === 'trojan' ? 'sni' : 'servername'}: ${q(node.sni)}`);
+        lines.push(`    network: ${node.transport}`);
+        if (node.transport === 'ws') lines.push('    ws-opts:', `      path: ${q(node.path)}`, '      headers:', `        Host: ${q(node.host)}`);
+        if (node.transport === 'grpc') lines.push('    grpc-opts:', `      grpc-service-name: ${q(node.path)}`);
+    }
+    const names = nodes.map(node => `      - ${q(node.label)}`);
+    lines.push(
+        'proxy-groups:',
+        `  - name: ${q('🚀 节点选择')}`, '    type: select', '    proxies:', `      - ${q('♻️ 自动选择')}`, ...names,
+        `  - name: ${q('♻️ 自动选择')}`, '    type: url-test', `    url: ${q('https://www.gstatic.com/generate_204')}`, '    interval: 300', '    proxies:', ...names,
+        'rules:', `  - ${q('MATCH,🚀 节点选择')}`
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * sing-box 配置：节点 outbound 加 selector 与 urltest 两个分组
+ */
+export function renderSingboxSubscription(nodes) {
+    const outbounds = nodes.map(node => {
+        const outbound = { type: node.protocol, tag: node.label, server: node.server, server_port: node.port };
+        if (node.protocol === 'trojan') outbound.password = node.password;
+        else outbound.uuid = node.uuid;
+        if (node.protocol === 'vmess') { outbound.security = 'auto'; outbound.alter_id = 0; }
+        if (node.tls) outbound.tls = { enabled: true, server_name: node.sni };
+        if (node.transport === 'ws') outbound.transport = { type: 'ws', path: node.path, headers: { Host: node.host } };
+        if (node.transport === 'grpc') outbound.transport = { type: 'grpc', service_name: node.path };
+        return outbound;
+    });
+    const tags = nodes.map(node => node.label);
+    return JSON.stringify({
+        outbounds: [
+            { type: 'selector', tag: 'proxy', outbounds: ['auto', ...tags] },
+            { type: 'urltest', tag: 'auto', outbounds: tags, url: 'https://www.gstatic.com/generate_204', interval: '5m' },
+            ...outbounds,
+            { type: 'direct', tag: 'direct' }
+        ]
+    }, null, 2);
+}
+
+async function getSubTemplates(env) {
+    return await getStorage(env).get('sub_templates') ?? [];
+}
+
+async function saveSubTemplates(env, templates) {
+    await getStorage(env).put('sub_templates', templates);
+}
+
+// --- CIDR 与 Cloudflare IP 段 ---
+
+// 内置 Cloudflare 官方 IP 段（https://www.cloudflare.com/ips/），可在 KV 中刷新或覆盖
+const CF_IPV4_RANGES = [
+    '173.245.48.0/20', '103.21.244.0/22', '103.22.200.0/22', '103.31.4.0/22', '141.101.64.0/18',
+    '108.162.192.0/18', '190.93.240.0/20', '188.114.96.0/20', '197.234.240.0/22', '198.41.128.0/17',
+    '162.158.0.0/15', '104.16.0.0/13', '104.24.0.0/14', '172.64.0.0/13', '131.0.72.0/22'
+];
+const CF_IPV6_RANGES = [
+    '2400:cb00::/32', '2606:4700::/32', '2803:f800::/32', '2405:b500::/32',
+    '2405:8100::/32', '2a06:98c0::/29', '2c0f:f248::/32'
+];
+// 保留 / 私有 / 文档 / 组播等不可路由地址
+const BOGON_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.0.2.0/24', '192.88.99.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '::ffff:0:0/96', '64:ff9b::/96', '100::/64', '2001::/32', '2001:db8::/32',
+    '2002::/16', '3fff::/20', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+async function handleAdminCfRanges(request, env) {
+    if (!await verifyAdmin(request, env)) return jsonResponse(apiError(request, 'admin_required'), 401);
+    if (request.method === 'GET') return jsonResponse({ ranges: await getCloudflareRanges(env) });
+
+    try {
+        if (request.method === 'POST') {
+            const action = new URL(request.url).searchParams.get('action');
+            let ranges;
+            if (action === 'refresh') {
+                const [v4, v6] = await Promise.all(['ips-v4', 'ips-v6'].map(async name => {
+                    const res = await fetch(`https://www.cloudflare.com/${name}`, { signal: AbortSignal.timeout(DEFAULT_SOURCE_TIMEOUT) });
+                    if (!res.ok) throw apiFailure('cf_ranges_fetch_failed', { name, status: res.status });
+                    return (await res.text()).split(/\s+/).filter(Boolean);
+                }));
+                ranges = normalizeRanges({ v4, v6 }, 'cloudflare');
+            } else {
+                ranges = normalizeRanges(await request.json(), 'custom');
+            }
+            await getStorage(env).put('cf_ranges', ranges);
+            return jsonResponse({ success: true, ranges });
+        }
+        if (request.method === 'DELETE') {
+            await getStorage(env).delete('cf_ranges');
+            return jsonResponse({ success: true, ranges: await getCloudflareRanges(env) });
+        }
+    } catch (error) { return jsonResponse(apiError(request, error), 400); }
+    return jsonResponse(apiError(request, 'method_not_allowed'), 405);
+}
+
+/**
+ * 校验 IP 段列表，任一 CIDR 非法或地址族不符即抛错
+ */
+function normalizeRanges(input, source) {
+    const ranges = { v4: [], v6: [], source, updatedAt: new Date().toISOString() };
+    for (const family of ['v4', 'v6']) {
+        const list = Array.isArray(input[family]) ? input[family] : String(input[family] || '').split(/[\s,]+/);
+        for (const cidr of list.map(c => String(c).trim()).filter(Boolean)) {
+            const parsed = parseCIDR(cidr);
+            if (!parsed || parsed.family !== family) throw apiFailure('invalid_cidr', { family, cidr });
+            ranges[family].push(cidr);
+        }
+    }
+    if (ranges.v4.length + ranges.v6.length === 0) throw apiFailure('empty_ranges');
+    return ranges;
+}
+
+async function getCloudflareRanges(env) {
+    return await getStorage(env).get('cf_ranges') ?? { v4: CF_IPV4_RANGES, v6: CF_IPV6_RANGES, source: 'builtin', updatedAt: null };
+}
+
+/**
+ * 解析 CIDR，返回 { family, network, mask }（BigInt），非法时返回 null
+ */
+function parseCIDR(cidr) {
+    const [addr, bitsText] = String(cidr).split('/');
+    const ip = normalizeIP(addr);
+    if (!ip || !/^\d{1,3}$/.test(bitsText ?? '')) return null;
+    const family = ipFamily(ip);
+    const width = family === 'v4' ? 32n : 128n;
+    const bits = BigInt(bitsText);
+    if (bits > width) return null;
+    const mask = ((1n << width) - 1n) ^ ((1n << (width - bits)) - 1n);
+    return { family, network: ipToBigInt(ip) & mask, mask };
+}
+
+/**
+ * 预解析一组 CIDR，返回判断 IP 是否落在其中的函数
+ */
+function createRangeMatcher(ranges) {
+    const list = (Array.isArray(ranges) ? ranges : [...(ranges.v4 || []), ...(ranges.v6 || [])]).map(parseCIDR).filter(Boolean);
+    return ip => {
+        const family = ipFamily(ip);
+        const value = ipToBigInt(ip);
+        return list.some(r => r.family === family && (value & r.mask) === r.network);
+    };
+}
+
+const isBogonIP = createRangeMatcher(BOGON_RANGES);
+
+/**
+ * 校验候选 IP，返回 { ip, reason }；reason 为 invalid / bogon / not_cloudflare / blocked，通过时为 null
+ */
+function classifyIP(candidate, isCloudflareIP, isBlocked = () => false) {
+    const ip = normalizeIP(candidate);
+    if (!ip) return { ip: null, reason: 'invalid' };
+    if (isBogonIP(ip)) return { ip, reason: 'bogon' };
+    if (!isCloudflareIP(ip)) return { ip, reason: 'not_cloudflare' };
+    if (isBlocked(ip)) return { ip, reason: 'blocked' };
+    return { ip, reason: null };
+}
+
+/**
+ * 黑名单中单个 IP 按 /32 或 /128 处理，与 CIDR 一起匹配
+ */
+function createBlocklistMatcher(blocked) {
+    return createRangeMatcher(blocked.map(value => value.includes('/') ? value : `${value}/${ipFamily(value) === 'v4' ? 32 : 128}`));
+}
+
+// --- 基础工具 ---
+
+function isValidIPv4(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4) return false;
+    return parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+
+/**
+ * 解析 IPv6 为 8 个 16 位分组，格式非法返回 null
+ */
+function parseIPv6(ip) {
+    if (typeof ip !== 'string' || !/^[0-9a-fA-F:]+$/.test(ip) || ip.includes(':::')) return null;
+    const halves = ip.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    if ([...head, ...tail].some(g => !/^[0-9a-fA-F]{1,4}$/.test(g))) return null;
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+    return [...head, ...Array(missing).fill('0'), ...tail].map(g => parseInt(g, 16));
+}
+
+function isValidIPv6(ip) {
+    return parseIPv6(ip) !== null;
+}
+
+/**
+ * 按 RFC 5952 输出 IPv6 规范形式：小写、去前导零、最长连续零组压缩为 ::
+ */
+function normalizeIPv6(ip) {
+    const groups = parseIPv6(ip);
+    if (!groups) return null;
+    let bestStart = -1, bestLen = 0;
+    for (let i = 0; i < 8; i++) {
+        let len = 0;
+        while (i + len < 8 && groups[i + len] === 0) len++;
+        if (len > bestLen && len > 1) { bestStart = i; bestLen = len; }
+        i += len;
+    }
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLen).join(':')}`;
+}
+
+/**
+ * 校验语法并规范化任意地址族的 IP，格式非法时返回 null（不判断地址用途）
+ */
+function normalizeIP(ip) {
+    const value = String(ip || '').trim();
+    if (value.includes(':')) return isValidIPv6(value) ? normalizeIPv6(value) : null;
+    return isValidIPv4(value) ? value.split('.').map(Number).join('.') : null;
+}
+
+function ipFamily(ip) {
+    return ip.includes(':') ? 'v6' : 'v4';
+}
+
+function ipToBigInt(ip) {
+    if (ipFamily(ip) === 'v4') return ip.split('.').reduce((acc, oct) => (acc << 8n) + BigInt(oct), 0n);
+    return parseIPv6(ip).reduce((acc, g) => (acc << 16n) + BigInt(g), 0n);
+}
+
+/**
+ * 排序比较：IPv4 在前，同一地址族内按数值升序
+ */
+function compareIPs(a, b) {
+    const fa = ipFamily(a), fb = ipFamily(b);
+    if (fa !== fb) return fa === 'v4' ? -1 : 1;
+    const na = ipToBigInt(a), nb = ipToBigInt(b);
+    return na < nb ? -1 : na > nb ? 1 : 0;
+}
+
+/**
+ * 拼接 IP 与端口，IPv6 需要加方括号
+ */
+function formatHostPort(ip, port) {
+    return ipFamily(ip) === 'v6' ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
+
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * 替换模板中的 {变量}，未知变量原样保留
+ */
+function renderTemplate(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => key in vars ? String(vars[key] ?? '') : match);
+}
+
+function base64Encode(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+function generateToken() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function publicTokenRecord(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+/**
+ * 读取 Token 列表；旧版单 Token（token_config）会在首次读取时迁移为一个 admin 权限的 Token
+ */
+async function getApiTokens(env) {
+    const data = await getStorage(env).get('api_tokens');
+    if (data) return data;
+    const config = await getStorage(env).get('token_config');
+    if (!config) return [];
+    const tokens = [{
+        id: generateToken().slice(0, 8),
+        label: '默认 Token',
+        prefix: config.token.slice(0, 6),
+        hash: await hashToken(config.token),
+        scopes: ['admin'],
+        expiresAt: config.neverExpire ? null : config.expires,
+        createdAt: config.createdAt || new Date().toISOString(),
+        lastUsed: config.lastUsed || null,
+        usageCount: 0
+    }];
+    await saveApiTokens(env, tokens);
+    await getStorage(env).delete('token_config');
+    return tokens;
+}
+
+async function saveApiTokens(env, tokens) {
+    await getStorage(env).put('api_tokens', tokens);
+}
+
+async function getStoredIPs(env) {
+    return await getStorage(env).get('cloudflare_ips') ?? { ips: [], sources: [], count: 0 };
+}
+
+async function getStoredSpeedIPs(env) {
+    return await getStorage(env).get('cloudflare_fast_ips') ?? { fastIPs: [], count: 0 };
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers } });
+}
+
+function handleCORS() {
+    return new Response(null, { headers: { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type, Authorization' } });
+}
+
+// --- 多语言 ---
+
+// 接口错误消息（也用于保存下来的采集与运行错误）：code 是稳定的错误码，随 error 一起返回；{变量} 在返回时替换，名为 label 的变量按界面文案翻译
+const API_MESSAGES = {
+    not_found: { 'zh-CN': '接口不存在', en: 'Endpoint not found' },
+    method_not_allowed: { 'zh-CN': '不支持的请求方法', en: 'Method not allowed' },
+    internal_error: { 'zh-CN': '服务器内部错误：{detail}', en: 'Internal error: {detail}' },
+    unauthorized: { 'zh-CN': '未授权', en: 'Unauthorized' },
+    admin_required: { 'zh-CN': '需要管理员权限', en: 'Administrator access required' },
+    admin_password_not_set: { 'zh-CN': '管理员密码未配置', en: 'The administrator password is not configured' },
+    login_locked: { 'zh-CN': '登录失败次数过多，请 {seconds} 秒后再试', en: 'Too many failed logins, try again in {seconds} seconds' },
+    wrong_password: { 'zh-CN': '密码错误', en: 'Wrong password' },
+    csrf_failed: { 'zh-CN': 'CSRF 校验失败', en: 'CSRF check failed' },
+    session_not_found: { 'zh-CN': '会话不存在', en: 'Session not found' },
+    token_label_required: { 'zh-CN': '请填写 Token 名称', en: 'Enter a name for the token' },
+    invalid_scopes: { 'zh-CN': 'scopes 只能包含 {allowed}', en: 'scopes may only contain {allowed}' },
+    invalid_expire_days: { 'zh-CN': '过期天数需在 0~{max} 之间，0 表示永不过期', en: 'Expiry must be between 0 and {max} days, 0 means never' },
+    token_not_found: { 'zh-CN': 'Token 不存在', en: 'Token not found' },
+    job_busy: { 'zh-CN': '已有采集或测速任务正在运行，请稍后再试', en: 'A collection or speed test is already running, try again later' },
+    speedtest_running: { 'zh-CN': '已有测速任务正在进行', en: 'A speed test is already running' },
+    no_ips: { 'zh-CN': '暂无 IP 数据，请先采集', en: 'No IP data yet, run a collection first' },
+    no_running_job: { 'zh-CN': '没有正在进行的测速任务', en: 'No speed test is running' },
+    invalid_job_action: { 'zh-CN': 'action 只能是 start 或 cancel', en: 'action must be start or cancel' },
+    run_not_found: { 'zh-CN': '运行记录不存在: {id}', en: 'Run not found: {id}' },
+    snapshot_not_found: { 'zh-CN': '快照不存在: {id}', en: 'Snapshot not found: {id}' },
+    not_enough_snapshots: { 'zh-CN': '快照不足两份，无法对比', en: 'At least two snapshots are needed for a comparison' },
+    rollback_while_running: { 'zh-CN': '测速任务进行中，完成后会覆盖回滚结果，请先取消任务', en: 'A speed test is running and would overwrite the rollback, cancel it first' },
+    invalid_retention: { 'zh-CN': '保留份数需在 1 ~ {max} 之间', en: 'Retention must be between 1 and {max}' },
+    invalid_ip_param: { 'zh-CN': '请提供有效的 ip 参数', en: 'Provide a valid ip parameter' },
+    out_of_range: { 'zh-CN': '{label}需在 {min} ~ {max} 之间', en: '{label} must be between {min} and {max}' },
+    invalid_weight: { 'zh-CN': '权重 {key} 需在 0 ~ 1 之间', en: 'Weight {key} must be between 0 and 1' },
+    weights_all_zero: { 'zh-CN': '权重不能全部为 0', en: 'Weights cannot all be 0' },
+    unsupported_port: { 'zh-CN': '端口 {port} 不是 Cloudflare 支持的代理端口', en: 'Port {port} is not a port Cloudflare proxies' },
+    invalid_port_count: { 'zh-CN': '测试端口需要 1 ~ 6 个', en: 'Between 1 and 6 test ports are required' },
+    profile_too_slow: { 'zh-CN': '端口数 × 单端口最长测速耗时为 {required} 秒，超过单轮后台测速的 {budget} 秒预算，请减少端口、采样次数或超时', en: 'Ports × the longest test per port is {required}s, over the {budget}s budget of a background speed-test round; reduce ports, samples or timeouts' },
+    settings_not_object: { 'zh-CN': '设置必须是 JSON 对象', en: 'Settings must be a JSON object' },
+    unknown_setting: { 'zh-CN': '未知的设置项: {key}', en: 'Unknown setting: {key}' },
+    setting_not_integer: { 'zh-CN': '{label}需为 {min} ~ {max} 之间的整数', en: '{label} must be an integer between {min} and {max}' },
+    setting_invalid_host: { 'zh-CN': '{label}不是有效的域名', en: '{label} is not a valid host name' },
+    invalid_config_file: { 'zh-CN': '配置文件格式错误', en: 'The configuration file is malformed' },
+    unsupported_config_version: { 'zh-CN': '不支持的配置版本: {version}', en: 'Unsupported configuration version: {version}' },
+    sources_not_array: { 'zh-CN': 'sources 必须是数组', en: 'sources must be an array' },
+    duplicate_source_id: { 'zh-CN': '数据源 ID 重复: {id}', en: 'Duplicate source ID: {id}' },
+    tokens_not_array: { 'zh-CN': 'tokens 必须是数组', en: 'tokens must be an array' },
+    sub_templates_not_array: { 'zh-CN': 'subTemplates 必须是数组', en: 'subTemplates must be an array' },
+    output_presets_not_object: { 'zh-CN': 'outputPresets 必须是 JSON 对象', en: 'outputPresets must be a JSON object' },
+    ip_lists_not_object: { 'zh-CN': 'ipLists 必须是包含 custom、pinned、blocked 数组的 JSON 对象', en: 'ipLists must be a JSON object of custom, pinned and blocked arrays' },
+    invalid_token_id: { 'zh-CN': '无效的 Token ID: {id}', en: 'Invalid token ID: {id}' },
+    invalid_token_hash: { 'zh-CN': 'Token {id} 的哈希格式错误', en: 'Token {id} has a malformed hash' },
+    invalid_token_scopes: { 'zh-CN': 'Token {id} 的 scopes 只能包含 {allowed}', en: 'scopes of token {id} may only contain {allowed}' },
+    invalid_token_expiry: { 'zh-CN': 'Token {id} 的过期时间无效', en: 'Token {id} has an invalid expiry time' },
+    invalid_dns_family: { 'zh-CN': '地址族只能是 v4、v6 或 both', en: 'family must be v4, v6 or both' },
+    invalid_zone_id: { 'zh-CN': 'Zone ID 格式无效', en: 'Invalid Zone ID' },
+    invalid_record_name: { 'zh-CN': '记录名格式无效', en: 'Invalid record name' },
+    invalid_api_base: { 'zh-CN': 'API 地址必须以 http:// 或 https:// 开头', en: 'The API address must start with http:// or https://' },
+    dns_config_required: { 'zh-CN': '启用同步前请填写 API Token、Zone ID 和记录名', en: 'Fill in the API token, Zone ID and record name before enabling sync' },
+    dns_config_incomplete: { 'zh-CN': 'DNS 同步配置不完整', en: 'The DNS sync configuration is incomplete' },
+    channel_not_found: { 'zh-CN': '通知渠道不存在', en: 'Notification channel not found' },
+    unsupported_channel: { 'zh-CN': '不支持的通知渠道: {type}', en: 'Unsupported notification channel: {type}' },
+    telegram_fields_required: { 'zh-CN': '{name}: Telegram 需要填写 Bot Token 和 Chat ID', en: '{name}: Telegram needs a bot token and chat ID' },
+    channel_url_required: { 'zh-CN': '{name}: 请填写有效的 URL', en: '{name}: enter a valid URL' },
+    invalid_threshold: { 'zh-CN': '告警阈值 {key} 需在 {min} ~ {max} 之间', en: 'Alert threshold {key} must be between {min} and {max}' },
+    source_id_exists: { 'zh-CN': '数据源 ID 已存在: {id}', en: 'Source ID already exists: {id}' },
+    source_not_found: { 'zh-CN': '数据源不存在', en: 'Source not found' },
+    unsupported_parser: { 'zh-CN': '不支持的解析类型: {type}', en: 'Unsupported parser type: {type}' },
+    json_path_required: { 'zh-CN': 'JSON 解析需要填写 path', en: 'The JSON parser needs a path' },
+    csv_column_required: { 'zh-CN': 'CSV 解析需要填写 column', en: 'The CSV parser needs a column' },
+    html_selector_required: { 'zh-CN': 'HTML 解析需要填写 selector', en: 'The HTML parser needs a selector' },
+    invalid_source_url: { 'zh-CN': '数据源 URL 必须以 http(s):// 开头', en: 'The source URL must start with http(s)://' },
+    invalid_source_timeout: { 'zh-CN': '超时时间需在 1000 ~ 30000 ms 之间', en: 'The timeout must be between 1000 and 30000 ms' },
+    invalid_source_id: { 'zh-CN': '数据源 ID 只能包含字母、数字、点、下划线和连字符', en: 'Source IDs may only contain letters, digits, dots, underscores and hyphens' },
+    dns_domains_required: { 'zh-CN': 'DNS 解析需要填写域名', en: 'The DNS parser needs at least one domain' },
+    too_many_dns_domains: { 'zh-CN': '单个 DNS 数据源最多 {max} 个域名', en: 'A DNS source may have at most {max} domains' },
+    invalid_domain: { 'zh-CN': '无效的域名: {domain}', en: 'Invalid domain: {domain}' },
+    unsupported_doh_format: { 'zh-CN': '不支持的 DoH 格式: {format}', en: 'Unsupported DoH format: {format}' },
+    invalid_record_types: { 'zh-CN': 'DNS 记录类型只能是 A 或 AAAA', en: 'DNS record types must be A or AAAA' },
+    invalid_list: { 'zh-CN': 'list 只能是 {allowed}', en: 'list must be one of {allowed}' },
+    invalid_list_mode: { 'zh-CN': 'mode 只能是 append 或 replace', en: 'mode must be append or replace' },
+    too_many_list_entries: { 'zh-CN': '每个列表最多 {max} 条', en: 'Each list may have at most {max} entries' },
+    list_entry_not_found: { 'zh-CN': '列表中不存在: {value}', en: 'Not in the list: {value}' },
+    invalid_preset_name: { 'zh-CN': '预设名称只能包含字母、数字、点、下划线和连字符', en: 'Preset names may only contain letters, digits, dots, underscores and hyphens' },
+    preset_not_found: { 'zh-CN': '输出预设不存在: {name}', en: 'Output preset not found: {name}' },
+    invalid_format: { 'zh-CN': 'format 只能是 {allowed}', en: 'format must be one of {allowed}' },
+    invalid_port: { 'zh-CN': '端口无效', en: 'Invalid port' },
+    invalid_count: { 'zh-CN': 'count 需在 1 ~ {max} 之间', en: 'count must be between 1 and {max}' },
+    invalid_max_latency: { 'zh-CN': 'maxLatency 必须大于 0', en: 'maxLatency must be greater than 0' },
+    invalid_group_by: { 'zh-CN': 'groupBy 只能是 colo、country 或 region', en: 'groupBy must be colo, country or region' },
+    invalid_family: { 'zh-CN': 'family 只能是 v4、v6 或 both', en: 'family must be v4, v6 or both' },
+    invalid_rank: { 'zh-CN': 'rank 只能是 latest 或 stable', en: 'rank must be latest or stable' },
+    invalid_isp: { 'zh-CN': 'isp 只能是 {allowed}', en: 'isp must be one of {allowed}' },
+    isp_with_stable: { 'zh-CN': 'isp 不能与 rank=stable 同时使用', en: 'isp cannot be combined with rank=stable' },
+    ip_required: { 'zh-CN': '请提供 ip 参数', en: 'The ip parameter is required' },
+    ip_not_testable: { 'zh-CN': 'IP 不可测速: {label}', en: 'This IP cannot be tested: {label}' },
+    port_not_proxied: { 'zh-CN': '端口不是 Cloudflare 支持的代理端口', en: 'The port is not a port Cloudflare proxies' },
+    all_samples_failed: { 'zh-CN': '全部采样失败', en: 'All samples failed' },
+    no_testable_ips: { 'zh-CN': '没有可测速的 Cloudflare IP', en: 'No Cloudflare IPs to test' },
+    too_many_ips: { 'zh-CN': '单次最多测速 {max} 个 IP', en: 'At most {max} IPs can be tested at once' },
+    speedtest_token_required: { 'zh-CN': '测速需要具备 speedtest 权限的 Token', en: 'Speed tests need a token with the speedtest scope' },
+    speedtest_options_forbidden: { 'zh-CN': '覆盖测速配置需要具备 speedtest 权限的 Token', en: 'Overriding the test profile needs a token with the speedtest scope' },
+    speedtest_rate_limited: { 'zh-CN': '测速次数超出限制（每小时 {limit} 个 IP），请 {seconds} 秒后再试或使用具备 speedtest 权限的 Token', en: 'Speed test limit reached ({limit} IPs per hour), try again in {seconds} seconds or use a token with the speedtest scope' },
+    invalid_page: { 'zh-CN': 'page 必须是正整数', en: 'page must be a positive integer' },
+    invalid_page_size: { 'zh-CN': 'pageSize 需在 1 ~ {max} 之间', en: 'pageSize must be between 1 and {max}' },
+    invalid_sort: { 'zh-CN': 'sort 只能是 {allowed}', en: 'sort must be one of {allowed}' },
+    invalid_order: { 'zh-CN': 'order 只能是 asc 或 desc', en: 'order must be asc or desc' },
+    invalid_status: { 'zh-CN': 'status 只能是 {allowed}', en: 'status must be one of {allowed}' },
+    no_sub_templates: { 'zh-CN': '没有可用的订阅模板', en: 'No subscription templates are available' },
+    no_sub_nodes: { 'zh-CN': '没有符合条件的优选 IP，无法生成节点', en: 'No fast IPs match, so there are no nodes to serve' },
+    template_id_exists: { 'zh-CN': '模板 ID 已存在: {id}', en: 'Template ID already exists: {id}' },
+    template_not_found: { 'zh-CN': '模板不存在', en: 'Template not found' },
+    unsupported_protocol: { 'zh-CN': '不支持的协议: {protocol}', en: 'Unsupported protocol: {protocol}' },
+    unsupported_transport: { 'zh-CN': '不支持的传输方式: {transport}', en: 'Unsupported transport: {transport}' },
+    invalid_host: { 'zh-CN': '请填写有效的 host 域名', en: 'Enter a valid host name' },
+    password_required: { 'zh-CN': 'Trojan 需要填写 password', en: 'Trojan needs a password' },
+    uuid_required: { 'zh-CN': '{protocol} 需要填写 uuid', en: '{protocol} needs a uuid' },
+    invalid_uuid: { 'zh-CN': 'uuid 格式无效', en: 'Invalid uuid' },
+    invalid_template_id: { 'zh-CN': '模板 ID 只能包含字母、数字、点、下划线和连字符', en: 'Template IDs may only contain letters, digits, dots, underscores and hyphens' },
+    invalid_cidr: { 'zh-CN': '无效的 {family} CIDR: {cidr}', en: 'Invalid {family} CIDR: {cidr}' },
+    empty_ranges: { 'zh-CN': 'IP 段列表不能为空', en: 'The IP range list cannot be empty' },
+    storage_conflict: { 'zh-CN': '写入 {key} 时冲突次数过多，请稍后重试', en: 'Too many conflicting writes to {key}, try again later' },
+    cf_ranges_fetch_failed: { 'zh-CN': '获取 {name} 失败: HTTP {status}', en: 'Failed to fetch {name}: HTTP {status}' },
+    csv_column_not_found: { 'zh-CN': 'CSV 中找不到列: {column}', en: 'Column not found in the CSV: {column}' },
+    doh_invalid_response: { 'zh-CN': 'DoH 响应格式错误', en: 'Malformed DoH response' },
+    dns_message_too_short: { 'zh-CN': 'DNS 响应报文过短', en: 'The DNS response message is too short' },
+    dns_message_incomplete: { 'zh-CN': 'DNS 响应报文不完整', en: 'The DNS response message is incomplete' },
+    dns_record_failed: { 'zh-CN': '{type}: {detail}', en: '{type}: {detail}' },
+    no_resolvable_domains: { 'zh-CN': '没有可解析的域名', en: 'No domains to resolve' },
+    collect_failed: { 'zh-CN': '采集失败: {detail}', en: 'Collection failed: {detail}' },
+    no_ips_collected: { 'zh-CN': '没有采集到任何 IP，请检查数据源状态', en: 'No IPs were collected, check the source status' },
+    all_tests_failed: { 'zh-CN': '全部 {count} 个 IP 测速失败，请检查测速目标主机、端口与超时设置', en: 'All {count} IPs failed the speed test, check the test host, port and timeout settings' },
+    dns_sync_failed: { 'zh-CN': 'DNS 同步失败: {detail}', en: 'DNS sync failed: {detail}' },
+    finish_failed: { 'zh-CN': '结果处理失败: {detail}', en: 'Processing the results failed: {detail}' }
+};
+
+/**
+ * 选择请求使用的语言：?lang= 优先，其次是 Cookie 中保存的选择，最后按 Accept-Language 的 q 值匹配
+ */
+function resolveLocale(request) {
+    const url = new URL(request.url);
+    const cookie = (request.headers.get('Cookie') || '').split(';').map(part => part.trim().split('='))
+        .find(([name]) => name === LANG_COOKIE)?.[1];
+    return matchLocale(url.searchParams.get('lang')) || matchLocale(cookie)
+        || parseAcceptLanguage(request.headers.get('Accept-Language')).map(matchLocale).find(Boolean)
+        || DEFAULT_LOCALE;
+}
+
+/**
+ * 把语言标签对应到支持的语言：先完整匹配，再按主语言匹配（zh-TW → zh-CN，en-US → en）
+ */
+function matchLocale(tag) {
+    if (!tag) return null;
+    const lower = String(tag).toLowerCase();
+    const locales = Object.keys(LOCALES);
+    return locales.find(locale => locale.toLowerCase() === lower)
+        || locales.find(locale => locale.toLowerCase().split('-')[0] === lower.split('-')[0])
+        || null;
+}
+
+function parseAcceptLanguage(header) {
+    return (header || '').split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { tag, q: q ? Number(q.slice(2)) : 1 };
+        })
+        .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(({ tag }) => tag);
+}
+
+function localizeMessage(locale, code, params = {}) {
+    const messages = API_MESSAGES[code] || API_MESSAGES.internal_error;
+    const vars = 'label' in params ? { ...params, label: translateUI(locale, params.label) } : params;
+    return renderTemplate(messages[locale] ?? messages[DEFAULT_LOCALE], vars);
+}
+
+/**
+ * 校验失败时抛出的错误：message 为默认语言的消息（供日志与内部调用使用），接口返回时按请求语言重新生成
+ */
+function apiFailure(code, params = {}) {
+    return Object.assign(new Error(localizeMessage(DEFAULT_LOCALE, code, params)), { code, params });
+}
+
+/**
+ * 接口错误响应体 { code, error }。failure 可以是错误码或 apiFailure 抛出的错误；
+ * 其他错误（请求体不是 JSON、上游接口失败等）的消息原样返回，错误码为 invalid_request
+ */
+function apiError(request, failure, params = {}) {
+    const locale = resolveLocale(request);
+    if (typeof failure === 'string') return { code: failure, error: localizeMessage(locale, failure, params) };
+    if (failure.code && API_MESSAGES[failure.code]) return { code: failure.code, error: localizeMessage(locale, failure.code, failure.params) };
+    return { code: 'invalid_request', error: failure.message };
+}
+
+/**
+ * 需要保存下来的错误（数据源采集结果、运行记录、数据源统计）：apiFailure 保存为 { code, params }，
+ * 读取时按请求语言翻译；其他错误只保存消息
+ */
+function errorValue(error) {
+    return error.code && API_MESSAGES[error.code] ? { code: error.code, params: error.params } : error.message;
+}
+
+/**
+ * 把保存的错误转为指定语言的文本：params 中嵌套的错误一并翻译，数组按「; 」拼接，
+ * 字符串（未编码的错误与旧数据）原样返回
+ */
+function localizeError(locale, value) {
+    if (Array.isArray(value)) return value.map(item => localizeError(locale, item)).join('; ');
+    if (!value || typeof value !== 'object') return value;
+    const params = Object.fromEntries(Object.entries(value.params || {})
+        .map(([key, param]) => [key, param && typeof param === 'object' ? localizeError(locale, param) : param]));
+    return localizeMessage(locale, value.code, params);
+}
+
+/**
+ * 翻译数据源采集结果及其中各域名解析结果的错误
+ */
+function localizeSourceResults(locale, results = []) {
+    return results.map(r => ({
+        ...r,
+        ...(r.error && { error: localizeError(locale, r.error) }),
+        ...(r.domains && { domains: r.domains.map(d => d.error ? { ...d, error: localizeError(locale, d.error) } : d) })
+    }));
+}
+
+/**
+ * 界面文案：以中文原文为键查找 UI_TRANSLATIONS，没有译文时使用原文
+ */
+function translateUI(locale, text, params = {}) {
+    return renderTemplate(UI_TRANSLATIONS[locale]?.[text] ?? text, params);
+}
+
+/** --- 前端页面 --- **/
+
+// 页面外壳只随语言变化，脚本与样式与请求无关，数据由脚本加载后经接口获取（会话、CSRF Token 来自 /admin-status），
+// 因此可以使用严格的 CSP：不允许内联脚本、内联样式与第三方资源。通过 ?lang= 切换语言时写入 Cookie 记住选择
+function serveHTML(request) {
+    const locale = resolveLocale(request);
+    const headers = {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Language': locale,
+        'Cache-Control': 'no-cache',
+        'Vary': 'Accept-Language, Cookie',
+        'Content-Security-Policy': DASHBOARD_CSP,
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'no-referrer'
+    };
+    if (matchLocale(new URL(request.url).searchParams.get('lang'))) {
+        headers['Set-Cookie'] = `${LANG_COOKIE}=${locale}; Path=/; Max-Age=31536000; SameSite=Lax`;
+    }
+    return new Response(renderDashboardShell(locale), { headers });
+}
+
+function serveAsset(path) {
+    const [type, body] = path === '/assets/app.js'
+        ? ['application/javascript; charset=utf-8', renderDashboardScript()]
+        : ['text/css; charset=utf-8', DASHBOARD_CSS];
+    return new Response(body, { headers: { 'Content-Type': type, 'Cache-Control': 'no-cache', 'X-Content-Type-Options': 'nosniff' } });
+}
+
+/**
+ * 首页概览与各优选列表的数据。汇总数字公开；各优选列表与 /fast-ips 一样需要 read_fast_ips 权限，
+ * 没有权限时只返回汇总数字并标记 locked。
+ * fastIPs 中的 change 为相对上一份快照的排名变化：'new' 表示新进入优选，正数为上升、负数为下降
+ */
+async function handleDashboardData(env, request) {
+    const data = await getStoredIPs(env);
+    const speedData = await getStoredSpeedIPs(env);
+    const settings = await getSettings(env);
+    const snapshotDiff = await getLatestSnapshotDiff(env);
+    const summary = {
+        count: data.count || 0,
+        familyCounts: { v4: data.familyCounts?.v4 ?? data.count ?? 0, v6: data.familyCounts?.v6 ?? 0 },
+        lastUpdated: data.lastUpdated || null,
+        fastCount: speedData.count || 0,
+        fastIPCount: settings.fastIPCount,
+        snapshotDiff: snapshotDiff ? { ips: { addedCount: snapshotDiff.ips.addedCount, removedCount: snapshotDiff.ips.removedCount }, fastIPs: { summary: snapshotDiff.fastIPs.summary } } : null
+    };
+    if (!await verifyAccess(request, env, 'read_fast_ips')) return jsonResponse({ ...summary, locked: true }, 200, { 'Cache-Control': 'no-store' });
+
+    const rankChanges = new Map();
+    snapshotDiff?.fastIPs.added.forEach(entry => rankChanges.set(`${entry.ip}|${entry.port ?? ''}`, 'new'));
+    snapshotDiff?.fastIPs.changed.forEach(entry => rankChanges.set(`${entry.ip}|${entry.port ?? ''}`, entry.change));
+    const fastIPs = (speedData.fastIPs || []).map(entry => ({ ...entry, change: rankChanges.get(`${entry.ip}|${entry.port ?? ''}`) ?? null }));
+    // 机房分组按组内最高评分排序
+    const coloGroups = Object.entries(speedData.coloRankings || {})
+        .filter(([, entries]) => entries.length > 0)
+        .sort(([, a], [, b]) => compareResults(a[0], b[0]))
+        .map(([colo, entries]) => ({ colo, entries }));
+    const pool = [...fastIPs, ...coloGroups.flatMap(group => group.entries)];
+    return jsonResponse({
+        ...summary,
+        locked: false,
+        fastIPs,
+        coloGroups,
+        stableIPs: speedData.stableIPs || [],
+        carrierRankings: speedData.carrierRankings || {},
+        colos: [...new Set(pool.map(i => i.colo).filter(Boolean))].sort(),
+        regions: [...new Set(pool.map(i => i.region).filter(Boolean))].sort()
+    }, 200, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * 页面外壳：只包含与请求无关的常量（设置项、Token 权限、运营商、端口等）和所选语言的文案，不含任何会话或 Token
+ */
+function renderDashboardShell(locale) {
+    const T = (text, params) => translateUI(locale, text, params);
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${T('Cloudflare IP 收集器')}</title>
+    <link rel="stylesheet" href="/assets/app.css">
+    <script src="/assets/app.js" defer></script>
+</head>
+<body class="bg-slate-50 text-slate-900 min-h-screen">
+    <!-- 语言切换与管理员标识 -->
+    <div class="fixed top-4 right-4 z-50 flex items-center gap-2">
+        <select id="lang-switcher" data-change="switchLanguage" aria-label="Language" class="px-3 py-2 rounded-full font-bold shadow-lg bg-white text-slate-700 outline-none">
+            ${Object.entries(LOCALES).map(([code, name]) => `<option value="${code}"${code === locale ? ' selected' : ''}>${name}</option>`).join('')}
+        </select>
+        <div class="relative">
+            <button id="admin-badge" data-action="toggleAdminMenu" class="px-4 py-2 rounded-full font-bold shadow-lg flex items-center gap-2 transition-all bg-slate-400 text-white">${T('⏳ 加载中')}</button>
+            <div id="admin-dropdown" class="hidden absolute right-0 mt-2 w-48 bg-white border border-slate-200 rounded-xl shadow-xl overflow-hidden">
+                <button data-action="logout" class="w-full text-left px-4 py-3 text-sm text-slate-700 hover:bg-slate-50 transition-colors">${T('🚪 退出登录')}</button>
+            </div>
+        </div>
+    </div>
+
+    <div class="max-w-6xl mx-auto px-4 py-12">
+        <div class="mb-12 text-center">
+            <h1 class="text-4xl font-extrabold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-indigo-600 mb-4">${T('Cloudflare 优选 IP 收集器')}</h1>
+            <p class="text-slate-500">${T('自动多源采集，智能后台测速，一键导出配置')}</p>
+        </div>
+
+        <!-- 统计面板 -->
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+                <p class="text-sm font-semibold text-slate-400 mb-1">${T('采集总量')}</p>
+                <p class="text-3xl font-bold text-blue-600" id="ip-count">-</p>
+                <p class="text-xs text-slate-400 mt-1" id="ip-family-counts"></p>
+            </div>
+            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+                <p class="text-sm font-semibold text-slate-400 mb-1">${T('优质数量')}</p>
+                <p class="text-3xl font-bold text-emerald-600" id="fast-ip-count">-</p>
+            </div>
+            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+                <p class="text-sm font-semibold text-slate-400 mb-1">${T('采集状态')}</p>
+                <p class="text-3xl font-bold text-indigo-600" id="last-updated">-</p>
+            </div>
+            <div class="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+                <p class="text-sm font-semibold text-slate-400 mb-1">${T('更新时间')}</p>
+                <p class="text-lg font-bold text-slate-700 mt-2" id="last-time">-</p>
+            </div>
+        </div>
+
+        <!-- 操作区 -->
+        <div class="bg-white rounded-3xl border border-slate-200 p-8 shadow-sm mb-8">
+            <h2 class="text-xl font-bold mb-6 flex items-center gap-2">${T('🛠️ 控制面板')}</h2>
+            <div class="flex flex-wrap gap-4">
+                <button data-action="updateIPs" id="update-btn" class="px-6 py-3 bg-blue-600 text-white rounded-xl font-bold hover:bg-blue-700 shadow-lg shadow-blue-100 transition-all flex items-center gap-2">${T('🔄 立即采集')}</button>
+                <button data-action="startSpeedTest" id="speedtest-btn" class="px-6 py-3 bg-amber-500 text-white rounded-xl font-bold hover:bg-amber-600 shadow-lg shadow-amber-100 transition-all flex items-center gap-2">${T('⚡ 手动测速')}</button>
+                <div class="h-10 w-px bg-slate-200 mx-2 hidden md:block"></div>
+                <button data-action="downloadFast" class="px-6 py-3 bg-emerald-600 text-white rounded-xl font-bold hover:bg-emerald-700 transition-all">${T('📥 下载 IP 文件')}</button>
+                <button data-action="openItdog" class="px-6 py-3 bg-slate-800 text-white rounded-xl font-bold hover:bg-slate-900 transition-all">${T('🌐 ITDog 联测')}</button>
+                <button data-action="refreshData" class="px-6 py-3 border border-slate-200 text-slate-600 rounded-xl font-bold hover:bg-slate-50 transition-all">${T('🔄 刷新数据')}</button>
+            </div>
+
+            <div id="loading" class="hidden mt-8 text-center animate-pulse">
+                <div class="inline-block w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mb-4"></div>
+                <p class="text-slate-500">${T('正在处理任务，请稍后...')}</p>
+            </div>
+
+            <!-- 测速任务进度 -->
+            <div id="job-progress" class="hidden mt-8">
+                <div class="flex items-center justify-between mb-2 text-sm">
+                    <span class="font-bold text-slate-600" id="job-status-text">${T('测速任务')}</span>
+                    <button data-action="cancelSpeedTest" id="job-cancel-btn" class="px-3 py-1 text-rose-600 font-bold hover:bg-rose-50 rounded-lg">${T('✖ 取消')}</button>
+                </div>
+                <div class="w-full h-3 bg-slate-100 rounded-full overflow-hidden">
+                    <div id="job-progress-bar" class="h-3 bg-amber-500 rounded-full transition-all"></div>
+                </div>
+            </div>
+
+            <!-- 管理区域：登录后显示 -->
+            <div id="admin-panel" class="hidden">
+                <!-- Token 管理区域 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="font-bold text-slate-800">${T('🔑 API Token 管理')}</h3>
+                        <button data-action="openTokenModal" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('➕ 创建 Token')}</button>
+                    </div>
+                    <div id="token-created" class="hidden mb-4 p-4 bg-emerald-50 border border-emerald-200 rounded-2xl">
+                        <p class="text-xs font-bold text-emerald-700 mb-2">${T('新 Token 只显示这一次，请立即复制保存')}</p>
+                        <div class="flex flex-wrap items-center gap-2">
+                            <code id="token-created-value" class="text-sm font-mono bg-white px-3 py-1.5 rounded-lg border border-emerald-200 text-indigo-600 break-all"></code>
+                            <button data-action="copyToken" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('📋 复制')}</button>
+                        </div>
+                    </div>
+                    <div class="bg-slate-50 rounded-2xl border border-slate-100 overflow-x-auto">
+                        <table class="w-full text-sm">
+                            <thead class="text-xs text-slate-400 text-left">
+                                <tr><th class="px-4 py-3">${T('名称')}</th><th class="px-4 py-3">Token</th><th class="px-4 py-3">${T('权限')}</th><th class="px-4 py-3">${T('过期')}</th><th class="px-4 py-3">${T('最近使用')}</th><th class="px-4 py-3 text-right">${T('次数')}</th><th class="px-4 py-3"></th></tr>
+                            </thead>
+                            <tbody id="token-list" class="divide-y divide-slate-100">
+                                <tr><td colspan="7" class="py-6 text-center text-slate-400">${T('加载中...')}</td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- 登录会话 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <h3 class="font-bold text-slate-800 mb-4">${T('🖥️ 登录会话')}</h3>
+                    <div id="session-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100">
+                        <div class="py-6 text-center text-slate-400 text-sm">${T('加载中...')}</div>
+                    </div>
+                </div>
+
+                <!-- 数据源管理区域 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex items-center justify-between mb-4">
+                        <h3 class="font-bold text-slate-800">${T('📡 数据源管理')}</h3>
+                        <button data-action="openSourceModal" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('➕ 添加数据源')}</button>
+                    </div>
+                    <div id="source-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100">
+                        <div class="py-6 text-center text-slate-400 text-sm">${T('加载中...')}</div>
+                    </div>
+                </div>
+
+                <!-- 数据源质量 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="mb-4">
+                        <h3 class="font-bold text-slate-800">${T('📊 数据源质量')}</h3>
+                        <p class="text-xs text-slate-400 mt-1">${T('按最近一次测速中各数据源的 IP 进入优选的比例排序，独有表示只有该数据源提供的 IP 数')}</p>
+                    </div>
+                    <div class="bg-slate-50 rounded-2xl border border-slate-100 overflow-x-auto">
+                        <table class="w-full text-sm">
+                            <thead class="text-xs text-slate-400 text-left">
+                                <tr><th class="px-4 py-3">#</th><th class="px-4 py-3">${T('数据源')}</th><th class="px-4 py-3 text-right">${T('IP 数')}</th><th class="px-4 py-3 text-right">${T('独有')}</th><th class="px-4 py-3 text-right">${T('进入优选')}</th><th class="px-4 py-3 text-right">${T('连续失败')}</th><th class="px-4 py-3 text-right">${T('平均响应')}</th><th class="px-4 py-3">${T('状态')}</th></tr>
+                            </thead>
+                            <tbody id="source-stats-list" class="divide-y divide-slate-100">
+                                <tr><td colspan="8" class="py-6 text-center text-slate-400">${T('加载中...')}</td></tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- 手动 IP 列表 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('📝 手动 IP 列表')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('自定义 IP 在下次采集时并入；置顶 IP 测速后始终排在优选最前；黑名单支持 IP 和 CIDR，保存后立即从各处排除')}</p>
+                        </div>
+                        <div class="flex bg-slate-100 rounded-lg p-1 text-sm font-bold">
+                            <button data-action="switchIPList" data-arg="custom" id="iplist-tab-custom" class="px-3 py-1 rounded-md bg-white shadow-sm">${T('自定义')}</button>
+                            <button data-action="switchIPList" data-arg="pinned" id="iplist-tab-pinned" class="px-3 py-1 rounded-md text-slate-500">${T('置顶')}</button>
+                            <button data-action="switchIPList" data-arg="blocked" id="iplist-tab-blocked" class="px-3 py-1 rounded-md text-slate-500">${T('黑名单')}</button>
+                        </div>
+                    </div>
+                    <textarea id="iplist-editor" rows="8" placeholder="${T('每行一个 IP，也可以直接粘贴文本或 CSV')}" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea>
+                    <div class="flex flex-wrap items-center justify-between gap-3 mt-3">
+                        <span id="iplist-count" class="text-xs text-slate-400"></span>
+                        <div class="flex gap-2">
+                            <label class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50 cursor-pointer">${T('📂 导入文件')}<input type="file" accept=".txt,.csv,text/plain,text/csv" data-change="importIPListFile" class="hidden"></label>
+                            <button data-action="exportIPList" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('📥 导出')}</button>
+                            <button data-action="clearIPList" class="px-4 py-2 bg-white border border-rose-200 text-rose-600 text-sm font-bold rounded-lg">${T('🗑 清空')}</button>
+                            <button data-action="saveIPList" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存')}</button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- 订阅模板 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex items-center justify-between mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🔗 订阅模板')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('订阅链接使用 API Token 鉴权，节点地址取当前优选 IP')}</p>
+                        </div>
+                        <button data-action="openSubModal" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('➕ 添加模板')}</button>
+                    </div>
+                    <div id="sub-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100">
+                        <div class="py-6 text-center text-slate-400 text-sm">${T('加载中...')}</div>
+                    </div>
+                </div>
+
+                <!-- 输出预设 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('📤 输出预设')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('保存常用的输出参数，通过 /fast-ips.txt?preset=名称 或 /ips?preset=名称 调用')}</p>
+                        </div>
+                        <button data-action="saveOutputPreset" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存预设')}</button>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('名称')}</span><input type="text" id="preset-name" placeholder="clash" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('格式')}</span><select id="preset-format" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"><option value="txt">TXT</option><option value="csv">CSV</option><option value="json">JSON</option></select></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('数量')}</span><input type="number" id="preset-count" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('最大延迟 (ms)')}</span><input type="number" id="preset-maxLatency" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('端口')}</span><input type="number" id="preset-port" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('地址族')}</span><select id="preset-family" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"><option value="">${T('全部')}</option><option value="v4">IPv4</option><option value="v6">IPv6</option></select></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('机房（逗号分隔）')}</span><input type="text" id="preset-colo" placeholder="HKG,NRT" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('排行')}</span><select id="preset-rank" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"><option value="">${T('最新')}</option><option value="stable">${T('稳定')}</option></select></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('线路')}</span><select id="preset-isp" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"><option value="">${T('不限')}</option>${Object.entries(CARRIERS).map(([isp, label]) => `<option value="${isp}">${escapeHTML(T(label))}</option>`).join('')}</select></label>
+                        <label class="block col-span-2 md:col-span-4"><span class="block font-bold text-slate-400 mb-2">${T('行模板（仅 TXT）：{ip} {host} {endpoint} {port} {latency} {index} {colo} {country} {region} {isp} {score} {family}')}</span><input type="text" id="preset-template" placeholder="{host}#{colo}-{latency}ms" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                    </div>
+                    <div id="preset-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100"></div>
+                </div>
+
+                <!-- 运行设置 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('⚙️ 运行设置')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('保存在 KV 中，下一次采集或测速时生效')}</p>
+                        </div>
+                        <div class="flex gap-2">
+                            <button data-action="resetSettings" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('↩️ 恢复默认')}</button>
+                            <button data-action="saveSettings" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存设置')}</button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        ${Object.entries(SETTINGS_SCHEMA).map(([key, field]) => field.type === 'int'
+                            ? `<label class="block"><span class="block font-bold text-slate-400 mb-2">${T('{label}（{min} ~ {max}）', { label: T(field.label), min: field.min, max: field.max })}</span><input type="number" id="setting-${key}" min="${field.min}" max="${field.max}" placeholder="${field.default}" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>`
+                            : `<label class="block"><span class="block font-bold text-slate-400 mb-2">${T(field.label)}</span><input type="text" id="setting-${key}" placeholder="${field.default}" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>`).join('')}
+                    </div>
+                    <div class="flex flex-wrap items-center gap-3 mt-4 text-sm">
+                        <button data-action="exportConfig" class="px-4 py-2 bg-white border border-slate-200 font-bold rounded-lg hover:bg-slate-50">${T('📤 导出配置')}</button>
+                        <label class="px-4 py-2 bg-white border border-slate-200 font-bold rounded-lg hover:bg-slate-50 cursor-pointer">${T('📥 导入配置')}<input type="file" accept=".json,application/json" data-change="importConfigFile" class="hidden"></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="config-include-secrets" class="rounded border-slate-300"><span class="font-bold text-slate-600">${T('导出时包含 Token 哈希与密钥')}</span></label>
+                    </div>
+                    <p class="text-xs text-slate-400 mt-2">${T('配置文件包含全部配置：运行设置、测速配置、数据源、API Token、DNS 同步、通知、手动 IP 列表、订阅模板、输出预设、IP 段与快照设置。不含哈希的 Token 在导入时会被跳过，不含的密钥沿用当前已保存的值。')}</p>
+                </div>
+
+                <!-- 测速配置 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <h3 class="font-bold text-slate-800">${T('🧪 测速配置')}</h3>
+                        <div class="flex gap-2">
+                            <button data-action="resetTestProfile" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('↩️ 恢复默认')}</button>
+                            <button data-action="saveTestProfile" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存配置')}</button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <label class="block col-span-2 md:col-span-4"><span class="block font-bold text-slate-400 mb-2">${T('测试端口（逗号分隔，最多 6 个）：HTTPS {https}，HTTP {http}', { https: CF_HTTPS_PORTS.join(' '), http: CF_HTTP_PORTS.join(' ') })}</span><input type="text" id="profile-ports" placeholder="443,2053,8443" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('采样次数')}</span><input type="number" id="profile-samples" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('采样超时 (ms)')}</span><input type="number" id="profile-timeout" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('吞吐下载字节 (0 不测)')}</span><input type="number" id="profile-downloadBytes" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('下载超时 (ms)')}</span><input type="number" id="profile-downloadTimeout" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('延迟权重')}</span><input type="number" step="0.05" id="profile-w-latency" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('抖动权重')}</span><input type="number" step="0.05" id="profile-w-jitter" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('丢包权重')}</span><input type="number" step="0.05" id="profile-w-loss" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('吞吐权重')}</span><input type="number" step="0.05" id="profile-w-throughput" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                    </div>
+                </div>
+
+                <!-- 批量测速 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🎯 批量测速')}</h3>
+                            <p class="text-xs text-slate-400 mt-1" id="batch-progress">${T('粘贴 IP（每次最多 {max} 个，只测 Cloudflare IP 段内的地址），使用当前测速配置，结果实时显示', { max: SPEEDTEST_BATCH_MAX_IPS })}</p>
+                        </div>
+                        <div class="flex items-center gap-2">
+                            <input type="text" id="batch-ports" placeholder="${T('端口（留空使用测速配置）')}" class="w-48 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg outline-none font-mono text-sm">
+                            <button data-action="runBatchSpeedTest" id="batch-run" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('▶️ 开始测速')}</button>
+                        </div>
+                    </div>
+                    <textarea id="batch-ips" rows="4" placeholder="104.16.0.1&#10;104.17.0.1" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-sm"></textarea>
+                    <div class="mt-4 bg-slate-50 rounded-2xl border border-slate-100 overflow-x-auto">
+                        <table class="w-full text-sm">
+                            <thead class="text-xs text-slate-400 text-left"><tr><th class="px-4 py-3">IP</th><th class="px-4 py-3">${T('端口')}</th><th class="px-4 py-3">${T('机房')}</th><th class="px-4 py-3 text-right">${T('延迟')}</th><th class="px-4 py-3 text-right">${T('抖动')}</th><th class="px-4 py-3 text-right">${T('丢包')}</th><th class="px-4 py-3 text-right">${T('评分')}</th></tr></thead>
+                            <tbody id="batch-results" class="divide-y divide-slate-100"><tr><td colspan="7" class="py-6 text-center text-slate-400">${T('暂无结果')}</td></tr></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Cloudflare IP 段 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🛡️ Cloudflare IP 段')}</h3>
+                            <p class="text-xs text-slate-400 mt-1" id="cf-ranges-info">${T('加载中...')}</p>
+                        </div>
+                        <div class="flex gap-2">
+                            <button data-action="refreshCfRanges" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('🌐 从官方刷新')}</button>
+                            <button data-action="resetCfRanges" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('↩️ 恢复内置')}</button>
+                            <button data-action="saveCfRanges" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存自定义')}</button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <textarea id="cf-ranges-v4" rows="6" placeholder="${T('IPv4 CIDR，每行一个')}" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea>
+                        <textarea id="cf-ranges-v6" rows="6" placeholder="${T('IPv6 CIDR，每行一个')}" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea>
+                    </div>
+                </div>
+
+                <!-- DNS 同步 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🌐 DNS 同步')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('测速任务完成后把前 N 个优选 IP 同步到 Cloudflare DNS 记录')}</p>
+                        </div>
+                        <div class="flex gap-2">
+                            <button data-action="syncDnsNow" data-arg="true" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('🔍 预演')}</button>
+                            <button data-action="syncDnsNow" data-arg="false" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('🔄 立即同步')}</button>
+                            <button data-action="saveDnsConfig" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存配置')}</button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">API Token</span><input type="password" id="dns-apiToken" placeholder="${T('已保存则留空')}" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">Zone ID</span><input type="text" id="dns-zoneId" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('记录名')}</span><input type="text" id="dns-recordName" placeholder="cf.example.com" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('地址族')}</span><select id="dns-family" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"><option value="v4">A (IPv4)</option><option value="v6">AAAA (IPv6)</option><option value="both">A + AAAA</option></select></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('发布数量 N')}</span><input type="number" id="dns-topN" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('最少 IP 数 K')}</span><input type="number" id="dns-minIPs" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('TTL（1 为自动）')}</span><input type="number" id="dns-ttl" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('API 地址')}</span><input type="text" id="dns-apiBase" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></label>
+                    </div>
+                    <div class="flex flex-wrap gap-6 mt-4">
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="dns-enabled" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('测速完成后自动同步')}</span></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="dns-dryRun" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('预演模式（只记录不修改）')}</span></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="dns-proxied" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('开启代理（橙色云朵）')}</span></label>
+                    </div>
+                    <div id="dns-log" class="mt-4 bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100 max-h-64 overflow-y-auto"></div>
+                </div>
+
+                <!-- 运行日志 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('📜 运行日志')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('最近 {limit} 次运行的触发方式、各阶段耗时、数据源结果与错误，点击展开数据源明细', { limit: RUN_LOG_LIMIT })}</p>
+                        </div>
+                        <button data-action="loadRuns" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('🔄 刷新')}</button>
+                    </div>
+                    <div id="run-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100 max-h-96 overflow-y-auto"></div>
+                </div>
+
+                <!-- 运行快照 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🗂️ 运行快照')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('每次测速完成保存一份 IP 列表与优选结果，可对比或回滚到旧快照')}</p>
+                        </div>
+                        <div class="flex items-center gap-2">
+                            <label class="text-sm font-bold text-slate-400">${T('保留份数')}</label>
+                            <input type="number" id="snapshot-retention" class="w-20 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none text-sm">
+                            <button data-action="saveSnapshotConfig" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存')}</button>
+                        </div>
+                    </div>
+                    <div id="snapshot-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100 max-h-80 overflow-y-auto"></div>
+                    <div id="snapshot-diff" class="hidden mt-4 bg-slate-50 rounded-2xl border border-slate-100 p-4 text-xs"></div>
+                </div>
+
+                <!-- 通知 -->
+                <div class="mt-8 pt-8 border-t border-slate-100">
+                    <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <div>
+                            <h3 class="font-bold text-slate-800">${T('🔔 通知')}</h3>
+                            <p class="text-xs text-slate-400 mt-1">${T('运行摘要与异常告警，阈值为 0 表示关闭该项告警')}</p>
+                        </div>
+                        <div class="flex gap-2">
+                            <button data-action="resetNotifyConfig" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('↩️ 恢复默认')}</button>
+                            <button data-action="openChannelModal" class="px-4 py-2 bg-white border border-slate-200 text-sm font-bold rounded-lg hover:bg-slate-50">${T('➕ 添加渠道')}</button>
+                            <button data-action="saveNotifyConfig" class="px-4 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700">${T('💾 保存配置')}</button>
+                        </div>
+                    </div>
+                    <div id="channel-list" class="bg-slate-50 rounded-2xl border border-slate-100 divide-y divide-slate-100 mb-4"></div>
+                    <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('数据源连续失败次数')}</span><input type="number" id="notify-sourceFailStreak" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('IP 数下降超过 (%)')}</span><input type="number" id="notify-ipDropPercent" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                        <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('无 IP 低于延迟 (ms)')}</span><input type="number" id="notify-latencyMs" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none"></label>
+                    </div>
+                    <div class="flex flex-wrap gap-6 mt-4">
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="notify-event-summary" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('运行摘要')}</span></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="notify-event-source_fail" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('数据源失败')}</span></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="notify-event-ip_drop" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('IP 数下降')}</span></label>
+                        <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="notify-event-latency" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('延迟过高')}</span></label>
+                    </div>
+                    <details class="mt-4">
+                        <summary class="text-sm font-bold text-slate-500 cursor-pointer">${T('📝 消息模板')}</summary>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 text-sm">
+                            <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('运行摘要：{trigger} {total} {tested} {passed} {sources} {sourceDetails} {top} {duration}')}</span><textarea id="notify-tpl-summary" rows="6" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea></label>
+                            <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('数据源失败：{source} {streak} {error}')}</span><textarea id="notify-tpl-source_fail" rows="6" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea></label>
+                            <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('IP 数下降：{previous} {current} {percent}')}</span><textarea id="notify-tpl-ip_drop" rows="3" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea></label>
+                            <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('延迟过高：{threshold} {best}')}</span><textarea id="notify-tpl-latency" rows="3" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea></label>
+                            <label class="block"><span class="block font-bold text-slate-400 mb-2">${T('测试消息：{time}')}</span><textarea id="notify-tpl-test" rows="3" class="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono text-xs"></textarea></label>
+                        </div>
+                    </details>
+                </div>
+            </div>
+        </div>
+
+        <!-- IP 列表 -->
+        <div class="bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+            <div class="px-8 py-6 border-b border-slate-100 flex justify-between items-center">
+                <div>
+                    <h2 class="text-xl font-bold">${T('⚡ 优选地址 (Top')} <span id="fast-ip-limit">-</span>)</h2>
+                    <p id="fast-ip-diff" class="hidden text-xs text-slate-400 mt-1"></p>
+                </div>
+                <div class="flex flex-wrap items-center gap-2">
+                    <div class="flex bg-slate-100 rounded-lg p-1 text-sm font-bold">
+                        <button data-action="switchView" data-arg="global" id="view-global" class="px-3 py-1 rounded-md bg-white shadow-sm">${T('全局排行')}</button>
+                        <button data-action="switchView" data-arg="colo" id="view-colo" class="px-3 py-1 rounded-md text-slate-500">${T('机房排行')}</button>
+                        <button data-action="switchView" data-arg="stable" id="view-stable" class="px-3 py-1 rounded-md text-slate-500">${T('稳定排行')}</button>
+                        ${Object.entries(CARRIERS).map(([isp, label]) => `<button data-action="switchView" data-arg="${isp}" id="view-${isp}" class="px-3 py-1 rounded-md text-slate-500">${escapeHTML(T(label))}</button>`).join('')}
+                    </div>
+                    <select id="colo-filter" data-change="applyListFilter" class="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm">
+                        <option value="">${T('全部机房')}</option>
+                    </select>
+                    <select id="region-filter" data-change="applyListFilter" class="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm">
+                        <option value="">${T('全部地区')}</option>
+                    </select>
+                    <button data-action="copyFastIPs" class="text-blue-600 font-bold hover:underline px-4 py-2 hover:bg-blue-50 rounded-lg transition-colors">${T('📋 复制全部优选')}</button>
+                </div>
+            </div>
+            <div id="ip-list" class="divide-y divide-slate-100 max-h-[600px] overflow-y-auto">
+                <div class="py-20 text-center text-slate-400">${T('加载中...')}</div>
+            </div>
+            <div id="colo-list" class="hidden divide-y divide-slate-100 max-h-[600px] overflow-y-auto"></div>
+            <div id="stable-list" class="hidden divide-y divide-slate-100 max-h-[600px] overflow-y-auto"></div>
+            ${Object.keys(CARRIERS).map(isp => `
+            <div id="${isp}-list" class="hidden divide-y divide-slate-100 max-h-[600px] overflow-y-auto"></div>`).join('')}
+        </div>
+
+        <!-- 全部 IP -->
+        <div class="mt-8 bg-white rounded-3xl border border-slate-200 shadow-sm overflow-hidden">
+            <div class="px-8 py-6 border-b border-slate-100 flex flex-wrap justify-between items-center gap-3">
+                <div>
+                    <h2 class="text-xl font-bold">${T('🔎 全部 IP')}</h2>
+                    <p class="text-xs text-slate-400 mt-1" id="explorer-summary">${T('加载中...')}</p>
+                </div>
+                <div class="flex flex-wrap items-center gap-2">
+                    <input type="search" id="explorer-q" data-input="searchExplorer" placeholder="${T('搜索 IP、机房或数据源')}" class="w-56 px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm outline-none">
+                    <select id="explorer-status" data-change="searchExplorer" class="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm">
+                        <option value="">${T('全部状态')}</option>
+                        <option value="fast">${T('优选')}</option>
+                        <option value="passed">${T('可用')}</option>
+                        <option value="failed">${T('不可用')}</option>
+                        <option value="pending">${T('待测速')}</option>
+                        <option value="untested">${T('未测速')}</option>
+                    </select>
+                    <select id="explorer-family" data-change="searchExplorer" class="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm">
+                        <option value="both">IPv4 + IPv6</option>
+                        <option value="v4">IPv4</option>
+                        <option value="v6">IPv6</option>
+                    </select>
+                    <select id="explorer-page-size" data-change="searchExplorer" class="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-sm">
+                        <option value="50">${T('每页 50')}</option>
+                        <option value="100">${T('每页 100')}</option>
+                        <option value="200">${T('每页 200')}</option>
+                    </select>
+                </div>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead class="text-xs text-slate-400 text-left bg-slate-50">
+                        <tr>
+                            <th class="px-4 py-3"><button data-action="sortExplorer" data-arg="ip" data-label="IP" class="font-bold hover:text-slate-600">IP</button></th>
+                            <th class="px-4 py-3"><button data-action="sortExplorer" data-arg="status" data-label="${T('状态')}" class="font-bold hover:text-slate-600">${T('状态')}</button></th>
+                            <th class="px-4 py-3 text-right"><button data-action="sortExplorer" data-arg="latency" data-label="${T('延迟')}" class="font-bold hover:text-slate-600">${T('延迟')}</button></th>
+                            <th class="px-4 py-3"><button data-action="sortExplorer" data-arg="colo" data-label="${T('机房')}" class="font-bold hover:text-slate-600">${T('机房')}</button></th>
+                            <th class="px-4 py-3 text-right"><button data-action="sortExplorer" data-arg="score" data-label="${T('评分')}" class="font-bold hover:text-slate-600">${T('评分')}</button></th>
+                            <th class="px-4 py-3"><button data-action="sortExplorer" data-arg="sources" data-label="${T('数据源')}" class="font-bold hover:text-slate-600">${T('数据源')}</button></th>
+                            <th class="px-4 py-3"><button data-action="sortExplorer" data-arg="lastSeen" data-label="${T('最近出现')}" class="font-bold hover:text-slate-600">${T('最近出现')}</button></th>
+                            <th class="px-4 py-3"></th>
+                        </tr>
+                    </thead>
+                    <tbody id="explorer-rows" class="divide-y divide-slate-100">
+                        <tr><td colspan="8" class="py-6 text-center text-slate-400">${T('加载中...')}</td></tr>
+                    </tbody>
+                </table>
+            </div>
+            <div class="px-8 py-4 border-t border-slate-100 flex items-center justify-between text-sm">
+                <span id="explorer-page" class="text-slate-400"></span>
+                <div class="flex gap-2">
+                    <button data-action="explorerPage" data-arg="-1" id="explorer-prev" class="px-4 py-2 bg-white border border-slate-200 font-bold rounded-lg hover:bg-slate-50 disabled:opacity-50">${T('← 上一页')}</button>
+                    <button data-action="explorerPage" data-arg="1" id="explorer-next" class="px-4 py-2 bg-white border border-slate-200 font-bold rounded-lg hover:bg-slate-50 disabled:opacity-50">${T('下一页 →')}</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <!-- 登录弹窗 -->
+    <div id="login-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+        <div class="bg-white w-full max-w-sm rounded-3xl shadow-2xl p-8">
+            <h3 class="text-2xl font-bold mb-6 text-center">${T('管理员验证')}</h3>
+            <input type="password" id="admin-password" placeholder="${T('输入访问密码')}" class="w-full px-5 py-4 bg-slate-50 border border-slate-200 rounded-2xl mb-6 focus:ring-2 focus:ring-blue-500 outline-none">
+            <div class="flex gap-3">
+                <button data-action="closeModal" data-arg="login-modal" class="flex-1 py-4 text-slate-500 font-bold">${T('取消')}</button>
+                <button data-action="login" class="flex-1 py-4 bg-blue-600 text-white rounded-2xl font-bold hover:bg-blue-700 transition-all">${T('登录')}</button>
+            </div>
         </div>
     </div>
 
     <!-- Token 弹窗 -->
     <div id="token-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
         <div class="bg-white w-full max-w-md rounded-3xl shadow-2xl p-8">
-            <h3 class="text-2xl font-bold mb-6">Token 配置</h3>
+            <h3 class="text-2xl font-bold mb-6">${T('创建 Token')}</h3>
             <div class="space-y-4">
                 <div>
-                    <label class="block text-sm font-bold text-slate-400 mb-2">Token 字符串</label>
-                    <input type="text" id="token-input" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('名称')}</label>
+                    <input type="text" id="token-label" placeholder="${T('如：软路由订阅')}" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('权限')}</label>
+                    <div class="grid grid-cols-2 gap-2">
+                        ${TOKEN_SCOPES.map(scope => `<label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" name="token-scope" value="${scope}" ${scope === 'read_fast_ips' ? 'checked' : ''} class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${scope}</span></label>`).join('')}
+                    </div>
                 </div>
                 <div>
-                    <label class="block text-sm font-bold text-slate-400 mb-2">过期天数</label>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('过期天数（0 表示永不过期）')}</label>
                     <input type="number" id="token-days" value="30" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
                 </div>
-                <label class="flex items-center gap-2 cursor-pointer">
-                    <input type="checkbox" id="token-never" class="rounded border-slate-300">
-                    <span class="text-sm font-bold text-slate-600">永不过期</span>
-                </label>
             </div>
             <div class="flex gap-3 mt-8">
-                <button onclick="closeModal('token-modal')" class="flex-1 py-4 text-slate-500 font-bold">取消</button>
-                <button onclick="saveToken()" class="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold hover:bg-indigo-700 transition-all">保存配置</button>
+                <button data-action="closeModal" data-arg="token-modal" class="flex-1 py-4 text-slate-500 font-bold">${T('取消')}</button>
+                <button data-action="createToken" class="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold hover:bg-indigo-700 transition-all">${T('创建')}</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- 数据源弹窗 -->
+    <div id="source-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+        <div class="bg-white w-full max-w-lg rounded-3xl shadow-2xl p-8">
+            <h3 class="text-2xl font-bold mb-6" id="source-modal-title">${T('数据源配置')}</h3>
+            <input type="hidden" id="source-id">
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('名称')}</label>
+                    <input type="text" id="source-name" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2" id="source-url-label">URL</label>
+                    <input type="text" id="source-url" placeholder="https://" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('解析方式')}</label>
+                        <select id="source-parser" data-change="updateParserHint" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="regex">${T('正则文本')}</option>
+                            <option value="json">${T('JSON 路径')}</option>
+                            <option value="csv">${T('CSV 列')}</option>
+                            <option value="html">${T('HTML 选择器')}</option>
+                            <option value="table">${T('线路表格')}</option>
+                            <option value="dns">${T('DNS 域名 (DoH)')}</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('超时 (ms)')}</label>
+                        <input type="number" id="source-timeout" value="8000" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2" id="source-expr-label">${T('正则表达式（留空使用默认 IPv4 匹配）')}</label>
+                    <input type="text" id="source-expr" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div id="source-dns-options" class="hidden grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('DoH 格式')}</label>
+                        <select id="source-doh-format" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="json">JSON (application/dns-json)</option>
+                            <option value="wire">Wire (RFC 8484)</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('记录类型')}</label>
+                        <select id="source-record-types" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="A,AAAA">A + AAAA</option>
+                            <option value="A">${T('仅 A')}</option>
+                            <option value="AAAA">${T('仅 AAAA')}</option>
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">User-Agent</label>
+                    <input type="text" id="source-ua" value="Mozilla/5.0" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <label class="flex items-center gap-2 cursor-pointer"><input type="checkbox" id="source-autoSkip" class="rounded border-slate-300"><span class="text-sm font-bold text-slate-600">${T('连续 {runs} 次没有 IP 进入优选时自动跳过 {hours} 小时', { runs: SOURCE_AUTO_SKIP_RUNS, hours: SOURCE_AUTO_SKIP_HOURS })}</span></label>
+            </div>
+            <div class="flex gap-3 mt-8">
+                <button data-action="closeModal" data-arg="source-modal" class="flex-1 py-4 text-slate-500 font-bold">${T('取消')}</button>
+                <button data-action="saveSource" class="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold hover:bg-indigo-700 transition-all">${T('保存数据源')}</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- 通知渠道弹窗 -->
+    <div id="channel-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+        <div class="bg-white w-full max-w-lg rounded-3xl shadow-2xl p-8">
+            <h3 class="text-2xl font-bold mb-6" id="channel-modal-title">${T('通知渠道')}</h3>
+            <input type="hidden" id="channel-index">
+            <div class="space-y-4">
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('名称')}</label>
+                        <input type="text" id="channel-name" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('类型')}</label>
+                        <select id="channel-type" data-change="updateChannelFields" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="webhook">Webhook (JSON)</option>
+                            <option value="telegram">Telegram</option>
+                            <option value="wecom">${T('企业微信机器人')}</option>
+                            <option value="dingtalk">${T('钉钉机器人')}</option>
+                        </select>
+                    </div>
+                </div>
+                <div id="channel-url-field">
+                    <label class="block text-sm font-bold text-slate-400 mb-2">Webhook URL</label>
+                    <input type="text" id="channel-url" placeholder="https://" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div id="channel-secret-field">
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('加签密钥（可选）')}</label>
+                    <input type="password" id="channel-secret" placeholder="SEC..." class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div id="channel-telegram-fields" class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">Bot Token</label>
+                        <input type="password" id="channel-botToken" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">Chat ID</label>
+                        <input type="text" id="channel-chatId" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                    </div>
+                </div>
+            </div>
+            <div class="flex gap-3 mt-8">
+                <button data-action="closeModal" data-arg="channel-modal" class="flex-1 py-4 text-slate-500 font-bold">${T('取消')}</button>
+                <button data-action="saveChannel" class="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold hover:bg-indigo-700 transition-all">${T('保存渠道')}</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- 订阅模板弹窗 -->
+    <div id="sub-modal" class="hidden fixed inset-0 z-50 flex items-center justify-center p-4 bg-slate-900/60 backdrop-blur-sm">
+        <div class="bg-white w-full max-w-lg rounded-3xl shadow-2xl p-8 max-h-[90vh] overflow-y-auto">
+            <h3 class="text-2xl font-bold mb-6" id="sub-modal-title">${T('订阅模板')}</h3>
+            <input type="hidden" id="sub-id">
+            <div class="space-y-4">
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('名称')}</label>
+                        <input type="text" id="sub-name" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('协议')}</label>
+                        <select id="sub-protocol" data-change="updateSubCredentialHint" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="vless">VLESS</option>
+                            <option value="trojan">Trojan</option>
+                            <option value="vmess">VMess</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">Host</label>
+                        <input type="text" id="sub-host" placeholder="example.com" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('SNI（留空同 Host）')}</label>
+                        <input type="text" id="sub-sni" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2" id="sub-credential-label">UUID</label>
+                    <input type="text" id="sub-credential" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div class="grid grid-cols-3 gap-4">
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('传输')}</label>
+                        <select id="sub-transport" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                            <option value="ws">WebSocket</option>
+                            <option value="grpc">gRPC</option>
+                            <option value="tcp">TCP</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-bold text-slate-400 mb-2">${T('端口')}</label>
+                        <input type="number" id="sub-port" value="443" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none">
+                    </div>
+                    <label class="flex items-end gap-2 pb-3 cursor-pointer">
+                        <input type="checkbox" id="sub-tls" checked class="rounded border-slate-300">
+                        <span class="text-sm font-bold text-slate-600">TLS</span>
+                    </label>
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('路径（gRPC 填 serviceName）')}</label>
+                    <input type="text" id="sub-path" placeholder="/" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+                <div>
+                    <label class="block text-sm font-bold text-slate-400 mb-2">${T('节点名格式：{name} {ip} {port} {colo} {country} {latency} {score} {index}')}</label>
+                    <input type="text" id="sub-pattern" value="${escapeHTML(DEFAULT_SUB_NAME_PATTERN)}" class="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl outline-none font-mono">
+                </div>
+            </div>
+            <div class="flex gap-3 mt-8">
+                <button data-action="closeModal" data-arg="sub-modal" class="flex-1 py-4 text-slate-500 font-bold">${T('取消')}</button>
+                <button data-action="saveSubTemplate" class="flex-1 py-4 bg-indigo-600 text-white rounded-2xl font-bold hover:bg-indigo-700 transition-all">${T('保存模板')}</button>
             </div>
         </div>
     </div>
+</body>
+</html>`;
+}
+
+/**
+ * 页面脚本，以 /assets/app.js 提供；元素事件通过 data-action 等属性在脚本中统一绑定
+ */
+function renderDashboardScript() {
+    return `        // 会话状态与 CSRF Token 由 /admin-status 返回；链接中的 ?token= 只在打开页面时读取一次，
+        // 存入 sessionStorage 后立即从地址栏移除，避免留在历史记录和 Referer 中
+        let csrfToken = '';
+        let isAdmin = false;
+        let currentToken = takeUrlToken();
+        let createdToken = '';
+
+        // 界面文案以中文原文为键，其他语言的译文随脚本下发；页面语言由服务端写在 <html lang> 上，找不到译文时显示中文
+        const LOCALE = document.documentElement.lang;
+        const MESSAGES = ${JSON.stringify(UI_TRANSLATIONS)}[LOCALE] || {};
+
+        function T(text, params = {}) {
+            return (MESSAGES[text] ?? text).replace(/\\{(\\w+)\\}/g, (match, key) => key in params ? String(params[key] ?? '') : match);
+        }
+
+        function switchLanguage(locale) {
+            document.cookie = '${LANG_COOKIE}=' + locale + '; path=/; max-age=31536000; samesite=lax';
+            location.reload();
+        }
+
+        function takeUrlToken() {
+            const url = new URL(location.href);
+            const token = url.searchParams.get('token');
+            if (token) {
+                sessionStorage.setItem('cfip_token', token);
+                url.searchParams.delete('token');
+                history.replaceState(null, '', url.pathname + url.search + url.hash);
+            }
+            return sessionStorage.getItem('cfip_token') || '';
+        }
+
+        // Toast 提示函数
+        function showToast(message, type = 'success') {
+            const toast = document.createElement('div');
+            toast.className = \`fixed bottom-4 left-1/2 transform -translate-x-1/2 px-6 py-3 rounded-xl shadow-xl z-50 font-bold transition-all duration-300 translate-y-10 opacity-0 \${type === 'error' ? 'bg-red-500 text-white' : 'bg-slate-800 text-white'}\`;
+            toast.textContent = message;
+            document.body.appendChild(toast);
+
+            requestAnimationFrame(() => {
+                toast.classList.remove('translate-y-10', 'opacity-0');
+            });
+
+            setTimeout(() => {
+                toast.classList.add('translate-y-10', 'opacity-0');
+                setTimeout(() => toast.remove(), 300);
+            }, 3000);
+        }
+
+        async function copyToClipboard(text) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (err) {
+                console.error('Copy failed:', err);
+                return false;
+            }
+        }
+
+        function showLoading() { document.getElementById('loading').classList.remove('hidden'); }
+        function hideLoading() { document.getElementById('loading').classList.add('hidden'); }
+
+        function apiHeaders() {
+            const headers = { 'Content-Type': 'application/json' };
+            if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+            else if (currentToken) headers['Authorization'] = 'Token ' + currentToken;
+            return headers;
+        }
+
+        async function fetchApi(path, method = 'GET', body = null) {
+            const res = await fetch(path, { method, headers: apiHeaders(), body: body ? JSON.stringify(body) : null });
+            return await res.json();
+        }
+
+        async function updateIPs() {
+            showLoading();
+            try {
+                const res = await fetchApi('/update', 'POST');
+                if (res.success) {
+                    showToast(T('采集完成: {count} 个 IP，后台测速中', { count: res.totalIPs }));
+                    renderJob(res.job);
+                    scheduleJobPoll();
+                    refreshData();
+                } else showToast(T('失败: {reason}', { reason: res.error || T('未知原因') }), 'error');
+            } finally { hideLoading(); }
+        }
+
+        // --- 测速任务 ---
+
+        let jobPollTimer = null;
+        const JOB_STATUS_LABELS = { running: T('测速中'), completed: T('已完成'), cancelled: T('已取消') };
+
+        async function startSpeedTest() {
+            const res = await fetchApi('/speedtest-job', 'POST', { action: 'start' });
+            if (res.success) {
+                showToast(T('测速已在后台启动'));
+                renderJob(res.job);
+                scheduleJobPoll();
+                loadExplorer();
+            } else showToast(res.error || T('启动失败'), 'error');
+        }
+
+        async function cancelSpeedTest() {
+            const res = await fetchApi('/speedtest-job', 'POST', { action: 'cancel' });
+            if (res.success) {
+                showToast(T('测速任务已取消'));
+                renderJob(res.job);
+                refreshData();
+            } else showToast(res.error, 'error');
+        }
+
+        function renderJob(job) {
+            const box = document.getElementById('job-progress');
+            if (!job) return box.classList.add('hidden');
+            box.classList.remove('hidden');
+            document.getElementById('job-status-text').textContent = (JOB_STATUS_LABELS[job.status] || job.status)
+                + ' · ' + job.cursor + '/' + job.total + ' · ' + T('可用 {count}', { count: job.passed });
+            document.getElementById('job-progress-bar').style.width = job.progress + '%';
+            document.getElementById('job-cancel-btn').classList.toggle('hidden', job.status !== 'running');
+        }
+
+        function scheduleJobPoll() {
+            clearTimeout(jobPollTimer);
+            jobPollTimer = setTimeout(pollJob, 3000);
+        }
+
+        async function pollJob(initial) {
+            const res = await fetchApi('/speedtest-job');
+            const job = res.job;
+            if (initial && job?.status !== 'running') return;
+            renderJob(job);
+            if (job?.status === 'running') {
+                scheduleJobPoll();
+                loadExplorer();
+            } else if (job?.status === 'completed') {
+                showToast(T('测速完成，可用 IP {count} 个', { count: job.passed }));
+                refreshData();
+            }
+        }
+
+        // --- 复制功能 ---
+
+        async function copyIP(ip) {
+            if(await copyToClipboard(ip)) {
+                showToast(T('已复制: {ip}', { ip }));
+            } else {
+                showToast(T('复制失败'), 'error');
+            }
+        }
+
+        async function copyFastIPs() {
+            // 获取当前显示的列表中的 IP（跳过被筛选隐藏的行）
+            const listId = VIEW_LISTS[currentView];
+            const ipElements = Array.from(document.querySelectorAll('#' + listId + ' .ip-row:not(.hidden) .ip-text'))
+                .filter(el => !el.closest('.colo-group.hidden'));
+            if(ipElements.length === 0) return showToast(T('没有可复制的 IP'), 'error');
+
+            const ips = Array.from(ipElements).map(el => el.innerText).join('\\n');
+            if(await copyToClipboard(ips)) {
+                showToast(T('已复制 {count} 个优选 IP', { count: ipElements.length }));
+            } else {
+                showToast(T('复制失败'), 'error');
+            }
+        }
+
+        async function openItdog() {
+            showToast(T('正在获取全量 IP...'), 'info');
+            try {
+                const res = await fetchApi('/itdog-data');
+                if (res.ips && res.ips.length > 0) {
+                    const ipText = res.ips.join('\\n');
+                    if (await copyToClipboard(ipText)) {
+                        showToast(T('IP 已复制，正在打开 ITDog...'));
+                        setTimeout(() => {
+                            window.open('https://www.itdog.cn/batch_tcping/', '_blank');
+                        }, 1000);
+                    } else {
+                        showToast(T('复制失败，请手动复制'), 'error');
+                    }
+                } else {
+                    showToast(T('暂无 IP 数据'), 'error');
+                }
+            } catch (error) {
+                showToast(T('获取数据失败: {reason}', { reason: error.message }), 'error');
+            }
+        }
+
+        async function downloadFast() {
+            const res = await fetch('/fast-ips.txt', { headers: apiHeaders() });
+            if (!res.ok) return showToast(T('下载失败: HTTP {status}', { status: res.status }), 'error');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await res.blob());
+            link.download = 'fast-ips.txt';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+
+        // --- 认证功能 ---
+
+        async function loadStatus() {
+            const res = await fetchApi('/admin-status');
+            isAdmin = !!res.loggedIn;
+            csrfToken = res.csrf || '';
+            const badge = document.getElementById('admin-badge');
+            badge.textContent = isAdmin ? T('🔐 管理员') : T('🔓 点击登录');
+            badge.className = 'px-4 py-2 rounded-full font-bold shadow-lg flex items-center gap-2 transition-all text-white ' + (isAdmin ? 'bg-emerald-500' : 'bg-rose-500');
+            document.getElementById('admin-dropdown').classList.add('hidden');
+            document.getElementById('admin-panel').classList.toggle('hidden', !isAdmin);
+            if (isAdmin) {
+                loadAdminPanels();
+                pollJob(true);
+            }
+        }
+
+        function toggleAdminMenu() {
+            if (isAdmin) document.getElementById('admin-dropdown').classList.toggle('hidden');
+            else document.getElementById('login-modal').classList.remove('hidden');
+        }
+
+        async function login() {
+            const input = document.getElementById('admin-password');
+            const res = await fetch('/admin-login', { method: 'POST', body: JSON.stringify({ password: input.value }) });
+            const data = await res.json();
+            if (data.success) {
+                input.value = '';
+                closeModal('login-modal');
+                await loadStatus();
+                loadDashboard();
+                loadExplorer();
+            } else showToast(data.error || T('密码错误'), 'error');
+        }
+
+        async function logout() {
+            await fetchApi('/admin-logout', 'POST');
+            await loadStatus();
+            loadDashboard();
+            loadExplorer();
+        }
+
+        // --- 登录会话 ---
+
+        let adminSessions = [];
+
+        async function loadSessions() {
+            const list = document.getElementById('session-list');
+            if (!list) return;
+            const res = await fetchApi('/admin-sessions');
+            adminSessions = res.sessions || [];
+            list.innerHTML = adminSessions.map((s, i) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<div class="min-w-0"><p class="font-bold text-sm text-slate-700">' + esc(s.ip)
+                + (s.current ? ' <span class="ml-1 px-2 py-0.5 rounded bg-emerald-100 text-emerald-700 text-xs">' + T('当前') + '</span>' : '') + '</p>'
+                + '<p class="text-xs text-slate-400 truncate">' + new Date(s.createdAt).toLocaleString() + ' · ' + esc(s.userAgent) + '</p></div>'
+                + (s.current ? '' : '<button data-action="revokeSession" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('下线') + '</button>')
+                + '</div>').join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无会话') + '</div>';
+        }
+
+        async function revokeSession(index) {
+            const s = adminSessions[index];
+            if (!confirm(T('确定让来自 {ip} 的会话下线？', { ip: s.ip }))) return;
+            const res = await fetchApi('/admin-sessions?ref=' + encodeURIComponent(s.ref), 'DELETE');
+            if (res.success) {
+                showToast(T('会话已下线'));
+                loadSessions();
+            } else showToast(res.error, 'error');
+        }
+
+        // --- API Token ---
+
+        let apiTokens = [];
+
+        async function loadTokens() {
+            const list = document.getElementById('token-list');
+            if (!list) return;
+            const res = await fetchApi('/admin-tokens');
+            apiTokens = res.tokens || [];
+            if (apiTokens.length === 0) {
+                list.innerHTML = '<tr><td colspan="7" class="py-6 text-center text-slate-400">' + T('暂无 Token') + '</td></tr>';
+                return;
+            }
+            const now = Date.now();
+            list.innerHTML = apiTokens.map((t, i) => {
+                const expired = t.expiresAt && new Date(t.expiresAt).getTime() < now;
+                return '<tr class="' + (expired ? 'text-slate-400' : 'text-slate-700') + '">'
+                    + '<td class="px-4 py-3 font-bold">' + esc(t.label) + '</td>'
+                    + '<td class="px-4 py-3 font-mono text-xs">' + esc(t.prefix) + '…</td>'
+                    + '<td class="px-4 py-3 text-xs">' + t.scopes.map(s => '<span class="mr-1 px-2 py-0.5 rounded bg-white border border-slate-200 font-mono">' + esc(s) + '</span>').join('') + '</td>'
+                    + '<td class="px-4 py-3 text-xs">' + (t.expiresAt ? (expired ? T('已过期') : new Date(t.expiresAt).toLocaleDateString()) : T('永不')) + '</td>'
+                    + '<td class="px-4 py-3 text-xs">' + (t.lastUsed ? new Date(t.lastUsed).toLocaleString() : '-') + '</td>'
+                    + '<td class="px-4 py-3 text-xs text-right">' + (t.usageCount || 0) + '</td>'
+                    + '<td class="px-4 py-3 text-right"><button data-action="revokeToken" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('吊销') + '</button></td>'
+                    + '</tr>';
+            }).join('');
+        }
+
+        function openTokenModal() {
+            document.getElementById('token-label').value = '';
+            document.getElementById('token-modal').classList.remove('hidden');
+        }
+
+        async function createToken() {
+            const scopes = [...document.querySelectorAll('input[name="token-scope"]:checked')].map(el => el.value);
+            const res = await fetchApi('/admin-tokens', 'POST', {
+                label: document.getElementById('token-label').value,
+                scopes,
+                expiresDays: Number(document.getElementById('token-days').value)
+            });
+            if (res.success) {
+                createdToken = res.token;
+                document.getElementById('token-created-value').textContent = res.token;
+                document.getElementById('token-created').classList.remove('hidden');
+                closeModal('token-modal');
+                loadTokens();
+            } else showToast(res.error, 'error');
+        }
+
+        async function copyToken() {
+            if (await copyToClipboard(createdToken)) showToast(T('Token 已复制'));
+        }
+
+        async function revokeToken(index) {
+            const t = apiTokens[index];
+            if (!confirm(T('确定吊销 Token {label}？使用它的客户端将立即失效', { label: t.label }))) return;
+            const res = await fetchApi('/admin-tokens?id=' + encodeURIComponent(t.id), 'DELETE');
+            if (res.success) {
+                showToast(T('Token 已吊销'));
+                loadTokens();
+            } else showToast(res.error, 'error');
+        }
+
+        // --- 数据源管理 ---
+
+        const PARSER_FIELDS = {
+            regex: { key: 'pattern', label: T('正则表达式（留空使用默认 IPv4 匹配）') },
+            json: { key: 'path', label: T('JSON 路径，如 data.list[*].ip') },
+            csv: { key: 'column', label: T('CSV 列（序号从 0 开始，或表头名称）') },
+            html: { key: 'selector', label: T('CSS 选择器，如 table tr td:nth-child(2)') },
+            table: { key: 'selector', label: T('表格行选择器（留空为 tr），自动识别线路、IP、延迟和机房列') },
+            dns: { key: 'domains', label: T('域名（逗号分隔，最多 {max} 个），每次采集通过 DoH 解析', { max: ${DNS_SOURCE_MAX_DOMAINS} }) }
+        };
+        let sources = [];
+
+        function esc(value) {
+            return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+
+        async function loadSources() {
+            const list = document.getElementById('source-list');
+            if (!list) return;
+            const res = await fetchApi('/admin-sources');
+            sources = res.sources || [];
+            const lastResults = res.lastResults || {};
+            if (sources.length === 0) {
+                list.innerHTML = '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无数据源') + '</div>';
+                return;
+            }
+            list.innerHTML = sources.map((s, i) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<div class="min-w-0"><p class="font-bold text-sm ' + (s.enabled ? 'text-slate-700' : 'text-slate-400 line-through') + '">' + esc(s.name)
+                + ' <span class="ml-1 px-2 py-0.5 rounded bg-white border border-slate-200 text-xs font-mono text-slate-500">' + esc(s.parser.type) + '</span></p>'
+                + '<p class="text-xs font-mono text-slate-400 truncate">' + esc(s.id) + ' · ' + esc(s.url) + '</p>'
+                + formatSourceResult(lastResults[s.id]) + '</div>'
+                + '<div class="flex gap-2">'
+                + '<button data-action="toggleSource" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + (s.enabled ? T('⏸ 停用') : T('▶️ 启用')) + '</button>'
+                + '<button data-action="openSourceModal" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('✏️ 编辑') + '</button>'
+                + '<button data-action="deleteSource" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('🗑 删除') + '</button>'
+                + '</div></div>').join('');
+        }
+
+        const REJECT_LABELS = { invalid: T('格式错误'), bogon: T('保留地址'), not_cloudflare: T('非 CF'), blocked: T('黑名单') };
+
+        function formatSourceResult(r) {
+            if (!r) return '';
+            if (r.status === 'error') return '<p class="text-xs text-rose-500">' + esc(T('上次采集失败: {reason}', { reason: r.error })) + '</p>' + formatDomainResults(r.domains);
+            if (r.status === 'skipped') return '<p class="text-xs text-amber-600">' + T('长期无 IP 进入优选，自动跳过至 {time}', { time: new Date(r.skippedUntil).toLocaleString() }) + '</p>';
+            if (r.status !== 'success') return '';
+            const rejected = Object.entries(r.rejected || {}).filter(([, n]) => n > 0).map(([k, n]) => (REJECT_LABELS[k] || k) + ' ' + n);
+            return '<p class="text-xs text-slate-500">' + T('上次: 有效 {valid}', { valid: r.valid }) + (r.unique !== undefined ? T('（独有 {unique}）', { unique: r.unique }) : '') + ' / ' + T('匹配 {count}', { count: r.count })
+                + (rejected.length ? ' · <span class="text-amber-600">' + esc(T('拒绝 {items}', { items: rejected.join(T('，')) })) + '</span>' : '') + '</p>'
+                + formatDomainResults(r.domains);
+        }
+
+        function formatDomainResults(domains) {
+            if (!domains) return '';
+            return '<p class="text-xs font-mono text-slate-400">' + domains.map(d => esc(d.domain) + ' → '
+                + (d.status === 'success' ? T('{count} 个', { count: d.ips.length }) : '<span class="text-rose-500">' + esc(d.error) + '</span>')).join(' · ') + '</p>';
+        }
+
+        // --- 手动 IP 列表 ---
+
+        const IP_LIST_LABELS = { custom: T('自定义列表'), pinned: T('置顶列表'), blocked: T('黑名单列表') };
+        let ipLists = null;
+        let currentIPList = 'custom';
+
+        async function loadIPLists() {
+            if (!document.getElementById('iplist-editor')) return;
+            const res = await fetchApi('/admin-ip-lists');
+            if (!res.lists) return;
+            ipLists = res.lists;
+            switchIPList(currentIPList);
+        }
+
+        function switchIPList(type) {
+            currentIPList = type;
+            Object.keys(IP_LIST_LABELS).forEach(t => {
+                document.getElementById('iplist-tab-' + t).className = 'px-3 py-1 rounded-md ' + (t === type ? 'bg-white shadow-sm' : 'text-slate-500');
+            });
+            document.getElementById('iplist-editor').value = ipLists[type].join('\\n');
+            document.getElementById('iplist-count').textContent = T('{list}共 {count} 条', { list: IP_LIST_LABELS[type], count: ipLists[type].length });
+        }
+
+        function handleIPListResult(res, message) {
+            if (!res.success) return showToast(res.error, 'error');
+            ipLists[res.list] = res.entries;
+            switchIPList(res.list);
+            const rejected = Object.entries(res.rejected || {}).filter(([, n]) => n > 0).map(([k, n]) => (REJECT_LABELS[k] || k) + ' ' + n);
+            showToast(message + (rejected.length ? T('，已忽略 {items}', { items: rejected.join(T('，')) }) : ''));
+        }
+
+        async function saveIPList() {
+            const res = await fetchApi('/admin-ip-lists?list=' + currentIPList, 'POST', { text: document.getElementById('iplist-editor').value, mode: 'replace' });
+            handleIPListResult(res, T('{list}已保存', { list: IP_LIST_LABELS[currentIPList] }));
+        }
+
+        async function importIPListFile(input) {
+            const file = input.files[0];
+            if (!file) return;
+            const res = await fetchApi('/admin-ip-lists?list=' + currentIPList, 'POST', { text: await file.text(), mode: 'append' });
+            input.value = '';
+            handleIPListResult(res, T('已导入 {count} 条', { count: res.added }));
+        }
 
-    <script>
-        let sessionId = "${sessionId}";
-        let currentToken = "${tokenConfig?.token || ''}";
+        function exportIPList() {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([ipLists[currentIPList].join('\\n')], { type: 'text/plain' }));
+            link.download = currentIPList + '.txt';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
 
-        // Toast 提示函数
-        function showToast(message, type = 'success') {
-            const toast = document.createElement('div');
-            toast.className = \`fixed bottom-4 left-1/2 transform -translate-x-1/2 px-6 py-3 rounded-xl shadow-xl z-50 font-bold transition-all duration-300 translate-y-10 opacity-0 \${type === 'error' ? 'bg-red-500 text-white' : 'bg-slate-800 text-white'}\`;
-            toast.textContent = message;
-            document.body.appendChild(toast);
+        async function clearIPList() {
+            if (!confirm(T('确定清空{list}？', { list: IP_LIST_LABELS[currentIPList] }))) return;
+            handleIPListResult(await fetchApi('/admin-ip-lists?list=' + currentIPList, 'DELETE'), T('{list}已清空', { list: IP_LIST_LABELS[currentIPList] }));
+        }
 
-            requestAnimationFrame(() => {
-                toast.classList.remove('translate-y-10', 'opacity-0');
-            });
+        async function loadSourceStats() {
+            const list = document.getElementById('source-stats-list');
+            if (!list) return;
+            const res = await fetchApi('/sources/stats');
+            list.innerHTML = (res.sources || []).map(s => '<tr class="' + (s.enabled ? '' : 'text-slate-400') + '">'
+                + '<td class="px-4 py-3 text-xs text-slate-400">' + s.rank + '</td>'
+                + '<td class="px-4 py-3 font-bold">' + esc(s.name) + '</td>'
+                + '<td class="px-4 py-3 text-right">' + s.ipCount + '</td>'
+                + '<td class="px-4 py-3 text-right">' + s.unique + '</td>'
+                + '<td class="px-4 py-3 text-right">' + (s.fastShare === null ? '-' : s.fastCount + ' (' + Math.round(s.fastShare * 100) + '%)') + '</td>'
+                + '<td class="px-4 py-3 text-right ' + (s.failStreak > 0 ? 'text-rose-500 font-bold' : '') + '">' + s.failStreak + '</td>'
+                + '<td class="px-4 py-3 text-right">' + (s.avgDuration === null ? '-' : s.avgDuration + 'ms') + '</td>'
+                + '<td class="px-4 py-3 text-xs">' + (!s.enabled ? T('已停用') : s.skippedUntil ? '<span class="text-amber-600">' + T('跳过至 {time}', { time: new Date(s.skippedUntil).toLocaleString() }) + '</span>' : s.autoSkip ? T('自动跳过已开启') : T('正常')) + '</td>'
+                + '</tr>').join('') || '<tr><td colspan="8" class="py-6 text-center text-slate-400">' + T('暂无数据源') + '</td></tr>';
+        }
 
-            setTimeout(() => {
-                toast.classList.add('translate-y-10', 'opacity-0');
-                setTimeout(() => toast.remove(), 300);
-            }, 3000);
+        function updateParserHint() {
+            const type = document.getElementById('source-parser').value;
+            document.getElementById('source-expr-label').textContent = PARSER_FIELDS[type].label;
+            document.getElementById('source-url-label').textContent = type === 'dns' ? T('DoH 解析地址（留空使用 {resolver}）', { resolver: '${DEFAULT_DOH_RESOLVER}' }) : 'URL';
+            document.getElementById('source-dns-options').classList.toggle('hidden', type !== 'dns');
         }
 
-        async function copyToClipboard(text) {
-            try {
-                await navigator.clipboard.writeText(text);
-                return true;
-            } catch (err) {
-                console.error('Copy failed:', err);
-                return false;
+        function openSourceModal(index) {
+            const s = index === undefined ? null : sources[index];
+            const parser = s ? s.parser : { type: 'regex' };
+            document.getElementById('source-modal-title').textContent = s ? T('编辑数据源') : T('添加数据源');
+            document.getElementById('source-id').value = s ? s.id : '';
+            document.getElementById('source-name').value = s ? s.name : '';
+            document.getElementById('source-url').value = s ? s.url : '';
+            document.getElementById('source-parser').value = parser.type;
+            document.getElementById('source-expr').value = parser[PARSER_FIELDS[parser.type].key] ?? '';
+            document.getElementById('source-doh-format').value = parser.format || 'json';
+            document.getElementById('source-record-types').value = (parser.recordTypes || ['A', 'AAAA']).join(',');
+            document.getElementById('source-timeout').value = s ? s.timeout : 8000;
+            document.getElementById('source-ua').value = s ? s.userAgent : 'Mozilla/5.0';
+            document.getElementById('source-autoSkip').checked = s ? !!s.autoSkip : false;
+            updateParserHint();
+            document.getElementById('source-modal').classList.remove('hidden');
+        }
+
+        async function saveSource() {
+            const id = document.getElementById('source-id').value;
+            const type = document.getElementById('source-parser').value;
+            const parser = { type };
+            const expr = document.getElementById('source-expr').value.trim();
+            if (expr) parser[PARSER_FIELDS[type].key] = expr;
+            if (type === 'dns') {
+                parser.format = document.getElementById('source-doh-format').value;
+                parser.recordTypes = document.getElementById('source-record-types').value.split(',');
             }
+            const body = {
+                id: id || undefined,
+                name: document.getElementById('source-name').value,
+                url: document.getElementById('source-url').value,
+                parser,
+                timeout: Number(document.getElementById('source-timeout').value),
+                userAgent: document.getElementById('source-ua').value,
+                autoSkip: document.getElementById('source-autoSkip').checked
+            };
+            const res = await fetchApi('/admin-sources', id ? 'PUT' : 'POST', body);
+            if (res.success) {
+                showToast(T('数据源已保存'));
+                closeModal('source-modal');
+                loadSources();
+            } else showToast(res.error, 'error');
         }
 
-        function showLoading() { document.getElementById('loading').classList.remove('hidden'); }
-        function hideLoading() { document.getElementById('loading').classList.add('hidden'); }
+        async function toggleSource(index) {
+            const s = sources[index];
+            const res = await fetchApi('/admin-sources', 'PUT', { id: s.id, enabled: !s.enabled });
+            if (res.success) loadSources();
+            else showToast(res.error, 'error');
+        }
 
-        async function fetchApi(path, method = 'GET', body = null) {
-            const headers = { 'Content-Type': 'application/json' };
-            if (sessionId) headers['Authorization'] = 'Bearer ' + sessionId;
-            else if (currentToken) headers['Authorization'] = 'Token ' + currentToken;
-            
-            const res = await fetch(path, { method, headers, body: body ? JSON.stringify(body) : null });
-            return await res.json();
+        async function deleteSource(index) {
+            const s = sources[index];
+            if (!confirm(T('确定删除数据源 {name}？', { name: s.name }))) return;
+            const res = await fetchApi('/admin-sources?id=' + encodeURIComponent(s.id), 'DELETE');
+            if (res.success) {
+                showToast(T('数据源已删除'));
+                loadSources();
+            } else showToast(res.error, 'error');
         }
 
-        async function updateIPs() {
-            showLoading();
-            try {
-                const res = await fetchApi('/update');
-                if (res.success) {
-                    showToast('采集完成: ' + res.totalIPs + ' 个 IP');
-                    setTimeout(() => location.reload(), 1500);
-                } else showToast('失败: ' + (res.error || '未知原因'), 'error');
-            } finally { hideLoading(); }
+        // --- 订阅模板 ---
+
+        const SUB_FORMAT_LABELS = { base64: T('通用'), clash: 'Clash', singbox: 'sing-box' };
+        let subTemplates = [];
+
+        async function loadSubTemplates() {
+            const list = document.getElementById('sub-list');
+            if (!list) return;
+            const res = await fetchApi('/admin-sub-templates');
+            subTemplates = res.templates || [];
+            if (subTemplates.length === 0) {
+                list.innerHTML = '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无模板') + '</div>';
+                return;
+            }
+            list.innerHTML = subTemplates.map((t, i) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<div class="min-w-0"><p class="font-bold text-sm ' + (t.enabled ? 'text-slate-700' : 'text-slate-400 line-through') + '">' + esc(t.name)
+                + ' <span class="ml-1 px-2 py-0.5 rounded bg-white border border-slate-200 text-xs font-mono text-slate-500">' + esc(t.protocol) + '/' + esc(t.transport) + '</span></p>'
+                + '<p class="text-xs font-mono text-slate-400 truncate">' + esc(t.id) + ' · ' + esc(t.host) + ':' + t.port + esc(t.path) + '</p>'
+                + '<div class="flex gap-1 mt-1">' + Object.entries(SUB_FORMAT_LABELS).map(([format, label]) =>
+                    '<button data-action="copySubLink" data-arg="' + i + '" data-format="' + format + '" class="px-2 py-0.5 bg-white border border-slate-200 text-xs rounded">📋 ' + label + '</button>').join('') + '</div></div>'
+                + '<div class="flex gap-2">'
+                + '<button data-action="toggleSubTemplate" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + (t.enabled ? T('⏸ 停用') : T('▶️ 启用')) + '</button>'
+                + '<button data-action="openSubModal" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('✏️ 编辑') + '</button>'
+                + '<button data-action="deleteSubTemplate" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('🗑 删除') + '</button>'
+                + '</div></div>').join('');
         }
 
-        async function startSpeedTest() {
-            showLoading();
-            showToast('测速已在后台启动，请稍后刷新', 'info');
-            setTimeout(() => hideLoading(), 2000);
+        async function copySubLink(index, format) {
+            // KV 中只保存 Token 哈希，无法回显已有 Token；没有刚创建的 Token 时用占位符提示替换
+            const token = createdToken || currentToken;
+            const url = location.origin + '/sub?format=' + format + '&template=' + encodeURIComponent(subTemplates[index].id) + '&token=' + (token ? encodeURIComponent(token) : 'YOUR_TOKEN');
+            if (await copyToClipboard(url)) showToast(token ? T('{format} 订阅链接已复制', { format: SUB_FORMAT_LABELS[format] }) : T('已复制，请把 YOUR_TOKEN 替换为具有 read_fast_ips 权限的 Token'));
         }
 
-        // --- 复制功能 ---
+        function updateSubCredentialHint() {
+            const trojan = document.getElementById('sub-protocol').value === 'trojan';
+            document.getElementById('sub-credential-label').textContent = trojan ? 'Password' : 'UUID';
+        }
 
-        async function copyIP(ip) {
-            if(await copyToClipboard(ip)) {
-                showToast('已复制: ' + ip);
-            } else {
-                showToast('复制失败', 'error');
+        function openSubModal(index) {
+            const t = index === undefined ? null : subTemplates[index];
+            document.getElementById('sub-modal-title').textContent = t ? T('编辑订阅模板') : T('添加订阅模板');
+            document.getElementById('sub-id').value = t ? t.id : '';
+            document.getElementById('sub-name').value = t ? t.name : '';
+            document.getElementById('sub-protocol').value = t ? t.protocol : 'vless';
+            document.getElementById('sub-host').value = t ? t.host : '';
+            document.getElementById('sub-sni').value = t && t.sni !== t.host ? t.sni : '';
+            document.getElementById('sub-credential').value = t ? (t.protocol === 'trojan' ? t.password : t.uuid) : '';
+            document.getElementById('sub-transport').value = t ? t.transport : 'ws';
+            document.getElementById('sub-port').value = t ? t.port : 443;
+            document.getElementById('sub-tls').checked = t ? t.tls : true;
+            document.getElementById('sub-path').value = t ? t.path : '';
+            document.getElementById('sub-pattern').value = t ? t.namePattern : '${DEFAULT_SUB_NAME_PATTERN}';
+            updateSubCredentialHint();
+            document.getElementById('sub-modal').classList.remove('hidden');
+        }
+
+        async function saveSubTemplate() {
+            const id = document.getElementById('sub-id').value;
+            const protocol = document.getElementById('sub-protocol').value;
+            const credential = document.getElementById('sub-credential').value;
+            const body = {
+                id: id || undefined,
+                name: document.getElementById('sub-name').value,
+                protocol,
+                host: document.getElementById('sub-host').value,
+                sni: document.getElementById('sub-sni').value,
+                [protocol === 'trojan' ? 'password' : 'uuid']: credential,
+                transport: document.getElementById('sub-transport').value,
+                port: Number(document.getElementById('sub-port').value),
+                tls: document.getElementById('sub-tls').checked,
+                path: document.getElementById('sub-path').value,
+                namePattern: document.getElementById('sub-pattern').value
+            };
+            const res = await fetchApi('/admin-sub-templates', id ? 'PUT' : 'POST', body);
+            if (res.success) {
+                showToast(T('订阅模板已保存'));
+                closeModal('sub-modal');
+                loadSubTemplates();
+            } else showToast(res.error, 'error');
+        }
+
+        async function toggleSubTemplate(index) {
+            const t = subTemplates[index];
+            const res = await fetchApi('/admin-sub-templates', 'PUT', { id: t.id, enabled: !t.enabled });
+            if (res.success) loadSubTemplates();
+            else showToast(res.error, 'error');
+        }
+
+        async function deleteSubTemplate(index) {
+            const t = subTemplates[index];
+            if (!confirm(T('确定删除订阅模板 {name}？', { name: t.name }))) return;
+            const res = await fetchApi('/admin-sub-templates?id=' + encodeURIComponent(t.id), 'DELETE');
+            if (res.success) {
+                showToast(T('订阅模板已删除'));
+                loadSubTemplates();
+            } else showToast(res.error, 'error');
+        }
+
+        // --- 输出预设 ---
+
+        const PRESET_FIELDS = ['format', 'count', 'maxLatency', 'port', 'family', 'colo', 'rank', 'isp', 'template'];
+        let outputPresets = {};
+
+        async function loadOutputPresets() {
+            const list = document.getElementById('preset-list');
+            if (!list) return;
+            const res = await fetchApi('/admin-output-presets');
+            renderOutputPresets(res.presets || {});
+        }
+
+        function renderOutputPresets(presets) {
+            outputPresets = presets;
+            document.getElementById('preset-list').innerHTML = Object.entries(presets).map(([name, preset]) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<div class="min-w-0"><p class="font-bold text-sm text-slate-700 font-mono">' + esc(name) + '</p>'
+                + '<p class="text-xs font-mono text-slate-400 truncate">' + esc(new URLSearchParams(preset.params).toString() || T('默认参数')) + '</p></div>'
+                + '<div class="flex gap-2">'
+                + '<button data-action="copyPresetLink" data-arg="' + esc(name) + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('📋 链接') + '</button>'
+                + '<button data-action="editOutputPreset" data-arg="' + esc(name) + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('✏️ 编辑') + '</button>'
+                + '<button data-action="deleteOutputPreset" data-arg="' + esc(name) + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('🗑 删除') + '</button>'
+                + '</div></div>').join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无预设') + '</div>';
+        }
+
+        function editOutputPreset(name) {
+            document.getElementById('preset-name').value = name;
+            PRESET_FIELDS.forEach(key => { document.getElementById('preset-' + key).value = outputPresets[name].params[key] || ''; });
+            if (!outputPresets[name].params.format) document.getElementById('preset-format').value = 'txt';
+        }
+
+        async function saveOutputPreset() {
+            const params = {};
+            PRESET_FIELDS.forEach(key => { params[key] = document.getElementById('preset-' + key).value; });
+            const res = await fetchApi('/admin-output-presets', 'POST', { name: document.getElementById('preset-name').value.trim(), params });
+            if (res.success) {
+                renderOutputPresets(res.presets);
+                showToast(T('输出预设已保存'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function deleteOutputPreset(name) {
+            if (!confirm(T('确定删除输出预设 {name}？', { name }))) return;
+            const res = await fetchApi('/admin-output-presets?name=' + encodeURIComponent(name), 'DELETE');
+            if (res.success) {
+                renderOutputPresets(res.presets);
+                showToast(T('输出预设已删除'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function copyPresetLink(name) {
+            const token = createdToken || currentToken;
+            const url = location.origin + '/fast-ips.txt?preset=' + encodeURIComponent(name) + '&token=' + (token ? encodeURIComponent(token) : 'YOUR_TOKEN');
+            if (await copyToClipboard(url)) showToast(token ? T('预设链接已复制') : T('已复制，请把 YOUR_TOKEN 替换为具有 read_fast_ips 权限的 Token'));
+        }
+
+        // --- 运行设置 ---
+
+        const SETTING_KEYS = ${JSON.stringify(Object.keys(SETTINGS_SCHEMA))};
+
+        function renderSettings(settings) {
+            SETTING_KEYS.forEach(k => { document.getElementById('setting-' + k).value = settings[k]; });
+        }
+
+        async function loadSettings() {
+            if (!document.getElementById('setting-' + SETTING_KEYS[0])) return;
+            const res = await fetchApi('/admin-settings');
+            if (res.settings) renderSettings(res.settings);
+        }
+
+        async function saveSettings() {
+            const body = {};
+            SETTING_KEYS.forEach(k => { body[k] = document.getElementById('setting-' + k).value; });
+            const res = await fetchApi('/admin-settings', 'POST', body);
+            if (res.success) {
+                renderSettings(res.settings);
+                showToast(T('运行设置已保存'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function resetSettings() {
+            const res = await fetchApi('/admin-settings', 'DELETE');
+            if (res.success) {
+                renderSettings(res.settings);
+                showToast(T('已恢复默认运行设置'));
             }
         }
 
-        async function copyFastIPs() {
-            // 获取当前显示的列表中的 IP
-            const ipElements = document.querySelectorAll('.ip-text');
-            if(ipElements.length === 0) return showToast('没有可复制的 IP', 'error');
+        async function exportConfig() {
+            const redact = !document.getElementById('config-include-secrets').checked;
+            const res = await fetchApi('/admin-config' + (redact ? '' : '?redact=false'));
+            if (res.error) return showToast(res.error, 'error');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(res, null, 2)], { type: 'application/json' }));
+            link.download = 'cfip-config-' + res.exportedAt.slice(0, 10) + '.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
 
-            const ips = Array.from(ipElements).map(el => el.innerText).join('\\n');
-            if(await copyToClipboard(ips)) {
-                showToast(\`已复制 \${ipElements.length} 个优选 IP\`);
-            } else {
-                showToast('复制失败', 'error');
+        async function importConfigFile(input) {
+            const file = input.files[0];
+            if (!file) return;
+            input.value = '';
+            let config;
+            try { config = JSON.parse(await file.text()); } catch { return showToast(T('配置文件不是有效的 JSON'), 'error'); }
+            if (!confirm(T('导入会覆盖文件中包含的配置，确定继续？'))) return;
+            const res = await fetchApi('/admin-config', 'POST', config);
+            if (res.success) {
+                showToast(T('配置已导入') + (res.skipped.tokens ? T('，跳过 {count} 个不含哈希的 Token', { count: res.skipped.tokens }) : '')
+                    + (res.skipped.listEntries ? T('，跳过 {count} 条无效的 IP 列表条目', { count: res.skipped.listEntries }) : ''));
+                refreshData();
+            } else showToast(res.error, 'error');
+        }
+
+        // --- 测速配置 ---
+
+        const PROFILE_FIELDS = ['samples', 'timeout', 'downloadBytes', 'downloadTimeout'];
+        const WEIGHT_FIELDS = ['latency', 'jitter', 'loss', 'throughput'];
+
+        function renderTestProfile(profile) {
+            document.getElementById('profile-ports').value = profile.ports.join(',');
+            PROFILE_FIELDS.forEach(k => { document.getElementById('profile-' + k).value = profile[k]; });
+            WEIGHT_FIELDS.forEach(k => { document.getElementById('profile-w-' + k).value = profile.weights[k]; });
+        }
+
+        async function loadTestProfile() {
+            if (!document.getElementById('profile-samples')) return;
+            const res = await fetchApi('/admin-speedtest-profile');
+            if (res.profile) renderTestProfile(res.profile);
+        }
+
+        async function saveTestProfile() {
+            const body = { ports: document.getElementById('profile-ports').value, weights: {} };
+            PROFILE_FIELDS.forEach(k => { body[k] = document.getElementById('profile-' + k).value; });
+            WEIGHT_FIELDS.forEach(k => { body.weights[k] = document.getElementById('profile-w-' + k).value; });
+            const res = await fetchApi('/admin-speedtest-profile', 'POST', body);
+            if (res.success) {
+                renderTestProfile(res.profile);
+                showToast(T('测速配置已保存，下次测速生效'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function resetTestProfile() {
+            const res = await fetchApi('/admin-speedtest-profile', 'DELETE');
+            if (res.success) {
+                renderTestProfile(res.profile);
+                showToast(T('已恢复默认测速配置'));
             }
         }
 
-        async function openItdog() {
-            showToast('正在获取全量 IP...', 'info');
+        // --- 批量测速 ---
+
+        let batchRows = [];
+
+        function renderBatchResults() {
+            const rows = [...batchRows].sort((a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity));
+            document.getElementById('batch-results').innerHTML = rows.map(r => '<tr' + (r.latency === undefined ? ' class="text-slate-400"' : '') + '>'
+                + '<td class="px-4 py-3 font-mono font-bold">' + esc(r.ip) + '</td>'
+                + '<td class="px-4 py-3 font-mono">' + (r.port ?? '-') + '</td>'
+                + '<td class="px-4 py-3">' + esc(r.colo || '-') + '</td>'
+                + (r.latency === undefined
+                    ? '<td colspan="4" class="px-4 py-3 text-right text-rose-500">' + T('全部采样失败') + '</td>'
+                    : '<td class="px-4 py-3 text-right font-bold">' + r.latency + 'ms</td><td class="px-4 py-3 text-right">' + r.jitter + 'ms</td>'
+                        + '<td class="px-4 py-3 text-right">' + Math.round(r.loss * 100) + '%</td><td class="px-4 py-3 text-right">' + r.score + '</td>')
+                + '</tr>').join('') || '<tr><td colspan="7" class="py-6 text-center text-slate-400">' + T('暂无结果') + '</td></tr>';
+        }
+
+        function handleBatchEvent(event, state) {
+            const progress = document.getElementById('batch-progress');
+            if (event.type === 'start') {
+                state.total = event.total;
+                if (event.rejected.length) showToast(T('已忽略 {count} 个不可测速的地址', { count: event.rejected.length }), 'error');
+            } else if (event.type === 'result') {
+                state.done++;
+                batchRows.push(...(event.success ? event.results : [{ ip: event.ip }]));
+                renderBatchResults();
+            } else if (event.type === 'error') showToast(event.error, 'error');
+            progress.textContent = event.type === 'done'
+                ? T('测速完成：{passed}/{tested} 个 IP 可用，耗时 {seconds} 秒', { passed: event.passed, tested: event.tested, seconds: (event.duration / 1000).toFixed(1) })
+                : T('测速中 {done}/{total}...', state);
+        }
+
+        async function runBatchSpeedTest() {
+            const button = document.getElementById('batch-run');
+            const body = { text: document.getElementById('batch-ips').value };
+            const ports = document.getElementById('batch-ports').value.trim();
+            if (ports) body.ports = ports;
+            button.disabled = true;
             try {
-                const res = await fetchApi('/itdog-data');
-                if (res.ips && res.ips.length > 0) {
-                    const ipText = res.ips.join('\\n');
-                    if (await copyToClipboard(ipText)) {
-                        showToast('IP 已复制，正在打开 ITDog...');
-                        setTimeout(() => {
-                            window.open('https://www.itdog.cn/batch_tcping/', '_blank');
-                        }, 1000);
-                    } else {
-                        showToast('复制失败，请手动复制', 'error');
-                    }
-                } else {
-                    showToast('暂无 IP 数据', 'error');
+                const res = await fetch('/speedtest', { method: 'POST', headers: apiHeaders(), body: JSON.stringify(body) });
+                if (!res.ok) {
+                    const error = await res.json().catch(() => ({}));
+                    return showToast(error.error || 'HTTP ' + res.status, 'error');
                 }
-            } catch (error) {
-                showToast('获取数据失败: ' + error.message, 'error');
+                batchRows = [];
+                renderBatchResults();
+                const state = { total: 0, done: 0 };
+                const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+                let buffer = '';
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    buffer += value;
+                    const lines = buffer.split('\\n');
+                    buffer = lines.pop();
+                    lines.filter(Boolean).forEach(line => handleBatchEvent(JSON.parse(line), state));
+                }
+            } catch (e) {
+                showToast(T('测速请求失败: {reason}', { reason: e.message }), 'error');
+            } finally {
+                button.disabled = false;
             }
         }
 
-        function downloadFast() {
-            window.open('/fast-ips.txt' + (sessionId ? '?session='+sessionId : (currentToken ? '?token='+currentToken : '')));
+        // --- 概览与优选列表 ---
+
+        const CARRIER_LABELS = Object.fromEntries(Object.entries(${JSON.stringify(CARRIERS)}).map(([isp, label]) => [isp, T(label)]));
+
+        function hostPort(entry) {
+            return entry.port ? (entry.ip.includes(':') ? '[' + entry.ip + ']' : entry.ip) + ':' + entry.port : entry.ip;
         }
-        
-        // --- 认证功能 ---
 
-        async function login() {
-            const password = document.getElementById('admin-password').value;
-            const res = await fetch('/admin-login', { method: 'POST', body: JSON.stringify({ password }) });
-            const data = await res.json();
-            if (data.success) {
-                location.href = '/?session=' + data.sessionId;
-            } else showToast('密码错误', 'error');
+        async function loadDashboard() {
+            const res = await fetchApi('/dashboard-data');
+            document.getElementById('ip-count').textContent = res.count;
+            document.getElementById('ip-family-counts').textContent = 'IPv4 ' + res.familyCounts.v4 + ' · IPv6 ' + res.familyCounts.v6;
+            document.getElementById('fast-ip-count').textContent = res.fastCount;
+            document.getElementById('last-updated').textContent = res.lastUpdated ? T('已同步') : T('未同步');
+            document.getElementById('last-time').textContent = res.lastUpdated ? new Date(res.lastUpdated).toLocaleTimeString() : T('从未');
+            document.getElementById('fast-ip-limit').textContent = res.fastIPCount;
+            const diff = res.snapshotDiff;
+            const diffBox = document.getElementById('fast-ip-diff');
+            diffBox.classList.toggle('hidden', !diff);
+            if (diff) diffBox.textContent = T('较上次运行：IP +{added} / -{removed} · 优选新增 {fastAdded}、移出 {fastRemoved}、上升 {up}、下降 {down}', {
+                added: diff.ips.addedCount, removed: diff.ips.removedCount, fastAdded: diff.fastIPs.summary.added,
+                fastRemoved: diff.fastIPs.summary.removed, up: diff.fastIPs.summary.up, down: diff.fastIPs.summary.down
+            });
+            renderFastLists(res);
         }
 
-        async function logout() {
-            await fetchApi('/admin-logout', 'POST');
-            location.href = '/';
+        function renderFastLists(data) {
+            const empty = text => '<div class="py-20 text-center text-slate-400">' + esc(text) + '</div>';
+            if (data.locked) {
+                Object.values(VIEW_LISTS).forEach(id => { document.getElementById(id).innerHTML = empty(T('登录或使用具备 read_fast_ips 权限的 Token 后可查看优选 IP')); });
+                fillFilterOptions('colo-filter', T('全部机房'), []);
+                fillFilterOptions('region-filter', T('全部地区'), []);
+                return;
+            }
+            const rows = (list, prefix) => list.map((item, i) => renderFastIPRow(item, prefix + '-' + i)).join('');
+            document.getElementById('ip-list').innerHTML = rows(data.fastIPs, 'g') || empty(T('暂无测速数据，点击采集或测速'));
+            document.getElementById('colo-list').innerHTML = data.coloGroups.map(renderColoGroup).join('') || empty(T('暂无机房数据'));
+            document.getElementById('stable-list').innerHTML = rows(data.stableIPs, 's') || empty(T('历史数据不足，至少需要 {runs} 次测速', { runs: ${HISTORY_MIN_RUNS} }));
+            Object.entries(CARRIER_LABELS).forEach(([isp, label]) => {
+                document.getElementById(isp + '-list').innerHTML = rows(data.carrierRankings[isp] || [], isp) || empty(T('暂无{carrier}线路数据，需要启用按表格解析的数据源', { carrier: label }));
+            });
+            fillFilterOptions('colo-filter', T('全部机房'), data.colos);
+            fillFilterOptions('region-filter', T('全部地区'), data.regions);
+            applyListFilter();
+        }
+
+        function fillFilterOptions(id, allLabel, values) {
+            const select = document.getElementById(id);
+            const current = select.value;
+            select.innerHTML = '<option value="">' + allLabel + '</option>' + values.map(v => '<option value="' + esc(v) + '">' + esc(v) + '</option>').join('');
+            select.value = values.includes(current) ? current : '';
+        }
+
+        // 机房分组，分组顺序由服务端按组内最高评分排好
+        function renderColoGroup({ colo, entries }) {
+            const first = entries[0];
+            const location = [first.city, first.country, first.region].filter(Boolean).join(' · ');
+            return '<div class="colo-group" data-colo="' + esc(colo) + '" data-region="' + esc(first.region || '') + '">'
+                + '<div class="px-8 py-3 bg-slate-50 text-sm font-bold text-slate-600">' + esc(colo) + ' <span class="font-normal text-slate-400">' + esc(location) + ' · ' + T('{count} 个', { count: entries.length }) + '</span></div>'
+                + entries.map((item, i) => renderFastIPRow(item, colo + '-' + i)).join('')
+                + '</div>';
+        }
+
+        // 优选列表中的一行，点击延迟标签展开各项测速指标；change 为相对上一份快照的排名变化，'new' 表示新进入优选
+        function renderFastIPRow(item, index) {
+            const metric = (label, value) => '<div><p class="text-xs text-slate-400">' + esc(label) + '</p><p class="font-bold text-slate-700">' + esc(value) + '</p></div>';
+            const location = [item.city, item.country].filter(Boolean).join(', ');
+            const change = item.change;
+            return '<div class="ip-row px-8 py-4 hover:bg-slate-50/50 group" data-colo="' + esc(item.colo || '') + '" data-region="' + esc(item.region || '') + '">'
+                + '<div class="flex items-center justify-between"><div class="flex items-center gap-4">'
+                + '<span class="font-mono text-slate-700 font-bold ip-text">' + esc(hostPort(item)) + '</span>'
+                + (item.ip.includes(':') ? '<span class="px-2 py-0.5 rounded bg-violet-100 text-violet-700 text-xs font-bold">IPv6</span>' : '')
+                + (item.pinned ? '<span class="px-2 py-0.5 rounded bg-amber-100 text-amber-700 text-xs font-bold">' + T('📌 置顶') + '</span>' : '')
+                + (change === 'new' ? '<span class="text-xs font-bold text-emerald-600" title="' + T('较上次运行新进入优选') + '">' + T('新') + '</span>'
+                    : change > 0 ? '<span class="text-xs font-bold text-emerald-600" title="' + T('较上次运行排名上升') + '">↑' + esc(change) + '</span>'
+                    : change < 0 ? '<span class="text-xs font-bold text-rose-500" title="' + T('较上次运行排名下降') + '">↓' + esc(-change) + '</span>' : '')
+                + (item.colo ? '<span class="px-2 py-0.5 rounded bg-sky-100 text-sky-700 text-xs font-bold" title="' + esc(location) + '">' + esc(item.colo) + '</span>' : '')
+                + (location ? '<span class="text-xs text-slate-400 hidden md:inline">' + esc(location) + '</span>' : '')
+                + '</div><div class="flex items-center gap-6">'
+                + (item.stabilityScore !== undefined ? '<span class="text-xs font-bold text-indigo-500">' + esc(T('稳定 {score} · 成功率 {rate}%', { score: item.stabilityScore, rate: Math.round(item.history.successRate * 100) })) + '</span>' : '')
+                + (item.score !== undefined ? '<span class="text-xs font-bold text-slate-400">' + esc(T('评分 {score}', { score: item.score })) + '</span>' : '')
+                + (item.failed ? '<span class="px-3 py-1 rounded-lg text-sm font-bold bg-rose-100 text-rose-600" title="' + T('置顶 IP 本次测速未通过') + '">' + T('测速失败') + '</span>'
+                    : '<button data-action="toggleMetrics" data-arg="' + esc(index) + '" data-ip="' + esc(item.ip) + '" title="' + T('查看测速明细') + '" class="px-3 py-1 rounded-lg text-sm font-bold '
+                    + (item.latency < 200 ? 'bg-emerald-100 text-emerald-700' : 'bg-amber-100 text-amber-700') + '">' + esc(item.latency) + 'ms</button>')
+                + '<button data-action="copyIP" data-arg="' + esc(hostPort(item)) + '" class="opacity-0 group-hover:opacity-100 transition-opacity px-3 py-1.5 hover:bg-white bg-slate-50 rounded-lg border border-slate-200 text-xs font-bold text-slate-600">' + T('复制') + '</button>'
+                + '</div></div>'
+                + '<div id="metrics-' + esc(index) + '" class="hidden mt-3 grid grid-cols-3 md:grid-cols-6 gap-3 bg-slate-50 rounded-xl p-4 text-sm">'
+                + (item.isp ? metric(T('{carrier}延迟', { carrier: CARRIER_LABELS[item.isp] }), item.latency !== null ? item.latency + 'ms' : '-') : '')
+                + metric(T('中位延迟'), (item.testedLatency ?? item.latency) + 'ms')
+                + metric(T('最低延迟'), item.minLatency !== undefined ? item.minLatency + 'ms' : '-')
+                + metric(T('抖动'), item.jitter !== undefined ? item.jitter + 'ms' : '-')
+                + metric(T('丢包率'), item.loss !== undefined ? Math.round(item.loss * 100) + '% (' + T('{count} 次', { count: item.samples }) + ')' : '-')
+                + metric(T('吞吐'), item.throughput !== null && item.throughput !== undefined ? item.throughput + ' Mbps' : T('未测'))
+                + metric(T('综合评分'), item.score ?? '-')
+                + '<div id="history-' + esc(index) + '" class="col-span-3 md:col-span-6 text-xs text-slate-400"></div>'
+                + '</div></div>';
+        }
+
+        // --- 列表视图与筛选 ---
+
+        let currentView = 'global';
+        const VIEW_LISTS = { global: 'ip-list', colo: 'colo-list', stable: 'stable-list', ct: 'ct-list', cu: 'cu-list', cm: 'cm-list' };
+
+        function switchView(view) {
+            currentView = view;
+            Object.entries(VIEW_LISTS).forEach(([v, listId]) => {
+                document.getElementById(listId).classList.toggle('hidden', v !== view);
+                const btn = document.getElementById('view-' + v);
+                btn.classList.toggle('bg-white', v === view);
+                btn.classList.toggle('shadow-sm', v === view);
+                btn.classList.toggle('text-slate-500', v !== view);
+            });
+        }
+
+        function applyListFilter() {
+            const colo = document.getElementById('colo-filter').value;
+            const region = document.getElementById('region-filter').value;
+            const match = el => (!colo || el.dataset.colo === colo) && (!region || el.dataset.region === region);
+            document.querySelectorAll('.ip-row').forEach(row => row.classList.toggle('hidden', !match(row)));
+            document.querySelectorAll('.colo-group').forEach(group => group.classList.toggle('hidden', !match(group)));
+        }
+
+        async function toggleMetrics(index, ip) {
+            const box = document.getElementById('metrics-' + index);
+            box.classList.toggle('hidden');
+            const historyBox = document.getElementById('history-' + index);
+            if (box.classList.contains('hidden') || historyBox.dataset.loaded) return;
+            historyBox.dataset.loaded = '1';
+            historyBox.textContent = T('加载历史...');
+            const res = await fetchApi('/history?ip=' + encodeURIComponent(ip)).catch(() => ({}));
+            if (!res.samples) {
+                historyBox.textContent = res.error ? T('登录后可查看历史趋势') : T('历史加载失败');
+                return;
+            }
+            const s = res.stats;
+            historyBox.innerHTML = renderSparkline(res.samples)
+                + '<p class="mt-1">' + T('近 {runs} 次 · 成功率 {rate}%', { runs: s.runs, rate: Math.round(s.successRate * 100) })
+                + (s.median !== null ? ' · ' + T('中位 {median}ms', { median: s.median }) + ' · P90 ' + s.p90 + 'ms' : '') + '</p>';
+        }
+
+        // 历史延迟迷你折线图，失败的测速以红点标在底部
+        function renderSparkline(samples) {
+            if (samples.length === 0) return '';
+            const w = 240, h = 40, pad = 3;
+            const max = Math.max(...samples.map(p => p.latency || 0), 1);
+            const x = i => samples.length === 1 ? w / 2 : pad + i * (w - pad * 2) / (samples.length - 1);
+            const y = v => h - pad - v / max * (h - pad * 2);
+            const points = samples.map((p, i) => p.ok ? x(i).toFixed(1) + ',' + y(p.latency).toFixed(1) : null).filter(Boolean).join(' ');
+            const fails = samples.map((p, i) => p.ok ? '' : '<circle cx="' + x(i).toFixed(1) + '" cy="' + (h - pad) + '" r="2.5" fill="#f43f5e"/>').join('');
+            return '<svg width="' + w + '" height="' + h + '" class="bg-white rounded-lg border border-slate-200">'
+                + '<polyline points="' + points + '" fill="none" stroke="#10b981" stroke-width="2"/>' + fails + '</svg>';
+        }
+
+        // --- 全部 IP ---
+
+        const EXPLORE_STATUS_STYLES = { fast: [T('优选'), 'bg-emerald-100 text-emerald-700'], passed: [T('可用'), 'bg-sky-100 text-sky-700'], failed: [T('不可用'), 'bg-rose-100 text-rose-700'], pending: [T('待测速'), 'bg-amber-100 text-amber-700'], untested: [T('未测速'), 'bg-slate-200 text-slate-600'] };
+        const explorerState = { page: 1, sort: 'status', order: 'asc' };
+        let explorerTimer = null;
+
+        async function loadExplorer() {
+            const params = new URLSearchParams({
+                page: explorerState.page,
+                pageSize: document.getElementById('explorer-page-size').value,
+                sort: explorerState.sort,
+                order: explorerState.order,
+                q: document.getElementById('explorer-q').value.trim(),
+                status: document.getElementById('explorer-status').value,
+                family: document.getElementById('explorer-family').value
+            });
+            const res = await fetchApi('/ips/explore?' + params);
+            const body = document.getElementById('explorer-rows');
+            if (!res.rows) {
+                body.innerHTML = '<tr><td colspan="8" class="py-6 text-center text-slate-400">' + esc(res.code === 'unauthorized' ? T('登录或使用具备 read_ips 权限的 Token 后可浏览全部 IP') : res.error) + '</td></tr>';
+                document.getElementById('explorer-summary').textContent = '';
+                document.getElementById('explorer-page').textContent = '';
+                document.getElementById('explorer-prev').disabled = document.getElementById('explorer-next').disabled = true;
+                return;
+            }
+            explorerState.page = res.page;
+            document.getElementById('explorer-summary').textContent = T('共 {total} 个', { total: res.total }) + ' · '
+                + Object.entries(EXPLORE_STATUS_STYLES).map(([status, [label]]) => label + ' ' + res.counts[status]).join(' · ');
+            body.innerHTML = res.rows.map(r => {
+                const [label, style] = EXPLORE_STATUS_STYLES[r.status];
+                return '<tr class="' + (r.status === 'failed' ? 'text-slate-400' : 'text-slate-700') + '">'
+                    + '<td class="px-4 py-3 font-mono font-bold">' + esc(r.ip) + (r.family === 'v6' ? ' <span class="ml-1 px-2 py-0.5 rounded bg-violet-100 text-violet-700 text-xs font-bold">IPv6</span>' : '') + '</td>'
+                    + '<td class="px-4 py-3"><span class="px-2 py-0.5 rounded text-xs font-bold ' + style + '">' + label + '</span></td>'
+                    + '<td class="px-4 py-3 text-right">' + (r.latency === null ? '-' : esc(r.latency) + 'ms' + (r.port ? ' <span class="text-xs text-slate-400">:' + esc(r.port) + '</span>' : '')) + '</td>'
+                    + '<td class="px-4 py-3">' + esc(r.colo || '-') + '</td>'
+                    + '<td class="px-4 py-3 text-right">' + esc(r.score ?? '-') + '</td>'
+                    + '<td class="px-4 py-3 text-xs">' + esc(r.sources.join('、') || '-') + '</td>'
+                    + '<td class="px-4 py-3 text-xs">' + (r.lastSeen ? new Date(r.lastSeen).toLocaleString() : '-') + '</td>'
+                    + '<td class="px-4 py-3 text-right"><button data-action="copyIP" data-arg="' + esc(r.ip) + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('复制') + '</button></td>'
+                    + '</tr>';
+            }).join('') || '<tr><td colspan="8" class="py-6 text-center text-slate-400">' + T('没有匹配的 IP') + '</td></tr>';
+            document.getElementById('explorer-page').textContent = T('第 {page} / {pages} 页', res);
+            document.getElementById('explorer-prev').disabled = res.page <= 1;
+            document.getElementById('explorer-next').disabled = res.page >= res.pages;
+            document.querySelectorAll('[data-action="sortExplorer"]').forEach(el => {
+                el.textContent = el.dataset.label + (el.dataset.arg === res.sort ? (res.order === 'asc' ? ' ↑' : ' ↓') : '');
+            });
+        }
+
+        // 输入搜索词时稍等片刻再请求，筛选条件变化后回到第一页
+        function searchExplorer() {
+            clearTimeout(explorerTimer);
+            explorerTimer = setTimeout(() => {
+                explorerState.page = 1;
+                loadExplorer();
+            }, 300);
+        }
+
+        function sortExplorer(key) {
+            explorerState.order = explorerState.sort === key && explorerState.order === 'asc' ? 'desc' : 'asc';
+            explorerState.sort = key;
+            explorerState.page = 1;
+            loadExplorer();
+        }
+
+        function explorerPage(step) {
+            explorerState.page = Math.max(explorerState.page + Number(step), 1);
+            loadExplorer();
+        }
+
+        // --- Cloudflare IP 段 ---
+
+        function renderCfRanges(ranges) {
+            const label = { builtin: T('内置列表'), cloudflare: T('官方列表'), custom: T('自定义列表') }[ranges.source] || ranges.source;
+            document.getElementById('cf-ranges-info').textContent = label + ' · ' + T('IPv4 {v4} 段 · IPv6 {v6} 段', { v4: ranges.v4.length, v6: ranges.v6.length })
+                + (ranges.updatedAt ? ' · ' + T('更新于 {time}', { time: new Date(ranges.updatedAt).toLocaleString() }) : '');
+            document.getElementById('cf-ranges-v4').value = ranges.v4.join('\\n');
+            document.getElementById('cf-ranges-v6').value = ranges.v6.join('\\n');
+        }
+
+        async function loadCfRanges() {
+            if (!document.getElementById('cf-ranges-info')) return;
+            const res = await fetchApi('/admin-cf-ranges');
+            if (res.ranges) renderCfRanges(res.ranges);
+        }
+
+        async function handleCfRangesResult(res, message) {
+            if (res.success) {
+                renderCfRanges(res.ranges);
+                showToast(message);
+            } else showToast(res.error, 'error');
+        }
+
+        async function refreshCfRanges() {
+            handleCfRangesResult(await fetchApi('/admin-cf-ranges?action=refresh', 'POST'), T('已更新为官方 IP 段'));
+        }
+
+        async function saveCfRanges() {
+            const v4 = document.getElementById('cf-ranges-v4').value;
+            const v6 = document.getElementById('cf-ranges-v6').value;
+            handleCfRangesResult(await fetchApi('/admin-cf-ranges', 'POST', { v4, v6 }), T('自定义 IP 段已保存'));
+        }
+
+        async function resetCfRanges() {
+            handleCfRangesResult(await fetchApi('/admin-cf-ranges', 'DELETE'), T('已恢复内置 IP 段'));
+        }
+
+        // --- DNS 同步 ---
+
+        const DNS_FIELDS = ['zoneId', 'recordName', 'family', 'topN', 'minIPs', 'ttl', 'apiBase'];
+        const DNS_FLAGS = ['enabled', 'dryRun', 'proxied'];
+        const DNS_STATUS_LABELS = { success: T('成功'), skipped: T('已跳过'), error: T('失败') };
+
+        function renderDnsConfig(config) {
+            DNS_FIELDS.forEach(key => { document.getElementById('dns-' + key).value = config[key]; });
+            DNS_FLAGS.forEach(key => { document.getElementById('dns-' + key).checked = config[key]; });
+            document.getElementById('dns-apiToken').value = '';
+            document.getElementById('dns-apiToken').placeholder = config.hasApiToken ? T('已保存则留空') : T('需要 DNS 编辑权限');
+        }
+
+        function renderDnsLog(log) {
+            document.getElementById('dns-log').innerHTML = log.map(entry => {
+                const details = entry.error ? esc(entry.error) : entry.records.map(r => r.skipped
+                    ? r.type + ' ' + T('跳过：{reason}', { reason: esc(r.reason) })
+                    : r.type + ' ' + T('保留 {kept} · 新增 {created} · 删除 {deleted}', { kept: r.kept.length, created: esc(r.created.join(', ') || '-'), deleted: esc(r.deleted.join(', ') || '-') })).join('<br>');
+                return '<div class="px-4 py-2 text-xs"><p class="font-bold ' + (entry.status === 'error' ? 'text-rose-600' : 'text-slate-700') + '">'
+                    + new Date(entry.time).toLocaleString() + ' · ' + (DNS_STATUS_LABELS[entry.status] || entry.status)
+                    + (entry.dryRun ? ' · ' + T('预演') : '') + ' · ' + esc(entry.trigger) + '</p><p class="text-slate-500 font-mono">' + details + '</p></div>';
+            }).join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无同步记录') + '</div>';
+        }
+
+        async function loadDnsConfig() {
+            if (!document.getElementById('dns-log')) return;
+            const res = await fetchApi('/admin-dns');
+            if (!res.config) return;
+            renderDnsConfig(res.config);
+            renderDnsLog(res.log);
+        }
+
+        async function saveDnsConfig() {
+            const body = { apiToken: document.getElementById('dns-apiToken').value };
+            DNS_FIELDS.forEach(key => { body[key] = document.getElementById('dns-' + key).value; });
+            DNS_FLAGS.forEach(key => { body[key] = document.getElementById('dns-' + key).checked; });
+            const res = await fetchApi('/admin-dns', 'POST', body);
+            if (res.success) {
+                renderDnsConfig(res.config);
+                showToast(T('DNS 同步配置已保存'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function syncDnsNow(dryRun) {
+            showLoading();
+            try {
+                const res = await fetchApi('/admin-dns?action=sync', 'POST', { dryRun });
+                if (res.entry) showToast(res.success ? (dryRun ? T('预演完成，请查看同步日志') : T('DNS 同步完成')) : res.entry.error, res.success ? 'success' : 'error');
+                else showToast(res.error, 'error');
+                loadDnsConfig();
+            } finally { hideLoading(); }
+        }
+
+        // --- 通知 ---
+
+        const CHANNEL_LABELS = { webhook: 'Webhook', telegram: 'Telegram', wecom: T('企业微信'), dingtalk: T('钉钉') };
+        const NOTIFY_THRESHOLDS = ['sourceFailStreak', 'ipDropPercent', 'latencyMs'];
+        let notifyConfig = null;
+
+        function renderNotifyConfig(config) {
+            notifyConfig = config;
+            NOTIFY_THRESHOLDS.forEach(key => { document.getElementById('notify-' + key).value = config.thresholds[key]; });
+            Object.keys(config.events).forEach(key => { document.getElementById('notify-event-' + key).checked = config.events[key]; });
+            Object.keys(config.templates).forEach(key => { document.getElementById('notify-tpl-' + key).value = config.templates[key]; });
+            renderChannels();
+        }
+
+        function renderChannels() {
+            document.getElementById('channel-list').innerHTML = notifyConfig.channels.map((c, i) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<p class="font-bold text-sm ' + (c.enabled ? 'text-slate-700' : 'text-slate-400 line-through') + '">' + esc(c.name)
+                + ' <span class="ml-1 px-2 py-0.5 rounded bg-white border border-slate-200 text-xs font-mono text-slate-500">' + CHANNEL_LABELS[c.type] + '</span></p>'
+                + '<div class="flex gap-2">'
+                + '<button data-action="testChannel" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('📨 测试') + '</button>'
+                + '<button data-action="toggleChannel" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + (c.enabled ? T('⏸ 停用') : T('▶️ 启用')) + '</button>'
+                + '<button data-action="openChannelModal" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('✏️ 编辑') + '</button>'
+                + '<button data-action="deleteChannel" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-rose-200 text-rose-600 text-xs font-bold rounded-lg">' + T('🗑 删除') + '</button>'
+                + '</div></div>').join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无通知渠道') + '</div>';
+        }
+
+        async function loadNotifyConfig() {
+            if (!document.getElementById('channel-list')) return;
+            const res = await fetchApi('/admin-notify');
+            if (res.config) renderNotifyConfig(res.config);
         }
 
-        async function saveToken() {
-            const token = document.getElementById('token-input').value;
-            const days = document.getElementById('token-days').value;
-            const never = document.getElementById('token-never').checked;
-            const res = await fetchApi('/admin-token', 'POST', { token, expiresDays: days, neverExpire: never });
+        async function saveNotifyConfig(message = T('通知配置已保存')) {
+            NOTIFY_THRESHOLDS.forEach(key => { notifyConfig.thresholds[key] = Number(document.getElementById('notify-' + key).value); });
+            Object.keys(notifyConfig.events).forEach(key => { notifyConfig.events[key] = document.getElementById('notify-event-' + key).checked; });
+            Object.keys(notifyConfig.templates).forEach(key => { notifyConfig.templates[key] = document.getElementById('notify-tpl-' + key).value; });
+            const res = await fetchApi('/admin-notify', 'POST', notifyConfig);
             if (res.success) {
-                showToast('配置已保存');
-                setTimeout(() => location.reload(), 1000);
+                renderNotifyConfig(res.config);
+                showToast(message);
             } else {
                 showToast(res.error, 'error');
+                loadNotifyConfig();
             }
+            return res.success;
         }
 
-        async function copyToken() {
-            if(await copyToClipboard(currentToken)) showToast('Token 已复制');
+        async function resetNotifyConfig() {
+            if (!confirm(T('确定恢复默认通知配置？已添加的渠道也会被清空'))) return;
+            const res = await fetchApi('/admin-notify', 'DELETE');
+            if (res.success) {
+                renderNotifyConfig(res.config);
+                showToast(T('已恢复默认通知配置'));
+            } else showToast(res.error, 'error');
         }
 
-        function openTokenModal() {
-            document.getElementById('token-input').value = currentToken || '';
-            document.getElementById('token-modal').classList.remove('hidden');
+        function updateChannelFields() {
+            const type = document.getElementById('channel-type').value;
+            document.getElementById('channel-url-field').classList.toggle('hidden', type === 'telegram');
+            document.getElementById('channel-secret-field').classList.toggle('hidden', type !== 'dingtalk');
+            document.getElementById('channel-telegram-fields').classList.toggle('hidden', type !== 'telegram');
+        }
+
+        function openChannelModal(index) {
+            const c = index === undefined ? null : notifyConfig.channels[index];
+            document.getElementById('channel-modal-title').textContent = c ? T('编辑通知渠道') : T('添加通知渠道');
+            document.getElementById('channel-index').value = c ? index : '';
+            document.getElementById('channel-name').value = c ? c.name : '';
+            document.getElementById('channel-type').value = c ? c.type : 'webhook';
+            ['url', 'chatId'].forEach(key => { document.getElementById('channel-' + key).value = c ? (c[key] || '') : ''; });
+            // 密钥不会下发到页面，已保存时留空即沿用
+            document.getElementById('channel-secret').value = '';
+            document.getElementById('channel-secret').placeholder = c?.hasSecret ? T('已保存则留空') : 'SEC...';
+            document.getElementById('channel-botToken').value = '';
+            document.getElementById('channel-botToken').placeholder = c?.hasBotToken ? T('已保存则留空') : '';
+            updateChannelFields();
+            document.getElementById('channel-modal').classList.remove('hidden');
+        }
+
+        async function saveChannel() {
+            const index = document.getElementById('channel-index').value;
+            const existing = index === '' ? null : notifyConfig.channels[Number(index)];
+            const channel = { id: existing?.id, enabled: existing ? existing.enabled : true, name: document.getElementById('channel-name').value, type: document.getElementById('channel-type').value };
+            ['url', 'secret', 'botToken', 'chatId'].forEach(key => { channel[key] = document.getElementById('channel-' + key).value; });
+            if (existing) notifyConfig.channels[Number(index)] = channel;
+            else notifyConfig.channels.push(channel);
+            if (await saveNotifyConfig(T('通知渠道已保存'))) closeModal('channel-modal');
+        }
+
+        async function toggleChannel(index) {
+            notifyConfig.channels[index].enabled = !notifyConfig.channels[index].enabled;
+            await saveNotifyConfig();
+        }
+
+        async function deleteChannel(index) {
+            if (!confirm(T('确定删除通知渠道 {name}？', { name: notifyConfig.channels[index].name }))) return;
+            notifyConfig.channels.splice(index, 1);
+            await saveNotifyConfig(T('通知渠道已删除'));
+        }
+
+        async function testChannel(index) {
+            const res = await fetchApi('/admin-notify?action=test', 'POST', { channelId: notifyConfig.channels[index].id });
+            if (res.success) showToast(T('测试通知已发送'));
+            else showToast(T('发送失败: {reason}', { reason: res.error }), 'error');
+        }
+
+        // --- 运行日志 ---
+
+        const RUN_STATUS_STYLES = { testing: [T('测速中'), 'bg-indigo-100 text-indigo-700'], completed: [T('完成'), 'bg-emerald-100 text-emerald-700'], cancelled: [T('已取消'), 'bg-slate-200 text-slate-600'], failed: [T('失败'), 'bg-rose-100 text-rose-700'] };
+        const TRIGGER_LABELS = { cron: T('定时'), manual: T('手动'), api: 'API' };
+
+        function formatDuration(ms) {
+            if (ms === null || ms === undefined) return '-';
+            return ms < 1000 ? ms + 'ms' : (ms / 1000).toFixed(1) + 's';
+        }
+
+        async function loadRuns() {
+            const list = document.getElementById('run-list');
+            if (!list) return;
+            const res = await fetchApi('/runs');
+            list.innerHTML = (res.runs || []).map((r, i) => {
+                const [statusLabel, statusClass] = RUN_STATUS_STYLES[r.status] || [r.status, 'bg-slate-200 text-slate-600'];
+                const sources = (r.sources || []).map(s => '<p class="font-mono">' + esc(s.name) + ' · '
+                    + (s.status === 'success' ? T('有效 {valid}', { valid: s.valid }) + ' / ' + T('匹配 {count}', { count: s.count }) : s.status === 'error' ? '<span class="text-rose-500">' + esc(s.error) + '</span>' : esc(s.status))
+                    + (s.duration !== null ? ' · ' + formatDuration(s.duration) : '') + '</p>').join('');
+                return '<div class="px-4 py-3 cursor-pointer" data-action="toggleRunDetail" data-arg="' + i + '">'
+                    + '<p class="font-bold text-sm text-slate-700">' + new Date(r.startedAt).toLocaleString() + ' · ' + esc(TRIGGER_LABELS[r.trigger] || r.trigger)
+                    + ' <span class="ml-1 px-2 py-0.5 rounded text-xs ' + statusClass + '">' + statusLabel + '</span></p>'
+                    + '<p class="text-xs text-slate-500">' + T('采集 {collected} · 已测 {tested} · 可用 {passed}', r) + (r.fastIPs !== null ? ' · ' + T('优选 {count}', { count: r.fastIPs }) : '')
+                    + ' · ' + T('耗时 采集 {collect} / 测速 {test}（{chunks} 段）/ 收尾 {finish}', { collect: formatDuration(r.phases.collect), test: formatDuration(r.phases.test), chunks: r.chunks, finish: formatDuration(r.phases.finish) }) + '</p>'
+                    + r.errors.map(err => '<p class="text-xs text-rose-500">' + esc(err) + '</p>').join('')
+                    + '<div id="run-detail-' + i + '" class="hidden mt-2 text-xs text-slate-500 space-y-0.5">' + (sources || '<p>' + T('本次运行未采集数据源（重新测速）') + '</p>') + '</div>'
+                    + '</div>';
+            }).join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无运行记录') + '</div>';
+        }
+
+        function toggleRunDetail(index) {
+            document.getElementById('run-detail-' + index).classList.toggle('hidden');
+        }
+
+        // --- 运行快照 ---
+
+        let snapshots = [];
+
+        function renderSnapshots(res) {
+            snapshots = res.snapshots;
+            document.getElementById('snapshot-list').innerHTML = snapshots.map((s, i) => '<div class="px-4 py-3 flex flex-wrap items-center justify-between gap-3">'
+                + '<div><p class="font-bold text-sm text-slate-700">' + new Date(s.createdAt).toLocaleString() + ' · ' + esc(s.trigger)
+                + (s.id === res.current ? ' <span class="ml-1 px-2 py-0.5 rounded bg-emerald-100 text-emerald-700 text-xs">' + T('当前') + '</span>' : '') + '</p>'
+                + '<p class="text-xs text-slate-400 font-mono">' + esc(s.id) + ' · IP ' + s.ipCount + ' · ' + T('优选 {count}', { count: s.fastCount }) + ' · ' + T('数据源成功 {success} / 失败 {error}', s.sources) + '</p></div>'
+                + '<div class="flex gap-2">'
+                + (i < snapshots.length - 1 ? '<button data-action="showSnapshotDiff" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-slate-200 text-xs font-bold rounded-lg">' + T('📊 对比上一份') + '</button>' : '')
+                + (s.id !== res.current ? '<button data-action="rollbackSnapshot" data-arg="' + i + '" class="px-3 py-1.5 bg-white border border-amber-200 text-amber-700 text-xs font-bold rounded-lg">' + T('⏪ 回滚') + '</button>' : '')
+                + '</div></div>').join('') || '<div class="py-6 text-center text-slate-400 text-sm">' + T('暂无快照，测速完成后自动生成') + '</div>';
+        }
+
+        async function loadSnapshots() {
+            if (!document.getElementById('snapshot-list')) return;
+            const res = await fetchApi('/admin-snapshots');
+            if (!res.config) return;
+            document.getElementById('snapshot-retention').value = res.config.retention;
+            renderSnapshots(res);
+        }
+
+        async function saveSnapshotConfig() {
+            const res = await fetchApi('/admin-snapshots', 'POST', { retention: Number(document.getElementById('snapshot-retention').value) });
+            if (res.success) {
+                renderSnapshots(res);
+                showToast(T('快照保留份数已保存'));
+            } else showToast(res.error, 'error');
+        }
+
+        async function showSnapshotDiff(index) {
+            const res = await fetchApi('/snapshots/diff?from=' + encodeURIComponent(snapshots[Number(index) + 1].id) + '&to=' + encodeURIComponent(snapshots[index].id));
+            if (!res.fastIPs) return showToast(res.error, 'error');
+            const hostList = list => esc(list.map(hostPort).join(', ') || '-');
+            const box = document.getElementById('snapshot-diff');
+            box.innerHTML = '<p class="font-bold text-slate-700 mb-2">' + new Date(res.from.createdAt).toLocaleString() + ' → ' + new Date(res.to.createdAt).toLocaleString() + '</p>'
+                + '<p class="text-slate-500">' + T('采集 IP：新增 {added} · 减少 {removed}', { added: res.ips.addedCount, removed: res.ips.removedCount }) + '</p>'
+                + '<p class="text-slate-500">' + T('优选 IP：上升 {up} · 下降 {down}', res.fastIPs.summary) + '</p>'
+                + '<p class="text-emerald-600 font-mono mt-2">+ ' + hostList(res.fastIPs.added) + '</p>'
+                + '<p class="text-rose-500 font-mono">- ' + hostList(res.fastIPs.removed) + '</p>';
+            box.classList.remove('hidden');
+        }
+
+        async function rollbackSnapshot(index) {
+            const s = snapshots[index];
+            if (!confirm(T('确定回滚到 {time} 的快照？当前 IP 列表和优选结果将被替换', { time: new Date(s.createdAt).toLocaleString() }))) return;
+            const res = await fetchApi('/admin-snapshots?action=rollback', 'POST', { id: s.id });
+            if (res.success) {
+                showToast(T('已回滚到所选快照'));
+                refreshData();
+            } else showToast(res.error, 'error');
         }
 
         function closeModal(id) { document.getElementById(id).classList.add('hidden'); }
-        
-        document.getElementById('admin-badge').onclick = () => {
-            if (${isLoggedIn}) {
-                const drop = document.getElementById('admin-dropdown');
-                drop.classList.toggle('hidden');
-            } else document.getElementById('login-modal').classList.remove('hidden');
+
+        // 原地刷新概览、优选列表与全部 IP；管理员同时刷新各管理面板
+        async function refreshData() {
+            await Promise.all([loadDashboard(), loadExplorer(), ...(isAdmin ? [loadAdminPanels()] : [])]);
+        }
+
+        function loadAdminPanels() {
+            return Promise.all([
+                loadSources(),
+                loadSourceStats(),
+                loadIPLists(),
+                loadCfRanges(),
+                loadSettings(),
+                loadTestProfile(),
+                loadSubTemplates(),
+                loadTokens(),
+                loadSessions(),
+                loadDnsConfig(),
+                loadNotifyConfig(),
+                loadOutputPresets(),
+                loadSnapshots(),
+                loadRuns()
+            ]);
+        }
+
+        // --- 事件绑定 ---
+        // CSP 禁止内联事件处理器，页面元素通过 data-action（点击）、data-change、data-input 指定要调用的函数，data-arg 为参数
+
+        const ACTIONS = {
+            toggleAdminMenu, login, logout, closeModal, switchLanguage: (arg, el) => switchLanguage(el.value), refreshData, updateIPs, startSpeedTest, cancelSpeedTest, downloadFast, openItdog,
+            copyIP, copyFastIPs, copyToken, switchView, applyListFilter, sortExplorer, explorerPage, searchExplorer,
+            openTokenModal, createToken, revokeToken, revokeSession,
+            openSourceModal, saveSource, toggleSource, deleteSource, updateParserHint,
+            switchIPList, saveIPList, exportIPList, clearIPList,
+            openSubModal, saveSubTemplate, toggleSubTemplate, deleteSubTemplate, updateSubCredentialHint,
+            saveOutputPreset, editOutputPreset, deleteOutputPreset, copyPresetLink,
+            saveSettings, resetSettings, exportConfig, saveTestProfile, resetTestProfile, runBatchSpeedTest,
+            refreshCfRanges, resetCfRanges, saveCfRanges, saveDnsConfig,
+            openChannelModal, saveChannel, toggleChannel, deleteChannel, testChannel, updateChannelFields,
+            saveNotifyConfig: () => saveNotifyConfig(), resetNotifyConfig,
+            loadRuns, toggleRunDetail, saveSnapshotConfig, showSnapshotDiff, rollbackSnapshot,
+            syncDnsNow: arg => syncDnsNow(arg === 'true'),
+            copySubLink: (arg, el) => copySubLink(arg, el.dataset.format),
+            toggleMetrics: (arg, el) => toggleMetrics(arg, el.dataset.ip),
+            importIPListFile: (arg, el) => importIPListFile(el),
+            importConfigFile: (arg, el) => importConfigFile(el)
         };
 
-        function refreshData() { location.reload(); }
-    </script>
-</body>
-</html>`;
-    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+        function dispatchAction(event, attr) {
+            const el = event.target.closest('[data-' + attr + ']');
+            if (el) ACTIONS[el.dataset[attr]](el.dataset.arg, el);
+        }
+
+        document.addEventListener('click', event => dispatchAction(event, 'action'));
+        document.addEventListener('change', event => dispatchAction(event, 'change'));
+        document.addEventListener('input', event => dispatchAction(event, 'input'));
+
+        loadStatus();
+        refreshData();
+`;
+}
+
+// 页面所用工具类的样式（类名与 Tailwind 一致），随页面一同提供，避免依赖第三方 CDN
+const DASHBOARD_CSS = `*,::before,::after{box-sizing:border-box;border:0 solid #e2e8f0}
+html{line-height:1.5;-webkit-text-size-adjust:100%;font-family:ui-sans-serif,system-ui,-apple-system,"Segoe UI",Roboto,"Helvetica Neue",Arial,"PingFang SC","Microsoft YaHei",sans-serif}
+body{margin:0;line-height:inherit}
+h1,h2,h3,h4,p,pre{margin:0}
+h1,h2,h3,h4{font-size:inherit;font-weight:inherit}
+a{color:inherit;text-decoration:inherit}
+button,input,select,textarea{font-family:inherit;font-size:100%;font-weight:inherit;line-height:inherit;color:inherit;margin:0;padding:0}
+button{background-color:transparent;background-image:none;cursor:pointer}
+button:disabled{cursor:default}
+input::placeholder,textarea::placeholder{color:#94a3b8}
+textarea{resize:vertical}
+table{border-collapse:collapse;text-indent:0;border-color:inherit}
+pre,code{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace}
+svg{display:block;vertical-align:middle}
+[hidden]{display:none}
+::-webkit-scrollbar{width:6px}
+::-webkit-scrollbar-thumb{background:#cbd5e1;border-radius:10px}
+@keyframes spin{to{transform:rotate(360deg)}}
+@keyframes pulse{50%{opacity:.5}}
+.-translate-x-1\\/2{--tw-translate-x:-50%;transform:translate(var(--tw-translate-x,0),var(--tw-translate-y,0))}
+.absolute{position:absolute}
+.animate-pulse{animation:pulse 2s cubic-bezier(.4,0,.6,1) infinite}
+.animate-spin{animation:spin 1s linear infinite}
+.backdrop-blur-sm{-webkit-backdrop-filter:blur(4px);backdrop-filter:blur(4px)}
+.bg-amber-100{background-color:#fef3c7}
+.bg-amber-500{background-color:#f59e0b}
+.bg-blue-600{background-color:#2563eb}
+.bg-clip-text{-webkit-background-clip:text;background-clip:text}
+.bg-emerald-100{background-color:#d1fae5}
+.bg-emerald-50{background-color:#ecfdf5}
+.bg-emerald-500{background-color:#10b981}
+.bg-emerald-600{background-color:#059669}
+.bg-gradient-to-r{background-image:linear-gradient(to right,var(--tw-gradient-stops))}
+.bg-indigo-100{background-color:#e0e7ff}
+.bg-indigo-600{background-color:#4f46e5}
+.bg-red-500{background-color:#ef4444}
+.bg-rose-100{background-color:#ffe4e6}
+.bg-rose-500{background-color:#f43f5e}
+.bg-sky-100{background-color:#e0f2fe}
+.bg-slate-100{background-color:#f1f5f9}
+.bg-slate-200{background-color:#e2e8f0}
+.bg-slate-400{background-color:#94a3b8}
+.bg-slate-50{background-color:#f8fafc}
+.bg-slate-800{background-color:#1e293b}
+.bg-slate-900\\/60{background-color:rgb(15 23 42/0.6)}
+.bg-violet-100{background-color:#ede9fe}
+.bg-white{background-color:#fff}
+.block{display:block}
+.border{border-width:1px}
+.border-4{border-width:4px}
+.border-amber-200{border-color:#fde68a}
+.border-b{border-bottom-width:1px}
+.border-blue-600{border-color:#2563eb}
+.border-emerald-200{border-color:#a7f3d0}
+.border-rose-200{border-color:#fecdd3}
+.border-slate-100{border-color:#f1f5f9}
+.border-slate-200{border-color:#e2e8f0}
+.border-slate-300{border-color:#cbd5e1}
+.border-t{border-top-width:1px}
+.border-t-transparent{border-top-color:transparent}
+.bottom-4{bottom:1rem}
+.break-all{word-break:break-all}
+.col-span-2{grid-column:span 2/span 2}
+.col-span-3{grid-column:span 3/span 3}
+.cursor-pointer{cursor:pointer}
+.divide-slate-100>:not([hidden])~:not([hidden]){border-color:#f1f5f9}
+.divide-y>:not([hidden])~:not([hidden]){border-top-width:1px;border-bottom-width:0}
+.fixed{position:fixed}
+.flex{display:flex}
+.flex-1{flex:1 1 0%}
+.flex-wrap{flex-wrap:wrap}
+.font-bold{font-weight:700}
+.font-extrabold{font-weight:800}
+.font-mono{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace}
+.font-normal{font-weight:400}
+.font-semibold{font-weight:600}
+.from-blue-600{--tw-gradient-from:#2563eb;--tw-gradient-to:transparent;--tw-gradient-stops:var(--tw-gradient-from),var(--tw-gradient-to)}
+.gap-1{gap:0.25rem}
+.gap-2{gap:0.5rem}
+.gap-3{gap:0.75rem}
+.gap-4{gap:1rem}
+.gap-6{gap:1.5rem}
+.grid{display:grid}
+.grid-cols-1{grid-template-columns:repeat(1,minmax(0,1fr))}
+.grid-cols-2{grid-template-columns:repeat(2,minmax(0,1fr))}
+.grid-cols-3{grid-template-columns:repeat(3,minmax(0,1fr))}
+.h-10{height:2.5rem}
+.h-3{height:0.75rem}
+.h-8{height:2rem}
+.inline-block{display:inline-block}
+.inset-0{inset:0}
+.items-center{align-items:center}
+.items-end{align-items:flex-end}
+.justify-between{justify-content:space-between}
+.justify-center{justify-content:center}
+.left-1\\/2{left:50%}
+.line-through{text-decoration-line:line-through}
+.max-h-64{max-height:16rem}
+.max-h-80{max-height:20rem}
+.max-h-96{max-height:24rem}
+.max-h-\\[600px\\]{max-height:600px}
+.max-h-\\[90vh\\]{max-height:90vh}
+.max-w-6xl{max-width:72rem}
+.max-w-lg{max-width:32rem}
+.max-w-md{max-width:28rem}
+.max-w-sm{max-width:24rem}
+.mb-1{margin-bottom:0.25rem}
+.mb-12{margin-bottom:3rem}
+.mb-2{margin-bottom:0.5rem}
+.mb-4{margin-bottom:1rem}
+.mb-6{margin-bottom:1.5rem}
+.mb-8{margin-bottom:2rem}
+.min-h-screen{min-height:100vh}
+.min-w-0{min-width:0}
+.ml-1{margin-left:0.25rem}
+.mr-1{margin-right:0.25rem}
+.mt-1{margin-top:0.25rem}
+.mt-2{margin-top:0.5rem}
+.mt-3{margin-top:0.75rem}
+.mt-4{margin-top:1rem}
+.mt-8{margin-top:2rem}
+.mx-2{margin-left:0.5rem;margin-right:0.5rem}
+.mx-auto{margin-left:auto;margin-right:auto}
+.opacity-0{opacity:0}
+.outline-none{outline:2px solid transparent;outline-offset:2px}
+.overflow-hidden{overflow:hidden}
+.overflow-x-auto{overflow-x:auto}
+.overflow-y-auto{overflow-y:auto}
+.p-1{padding:0.25rem}
+.p-4{padding:1rem}
+.p-6{padding:1.5rem}
+.p-8{padding:2rem}
+.pb-3{padding-bottom:0.75rem}
+.pt-8{padding-top:2rem}
+.px-2{padding-left:0.5rem;padding-right:0.5rem}
+.px-3{padding-left:0.75rem;padding-right:0.75rem}
+.px-4{padding-left:1rem;padding-right:1rem}
+.px-5{padding-left:1.25rem;padding-right:1.25rem}
+.px-6{padding-left:1.5rem;padding-right:1.5rem}
+.px-8{padding-left:2rem;padding-right:2rem}
+.py-0\\.5{padding-top:0.125rem;padding-bottom:0.125rem}
+.py-1{padding-top:0.25rem;padding-bottom:0.25rem}
+.py-1\\.5{padding-top:0.375rem;padding-bottom:0.375rem}
+.py-12{padding-top:3rem;padding-bottom:3rem}
+.py-2{padding-top:0.5rem;padding-bottom:0.5rem}
+.py-20{padding-top:5rem;padding-bottom:5rem}
+.py-3{padding-top:0.75rem;padding-bottom:0.75rem}
+.py-4{padding-top:1rem;padding-bottom:1rem}
+.py-6{padding-top:1.5rem;padding-bottom:1.5rem}
+.relative{position:relative}
+.right-0{right:0}
+.right-4{right:1rem}
+.rounded{border-radius:.25rem}
+.rounded-2xl{border-radius:1rem}
+.rounded-3xl{border-radius:1.5rem}
+.rounded-full{border-radius:9999px}
+.rounded-lg{border-radius:.5rem}
+.rounded-md{border-radius:.375rem}
+.rounded-xl{border-radius:.75rem}
+.shadow-2xl{--tw-shadow:0 25px 50px -12px rgb(0 0 0/.25);box-shadow:var(--tw-shadow)}
+.shadow-xl{--tw-shadow:0 20px 25px -5px rgb(0 0 0/.1),0 8px 10px -6px rgb(0 0 0/.1);box-shadow:var(--tw-shadow)}
+.space-y-0\\.5>:not([hidden])~:not([hidden]){margin-top:0.125rem}
+.space-y-4>:not([hidden])~:not([hidden]){margin-top:1rem}
+.text-2xl{font-size:1.5rem;line-height:2rem}
+.text-3xl{font-size:1.875rem;line-height:2.25rem}
+.text-4xl{font-size:2.25rem;line-height:2.5rem}
+.text-amber-600{color:#d97706}
+.text-amber-700{color:#b45309}
+.text-blue-600{color:#2563eb}
+.text-center{text-align:center}
+.text-emerald-600{color:#059669}
+.text-emerald-700{color:#047857}
+.text-indigo-500{color:#6366f1}
+.text-indigo-600{color:#4f46e5}
+.text-indigo-700{color:#4338ca}
+.text-left{text-align:left}
+.text-lg{font-size:1.125rem;line-height:1.75rem}
+.text-right{text-align:right}
+.text-rose-500{color:#f43f5e}
+.text-rose-600{color:#e11d48}
+.text-rose-700{color:#be123c}
+.text-sky-700{color:#0369a1}
+.text-slate-400{color:#94a3b8}
+.text-slate-500{color:#64748b}
+.text-slate-600{color:#475569}
+.text-slate-700{color:#334155}
+.text-slate-800{color:#1e293b}
+.text-slate-900{color:#0f172a}
+.text-sm{font-size:.875rem;line-height:1.25rem}
+.text-transparent{color:transparent}
+.text-violet-700{color:#6d28d9}
+.text-white{color:#fff}
+.text-xl{font-size:1.25rem;line-height:1.75rem}
+.text-xs{font-size:.75rem;line-height:1rem}
+.top-4{top:1rem}
+.transform{transform:translate(var(--tw-translate-x,0),var(--tw-translate-y,0))}
+.translate-y-10{--tw-translate-y:2.5rem;transform:translate(var(--tw-translate-x,0),var(--tw-translate-y,0))}
+.truncate{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.w-20{width:5rem}
+.w-48{width:12rem}
+.w-56{width:14rem}
+.w-8{width:2rem}
+.w-full{width:100%}
+.w-px{width:1px}
+.z-50{z-index:50}
+.transition-all{transition-property:all;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:150ms}
+.transition-colors{transition-property:color,background-color,border-color;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:150ms}
+.transition-opacity{transition-property:opacity;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:150ms}
+.duration-300{transition-duration:300ms}
+.to-indigo-600{--tw-gradient-to:#4f46e5}
+.shadow-amber-100{--tw-shadow-color:#fef3c7;--tw-shadow:var(--tw-shadow-colored)}
+.shadow-blue-100{--tw-shadow-color:#dbeafe;--tw-shadow:var(--tw-shadow-colored)}
+.shadow-lg{--tw-shadow:0 10px 15px -3px rgb(0 0 0/.1),0 4px 6px -4px rgb(0 0 0/.1);--tw-shadow-colored:0 10px 15px -3px var(--tw-shadow-color),0 4px 6px -4px var(--tw-shadow-color);box-shadow:var(--tw-shadow)}
+.shadow-sm{--tw-shadow:0 1px 2px 0 rgb(0 0 0/.05);--tw-shadow-colored:0 1px 2px 0 var(--tw-shadow-color);box-shadow:var(--tw-shadow)}
+.hidden{display:none}
+.disabled\\:opacity-50:disabled{opacity:.5}
+.focus\\:ring-2:focus{box-shadow:0 0 0 2px var(--tw-ring-color,#3b82f6)}
+.focus\\:ring-blue-500:focus{--tw-ring-color:#3b82f6}
+.group:hover .group-hover\\:opacity-100{opacity:1}
+.hover\\:bg-amber-600:hover{background-color:#d97706}
+.hover\\:bg-blue-50:hover{background-color:#eff6ff}
+.hover\\:bg-blue-700:hover{background-color:#1d4ed8}
+.hover\\:bg-emerald-700:hover{background-color:#047857}
+.hover\\:bg-indigo-700:hover{background-color:#4338ca}
+.hover\\:bg-rose-50:hover{background-color:#fff1f2}
+.hover\\:bg-slate-50:hover{background-color:#f8fafc}
+.hover\\:bg-slate-50\\/50:hover{background-color:rgb(248 250 252/0.5)}
+.hover\\:bg-slate-900:hover{background-color:#0f172a}
+.hover\\:bg-white:hover{background-color:#fff}
+.hover\\:text-slate-600:hover{color:#475569}
+.hover\\:underline:hover{text-decoration-line:underline}
+@media (min-width:768px){
+    .md\\:block{display:block}
+    .md\\:col-span-4{grid-column:span 4/span 4}
+    .md\\:col-span-6{grid-column:span 6/span 6}
+    .md\\:grid-cols-2{grid-template-columns:repeat(2,minmax(0,1fr))}
+    .md\\:grid-cols-3{grid-template-columns:repeat(3,minmax(0,1fr))}
+    .md\\:grid-cols-4{grid-template-columns:repeat(4,minmax(0,1fr))}
+    .md\\:grid-cols-6{grid-template-columns:repeat(6,minmax(0,1fr))}
+    .md\\:inline{display:inline}
 }
+`;
+
+// 界面文案译文：以中文原文为键，zh-CN 直接使用原文
+const UI_TRANSLATIONS = {
+    en: {
+        'Cloudflare IP 收集器': 'Cloudflare IP Collector',
+        '⏳ 加载中': '⏳ Loading',
+        '🚪 退出登录': '🚪 Log out',
+        'Cloudflare 优选 IP 收集器': 'Cloudflare Fast IP Collector',
+        '自动多源采集，智能后台测速，一键导出配置': 'Multi-source collection, background speed tests and one-click export',
+        '采集总量': 'Collected',
+        '优质数量': 'Fast IPs',
+        '采集状态': 'Status',
+        '更新时间': 'Updated',
+        '🛠️ 控制面板': '🛠️ Control panel',
+        '🔄 立即采集': '🔄 Collect now',
+        '⚡ 手动测速': '⚡ Run speed test',
+        '📥 下载 IP 文件': '📥 Download IP file',
+        '🌐 ITDog 联测': '🌐 Test on ITDog',
+        '🔄 刷新数据': '🔄 Refresh',
+        '正在处理任务，请稍后...': 'Working, please wait...',
+        '测速任务': 'Speed test',
+        '✖ 取消': '✖ Cancel',
+        '🔑 API Token 管理': '🔑 API tokens',
+        '➕ 创建 Token': '➕ Create token',
+        '新 Token 只显示这一次，请立即复制保存': 'The new token is shown only once, copy it now',
+        '📋 复制': '📋 Copy',
+        '名称': 'Name',
+        '权限': 'Scopes',
+        '过期': 'Expires',
+        '最近使用': 'Last used',
+        '次数': 'Uses',
+        '加载中...': 'Loading...',
+        '🖥️ 登录会话': '🖥️ Sessions',
+        '📡 数据源管理': '📡 Sources',
+        '➕ 添加数据源': '➕ Add source',
+        '📊 数据源质量': '📊 Source quality',
+        '按最近一次测速中各数据源的 IP 进入优选的比例排序，独有表示只有该数据源提供的 IP 数': 'Sorted by the share of each source’s IPs that made the fast list in the latest run; unique counts IPs only that source provides',
+        '数据源': 'Source',
+        'IP 数': 'IPs',
+        '独有': 'Unique',
+        '进入优选': 'In fast list',
+        '连续失败': 'Fail streak',
+        '平均响应': 'Avg. response',
+        '状态': 'Status',
+        '📝 手动 IP 列表': '📝 Manual IP lists',
+        '自定义 IP 在下次采集时并入；置顶 IP 测速后始终排在优选最前；黑名单支持 IP 和 CIDR，保存后立即从各处排除': 'Custom IPs join the next collection; pinned IPs always lead the fast list after testing; the blocklist accepts IPs and CIDRs and takes effect everywhere on save',
+        '自定义': 'Custom',
+        '置顶': 'Pinned',
+        '黑名单': 'Blocked',
+        '每行一个 IP，也可以直接粘贴文本或 CSV': 'One IP per line, or paste any text or CSV',
+        '📂 导入文件': '📂 Import file',
+        '📥 导出': '📥 Export',
+        '🗑 清空': '🗑 Clear',
+        '💾 保存': '💾 Save',
+        '🔗 订阅模板': '🔗 Subscription templates',
+        '订阅链接使用 API Token 鉴权，节点地址取当前优选 IP': 'Subscription links authenticate with an API token; node addresses come from the current fast IPs',
+        '➕ 添加模板': '➕ Add template',
+        '📤 输出预设': '📤 Output presets',
+        '保存常用的输出参数，通过 /fast-ips.txt?preset=名称 或 /ips?preset=名称 调用': 'Save frequently used output parameters and use them via /fast-ips.txt?preset=NAME or /ips?preset=NAME',
+        '💾 保存预设': '💾 Save preset',
+        '格式': 'Format',
+        '数量': 'Count',
+        '最大延迟 (ms)': 'Max latency (ms)',
+        '端口': 'Port',
+        '地址族': 'Family',
+        '全部': 'All',
+        '机房（逗号分隔）': 'Colos (comma separated)',
+        '排行': 'Ranking',
+        '最新': 'Latest',
+        '稳定': 'Stable',
+        '线路': 'Carrier',
+        '不限': 'Any',
+        '行模板（仅 TXT）：{ip} {host} {endpoint} {port} {latency} {index} {colo} {country} {region} {isp} {score} {family}': 'Line template (TXT only): {ip} {host} {endpoint} {port} {latency} {index} {colo} {country} {region} {isp} {score} {family}',
+        '⚙️ 运行设置': '⚙️ Settings',
+        '保存在 KV 中，下一次采集或测速时生效': 'Stored in KV, applied from the next collection or speed test',
+        '↩️ 恢复默认': '↩️ Reset to defaults',
+        '💾 保存设置': '💾 Save settings',
+        '{label}（{min} ~ {max}）': '{label} ({min} ~ {max})',
+        '📤 导出配置': '📤 Export configuration',
+        '📥 导入配置': '📥 Import configuration',
+        '导出时包含 Token 哈希与密钥': 'Include token hashes and secrets in the export',
+        '配置文件包含全部配置：运行设置、测速配置、数据源、API Token、DNS 同步、通知、手动 IP 列表、订阅模板、输出预设、IP 段与快照设置。不含哈希的 Token 在导入时会被跳过，不含的密钥沿用当前已保存的值。': 'The file contains the whole configuration: settings, the speed test profile, sources, API tokens, DNS sync, notifications, manual IP lists, subscription templates, output presets, IP ranges and snapshot settings. Tokens without a hash are skipped on import and missing secrets keep their saved values.',
+        '🧪 测速配置': '🧪 Speed test profile',
+        '💾 保存配置': '💾 Save',
+        '测试端口（逗号分隔，最多 6 个）：HTTPS {https}，HTTP {http}': 'Test ports (comma separated, up to 6): HTTPS {https}, HTTP {http}',
+        '采样次数': 'Samples',
+        '采样超时 (ms)': 'Sample timeout (ms)',
+        '吞吐下载字节 (0 不测)': 'Throughput download bytes (0 = skip)',
+        '下载超时 (ms)': 'Download timeout (ms)',
+        '延迟权重': 'Latency weight',
+        '抖动权重': 'Jitter weight',
+        '丢包权重': 'Loss weight',
+        '吞吐权重': 'Throughput weight',
+        '🎯 批量测速': '🎯 Batch speed test',
+        '粘贴 IP（每次最多 {max} 个，只测 Cloudflare IP 段内的地址），使用当前测速配置，结果实时显示': 'Paste IPs (up to {max} at a time, only addresses in Cloudflare ranges are tested); uses the current profile and streams results live',
+        '端口（留空使用测速配置）': 'Ports (blank uses the profile)',
+        '▶️ 开始测速': '▶️ Start',
+        '机房': 'Colo',
+        '延迟': 'Latency',
+        '抖动': 'Jitter',
+        '丢包': 'Loss',
+        '评分': 'Score',
+        '暂无结果': 'No results yet',
+        '🛡️ Cloudflare IP 段': '🛡️ Cloudflare IP ranges',
+        '🌐 从官方刷新': '🌐 Refresh from Cloudflare',
+        '↩️ 恢复内置': '↩️ Restore built-in',
+        '💾 保存自定义': '💾 Save custom',
+        'IPv4 CIDR，每行一个': 'IPv4 CIDRs, one per line',
+        'IPv6 CIDR，每行一个': 'IPv6 CIDRs, one per line',
+        '🌐 DNS 同步': '🌐 DNS sync',
+        '测速任务完成后把前 N 个优选 IP 同步到 Cloudflare DNS 记录': 'After each speed test, publish the top N fast IPs to a Cloudflare DNS record',
+        '🔍 预演': '🔍 Dry run',
+        '🔄 立即同步': '🔄 Sync now',
+        '已保存则留空': 'Leave blank to keep the saved token',
+        '记录名': 'Record name',
+        '发布数量 N': 'Publish count N',
+        '最少 IP 数 K': 'Minimum IPs K',
+        'TTL（1 为自动）': 'TTL (1 = auto)',
+        'API 地址': 'API address',
+        '测速完成后自动同步': 'Sync automatically after speed tests',
+        '预演模式（只记录不修改）': 'Dry run (log only, no changes)',
+        '开启代理（橙色云朵）': 'Proxied (orange cloud)',
+        '📜 运行日志': '📜 Run log',
+        '最近 {limit} 次运行的触发方式、各阶段耗时、数据源结果与错误，点击展开数据源明细': 'Trigger, phase timings, source results and errors of the last {limit} runs; click a run for source details',
+        '🔄 刷新': '🔄 Refresh',
+        '🗂️ 运行快照': '🗂️ Snapshots',
+        '每次测速完成保存一份 IP 列表与优选结果，可对比或回滚到旧快照': 'Each finished speed test saves the IP list and fast results; compare them or roll back to an older snapshot',
+        '保留份数': 'Keep',
+        '🔔 通知': '🔔 Notifications',
+        '运行摘要与异常告警，阈值为 0 表示关闭该项告警': 'Run summaries and alerts; a threshold of 0 turns that alert off',
+        '➕ 添加渠道': '➕ Add channel',
+        '数据源连续失败次数': 'Source failure streak',
+        'IP 数下降超过 (%)': 'IP count drop above (%)',
+        '无 IP 低于延迟 (ms)': 'No IP below latency (ms)',
+        '运行摘要': 'Run summary',
+        '数据源失败': 'Source failure',
+        'IP 数下降': 'IP count drop',
+        '延迟过高': 'High latency',
+        '📝 消息模板': '📝 Message templates',
+        '运行摘要：{trigger} {total} {tested} {passed} {sources} {sourceDetails} {top} {duration}': 'Run summary: {trigger} {total} {tested} {passed} {sources} {sourceDetails} {top} {duration}',
+        '数据源失败：{source} {streak} {error}': 'Source failure: {source} {streak} {error}',
+        'IP 数下降：{previous} {current} {percent}': 'IP count drop: {previous} {current} {percent}',
+        '延迟过高：{threshold} {best}': 'High latency: {threshold} {best}',
+        '测试消息：{time}': 'Test message: {time}',
+        '⚡ 优选地址 (Top': '⚡ Fast IPs (Top',
+        '全局排行': 'Global',
+        '机房排行': 'By colo',
+        '稳定排行': 'Stable',
+        '全部机房': 'All colos',
+        '全部地区': 'All regions',
+        '📋 复制全部优选': '📋 Copy all fast IPs',
+        '🔎 全部 IP': '🔎 All IPs',
+        '搜索 IP、机房或数据源': 'Search IP, colo or source',
+        '全部状态': 'All statuses',
+        '优选': 'Fast',
+        '可用': 'Passed',
+        '不可用': 'Failed',
+        '待测速': 'Pending',
+        '未测速': 'Untested',
+        '每页 50': '50 per page',
+        '每页 100': '100 per page',
+        '每页 200': '200 per page',
+        '最近出现': 'Last seen',
+        '← 上一页': '← Previous',
+        '下一页 →': 'Next →',
+        '管理员验证': 'Administrator login',
+        '输入访问密码': 'Password',
+        '取消': 'Cancel',
+        '登录': 'Log in',
+        '创建 Token': 'Create token',
+        '如：软路由订阅': 'e.g. Router subscription',
+        '过期天数（0 表示永不过期）': 'Expires in days (0 = never)',
+        '创建': 'Create',
+        '数据源配置': 'Source',
+        '解析方式': 'Parser',
+        '正则文本': 'Regex text',
+        'JSON 路径': 'JSON path',
+        'CSV 列': 'CSV column',
+        'HTML 选择器': 'HTML selector',
+        '线路表格': 'Carrier table',
+        'DNS 域名 (DoH)': 'DNS domains (DoH)',
+        '超时 (ms)': 'Timeout (ms)',
+        '正则表达式（留空使用默认 IPv4 匹配）': 'Regular expression (blank matches IPv4 addresses)',
+        'DoH 格式': 'DoH format',
+        '记录类型': 'Record types',
+        '仅 A': 'A only',
+        '仅 AAAA': 'AAAA only',
+        '连续 {runs} 次没有 IP 进入优选时自动跳过 {hours} 小时': 'Skip for {hours} hours after {runs} runs without any IP in the fast list',
+        '保存数据源': 'Save source',
+        '通知渠道': 'Notification channel',
+        '类型': 'Type',
+        '企业微信机器人': 'WeCom bot',
+        '钉钉机器人': 'DingTalk bot',
+        '加签密钥（可选）': 'Signing secret (optional)',
+        '保存渠道': 'Save channel',
+        '订阅模板': 'Subscription template',
+        '协议': 'Protocol',
+        'SNI（留空同 Host）': 'SNI (blank = host)',
+        '传输': 'Transport',
+        '路径（gRPC 填 serviceName）': 'Path (serviceName for gRPC)',
+        '节点名格式：{name} {ip} {port} {colo} {country} {latency} {score} {index}': 'Node name pattern: {name} {ip} {port} {colo} {country} {latency} {score} {index}',
+        '保存模板': 'Save template',
+        '采集完成: {count} 个 IP，后台测速中': 'Collected {count} IPs, speed testing in the background',
+        '失败: {reason}': 'Failed: {reason}',
+        '未知原因': 'unknown reason',
+        '测速中': 'Testing',
+        '已完成': 'Completed',
+        '已取消': 'Cancelled',
+        '测速已在后台启动': 'Speed test started in the background',
+        '启动失败': 'Could not start',
+        '测速任务已取消': 'Speed test cancelled',
+        '可用 {count}': '{count} passed',
+        '测速完成，可用 IP {count} 个': 'Speed test finished, {count} IPs passed',
+        '已复制: {ip}': 'Copied: {ip}',
+        '复制失败': 'Copy failed',
+        '没有可复制的 IP': 'No IPs to copy',
+        '已复制 {count} 个优选 IP': 'Copied {count} fast IPs',
+        '正在获取全量 IP...': 'Fetching all IPs...',
+        'IP 已复制，正在打开 ITDog...': 'IPs copied, opening ITDog...',
+        '复制失败，请手动复制': 'Copy failed, please copy manually',
+        '暂无 IP 数据': 'No IP data yet',
+        '获取数据失败: {reason}': 'Failed to load data: {reason}',
+        '下载失败: HTTP {status}': 'Download failed: HTTP {status}',
+        '🔐 管理员': '🔐 Admin',
+        '🔓 点击登录': '🔓 Log in',
+        '密码错误': 'Wrong password',
+        '当前': 'Current',
+        '下线': 'Revoke',
+        '暂无会话': 'No sessions',
+        '确定让来自 {ip} 的会话下线？': 'Revoke the session from {ip}?',
+        '会话已下线': 'Session revoked',
+        '暂无 Token': 'No tokens yet',
+        '已过期': 'Expired',
+        '永不': 'Never',
+        '吊销': 'Revoke',
+        'Token 已复制': 'Token copied',
+        '确定吊销 Token {label}？使用它的客户端将立即失效': 'Revoke token {label}? Clients using it stop working immediately',
+        'Token 已吊销': 'Token revoked',
+        'JSON 路径，如 data.list[*].ip': 'JSON path, e.g. data.list[*].ip',
+        'CSV 列（序号从 0 开始，或表头名称）': 'CSV column (0-based index or header name)',
+        'CSS 选择器，如 table tr td:nth-child(2)': 'CSS selector, e.g. table tr td:nth-child(2)',
+        '表格行选择器（留空为 tr），自动识别线路、IP、延迟和机房列': 'Table row selector (blank = tr); carrier, IP, latency and colo columns are detected automatically',
+        '域名（逗号分隔，最多 {max} 个），每次采集通过 DoH 解析': 'Domains (comma separated, up to {max}), resolved over DoH on each collection',
+        '暂无数据源': 'No sources',
+        '⏸ 停用': '⏸ Disable',
+        '▶️ 启用': '▶️ Enable',
+        '✏️ 编辑': '✏️ Edit',
+        '🗑 删除': '🗑 Delete',
+        '格式错误': 'malformed',
+        '保留地址': 'reserved',
+        '非 CF': 'not CF',
+        '上次采集失败: {reason}': 'Last collection failed: {reason}',
+        '长期无 IP 进入优选，自动跳过至 {time}': 'No IP reached the fast list for a while, skipped until {time}',
+        '上次: 有效 {valid}': 'Last: {valid} valid',
+        '（独有 {unique}）': ' ({unique} unique)',
+        '匹配 {count}': '{count} matched',
+        '拒绝 {items}': 'rejected {items}',
+        '，': ', ',
+        '{count} 个': '{count}',
+        '自定义列表': 'Custom list',
+        '置顶列表': 'Pinned list',
+        '黑名单列表': 'Blocklist',
+        '{list}共 {count} 条': '{list}: {count} entries',
+        '，已忽略 {items}': ', ignored {items}',
+        '{list}已保存': '{list} saved',
+        '已导入 {count} 条': 'Imported {count} entries',
+        '确定清空{list}？': 'Clear the {list}?',
+        '{list}已清空': '{list} cleared',
+        '已停用': 'Disabled',
+        '跳过至 {time}': 'Skipped until {time}',
+        '自动跳过已开启': 'Auto-skip on',
+        '正常': 'OK',
+        'DoH 解析地址（留空使用 {resolver}）': 'DoH resolver (blank uses {resolver})',
+        '编辑数据源': 'Edit source',
+        '添加数据源': 'Add source',
+        '数据源已保存': 'Source saved',
+        '确定删除数据源 {name}？': 'Delete source {name}?',
+        '数据源已删除': 'Source deleted',
+        '通用': 'Generic',
+        '暂无模板': 'No templates',
+        '{format} 订阅链接已复制': '{format} subscription link copied',
+        '已复制，请把 YOUR_TOKEN 替换为具有 read_fast_ips 权限的 Token': 'Copied; replace YOUR_TOKEN with a token that has the read_fast_ips scope',
+        '编辑订阅模板': 'Edit subscription template',
+        '添加订阅模板': 'Add subscription template',
+        '订阅模板已保存': 'Subscription template saved',
+        '确定删除订阅模板 {name}？': 'Delete subscription template {name}?',
+        '订阅模板已删除': 'Subscription template deleted',
+        '默认参数': 'default parameters',
+        '📋 链接': '📋 Link',
+        '暂无预设': 'No presets',
+        '输出预设已保存': 'Output preset saved',
+        '确定删除输出预设 {name}？': 'Delete output preset {name}?',
+        '输出预设已删除': 'Output preset deleted',
+        '预设链接已复制': 'Preset link copied',
+        '运行设置已保存': 'Settings saved',
+        '已恢复默认运行设置': 'Settings reset to defaults',
+        '配置文件不是有效的 JSON': 'The configuration file is not valid JSON',
+        '导入会覆盖文件中包含的配置，确定继续？': 'Importing overwrites every part of the configuration contained in the file. Continue?',
+        '配置已导入': 'Configuration imported',
+        '，跳过 {count} 个不含哈希的 Token': ', skipped {count} tokens without a hash',
+        '，跳过 {count} 条无效的 IP 列表条目': ', skipped {count} invalid IP list entries',
+        '测速配置已保存，下次测速生效': 'Speed test profile saved, applied from the next run',
+        '已恢复默认测速配置': 'Speed test profile reset to defaults',
+        '全部采样失败': 'All samples failed',
+        '已忽略 {count} 个不可测速的地址': 'Ignored {count} addresses that cannot be tested',
+        '测速完成：{passed}/{tested} 个 IP 可用，耗时 {seconds} 秒': 'Done: {passed}/{tested} IPs passed in {seconds} s',
+        '测速中 {done}/{total}...': 'Testing {done}/{total}...',
+        '测速请求失败: {reason}': 'Speed test request failed: {reason}',
+        '已同步': 'Synced',
+        '未同步': 'Not synced',
+        '从未': 'Never',
+        '较上次运行：IP +{added} / -{removed} · 优选新增 {fastAdded}、移出 {fastRemoved}、上升 {up}、下降 {down}': 'Since the last run: IPs +{added} / -{removed} · fast list {fastAdded} new, {fastRemoved} dropped, {up} up, {down} down',
+        '暂无测速数据，点击采集或测速': 'No speed test data yet, collect or run a speed test',
+        '暂无机房数据': 'No colo data yet',
+        '历史数据不足，至少需要 {runs} 次测速': 'Not enough history, at least {runs} runs are needed',
+        '暂无{carrier}线路数据，需要启用按表格解析的数据源': 'No {carrier} data yet, enable a source with the carrier table parser',
+        '📌 置顶': '📌 Pinned',
+        '较上次运行新进入优选': 'New in the fast list since the last run',
+        '新': 'New',
+        '较上次运行排名上升': 'Moved up since the last run',
+        '较上次运行排名下降': 'Moved down since the last run',
+        '稳定 {score} · 成功率 {rate}%': 'Stability {score} · success {rate}%',
+        '评分 {score}': 'Score {score}',
+        '查看测速明细': 'Show test details',
+        '置顶 IP 本次测速未通过': 'This pinned IP failed the latest speed test',
+        '测速失败': 'Test failed',
+        '复制': 'Copy',
+        '{carrier}延迟': '{carrier} latency',
+        '中位延迟': 'Median latency',
+        '最低延迟': 'Min latency',
+        '丢包率': 'Loss',
+        '{count} 次': '{count} samples',
+        '吞吐': 'Throughput',
+        '未测': 'Not tested',
+        '综合评分': 'Score',
+        '加载历史...': 'Loading history...',
+        '登录后可查看历史趋势': 'Log in to see the history',
+        '历史加载失败': 'Could not load history',
+        '近 {runs} 次 · 成功率 {rate}%': 'Last {runs} runs · success {rate}%',
+        '中位 {median}ms': 'median {median}ms',
+        '登录或使用具备 read_fast_ips 权限的 Token 后可查看优选 IP': 'Log in or use a token with the read_fast_ips scope to see the fast IPs',
+        '登录或使用具备 read_ips 权限的 Token 后可浏览全部 IP': 'Log in or use a token with the read_ips scope to browse all IPs',
+        '共 {total} 个': '{total} total',
+        '没有匹配的 IP': 'No matching IPs',
+        '第 {page} / {pages} 页': 'Page {page} / {pages}',
+        '内置列表': 'Built-in list',
+        '官方列表': 'Official list',
+        'IPv4 {v4} 段 · IPv6 {v6} 段': 'IPv4 {v4} ranges · IPv6 {v6} ranges',
+        '更新于 {time}': 'updated {time}',
+        '已更新为官方 IP 段': 'Updated to the official ranges',
+        '自定义 IP 段已保存': 'Custom ranges saved',
+        '已恢复内置 IP 段': 'Built-in ranges restored',
+        '成功': 'Success',
+        '已跳过': 'Skipped',
+        '失败': 'Failed',
+        '需要 DNS 编辑权限': 'Needs DNS edit permission',
+        '跳过：{reason}': 'skipped: {reason}',
+        '保留 {kept} · 新增 {created} · 删除 {deleted}': 'kept {kept} · created {created} · deleted {deleted}',
+        '预演': 'dry run',
+        '暂无同步记录': 'No syncs yet',
+        'DNS 同步配置已保存': 'DNS sync settings saved',
+        '预演完成，请查看同步日志': 'Dry run finished, see the sync log',
+        'DNS 同步完成': 'DNS sync finished',
+        '企业微信': 'WeCom',
+        '钉钉': 'DingTalk',
+        '📨 测试': '📨 Test',
+        '暂无通知渠道': 'No channels',
+        '通知配置已保存': 'Notification settings saved',
+        '确定恢复默认通知配置？已添加的渠道也会被清空': 'Reset notification settings? Existing channels are removed too',
+        '已恢复默认通知配置': 'Notification settings reset to defaults',
+        '编辑通知渠道': 'Edit channel',
+        '添加通知渠道': 'Add channel',
+        '通知渠道已保存': 'Channel saved',
+        '确定删除通知渠道 {name}？': 'Delete channel {name}?',
+        '通知渠道已删除': 'Channel deleted',
+        '测试通知已发送': 'Test notification sent',
+        '发送失败: {reason}': 'Sending failed: {reason}',
+        '完成': 'Completed',
+        '定时': 'Scheduled',
+        '手动': 'Manual',
+        '有效 {valid}': '{valid} valid',
+        '采集 {collected} · 已测 {tested} · 可用 {passed}': 'Collected {collected} · tested {tested} · passed {passed}',
+        '优选 {count}': 'fast {count}',
+        '耗时 采集 {collect} / 测速 {test}（{chunks} 段）/ 收尾 {finish}': 'took: collect {collect} / test {test} ({chunks} chunks) / finish {finish}',
+        '本次运行未采集数据源（重新测速）': 'No sources were collected in this run (retest)',
+        '暂无运行记录': 'No runs yet',
+        '数据源成功 {success} / 失败 {error}': 'sources ok {success} / failed {error}',
+        '📊 对比上一份': '📊 Compare with previous',
+        '⏪ 回滚': '⏪ Roll back',
+        '暂无快照，测速完成后自动生成': 'No snapshots yet, one is saved after each speed test',
+        '快照保留份数已保存': 'Snapshot retention saved',
+        '采集 IP：新增 {added} · 减少 {removed}': 'Collected IPs: {added} added · {removed} removed',
+        '优选 IP：上升 {up} · 下降 {down}': 'Fast IPs: {up} up · {down} down',
+        '确定回滚到 {time} 的快照？当前 IP 列表和优选结果将被替换': 'Roll back to the snapshot from {time}? The current IP list and fast results will be replaced',
+        '已回滚到所选快照': 'Rolled back to the selected snapshot',
+        '电信': 'China Telecom',
+        '联通': 'China Unicom',
+        '移动': 'China Mobile',
+        '优选 IP 数量': 'Fast IP count',
+        '每个机房保留数量': 'IPs kept per colo',
+        '每轮最多测速 IP 数': 'Max IPs tested per round',
+        '测速并发数': 'Speed test concurrency',
+        '测速目标主机': 'Speed test host',
+        '延迟采样下载字节数': 'Latency sample bytes',
+        '匿名测速每小时 IP 数（0 为禁止）': 'Anonymous speed test IPs per hour (0 = off)',
+        '自动采集间隔（分钟）': 'Collection interval (minutes)',
+        '采样超时': 'Sample timeout',
+        '下载字节数': 'Download bytes',
+        '下载超时': 'Download timeout',
+        '发布数量': 'Publish count',
+        '最少 IP 数': 'Minimum IPs',
+        '不在 Cloudflare IP 段内': 'not in a Cloudflare range'
+    }
+};
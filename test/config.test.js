@@ -0,0 +1,82 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV } from './helpers.js';
+
+const UUID = '11111111-2222-3333-4444-555555555555';
+const kv = createKV();
+const call = createClient({ IP_STORAGE: kv });
+const stored = key => JSON.parse(kv.entries.get(key).value);
+// 导入时重新校验的文档会刷新 updatedAt，比较时去掉
+const withoutTimes = value => JSON.parse(JSON.stringify(value, (key, v) => key === 'updatedAt' ? undefined : v));
+
+before(async () => {
+    const setup = [
+        ['/admin-dns', { enabled: true, apiToken: 'DNS-SECRET', zoneId: 'a'.repeat(32), recordName: 'cf.example.com' }],
+        ['/admin-notify', { channels: [{ id: 'tg', type: 'telegram', botToken: '123:ABC', chatId: '42' }, { id: 'ding', type: 'dingtalk', url: 'https://ding.test/', secret: 'SEC1' }] }],
+        ['/admin-sub-templates', { id: 'hk', protocol: 'vless', host: 'a.example.com', uuid: UUID }],
+        ['/admin-output-presets', { name: 'v6', params: { family: 'v6', count: '5' } }],
+        ['/admin-cf-ranges', { v4: ['104.16.0.0/13'], v6: [] }],
+        ['/admin-ip-lists?list=pinned', { text: '104.16.0.1 104.16.0.2' }],
+        ['/admin-snapshots', { retention: 3 }]
+    ];
+    for (const [path, body] of setup) assert.equal((await call(path, { method: 'POST', body })).json.success, true, path);
+});
+
+test('默认导出包含全部配置，但不含任何密钥', async () => {
+    const res = await call('/admin-config');
+    const text = res.text;
+    for (const secret of ['DNS-SECRET', '123:ABC', 'SEC1', UUID]) assert.equal(text.includes(secret), false, secret);
+    const config = res.json;
+    assert.equal(config.redacted, true);
+    assert.equal(config.dnsConfig.hasApiToken, true);
+    assert.deepEqual(config.notifyConfig.channels.map(c => [c.id, c.hasBotToken, c.hasSecret]), [['tg', true, false], ['ding', false, true]]);
+    assert.deepEqual(config.subTemplates.map(t => t.id), ['hk']);
+    assert.deepEqual(config.outputPresets.v6.params, { family: 'v6', count: '5' });
+    assert.deepEqual(config.cfRanges.v4, ['104.16.0.0/13']);
+    assert.deepEqual(config.ipLists.pinned, ['104.16.0.1', '104.16.0.2']);
+    assert.deepEqual(config.snapshotConfig, { retention: 3 });
+});
+
+test('导入脱敏文件时沿用当前账号已保存的密钥', async () => {
+    const config = (await call('/admin-config')).json;
+    config.dnsConfig.topN = 5;
+    config.notifyConfig.channels[0].name = 'TG';
+    config.subTemplates[0].name = 'HK';
+    const res = await call('/admin-config', { method: 'POST', body: config });
+    assert.equal(res.json.success, true);
+    assert.equal(stored('dns_config').apiToken, 'DNS-SECRET');
+    assert.equal(stored('dns_config').topN, 5);
+    assert.deepEqual(stored('notify_config').channels.map(c => [c.name, c.botToken, c.secret]), [['TG', '123:ABC', undefined], ['dingtalk', undefined, 'SEC1']]);
+    assert.deepEqual(stored('sub_templates').map(t => [t.name, t.uuid]), [['HK', UUID]]);
+});
+
+test('含密钥的导出可以完整迁移到新账号，缺少密钥时整份文件都不写入', async () => {
+    const redacted = (await call('/admin-config')).json;
+    const full = (await call('/admin-config?redact=false')).json;
+    assert.equal(full.dnsConfig.apiToken, 'DNS-SECRET');
+    assert.equal(full.subTemplates[0].uuid, UUID);
+
+    const target = createKV();
+    const migrate = createClient({ IP_STORAGE: target });
+    const failed = await migrate('/admin-config', { method: 'POST', body: redacted });
+    assert.equal(failed.status, 400);
+    assert.equal(failed.json.code, 'dns_config_required');
+    assert.equal(target.entries.size, 0);
+
+    const res = await migrate('/admin-config', { method: 'POST', body: full });
+    assert.equal(res.json.success, true);
+    for (const key of ['dns_config', 'notify_config', 'sub_templates', 'output_presets', 'cf_ranges', 'snapshot_config']) {
+        assert.deepEqual(withoutTimes(JSON.parse(target.entries.get(key).value)), withoutTimes(stored(key)), key);
+    }
+    assert.deepEqual(JSON.parse(target.entries.get('ip_lists').value).pinned, ['104.16.0.1', '104.16.0.2']);
+});
+
+test('IP 列表按文件中的 IP 段校验，无效条目被跳过', async () => {
+    const res = await createClient({ IP_STORAGE: createKV() })('/admin-config', {
+        method: 'POST',
+        body: { version: 1, cfRanges: { v4: ['104.16.0.0/13'], v6: [], source: 'custom' }, ipLists: { custom: ['104.16.0.5', '1.1.1.1', '10.0.0.1'] } }
+    });
+    assert.equal(res.json.success, true);
+    assert.equal(res.json.imported.ipLists, 1);
+    assert.equal(res.json.skipped.listEntries, 2);
+});
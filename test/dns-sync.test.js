@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV, fastEntry, mockFetch } from './helpers.js';
+
+const ZONE = 'a'.repeat(32);
+const API = 'http://dns.mock/client/v4';
+
+// 模拟 Cloudflare DNS API：只实现按类型与名称列出、新增和删除记录
+let records = [];
+let nextId = 1;
+const fail = (status, message) => Response.json({ success: false, errors: [{ message }] }, { status });
+const fetchMock = mockFetch([[`${API}/zones/${ZONE}/dns_records`, async (request, url) => {
+    if (request.headers.get('Authorization') !== 'Bearer SECRET') return fail(403, 'Invalid API token');
+    if (request.method === 'GET') {
+        const { type, name } = Object.fromEntries(url.searchParams);
+        return Response.json({ success: true, result: records.filter(r => r.type === type && r.name === name) });
+    }
+    if (request.method === 'POST') {
+        const record = { id: `r${nextId++}`, ...await request.json() };
+        records.push(record);
+        return Response.json({ success: true, result: record });
+    }
+    const id = url.pathname.split('/').pop();
+    if (!records.some(r => r.id === id)) return fail(404, 'Record not found');
+    records = records.filter(r => r.id !== id);
+    return Response.json({ success: true, result: { id } });
+}]]);
+const writes = () => fetchMock.calls.filter(c => c.url.startsWith(API) && c.method !== 'GET').map(c => `${c.method} ${c.url.slice(API.length)}`);
+
+const kv = createKV({
+    cloudflare_fast_ips: {
+        fastIPs: [fastEntry('104.16.0.1', 40), fastEntry('104.16.0.1', 45, { port: 2053 }), fastEntry('104.16.0.2', 50), fastEntry('104.16.0.3', 60), fastEntry('104.16.0.4', 70), fastEntry('2606:4700::1', 80)],
+        coloRankings: {},
+        stableIPs: []
+    }
+});
+const call = createClient({ IP_STORAGE: kv });
+const sync = async body => (await call('/admin-dns?action=sync', { method: 'POST', body })).json;
+
+before(async () => {
+    const res = await call('/admin-dns', { method: 'POST', body: { enabled: true, apiToken: 'SECRET', zoneId: ZONE, recordName: 'cf.example.com', topN: 3, minIPs: 2, apiBase: API + '/' } });
+    assert.equal(res.json.success, true);
+    assert.equal(res.json.config.hasApiToken, true);
+    assert.equal(res.json.config.apiToken, undefined);
+    records = [
+        { id: 'old', type: 'A', name: 'cf.example.com', content: '104.16.0.9' },
+        { id: 'keep', type: 'A', name: 'cf.example.com', content: '104.16.0.1' },
+        { id: 'dup', type: 'A', name: 'cf.example.com', content: '104.16.0.1' },
+        { id: 'other', type: 'A', name: 'www.example.com', content: '104.16.0.9' }
+    ];
+});
+after(() => fetchMock.restore());
+
+test('默认试运行：只给出变更计划，不写入记录', async () => {
+    const { success, entry } = await sync();
+    assert.equal(success, true);
+    assert.equal(entry.dryRun, true);
+    assert.deepEqual(entry.records, [{ type: 'A', desired: ['104.16.0.1', '104.16.0.2', '104.16.0.3'], kept: ['104.16.0.1'], created: ['104.16.0.2', '104.16.0.3'], deleted: ['104.16.0.9', '104.16.0.1'] }]);
+    assert.deepEqual(writes(), []);
+    assert.equal(records.length, 4);
+});
+
+test('正式同步：先新增后删除，只做最少的变更', async () => {
+    const { entry } = await sync({ dryRun: false });
+    assert.equal(entry.status, 'success');
+    assert.deepEqual(writes(), [`POST /zones/${ZONE}/dns_records`, `POST /zones/${ZONE}/dns_records`, `DELETE /zones/${ZONE}/dns_records/old`, `DELETE /zones/${ZONE}/dns_records/dup`]);
+    assert.deepEqual(records.filter(r => r.name === 'cf.example.com').map(r => r.content).sort(), ['104.16.0.1', '104.16.0.2', '104.16.0.3']);
+    assert.equal(records.find(r => r.name === 'www.example.com').content, '104.16.0.9');
+
+    fetchMock.calls.length = 0;
+    const again = await sync({ dryRun: false });
+    assert.deepEqual(again.entry.records[0].created, []);
+    assert.deepEqual(again.entry.records[0].deleted, []);
+    assert.deepEqual(writes(), []);
+});
+
+test('可用 IP 少于 minIPs 的记录类型被跳过', async () => {
+    await call('/admin-dns', { method: 'POST', body: { family: 'both' } });
+    const { entry } = await sync({ dryRun: false });
+    assert.equal(entry.status, 'success');
+    assert.equal(entry.records[0].type, 'A');
+    assert.deepEqual(entry.records[1], { type: 'AAAA', skipped: true, reason: '可用 IP 只有 1 个，少于最少 2 个' });
+    assert.equal(records.some(r => r.type === 'AAAA'), false);
+});
+
+test('API 出错时记录错误并写入同步日志', async () => {
+    await call('/admin-dns', { method: 'POST', body: { apiToken: 'WRONG' } });
+    const { success, entry } = await sync();
+    assert.equal(success, false);
+    assert.equal(entry.status, 'error');
+    assert.equal(entry.error, 'Cloudflare API: Invalid API token');
+    const { log } = (await call('/admin-dns')).json;
+    assert.equal(log.length, 5);
+    assert.equal(log[0].error, entry.error);
+});
+
+test('配置校验', async () => {
+    const cases = [
+        [{ zoneId: 'xyz' }, 'invalid_zone_id'],
+        [{ recordName: 'bad name' }, 'invalid_record_name'],
+        [{ minIPs: 4 }, 'out_of_range'],
+        [{ apiBase: 'dns.mock' }, 'invalid_api_base']
+    ];
+    for (const [body, code] of cases) {
+        const res = await call('/admin-dns', { method: 'POST', body });
+        assert.equal(res.status, 400);
+        assert.equal(res.json.code, code);
+    }
+});
@@ -0,0 +1,162 @@
+// 测试辅助：直接调用 Worker 的 fetch 处理函数，外部请求全部经 mockFetch 的路由表返回，
+// 存储使用内存实现、Map 实现的 KV 或基于 sql.js 的 D1，HTMLRewriter 使用 html-rewriter-wasm
+import initSqlJs from 'sql.js';
+import { HTMLRewriter as WasmRewriter } from 'html-rewriter-wasm';
+import worker from '../_worker.js';
+
+/**
+ * Workers 运行时的 HTMLRewriter 在 Node 中不存在，用 lol-html 的 wasm 版本实现 on / transform
+ */
+class HTMLRewriter {
+    #handlers = [];
+
+    on(selector, handlers) {
+        this.#handlers.push([selector, handlers]);
+        return this;
+    }
+
+    transform(response) {
+        const handlers = this.#handlers;
+        return new Response(new ReadableStream({
+            async start(controller) {
+                const rewriter = new WasmRewriter(chunk => controller.enqueue(chunk));
+                for (const [selector, h] of handlers) rewriter.on(selector, h);
+                try {
+                    await rewriter.write(new Uint8Array(await response.arrayBuffer()));
+                    await rewriter.end();
+                } finally {
+                    rewriter.free();
+                }
+                controller.close();
+            }
+        }));
+    }
+}
+globalThis.HTMLRewriter ??= HTMLRewriter;
+
+// 默认路由：测速目标始终返回 HKG 机房，机房位置表只有 HKG 与 NRT，其余地址返回 599
+const DEFAULT_ROUTES = [
+    ['https://speed.cloudflare.com/locations', () => Response.json([
+        { iata: 'HKG', cca2: 'HK', region: 'Asia Pacific', city: 'Hong Kong' },
+        { iata: 'NRT', cca2: 'JP', region: 'Asia Pacific', city: 'Tokyo' }
+    ])],
+    ['https://speed.cloudflare.com/', () => new Response('x', { headers: { 'cf-ray': '8f00000000000000-HKG' } })]
+];
+
+/**
+ * 替换全局 fetch：按前缀匹配 routes（先于默认路由），处理函数收到 (request, url, init)。
+ * 返回记录的请求与 restore
+ */
+export function mockFetch(routes = []) {
+    const original = globalThis.fetch;
+    const calls = [];
+    globalThis.fetch = async (input, init = {}) => {
+        const request = new Request(input, init);
+        const url = new URL(request.url);
+        calls.push({ method: request.method, url: request.url, resolveOverride: init.cf?.resolveOverride ?? null });
+        const route = [...routes, ...DEFAULT_ROUTES].find(([prefix]) => request.url.startsWith(prefix));
+        return route ? route[1](request, url, init) : new Response('no route', { status: 599 });
+    };
+    return { calls, restore: () => { globalThis.fetch = original; } };
+}
+
+/**
+ * Map 实现的 KV 命名空间，initial 中的值按 JSON 写入；list 按 limit 分页，cursor 为下一页的起始位置；不处理过期
+ */
+export function createKV(initial = {}) {
+    const entries = new Map(Object.entries(initial).map(([key, value]) => [key, { value: JSON.stringify(value), metadata: null }]));
+    return {
+        entries,
+        async get(key, type) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            return type === 'json' ? JSON.parse(entry.value) : entry.value;
+        },
+        async put(key, value, { metadata } = {}) {
+            entries.set(key, { value, metadata: metadata ?? null });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async list({ prefix = '', limit = 1000, cursor } = {}) {
+            const keys = [...entries.keys()].filter(name => name.startsWith(prefix)).sort();
+            const start = Number(cursor || 0);
+            const page = keys.slice(start, start + limit).map(name => ({ name, metadata: entries.get(name).metadata }));
+            return start + limit < keys.length ? { keys: page, list_complete: false, cursor: String(start + limit) } : { keys: page, list_complete: true };
+        }
+    };
+}
+
+/**
+ * 用 sql.js 实现 D1 绑定中 Worker 用到的部分：prepare().bind().first() / all() / run() 与 batch()
+ */
+export async function createD1() {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    const execute = (sql, params) => {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    };
+    const prepare = (sql, params = []) => ({
+        bind: (...values) => prepare(sql, values),
+        execute: () => execute(sql, params),
+        first: async () => execute(sql, params)[0] ?? null,
+        all: async () => ({ results: execute(sql, params) }),
+        run: async () => {
+            execute(sql, params);
+            return { meta: { changes: db.getRowsModified() } };
+        }
+    });
+    return {
+        sqlite: db,
+        prepare,
+        // D1 的 batch 在一个事务内执行
+        async batch(statements) {
+            db.run('BEGIN');
+            try {
+                const results = statements.map(statement => ({ results: statement.execute() }));
+                db.run('COMMIT');
+                return results;
+            } catch (error) {
+                db.run('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * 返回调用 Worker 的 call(path, { method, body, headers })。响应读完后再等待 ctx.waitUntil 中的后台任务，
+ * 因此 /update 返回时后台测速也已完成
+ */
+export function createClient(env) {
+    return async function call(path, { method = 'GET', body, headers = {} } = {}) {
+        const pending = [];
+        const ctx = { waitUntil: promise => pending.push(promise), passThroughOnException() {} };
+        const request = new Request(`http://localhost${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const response = await worker.fetch(request, env, ctx);
+        const text = await response.text();
+        await Promise.all(pending);
+        let json = null;
+        try { json = JSON.parse(text); } catch {}
+        return { status: response.status, headers: response.headers, text, json };
+    };
+}
+
+/**
+ * 测速结果记录，字段与 cloudflare_fast_ips 中保存的一致
+ */
+export function fastEntry(ip, latency, extra = {}) {
+    return { ip, port: 443, family: ip.includes(':') ? 'v6' : 'v4', colo: 'HKG', country: 'HK', region: 'Asia Pacific', latency, score: 100 - latency / 10, ...extra };
+}
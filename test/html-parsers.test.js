@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractHtmlTexts, extractTableRows, parseCarrierTable } from '../_worker.js';
+import { createClient, createKV, mockFetch } from './helpers.js';
+
+// 仿照公开优选站点的表格：表头在 thead 中，单元格里有嵌套标签和多余空白
+const CARRIER_TABLE = `<table>
+  <thead><tr><th>线路名称</th><th>优选地址</th><th>Online</th><th>延迟抖动</th><th>网络延迟 (ms)</th><th>数据中心</th></tr></thead>
+  <tbody>
+    <tr><td><span>电信</span></td><td>104.16.1.1</td><td>99%</td><td>3</td><td>
+        152.3 ms</td><td>NRT</td></tr>
+    <tr><td>联通</td><td><b>104.16.1.2</b></td><td>98%</td><td>5</td><td>180</td><td></td></tr>
+    <tr><td>移动</td><td>2606:4700::1</td><td>97%</td><td>4</td><td>-</td><td>LAX</td></tr>
+  </tbody>
+</table>`;
+
+test('extractTableRows 把每一行拆成去掉多余空白的单元格文本', async () => {
+    assert.deepEqual(await extractTableRows(CARRIER_TABLE, 'tr'), [
+        ['线路名称', '优选地址', 'Online', '延迟抖动', '网络延迟 (ms)', '数据中心'],
+        ['电信', '104.16.1.1', '99%', '3', '152.3 ms', 'NRT'],
+        ['联通', '104.16.1.2', '98%', '5', '180', ''],
+        ['移动', '2606:4700::1', '97%', '4', '-', 'LAX']
+    ]);
+    assert.equal((await extractTableRows(CARRIER_TABLE, 'tbody tr')).length, 3);
+});
+
+test('parseCarrierTable 按表头定位列，只认完整的列名', async () => {
+    // Online 与延迟抖动只是包含 line / 延迟 的其他列，不能被当成线路和延迟列
+    assert.deepEqual(parseCarrierTable(await extractTableRows(CARRIER_TABLE, 'tr')), [
+        { ip: '104.16.1.1', isp: 'ct', latency: 152, colo: 'NRT' },
+        { ip: '104.16.1.2', isp: 'cu', latency: 180, colo: null },
+        { ip: '2606:4700::1', isp: 'cm', latency: null, colo: 'LAX' }
+    ]);
+});
+
+test('parseCarrierTable 没有表头时按单元格内容猜测', () => {
+    assert.deepEqual(parseCarrierTable([
+        ['CT', '104.16.2.1', '80ms', 'HKG'],
+        ['104.16.2.2', 'Unicom', '95 毫秒'],
+        ['104.16.2.3', 'unknown']
+    ]), [
+        { ip: '104.16.2.1', isp: 'ct', latency: 80, colo: 'HKG' },
+        { ip: '104.16.2.2', isp: 'cu', latency: 95, colo: null },
+        { ip: '104.16.2.3', isp: null, latency: null, colo: null }
+    ]);
+});
+
+test('extractHtmlTexts 按选择器提取每个元素的全部文本', async () => {
+    const html = '<ul><li class="ip">104.16.3.1 <i>(HKG)</i></li><li>104.16.3.9</li><li class="ip"><a>104.16.3.2</a>, 104.16.3.3</li></ul>';
+    assert.deepEqual(await extractHtmlTexts(html, 'li.ip'), ['104.16.3.1 (HKG)', '104.16.3.2, 104.16.3.3']);
+    assert.deepEqual(await extractHtmlTexts(html, 'p'), []);
+});
+
+const fetchMock = mockFetch([
+    ['https://src.test/table', () => new Response(CARRIER_TABLE, { headers: { 'Content-Type': 'text/html' } })],
+    ['https://src.test/html', () => new Response('<div class="ip">104.16.3.1</div><div>104.16.3.9</div>')]
+]);
+after(() => fetchMock.restore());
+
+test('table 与 html 数据源：线路排行的机房与位置只取数据源标注的值', async () => {
+    const call = createClient({ IP_STORAGE: createKV({ ip_sources: [] }) });
+    await call('/admin-sources', { method: 'POST', body: { id: 'table', url: 'https://src.test/table', parser: { type: 'table' } } });
+    await call('/admin-sources', { method: 'POST', body: { id: 'html', url: 'https://src.test/html', parser: { type: 'html', selector: '.ip' } } });
+    const update = (await call('/update', { method: 'POST' })).json;
+    assert.deepEqual(update.results.map(r => [r.id, r.valid]), [['table', 3], ['html', 1]]);
+
+    const { carrierRankings } = (await call('/fast-ips')).json;
+    // 测速全部落在 HKG，数据源标注的 NRT 仍然保留，没有标注时不拿测速机房补位
+    assert.deepEqual(carrierRankings.ct.map(e => [e.ip, e.colo, e.country, e.latency]), [['104.16.1.1', 'NRT', 'JP', 152]]);
+    assert.deepEqual(carrierRankings.cu.map(e => [e.ip, e.colo, e.country, e.city, e.latency]), [['104.16.1.2', null, null, null, 180]]);
+});
@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV, mockFetch } from './helpers.js';
+
+const fetchMock = mockFetch([
+    ['https://tg.test/', () => Response.json({ ok: true })],
+    ['https://ding.test/', () => Response.json({ errcode: 0 })],
+    ['https://src.test/ips', () => new Response('104.16.0.1')],
+    ['https://src.test/down', () => new Response('', { status: 503 })]
+]);
+after(() => fetchMock.restore());
+
+test('Telegram botToken 与钉钉加签密钥不返回给页面，回传留空时沿用已保存的值', async () => {
+    const kv = createKV();
+    const call = createClient({ IP_STORAGE: kv });
+    const channels = [
+        { id: 'tg', type: 'telegram', botToken: '123:ABC', chatId: '42', apiBase: 'https://tg.test' },
+        { id: 'ding', type: 'dingtalk', url: 'https://ding.test/robot/send?access_token=x', secret: 'SEC1' }
+    ];
+    const saved = (await call('/admin-notify', { method: 'POST', body: { channels } })).json;
+    assert.deepEqual(saved.config.channels.map(c => [c.id, c.botToken, c.secret, c.hasBotToken, c.hasSecret]), [
+        ['tg', undefined, undefined, true, false],
+        ['ding', undefined, undefined, false, true]
+    ]);
+
+    // 页面把 GET 得到的配置改动后整体回传
+    const { config } = (await call('/admin-notify')).json;
+    assert.equal(JSON.stringify(config).includes('123:ABC'), false);
+    config.channels[0].name = 'TG';
+    config.channels[1].secret = '';
+    assert.equal((await call('/admin-notify', { method: 'POST', body: config })).json.success, true);
+    const stored = JSON.parse(kv.entries.get('notify_config').value);
+    assert.deepEqual(stored.channels.map(c => [c.name, c.botToken, c.secret]), [['TG', '123:ABC', undefined], ['dingtalk', undefined, 'SEC1']]);
+
+    assert.equal((await call('/admin-notify?action=test', { method: 'POST', body: { channelId: 'tg' } })).json.success, true);
+    assert.ok(fetchMock.calls.some(c => c.url === 'https://tg.test/bot123:ABC/sendMessage'));
+});
+
+test('新渠道或更换类型后不会沿用其他渠道的密钥', async () => {
+    const call = createClient({ IP_STORAGE: createKV() });
+    await call('/admin-notify', { method: 'POST', body: { channels: [{ id: 'a', type: 'telegram', botToken: '123:ABC', chatId: '42' }] } });
+    const res = await call('/admin-notify', { method: 'POST', body: { channels: [{ id: 'b', type: 'telegram', chatId: '42' }] } });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.code, 'telegram_fields_required');
+    const changed = await call('/admin-notify', { method: 'POST', body: { channels: [{ id: 'a', type: 'dingtalk', url: 'https://ding.test/' }] } });
+    assert.equal(changed.json.config.channels[0].hasSecret, false);
+});
+
+test('采集时更新数据源统计，连续失败达到阈值时只通知一次', async () => {
+    const call = createClient({ IP_STORAGE: createKV({ ip_sources: [] }) });
+    await call('/admin-sources', { method: 'POST', body: { id: 'ok', url: 'https://src.test/ips' } });
+    await call('/admin-sources', { method: 'POST', body: { id: 'down', url: 'https://src.test/down' } });
+    const failStreak = async () => (await call('/sources/stats')).json.sources.find(s => s.id === 'down').failStreak;
+
+    // 没有通知渠道时统计照常更新
+    await call('/update', { method: 'POST' });
+    assert.equal(await failStreak(), 1);
+
+    await call('/admin-notify', { method: 'POST', body: { channels: [{ id: 'tg', type: 'telegram', botToken: '9:X', chatId: '1', apiBase: 'https://tg.test' }], events: { source_fail: true, summary: false, ip_drop: false, latency: false }, thresholds: { sourceFailStreak: 2 } } });
+    const sent = () => fetchMock.calls.filter(c => c.url === 'https://tg.test/bot9:X/sendMessage').length;
+    await call('/update', { method: 'POST' });
+    assert.equal(await failStreak(), 2);
+    assert.equal(sent(), 1);
+    await call('/update', { method: 'POST' });
+    assert.equal(await failStreak(), 3);
+    assert.equal(sent(), 1);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV, fastEntry } from './helpers.js';
+
+const kv = createKV({
+    cloudflare_ips: { ips: ['104.16.0.1', '104.16.0.2', '2606:4700::1'], sources: [], count: 3 },
+    cloudflare_fast_ips: {
+        fastIPs: [
+            fastEntry('104.16.0.1', 40, { isp: 'ct' }),
+            fastEntry('104.16.0.2', 80, { port: 2053, colo: 'NRT', country: 'JP' }),
+            fastEntry('2606:4700::1', 120)
+        ],
+        coloRankings: {},
+        stableIPs: []
+    }
+});
+const call = createClient({ IP_STORAGE: kv });
+
+test('/fast-ips.txt 默认按 {host}#{latency}ms 输出，并允许跨域', async () => {
+    const res = await call('/fast-ips.txt');
+    assert.equal(res.text, '104.16.0.1#40ms\n104.16.0.2#80ms\n2606:4700::1#120ms');
+    assert.equal(res.headers.get('Access-Control-Allow-Origin'), '*');
+});
+
+test('?port= 追加端口，IPv6 加方括号；{endpoint} 使用实际测速端口', async () => {
+    assert.equal((await call('/fast-ips.txt?port=8443&family=v6')).text, '[2606:4700::1]:8443#120ms');
+    const res = await call('/fast-ips.txt?template=' + encodeURIComponent('{endpoint}|{port}|{colo}|{index}'));
+    assert.equal(res.text, '104.16.0.1:443|443|HKG|1\n104.16.0.2:2053|2053|NRT|2\n[2606:4700::1]:443|443|HKG|3');
+});
+
+test('过滤与截取：testedPort、colo、count、maxLatency', async () => {
+    assert.equal((await call('/fast-ips.txt?testedPort=2053')).text, '104.16.0.2#80ms');
+    assert.equal((await call('/fast-ips.txt?colo=hkg&count=1')).text, '104.16.0.1#40ms');
+    assert.equal((await call('/fast-ips.txt?maxLatency=100&template={ip}')).text, '104.16.0.1\n104.16.0.2');
+    assert.equal((await call('/fast-ips.txt?count=0')).json.code, 'invalid_count');
+    assert.equal((await call('/fast-ips.txt?testedPort=70000')).json.code, 'invalid_port');
+});
+
+test('CSV 与 JSON 输出', async () => {
+    const csv = await call('/fast-ips.txt?format=csv&count=1');
+    assert.match(csv.headers.get('Content-Type'), /text\/csv/);
+    assert.equal(csv.text, 'index,ip,port,latency,colo,country,region,isp,score,family\n1,104.16.0.1,443,40,HKG,HK,Asia Pacific,电信,96,v4');
+    const json = await call('/fast-ips.txt?format=json&family=v6');
+    assert.deepEqual(json.json, [{ index: 1, ip: '2606:4700::1', host: '2606:4700::1', endpoint: '[2606:4700::1]:443', port: 443, latency: 120, colo: 'HKG', country: 'HK', region: 'Asia Pacific', isp: '', score: 88, family: 'v6' }]);
+});
+
+test('输出预设：保存后按名称引用，请求参数优先', async () => {
+    const saved = await call('/admin-output-presets', { method: 'POST', body: { name: 'hk', params: { colo: 'HKG', testedPort: '443', template: '{ip}' } } });
+    assert.equal(saved.json.success, true);
+    assert.equal((await call('/fast-ips.txt?preset=hk')).text, '104.16.0.1\n2606:4700::1');
+    assert.equal((await call('/fast-ips.txt?preset=hk&family=v4&template={ip}:{port}')).text, '104.16.0.1:443');
+    assert.equal((await call('/fast-ips.txt?preset=none')).json.code, 'preset_not_found');
+});
+
+test('/ips 输出全部收集到的 IP', async () => {
+    assert.equal((await call('/ips')).text, '104.16.0.1\n104.16.0.2\n2606:4700::1');
+    assert.equal((await call('/ip.txt?family=v4&port=443')).text, '104.16.0.1:443\n104.16.0.2:443');
+    assert.equal((await call('/ips?family=v5')).json.code, 'invalid_family');
+});
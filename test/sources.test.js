@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV, mockFetch } from './helpers.js';
+
+const DOH_ANSWERS = { A: [{ type: 1, data: '104.19.0.1' }], AAAA: [{ type: 28, data: '2606:4700:0:0:0:0:0:3' }] };
+const fetchMock = mockFetch([
+    ['https://src.test/plain', () => new Response('104.16.1.1 1.1.1.1\n10.0.0.1 999.1.1.1 172.64.0.1')],
+    ['https://src.test/pattern', () => new Response('ip=104.16.2.2;\nip=104.16.3.3;\nother 104.16.4.4')],
+    ['https://src.test/json', () => Response.json({ data: [{ ip: '104.17.0.1' }, { ip: '2606:4700::2', note: '104.17.9.9' }] })],
+    ['https://src.test/csv', () => new Response('latency,ip\n50,104.18.0.1\n60,"104.18.0.2"')],
+    ['https://src.test/down', () => new Response('', { status: 503 })],
+    ['https://doh.test/broken', () => Response.json({ error: 'bad request' })],
+    ['https://doh.test/dns-query', (request, url) => {
+        assert.equal(request.headers.get('Accept'), 'application/dns-json');
+        return Response.json({ Status: 0, Answer: DOH_ANSWERS[url.searchParams.get('type')] });
+    }]
+]);
+const call = createClient({ IP_STORAGE: createKV({ ip_sources: [] }) });
+let update;
+
+before(async () => {
+    const sources = [
+        { id: 'plain', url: 'https://src.test/plain' },
+        { id: 'pattern', url: 'https://src.test/pattern', parser: { type: 'regex', pattern: 'ip=([^;]+);' } },
+        { id: 'json', url: 'https://src.test/json', parser: { type: 'json', path: 'data[*].ip' } },
+        { id: 'csv', url: 'https://src.test/csv', parser: { type: 'csv', column: 'ip' } },
+        { id: 'dns', url: 'https://doh.test/dns-query', parser: { type: 'dns', domains: 'cf.example.org' } },
+        { id: 'down', url: 'https://src.test/down' }
+    ];
+    for (const source of sources) assert.equal((await call('/admin-sources', { method: 'POST', body: source })).json.success, true);
+    update = (await call('/update', { method: 'POST' })).json;
+});
+after(() => fetchMock.restore());
+
+const resultOf = id => update.results.find(r => r.id === id);
+
+test('正则解析：默认提取全部 IP，只保留 Cloudflare 段内的地址', () => {
+    assert.deepEqual(resultOf('plain'), { ...resultOf('plain'), status: 'success', count: 5, valid: 2, rejected: { invalid: 1, bogon: 1, not_cloudflare: 1, blocked: 0 } });
+    assert.equal(resultOf('pattern').count, 2);
+});
+
+test('JSON 路径与 CSV 列解析', () => {
+    assert.equal(resultOf('json').valid, 2);
+    assert.equal(resultOf('csv').valid, 2);
+});
+
+test('DNS 数据源按记录类型查询 DoH，并记录每个域名的结果', () => {
+    const dns = resultOf('dns');
+    assert.equal(dns.status, 'success');
+    assert.deepEqual(dns.domains, [{ domain: 'cf.example.org', status: 'success', ips: ['104.19.0.1', '2606:4700::3'] }]);
+});
+
+test('失败的数据源不影响其他数据源', () => {
+    assert.equal(resultOf('down').status, 'error');
+    assert.equal(resultOf('down').error, 'HTTP 503');
+});
+
+test('采集结果合并去重后保存', async () => {
+    const expected = ['104.16.1.1', '104.16.2.2', '104.16.3.3', '104.17.0.1', '104.18.0.1', '104.18.0.2', '104.19.0.1', '172.64.0.1', '2606:4700::2', '2606:4700::3'];
+    assert.equal(update.totalIPs, expected.length);
+    const raw = (await call('/raw')).json;
+    assert.deepEqual(raw.ips, expected);
+    assert.deepEqual(raw.familyCounts, { v4: 8, v6: 2 });
+    assert.equal((await call('/ips?family=v6')).text, '2606:4700::2\n2606:4700::3');
+});
+
+test('数据源配置校验', async () => {
+    const cases = [
+        [{ url: 'https://src.test/json', parser: { type: 'json' } }, 'json_path_required'],
+        [{ url: 'https://src.test/csv', parser: { type: 'csv' } }, 'csv_column_required'],
+        [{ parser: { type: 'dns', domains: 'not a domain' } }, 'invalid_domain'],
+        [{ url: 'ftp://src.test/', parser: { type: 'regex' } }, 'invalid_source_url'],
+        [{ id: 'plain', url: 'https://src.test/plain' }, 'source_id_exists']
+    ];
+    for (const [body, code] of cases) {
+        const res = await call('/admin-sources', { method: 'POST', body });
+        assert.equal(res.status, 400);
+        assert.equal(res.json.code, code);
+    }
+});
+
+test('采集错误保存错误码，读取时按请求语言翻译', async () => {
+    const client = createClient({ IP_STORAGE: createKV({ ip_sources: [] }) });
+    const sources = [
+        { id: 'csv', url: 'https://src.test/csv', parser: { type: 'csv', column: 'addr' } },
+        { id: 'dns', url: 'https://doh.test/broken', parser: { type: 'dns', domains: 'cf.example.org', recordTypes: ['A'] } }
+    ];
+    for (const source of sources) assert.equal((await client('/admin-sources', { method: 'POST', body: source })).json.success, true);
+    const results = (await client('/update?lang=en', { method: 'POST' })).json.results;
+    assert.deepEqual(results.map(r => r.error), ['Column not found in the CSV: addr', 'A: Malformed DoH response']);
+    assert.equal(results[1].domains[0].error, 'A: Malformed DoH response');
+
+    const { lastResults } = (await client('/admin-sources')).json;
+    assert.equal(lastResults.csv.error, 'CSV 中找不到列: addr');
+    assert.equal(lastResults.dns.domains[0].error, 'A: DoH 响应格式错误');
+    const [run] = (await client('/runs?lang=en')).json.runs;
+    assert.deepEqual(run.sources.map(s => s.error), ['Column not found in the CSV: addr', 'A: Malformed DoH response']);
+    assert.deepEqual(run.errors, ['No IPs were collected, check the source status']);
+    const stats = (await client('/sources/stats?lang=en')).json.sources;
+    assert.equal(stats.find(s => s.id === 'csv').lastError, 'Column not found in the CSV: addr');
+});
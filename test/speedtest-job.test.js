@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient, createKV, mockFetch } from './helpers.js';
+
+// 104.16.0.7 在任何端口上都测速失败，8443 端口与 443 一样落在 HKG
+const probe = (request, url, init) => init.cf?.resolveOverride === '104.16.0.7'
+    ? new Response('', { status: 503 })
+    : new Response('x', { headers: { 'cf-ray': '8f00000000000000-HKG' } });
+const fetchMock = mockFetch([
+    ['https://src.test/ips', () => new Response('104.16.0.1\n104.16.0.2\n104.16.0.3')],
+    ['https://speed.cloudflare.com/__down', probe],
+    ['https://speed.cloudflare.com:8443/', probe]
+]);
+after(() => fetchMock.restore());
+
+test('单个 IP 的最长耗时超过 waitUntil 预算时，每轮仍至少测一批', async () => {
+    // 10 次采样、3 秒超时并带下载的配置，单个 IP 最坏需要约 38 秒；直接写入存储，模拟校验收紧之前保存的配置
+    const slowProfile = { ports: [443], samples: 10, timeout: 3000, downloadBytes: 1024, downloadTimeout: 5000 };
+    const call = createClient({
+        IP_STORAGE: createKV({ ip_sources: [], speedtest_profile: slowProfile, settings: { speedTestBatchSize: 1 } })
+    });
+    await call('/admin-sources', { method: 'POST', body: { id: 'test', url: 'https://src.test/ips' } });
+    const update = (await call('/update', { method: 'POST' })).json;
+    assert.equal(update.job.total, 3);
+
+    let { job } = (await call('/speedtest-job')).json;
+    assert.equal(job.cursor, 1);
+    // 轮询会在后台继续推进任务
+    ({ job } = (await call('/speedtest-job')).json);
+    assert.equal(job.cursor, 2);
+    await call('/speedtest-job');
+    ({ job } = (await call('/speedtest-job')).json);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.passed, 3);
+});
+
+test('测速配置必须能在一轮后台测速内测完单个 IP 的全部端口', async () => {
+    const call = createClient({ IP_STORAGE: createKV() });
+    const slow = await call('/admin-speedtest-profile', { method: 'POST', body: { ports: '443,2053', samples: 4, timeout: 3000 } });
+    assert.equal(slow.status, 400);
+    assert.equal(slow.json.code, 'profile_too_slow');
+    assert.match(slow.json.error, /30 秒，超过单轮后台测速的 25 秒预算/);
+    const ok = await call('/admin-speedtest-profile', { method: 'POST', body: { ports: '443,2053', samples: 3, timeout: 1500, downloadBytes: 0 } });
+    assert.equal(ok.json.success, true);
+    assert.deepEqual(ok.json.profile.ports, [443, 2053]);
+});
+
+test('置顶 IP 每个只保留一条，测速失败的也保留并标记 failed', async () => {
+    const call = createClient({
+        IP_STORAGE: createKV({
+            ip_sources: [],
+            speedtest_profile: { ports: [443, 8443], samples: 1, timeout: 1000, downloadBytes: 0 },
+            settings: { fastIPCount: 3 }
+        })
+    });
+    await call('/admin-sources', { method: 'POST', body: { id: 'test', url: 'https://src.test/ips' } });
+    await call('/admin-ip-lists?list=pinned', { method: 'POST', body: { text: '104.16.0.7 104.16.0.2' } });
+    await call('/update', { method: 'POST' });
+
+    const { fastIPs } = (await call('/fast-ips')).json;
+    assert.equal(fastIPs.length, 3);
+    assert.deepEqual(fastIPs.slice(0, 2).map(e => [e.ip, e.pinned, e.failed, e.latency === null]), [
+        ['104.16.0.2', true, undefined, false],
+        ['104.16.0.7', true, true, true]
+    ]);
+    assert.notEqual(fastIPs[2].ip, '104.16.0.2');
+    assert.equal((await call('/fast-ips.txt?maxLatency=1000')).text.includes('104.16.0.7'), false);
+    const explore = (await call('/ips/explore?q=104.16.0.7')).json;
+    assert.equal(explore.rows[0].status, 'failed');
+});
@@ -0,0 +1,140 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../_worker.js';
+import { createClient, createD1, createKV, fastEntry, mockFetch } from './helpers.js';
+
+const fetchMock = mockFetch([['https://src.test/ips', () => new Response('104.16.0.1\n104.16.0.2\n2606:4700::1')]]);
+after(() => fetchMock.restore());
+
+// 三种存储后端走同一套流程：登录会话、设置读写、采集与测速结果、测速历史
+const BACKENDS = {
+    memory: async () => ({ STORAGE_BACKEND: 'memory' }),
+    kv: async () => ({ IP_STORAGE: createKV() }),
+    d1: async () => ({ DB: await createD1() })
+};
+
+for (const [backend, createEnv] of Object.entries(BACKENDS)) {
+    describe(`${backend} 存储`, () => {
+        let call;
+        let headers;
+
+        before(async () => {
+            call = createClient({ ADMIN_PASSWORD: 'pw', ...await createEnv() });
+            assert.equal((await call('/admin-login', { method: 'POST', body: { password: 'wrong' } })).status, 401);
+            const login = await call('/admin-login', { method: 'POST', body: { password: 'pw' } });
+            assert.equal(login.json.success, true);
+            const cookie = login.headers.get('Set-Cookie').split(';')[0];
+            const status = (await call('/admin-status', { headers: { Cookie: cookie } })).json;
+            assert.equal(status.loggedIn, true);
+            headers = { Cookie: cookie, 'X-CSRF-Token': status.csrf };
+        });
+
+        test('会话可列出，写操作需要 CSRF Token', async () => {
+            const { sessions } = (await call('/admin-sessions', { headers })).json;
+            assert.equal(sessions.length, 1);
+            assert.equal(sessions[0].current, true);
+            assert.equal((await call('/admin-settings', { method: 'POST', body: {}, headers: { Cookie: headers.Cookie } })).status, 401);
+            assert.equal((await call('/admin-settings')).status, 401);
+        });
+
+        test('设置保存后可读回，删除后恢复默认', async () => {
+            const saved = await call('/admin-settings', { method: 'POST', body: { coloTopN: 3 }, headers });
+            assert.equal(saved.json.success, true);
+            assert.equal((await call('/admin-settings', { headers })).json.settings.coloTopN, 3);
+            const reset = await call('/admin-settings', { method: 'DELETE', headers });
+            assert.notEqual(reset.json.settings.coloTopN, 3);
+            assert.notEqual((await call('/admin-settings', { headers })).json.settings.coloTopN, 3);
+        });
+
+        test('采集与测速结果、测速历史', async () => {
+            await call('/admin-sources', { method: 'POST', body: { id: 'test', url: 'https://src.test/ips' }, headers });
+            const update = await call('/update', { method: 'POST', headers });
+            assert.equal(update.json.totalIPs, 3);
+            const fast = (await call('/fast-ips', { headers })).json;
+            assert.deepEqual(fast.fastIPs.map(entry => entry.ip).sort(), ['104.16.0.1', '104.16.0.2', '2606:4700::1']);
+            assert.ok(fast.fastIPs.every(entry => entry.colo === 'HKG' && entry.country === 'HK'));
+            const history = (await call('/history?ip=104.16.0.1', { headers })).json;
+            assert.equal(history.samples.length, 1);
+            assert.equal(history.samples[0].ok, true);
+            assert.deepEqual(history.sources, ['test']);
+            // 任务锁在采集结束后释放，可以立即再次采集
+            assert.equal((await call('/update', { method: 'POST', headers })).status, 200);
+            assert.equal((await call('/history?ip=104.16.0.1', { headers })).json.samples.length, 2);
+        });
+    });
+}
+
+test('D1 首次使用时导入 KV 中的已有数据', async () => {
+    const now = Date.now();
+    const kv = createKV({
+        cloudflare_fast_ips: { fastIPs: [fastEntry('104.16.0.9', 30)], coloRankings: {}, stableIPs: [] },
+        ip_history: { ips: { '104.16.0.9': [[now - 60000, 35], [now, null]] }, updatedAt: null }
+    });
+    const db = await createD1();
+    const call = createClient({ DB: db, IP_STORAGE: kv });
+    assert.deepEqual((await call('/fast-ips')).json.fastIPs.map(entry => entry.ip), ['104.16.0.9']);
+    const history = (await call('/history?ip=104.16.0.9')).json;
+    assert.deepEqual(history.samples.map(sample => sample.latency), [35, null]);
+    const [[value]] = db.sqlite.exec("SELECT value FROM documents WHERE key = 'storage_migration'")[0].values;
+    assert.equal(JSON.parse(value).keys, 2);
+
+    // 导入只进行一次，之后 KV 中的修改不再影响 D1
+    await kv.put('cloudflare_fast_ips', JSON.stringify({ fastIPs: [] }));
+    assert.equal((await createClient({ DB: db, IP_STORAGE: kv })('/fast-ips')).json.fastIPs.length, 1);
+});
+
+test('D1 中并发的读改写不会互相覆盖', async () => {
+    const call = createClient({ DB: await createD1() });
+    // 未配置 DNS 时同步直接失败，但每次都会追加一条同步日志
+    const syncs = await Promise.all([1, 2, 3].map(() => call('/admin-dns?action=sync', { method: 'POST', body: {} })));
+    assert.ok(syncs.every(res => res.json.entry.status === 'error'));
+    assert.equal((await call('/admin-dns')).json.log.length, 3);
+});
+
+test('D1 写入时不清理过期文档，由定时任务统一删除', async () => {
+    const db = await createD1();
+    const env = { DB: db };
+    const call = createClient(env);
+    await call('/admin-settings', { method: 'POST', body: { coloTopN: 3 } });
+    const now = Date.now();
+    db.sqlite.run("INSERT INTO documents (key, value, expires_at) VALUES ('session_old', '{}', ?), ('session_new', '{}', ?)", [now - 1000, now + 60000]);
+    // 最近刚采集过，定时任务只做清理
+    db.sqlite.run("INSERT INTO documents (key, value) VALUES ('cloudflare_ips', ?)", [JSON.stringify({ ips: [], count: 0, lastUpdated: new Date(now).toISOString() })]);
+    const keys = () => db.sqlite.exec("SELECT key FROM documents WHERE key LIKE 'session_%' ORDER BY key")[0]?.values.flat() ?? [];
+
+    await call('/admin-settings', { method: 'POST', body: { coloTopN: 4 } });
+    assert.deepEqual(keys(), ['session_new', 'session_old']);
+    await worker.scheduled({}, env, { waitUntil() {} });
+    assert.deepEqual(keys(), ['session_new']);
+});
+
+test('KV 数据按页导入 D1，导入期间读取 KV、写入两边', async () => {
+    const initial = { cloudflare_fast_ips: { fastIPs: [fastEntry('104.16.0.9', 30)], coloRankings: {}, stableIPs: [] } };
+    for (let i = 0; i < 249; i++) initial[`filler_${String(i).padStart(3, '0')}`] = { i };
+    const kv = createKV(initial);
+    let reads = 0;
+    const get = kv.get;
+    kv.get = (...args) => { reads++; return get(...args); };
+    const db = await createD1();
+    const call = createClient({ DB: db, IP_STORAGE: kv });
+    const migration = () => JSON.parse(db.sqlite.exec("SELECT value FROM documents WHERE key = 'storage_migration'")[0].values[0][0]);
+
+    // 每次请求导入一页 100 个键，导入完成前从 KV 读取
+    assert.deepEqual((await call('/fast-ips')).json.fastIPs.map(entry => entry.ip), ['104.16.0.9']);
+    assert.ok(reads <= 101, `reads: ${reads}`);
+    assert.equal(migration().keys, 100);
+    assert.equal(migration().migratedAt, undefined);
+    reads = 0;
+    await call('/admin-settings', { method: 'POST', body: { coloTopN: 3 } });
+    assert.ok(reads <= 101, `reads: ${reads}`);
+    assert.equal(migration().keys, 200);
+    assert.equal(JSON.parse(kv.entries.get('settings').value).coloTopN, 3);
+
+    // 最后一页导入剩余的键（含导入期间写入的 settings），之后只使用 D1
+    await call('/admin-status');
+    assert.equal(migration().keys, 251);
+    assert.ok(migration().migratedAt);
+    kv.entries.clear();
+    assert.equal((await call('/fast-ips')).json.fastIPs.length, 1);
+    assert.equal((await call('/admin-settings')).json.settings.coloTopN, 3);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildShareLink, buildSubscriptionNodes, normalizeSubTemplate, renderClashSubscription, renderSingboxSubscription, renderSubscription } from '../_worker.js';
+import { createClient, createKV, fastEntry } from './helpers.js';
+
+const UUID = '11111111-2222-3333-4444-555555555555';
+const ENTRIES = [fastEntry('104.16.1.1', 50), fastEntry('104.16.1.1', 55, { port: 2053 }), fastEntry('2606:4700::1', 60)];
+const WS = normalizeSubTemplate({ id: 'ws', name: 'HK', protocol: 'vless', host: 'a.example.com', uuid: UUID, path: '/ws?ed=2048' });
+const GRPC = normalizeSubTemplate({ id: 'grpc', protocol: 'trojan', host: 'b.example.com', password: 'p@ss', transport: 'grpc', path: 'svc', namePattern: '{colo}-{latency}ms' });
+const decode = text => Buffer.from(text, 'base64').toString();
+
+test('每个模板对每个 IP 生成一个节点，同一 IP 的多个端口只取第一条', () => {
+    const nodes = buildSubscriptionNodes(ENTRIES, [WS, GRPC]);
+    assert.deepEqual(nodes.map(node => [node.protocol, node.server, node.port, node.label]), [
+        ['vless', '104.16.1.1', 443, 'HK-HKG-1'],
+        ['vless', '2606:4700::1', 443, 'HK-HKG-2'],
+        ['trojan', '104.16.1.1', 443, 'HKG-50ms'],
+        ['trojan', '2606:4700::1', 443, 'HKG-60ms']
+    ]);
+});
+
+test('重名节点追加序号，空变量两侧的连字符被合并', () => {
+    const template = { ...GRPC, namePattern: '{country}-{colo}' };
+    const nodes = buildSubscriptionNodes([fastEntry('104.16.1.1', 50, { country: '' }), fastEntry('104.16.1.2', 50, { country: '' })], [template]);
+    assert.deepEqual(nodes.map(node => node.label), ['HKG', 'HKG 2']);
+});
+
+test('分享链接：vless / trojan 带查询参数，IPv6 加方括号', () => {
+    const [v4, v6, trojan] = buildSubscriptionNodes(ENTRIES, [WS, GRPC]);
+    assert.equal(buildShareLink(v4), `vless://${UUID}@104.16.1.1:443?security=tls&type=ws&encryption=none&sni=a.example.com&host=a.example.com&path=%2Fws%3Fed%3D2048#HK-HKG-1`);
+    assert.equal(buildShareLink(v6), `vless://${UUID}@[2606:4700::1]:443?security=tls&type=ws&encryption=none&sni=a.example.com&host=a.example.com&path=%2Fws%3Fed%3D2048#HK-HKG-2`);
+    assert.equal(buildShareLink(trojan), 'trojan://p%40ss@104.16.1.1:443?security=tls&type=grpc&sni=b.example.com&serviceName=svc#HKG-50ms');
+});
+
+test('vmess 链接是 base64 编码的 JSON', () => {
+    const template = normalizeSubTemplate({ id: 'vm', protocol: 'vmess', host: 'c.example.com', uuid: UUID, tls: false });
+    const [node] = buildSubscriptionNodes(ENTRIES, [template]);
+    const link = buildShareLink(node);
+    assert.ok(link.startsWith('vmess://'));
+    assert.deepEqual(JSON.parse(decode(link.slice('vmess://'.length))), {
+        v: '2', ps: 'c.example.com-HKG-1', add: '104.16.1.1', port: '443', id: UUID, aid: '0', scy: 'auto',
+        net: 'ws', type: 'none', host: 'c.example.com', path: '/', tls: '', sni: ''
+    });
+});
+
+test('base64 订阅是全部分享链接按行拼接后编码', () => {
+    const nodes = buildSubscriptionNodes(ENTRIES, [WS, GRPC]);
+    assert.deepEqual(decode(renderSubscription(nodes, 'base64')).split('\n'), nodes.map(buildShareLink));
+});
+
+test('Clash 订阅包含节点、手动选择与自动测速分组', () => {
+    const yaml = renderClashSubscription(buildSubscriptionNodes(ENTRIES.slice(0, 1), [GRPC]));
+    assert.equal(yaml, [
+        'proxies:',
+        '  - name: "HKG-50ms"',
+        '    type: trojan',
+        '    server: "104.16.1.1"',
+        '    port: 443',
+        '    udp: true',
+        '    password: "p@ss"',
+        '    sni: "b.example.com"',
+        '    network: grpc',
+        '    grpc-opts:',
+        '      grpc-service-name: "svc"',
+        'proxy-groups:',
+        '  - name: "🚀 节点选择"',
+        '    type: select',
+        '    proxies:',
+        '      - "♻️ 自动选择"',
+        '      - "HKG-50ms"',
+        '  - name: "♻️ 自动选择"',
+        '    type: url-test',
+        '    url: "https://www.gstatic.com/generate_204"',
+        '    interval: 300',
+        '    proxies:',
+        '      - "HKG-50ms"',
+        'rules:',
+        '  - "MATCH,🚀 节点选择"',
+        ''
+    ].join('\n'));
+    assert.equal(renderSubscription(buildSubscriptionNodes(ENTRIES.slice(0, 1), [GRPC]), 'clash'), yaml);
+});
+
+test('sing-box 订阅是带 selector 与 urltest 的 outbounds', () => {
+    const { outbounds } = JSON.parse(renderSingboxSubscription(buildSubscriptionNodes(ENTRIES.slice(2), [WS, GRPC])));
+    assert.deepEqual(outbounds.map(o => o.type), ['selector', 'urltest', 'vless', 'trojan', 'direct']);
+    assert.deepEqual(outbounds[0].outbounds, ['auto', 'HK-HKG-1', 'HKG-60ms']);
+    assert.deepEqual(outbounds[2], {
+        type: 'vless', tag: 'HK-HKG-1', server: '2606:4700::1', server_port: 443, uuid: UUID,
+        tls: { enabled: true, server_name: 'a.example.com' },
+        transport: { type: 'ws', path: '/ws?ed=2048', headers: { Host: 'a.example.com' } }
+    });
+    assert.deepEqual(outbounds[3].transport, { type: 'grpc', service_name: 'svc' });
+});
+
+test('模板校验', () => {
+    const cases = [
+        [{ protocol: 'vmess', host: 'c.example.com', uuid: 'bad' }, 'invalid_uuid'],
+        [{ protocol: 'trojan', host: 'c.example.com' }, 'password_required'],
+        [{ protocol: 'ss', host: 'c.example.com' }, 'unsupported_protocol'],
+        [{ host: 'c.example.com', uuid: UUID, transport: 'h2' }, 'unsupported_transport'],
+        [{ host: 'c.example.com', uuid: UUID, port: 70000 }, 'invalid_port']
+    ];
+    for (const [input, code] of cases) assert.throws(() => normalizeSubTemplate(input), { code });
+});
+
+test('/sub 没有模板或没有节点时返回 404', async () => {
+    const call = createClient({ IP_STORAGE: createKV({ cloudflare_fast_ips: { fastIPs: ENTRIES, coloRankings: {}, stableIPs: [] } }) });
+    assert.equal((await call('/sub')).json.code, 'no_sub_templates');
+    await call('/admin-sub-templates', { method: 'POST', body: WS });
+    assert.equal(decode((await call('/sub')).text).split('\n').length, 2);
+    for (const format of ['base64', 'clash', 'singbox']) {
+        const res = await call(`/sub?format=${format}&colo=LAX`);
+        assert.equal(res.status, 404);
+        assert.equal(res.json.code, 'no_sub_nodes');
+    }
+    assert.equal((await call('/sub?format=x')).json.code, 'invalid_format');
+});